@@ -0,0 +1,100 @@
+// middleware/auth.js - API key authentication middleware
+
+const crypto = require('crypto');
+const apiKeyService = require('../services/api-key-service');
+const HttpError = require('../utils/http-error');
+
+/**
+ * Read an API key from the X-API-Key header or a bearer token
+ * @param {Object} req - Express request object
+ * @returns {string|null} The API key, if present
+ */
+function extractApiKey(req) {
+  const headerKey = req.get('x-api-key');
+  if (headerKey) {
+    return headerKey.trim();
+  }
+
+  const authorization = req.get('authorization');
+  if (authorization && /^Bearer\s+/i.test(authorization)) {
+    return authorization.replace(/^Bearer\s+/i, '').trim();
+  }
+
+  return null;
+}
+
+/**
+ * Require a valid tenant API key. On success the key details are
+ * available as `req.auth` ({ keyId, businessId, permissions }).
+ * A `businessId` in the request body must match the key's tenant.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+function requireApiKey(req, res, next) {
+  const apiKey = extractApiKey(req);
+
+  if (!apiKey) {
+    return next(new HttpError(401, 'API key required', { code: 'api_key_missing' }));
+  }
+
+  const key = apiKeyService.authenticate(apiKey);
+
+  if (!key) {
+    return next(new HttpError(401, 'Invalid or revoked API key', { code: 'api_key_invalid' }));
+  }
+
+  if (req.body && req.body.businessId && String(req.body.businessId) !== key.businessId) {
+    return next(new HttpError(403, 'API key is not authorized for this business', { code: 'business_forbidden' }));
+  }
+
+  req.auth = {
+    keyId: key.id,
+    businessId: key.businessId,
+    permissions: key.permissions,
+  };
+
+  next();
+}
+
+/**
+ * Require the admin key (ADMIN_API_KEY) used for key management
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+function requireAdmin(req, res, next) {
+  const adminKey = process.env.ADMIN_API_KEY;
+
+  if (!adminKey) {
+    return next(new HttpError(503, 'Admin access is not configured', { code: 'admin_not_configured' }));
+  }
+
+  const apiKey = extractApiKey(req);
+  const provided = Buffer.from(apiKey || '');
+  const expected = Buffer.from(adminKey);
+
+  if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+    return next(new HttpError(401, 'Admin API key required', { code: 'admin_key_invalid' }));
+  }
+
+  req.auth = { admin: true };
+  next();
+}
+
+/**
+ * Check whether the authenticated key was granted a permission
+ * @param {Object} req - Express request object
+ * @param {string} permission - Permission name, e.g. "frequency_cap_override"
+ * @returns {boolean} True if the key holds the permission
+ */
+function hasPermission(req, permission) {
+  return !!(req.auth && req.auth.permissions && req.auth.permissions.includes(permission));
+}
+
+module.exports = {
+  extractApiKey,
+  hasPermission,
+  requireApiKey,
+  requireAdmin,
+};
@@ -0,0 +1,141 @@
+// middleware/auth.test.js
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'revboost-auth-'));
+process.env.ADMIN_API_KEY = 'admin-secret';
+
+const { requireApiKey, requireAdmin } = require('./auth');
+const apiKeyService = require('../services/api-key-service');
+const errorHandler = require('./error-handler');
+
+/**
+ * Build an app with a tenant route and the admin key routes
+ * @returns {Object} Express app
+ */
+function buildApp() {
+  const app = express();
+
+  app.use(express.json());
+  app.use('/api/keys', requireAdmin, require('../routes/api-key-routes'));
+  app.post('/api/whoami', requireApiKey, (req, res) => {
+    res.status(200).json({ success: true, data: req.auth });
+  });
+  app.use(errorHandler);
+
+  return app;
+}
+
+describe('API key authentication', () => {
+  const app = buildApp();
+
+  afterAll(() => {
+    fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+  });
+
+  test('rejects a request without a key', async () => {
+    const response = await request(app).post('/api/whoami').send({});
+
+    expect(response.status).toBe(401);
+    expect(response.body.error.code).toBe('api_key_missing');
+  });
+
+  test('rejects an unknown key', async () => {
+    const response = await request(app).post('/api/whoami').set('x-api-key', 'rbk_wrong').send({});
+
+    expect(response.status).toBe(401);
+    expect(response.body.error.code).toBe('api_key_invalid');
+  });
+
+  test('accepts a key from either header and exposes its tenant', async () => {
+    const { apiKey, id } = apiKeyService.createKey({ businessId: 'biz1' });
+
+    const viaHeader = await request(app).post('/api/whoami').set('x-api-key', apiKey).send({});
+    const viaBearer = await request(app).post('/api/whoami').set('Authorization', `Bearer ${apiKey}`).send({});
+
+    expect(viaHeader.status).toBe(200);
+    expect(viaHeader.body.data).toEqual({ keyId: id, businessId: 'biz1', permissions: [] });
+    expect(viaBearer.status).toBe(200);
+  });
+
+  test('rejects a body businessId for another tenant', async () => {
+    const { apiKey } = apiKeyService.createKey({ businessId: 'biz1' });
+
+    const own = await request(app).post('/api/whoami').set('x-api-key', apiKey).send({ businessId: 'biz1' });
+    const other = await request(app).post('/api/whoami').set('x-api-key', apiKey).send({ businessId: 'biz2' });
+
+    expect(own.status).toBe(200);
+    expect(other.status).toBe(403);
+    expect(other.body.error.code).toBe('business_forbidden');
+  });
+
+  test('rejects revoked and rotated-out keys', async () => {
+    const created = await request(app).post('/api/keys').set('x-api-key', 'admin-secret').send({ businessId: 'biz3' });
+    const { id, apiKey } = created.body.data;
+
+    const rotated = await request(app).post(`/api/keys/${id}/rotate`).set('x-api-key', 'admin-secret');
+    expect((await request(app).post('/api/whoami').set('x-api-key', apiKey).send({})).status).toBe(401);
+
+    const newKey = rotated.body.data.apiKey;
+    expect((await request(app).post('/api/whoami').set('x-api-key', newKey).send({})).status).toBe(200);
+
+    await request(app).delete(`/api/keys/${id}`).set('x-api-key', 'admin-secret');
+    const revoked = await request(app).post('/api/whoami').set('x-api-key', newKey).send({});
+
+    expect(revoked.status).toBe(401);
+    expect(revoked.body.error.code).toBe('api_key_invalid');
+  });
+
+  test('only writes lastUsedAt about once a minute', async () => {
+    const { apiKey, id } = apiKeyService.createKey({ businessId: 'biz4' });
+    const update = jest.spyOn(apiKeyService.store, 'update');
+
+    await request(app).post('/api/whoami').set('x-api-key', apiKey).send({});
+    await request(app).post('/api/whoami').set('x-api-key', apiKey).send({});
+    expect(update).toHaveBeenCalledTimes(1);
+
+    apiKeyService.store.update(id, { lastUsedAt: new Date(Date.now() - 61 * 1000).toISOString() });
+    update.mockClear();
+    await request(app).post('/api/whoami').set('x-api-key', apiKey).send({});
+    expect(update).toHaveBeenCalledTimes(1);
+
+    update.mockRestore();
+  });
+});
+
+describe('requireAdmin', () => {
+  const app = buildApp();
+
+  test('rejects tenant keys and wrong admin keys', async () => {
+    const { apiKey } = apiKeyService.createKey({ businessId: 'biz1' });
+
+    expect((await request(app).get('/api/keys')).status).toBe(401);
+    expect((await request(app).get('/api/keys').set('x-api-key', apiKey)).status).toBe(401);
+    expect((await request(app).get('/api/keys').set('x-api-key', 'admin-secreT')).body.error.code).toBe('admin_key_invalid');
+  });
+
+  test('accepts the admin key and hides key hashes', async () => {
+    const response = await request(app).get('/api/keys?businessId=biz1').set('Authorization', 'Bearer admin-secret');
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.length).toBeGreaterThan(0);
+    expect(response.body.data.every(key => key.businessId === 'biz1' && !key.keyHash)).toBe(true);
+  });
+
+  test('is unavailable when no admin key is configured', async () => {
+    const previous = process.env.ADMIN_API_KEY;
+    delete process.env.ADMIN_API_KEY;
+
+    const response = await request(app).get('/api/keys').set('x-api-key', 'admin-secret');
+
+    process.env.ADMIN_API_KEY = previous;
+    expect(response.status).toBe(503);
+    expect(response.body.error.code).toBe('admin_not_configured');
+  });
+});
@@ -1,6 +1,7 @@
 // middleware/error-handler.js - Global error handling middleware
 
 const logger = require('../utils/logger');
+const HttpError = require('../utils/http-error');
 
 /**
  * Global error handler middleware
@@ -31,6 +32,18 @@ module.exports = (err, req, res, next) => {
     },
   };
   
+  // Add machine-readable code and details for our own errors only; system
+  // errors carry codes such as ECONNREFUSED that clients shouldn't see
+  if (err instanceof HttpError) {
+    if (err.code) {
+      errorResponse.error.code = err.code;
+    }
+    
+    if (err.details) {
+      errorResponse.error.details = err.details;
+    }
+  }
+  
   // Add stack trace in development
   if (process.env.NODE_ENV === 'development' && err.stack) {
     errorResponse.error.stack = err.stack;
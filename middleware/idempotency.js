@@ -0,0 +1,80 @@
+// middleware/idempotency.js - Idempotency-Key support for POST requests
+
+const HttpError = require('../utils/http-error');
+const idempotencyService = require('../services/idempotency-service');
+
+const MAX_KEY_LENGTH = 255;
+
+/**
+ * Honour the Idempotency-Key header on POST requests. A retry with the
+ * same key and body returns the original status and body, marked with
+ * `Idempotent-Replayed: true`, without running the route again.
+ * Server errors and 429s are not stored, so those requests can be
+ * retried with the same key. Must run after requireApiKey.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+module.exports = (req, res, next) => {
+  const key = req.get('idempotency-key');
+
+  if (req.method !== 'POST' || key === undefined) {
+    return next();
+  }
+
+  if (!key.trim() || key.length > MAX_KEY_LENGTH) {
+    return next(new HttpError(400, `Idempotency-Key must be 1-${MAX_KEY_LENGTH} characters`, {
+      code: 'idempotency_key_invalid',
+    }));
+  }
+
+  let claim;
+
+  try {
+    claim = idempotencyService.begin({
+      businessId: req.auth.businessId,
+      key,
+      fingerprint: idempotencyService.fingerprint({
+        method: req.method,
+        path: req.baseUrl + req.path,
+        body: req.body,
+      }),
+    });
+  } catch (error) {
+    return next(error);
+  }
+
+  if (claim.replay) {
+    res.set('Idempotent-Replayed', 'true');
+    return res.status(claim.record.responseStatus).json(claim.record.responseBody);
+  }
+
+  // Store JSON responses as they are produced so a client that gave up
+  // early still gets them on retry
+  const json = res.json.bind(res);
+  let stored = false;
+
+  res.json = (body) => {
+    stored = true;
+
+    if (res.statusCode < 500 && res.statusCode !== 429) {
+      idempotencyService.complete(claim.record.id, res.statusCode, body);
+    } else {
+      idempotencyService.release(claim.record.id);
+    }
+
+    return json(body);
+  };
+
+  // A response sent some other way (res.send, res.redirect) can't be
+  // replayed, so free the key. If the client disconnected before any
+  // response, the route may still answer through res.json; a claim it
+  // never completes goes stale instead.
+  res.on('close', () => {
+    if (!stored && res.writableFinished) {
+      idempotencyService.release(claim.record.id);
+    }
+  });
+
+  next();
+};
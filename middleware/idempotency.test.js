@@ -0,0 +1,178 @@
+// middleware/idempotency.test.js
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'revboost-idempotency-'));
+
+const idempotency = require('./idempotency');
+const idempotencyService = require('../services/idempotency-service');
+const errorHandler = require('./error-handler');
+
+/**
+ * Build an app whose routes count how often they actually run
+ * @returns {Object} `{ app, calls, held }`
+ */
+function buildApp() {
+  const calls = { send: 0, slow: 0, text: 0 };
+  const held = [];
+  const app = express();
+
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.auth = { businessId: req.get('x-business') || 'biz1' };
+    next();
+  });
+
+  app.post('/send', idempotency, (req, res) => {
+    calls.send += 1;
+    res.status(202).json({ success: true, data: { n: calls.send } });
+  });
+
+  app.post('/slow', idempotency, (req, res) => {
+    calls.slow += 1;
+    held.push(res);
+  });
+
+  app.post('/text', idempotency, (req, res) => {
+    calls.text += 1;
+    res.send('ok');
+  });
+
+  app.use(errorHandler);
+  return { app, calls, held };
+}
+
+/**
+ * Wait until a condition holds
+ * @param {Function} condition - Returns true when done
+ * @returns {Promise<void>}
+ */
+async function waitFor(condition) {
+  while (!condition()) {
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+}
+
+describe('idempotency middleware', () => {
+  const defaultClaimTimeoutMs = idempotencyService.claimTimeoutMs;
+
+  afterEach(() => {
+    idempotencyService.claimTimeoutMs = defaultClaimTimeoutMs;
+  });
+
+  afterAll(() => {
+    fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+  });
+
+  test('replays the stored response for a retry with the same key and body', async () => {
+    const { app, calls } = buildApp();
+
+    const first = await request(app).post('/send').set('Idempotency-Key', 'replay-1').send({ to: 'a@x.com', n: 1 });
+    const retry = await request(app).post('/send').set('Idempotency-Key', 'replay-1').send({ n: 1, to: 'a@x.com' });
+
+    expect(first.status).toBe(202);
+    expect(retry.status).toBe(202);
+    expect(retry.body).toEqual(first.body);
+    expect(retry.headers['idempotent-replayed']).toBe('true');
+    expect(calls.send).toBe(1);
+  });
+
+  test('scopes keys to the business', async () => {
+    const { app, calls } = buildApp();
+
+    await request(app).post('/send').set('Idempotency-Key', 'scoped-1').send({});
+    const other = await request(app).post('/send').set('Idempotency-Key', 'scoped-1').set('x-business', 'biz2').send({});
+
+    expect(other.headers['idempotent-replayed']).toBeUndefined();
+    expect(calls.send).toBe(2);
+  });
+
+  test('rejects a key reused for a different request', async () => {
+    const { app, calls } = buildApp();
+
+    await request(app).post('/send').set('Idempotency-Key', 'conflict-1').send({ to: 'a@x.com' });
+    const reused = await request(app).post('/send').set('Idempotency-Key', 'conflict-1').send({ to: 'b@x.com' });
+
+    expect(reused.status).toBe(409);
+    expect(reused.body.error.code).toBe('idempotency_key_reused');
+    expect(calls.send).toBe(1);
+  });
+
+  test('rejects invalid keys', async () => {
+    const { app } = buildApp();
+
+    const response = await request(app).post('/send').set('Idempotency-Key', 'x'.repeat(256)).send({});
+
+    expect(response.status).toBe(400);
+    expect(response.body.error.code).toBe('idempotency_key_invalid');
+  });
+
+  test('rejects a retry while the original request is in flight', async () => {
+    const { app, calls, held } = buildApp();
+
+    const original = request(app).post('/slow').set('Idempotency-Key', 'flight-1').send({}).then(res => res);
+    await waitFor(() => held.length === 1);
+
+    const retry = await request(app).post('/slow').set('Idempotency-Key', 'flight-1').send({});
+    expect(retry.status).toBe(409);
+    expect(retry.body.error.code).toBe('idempotency_in_progress');
+
+    held[0].status(202).json({ success: true });
+    expect((await original).status).toBe(202);
+
+    const replay = await request(app).post('/slow').set('Idempotency-Key', 'flight-1').send({});
+    expect(replay.headers['idempotent-replayed']).toBe('true');
+    expect(calls.slow).toBe(1);
+  });
+
+  test('treats a claim that never completed as released once it is stale', async () => {
+    const { app, calls, held } = buildApp();
+
+    request(app).post('/slow').set('Idempotency-Key', 'stale-1').send({}).then(() => {}, () => {});
+    await waitFor(() => held.length === 1);
+
+    idempotencyService.claimTimeoutMs = 0;
+    const retry = request(app).post('/slow').set('Idempotency-Key', 'stale-1').send({}).then(res => res);
+    await waitFor(() => held.length === 2);
+
+    expect(calls.slow).toBe(2);
+    held.forEach(res => res.status(202).json({ success: true }));
+    expect((await retry).status).toBe(202);
+  });
+
+  test('releases the key when the route responds without res.json', async () => {
+    const { app, calls } = buildApp();
+
+    await request(app).post('/text').set('Idempotency-Key', 'text-1').send({});
+    await new Promise(resolve => setTimeout(resolve, 20));
+    const retry = await request(app).post('/text').set('Idempotency-Key', 'text-1').send({});
+
+    expect(retry.status).toBe(200);
+    expect(calls.text).toBe(2);
+  });
+
+  test('does not store server errors', async () => {
+    const app = express();
+    let attempts = 0;
+
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.auth = { businessId: 'biz1' };
+      next();
+    });
+    app.post('/flaky', idempotency, (req, res) => {
+      attempts += 1;
+      res.status(attempts === 1 ? 503 : 202).json({ success: attempts > 1 });
+    });
+
+    expect((await request(app).post('/flaky').set('Idempotency-Key', 'flaky-1').send({})).status).toBe(503);
+    expect((await request(app).post('/flaky').set('Idempotency-Key', 'flaky-1').send({})).status).toBe(202);
+    expect(attempts).toBe(2);
+  });
+});
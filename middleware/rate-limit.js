@@ -0,0 +1,147 @@
+// middleware/rate-limit.js - Request rate limiting and send quota headers
+
+const HttpError = require('../utils/http-error');
+const usageService = require('../services/usage-service');
+
+const WINDOW_MS = parseInt(process.env.RATE_LIMIT_WINDOW_MS, 10) || 60000;
+
+/**
+ * Create a fixed-window rate limiter. Counts are kept in memory, so each
+ * server process limits independently and counts reset on restart.
+ * Responses carry RateLimit-Limit, RateLimit-Remaining and RateLimit-Reset
+ * (seconds); rejected requests also get Retry-After.
+ * @param {Object} options - Limiter options
+ * @param {string} options.scope - Name reported in errors, e.g. "ip"
+ * @param {number} options.max - Requests allowed per window; 0 disables the limiter
+ * @param {number} [options.windowMs] - Window length
+ * @param {Function} options.keyFor - Returns the key to count a request
+ *   under, or null to skip it
+ * @returns {Function} Express middleware
+ */
+function createRateLimiter({ scope, max, windowMs = WINDOW_MS, keyFor }) {
+  const windows = new Map();
+
+  // Drop finished windows so idle clients do not hold memory
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of windows) {
+      if (entry.resetAt <= now) {
+        windows.delete(key);
+      }
+    }
+  }, windowMs);
+  sweep.unref();
+
+  return (req, res, next) => {
+    const key = max > 0 ? keyFor(req) : null;
+
+    if (!key) {
+      return next();
+    }
+
+    const now = Date.now();
+    let entry = windows.get(key);
+
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs };
+      windows.set(key, entry);
+    }
+
+    entry.count += 1;
+    const resetSeconds = Math.ceil((entry.resetAt - now) / 1000);
+
+    res.set({
+      'RateLimit-Limit': String(max),
+      'RateLimit-Remaining': String(Math.max(max - entry.count, 0)),
+      'RateLimit-Reset': String(resetSeconds),
+    });
+
+    if (entry.count > max) {
+      res.set('Retry-After', String(resetSeconds));
+      return next(new HttpError(429, 'Too many requests; slow down and retry later', {
+        code: 'rate_limited',
+        details: { scope, limit: max, retryAfter: resetSeconds },
+      }));
+    }
+
+    next();
+  };
+}
+
+/**
+ * Limit requests per client IP (RATE_LIMIT_PER_IP, default 300 per window)
+ */
+const ipRateLimit = createRateLimiter({
+  scope: 'ip',
+  max: parseInt(process.env.RATE_LIMIT_PER_IP || '300', 10),
+  keyFor: req => req.ip,
+});
+
+/**
+ * Limit requests per tenant API key (RATE_LIMIT_PER_KEY, default 120 per
+ * window). Must run after requireApiKey.
+ */
+const apiKeyRateLimit = createRateLimiter({
+  scope: 'api_key',
+  max: parseInt(process.env.RATE_LIMIT_PER_KEY || '120', 10),
+  keyFor: req => (req.auth && req.auth.keyId) || null,
+});
+
+/**
+ * Set X-Quota-Limit, X-Quota-Remaining and X-Quota-Reset (seconds) from
+ * a channel's usage; nothing is set when the channel is unlimited
+ * @param {Object} res - Express response object
+ * @param {Object} status - Status from usageService.getStatus
+ */
+function setQuotaHeaders(res, status) {
+  if (status.limit === null) {
+    return;
+  }
+
+  res.set({
+    'X-Quota-Limit': String(status.limit),
+    'X-Quota-Remaining': String(status.remaining),
+    'X-Quota-Reset': String(Math.max(Math.ceil((new Date(status.resetsAt).getTime() - Date.now()) / 1000), 0)),
+  });
+}
+
+/**
+ * Reject requests from businesses that have used up a channel's quota,
+ * and report what is left in the response headers. The quota itself is
+ * counted when messages are sent. Must run after requireApiKey.
+ * @param {string} channel - "email" or "sms"
+ * @returns {Function} Express middleware
+ */
+function enforceQuota(channel) {
+  return (req, res, next) => {
+    const businessId = req.auth && req.auth.businessId;
+
+    if (!businessId) {
+      return next();
+    }
+
+    try {
+      setQuotaHeaders(res, usageService.check(businessId, channel));
+    } catch (error) {
+      setQuotaHeaders(res, usageService.getStatus(businessId, channel));
+      res.set('Retry-After', res.get('X-Quota-Reset'));
+      return next(error);
+    }
+
+    // Report the quota as it stands after this request's sends
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      setQuotaHeaders(res, usageService.getStatus(businessId, channel));
+      return json(body);
+    };
+
+    next();
+  };
+}
+
+module.exports = {
+  createRateLimiter,
+  ipRateLimit,
+  apiKeyRateLimit,
+  enforceQuota,
+};
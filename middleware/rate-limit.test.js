@@ -0,0 +1,165 @@
+// middleware/rate-limit.test.js
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'revboost-rate-limit-'));
+process.env.RATE_LIMIT_PER_IP = '3';
+process.env.RATE_LIMIT_PER_KEY = '2';
+
+const { createRateLimiter, ipRateLimit, apiKeyRateLimit, enforceQuota } = require('./rate-limit');
+const usageService = require('../services/usage-service');
+const errorHandler = require('./error-handler');
+
+/**
+ * Build an app with the given middleware in front of a route that may
+ * count an SMS against the business's quota
+ * @param {...Function} middleware - Middleware under test
+ * @returns {Object} Express app
+ */
+function buildApp(...middleware) {
+  const app = express();
+
+  app.set('trust proxy', true);
+  app.use((req, res, next) => {
+    if (req.get('x-key')) {
+      req.auth = { keyId: req.get('x-key'), businessId: req.get('x-business') || 'biz1' };
+    }
+    next();
+  });
+  app.post('/send', ...middleware, (req, res) => {
+    usageService.consume(req.auth && req.auth.businessId, 'sms');
+    res.status(202).json({ success: true });
+  });
+  app.use(errorHandler);
+
+  return app;
+}
+
+describe('rate limiting', () => {
+  afterAll(() => {
+    fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+  });
+
+  test('limits each IP and reports the window in headers', async () => {
+    const app = buildApp(ipRateLimit);
+    const from = ip => request(app).post('/send').set('X-Forwarded-For', ip);
+
+    for (const remaining of ['2', '1', '0']) {
+      const response = await from('203.0.113.1');
+      expect(response.status).toBe(202);
+      expect(response.headers['ratelimit-limit']).toBe('3');
+      expect(response.headers['ratelimit-remaining']).toBe(remaining);
+    }
+
+    const limited = await from('203.0.113.1');
+    expect(limited.status).toBe(429);
+    expect(limited.body.error).toMatchObject({ code: 'rate_limited', details: { scope: 'ip', limit: 3 } });
+    expect(limited.headers['ratelimit-remaining']).toBe('0');
+    expect(Number(limited.headers['retry-after'])).toBeGreaterThan(0);
+    expect(limited.headers['retry-after']).toBe(limited.headers['ratelimit-reset']);
+
+    expect((await from('203.0.113.2')).status).toBe(202);
+  });
+
+  test('limits each API key separately', async () => {
+    const app = buildApp(apiKeyRateLimit);
+    const withKey = key => request(app).post('/send').set('X-Forwarded-For', '198.51.100.7').set('x-key', key);
+
+    expect((await withKey('key_a')).status).toBe(202);
+    expect((await withKey('key_a')).status).toBe(202);
+
+    const limited = await withKey('key_a');
+    expect(limited.status).toBe(429);
+    expect(limited.body.error.details).toMatchObject({ scope: 'api_key', limit: 2 });
+
+    const other = await withKey('key_b');
+    expect(other.status).toBe(202);
+    expect(other.headers['ratelimit-remaining']).toBe('1');
+  });
+
+  test('skips requests without an API key', async () => {
+    const app = buildApp(apiKeyRateLimit);
+
+    const responses = [];
+    for (let i = 0; i < 3; i += 1) {
+      responses.push(await request(app).post('/send'));
+    }
+
+    responses.forEach((response) => {
+      expect(response.status).toBe(202);
+      expect(response.headers['ratelimit-limit']).toBeUndefined();
+    });
+  });
+
+  test('starts a fresh window once the old one ends', async () => {
+    const app = buildApp(createRateLimiter({ scope: 'test', max: 1, windowMs: 50, keyFor: () => 'all' }));
+
+    expect((await request(app).post('/send')).status).toBe(202);
+    expect((await request(app).post('/send')).status).toBe(429);
+
+    await new Promise(resolve => setTimeout(resolve, 60));
+    expect((await request(app).post('/send')).status).toBe(202);
+  });
+
+  test('a limit of 0 turns the limiter off', async () => {
+    const app = buildApp(createRateLimiter({ scope: 'test', max: 0, keyFor: () => 'all' }));
+
+    expect((await request(app).post('/send')).headers['ratelimit-limit']).toBeUndefined();
+  });
+});
+
+describe('enforceQuota', () => {
+  const app = buildApp(enforceQuota('sms'));
+  const send = businessId => request(app).post('/send').set('x-key', 'key_q').set('x-business', businessId);
+
+  test('reports the quota left after each send, then refuses once it is used up', async () => {
+    usageService.setQuotas('quota-biz', { sms: { daily: 2 } });
+
+    const first = await send('quota-biz');
+    expect(first.status).toBe(202);
+    expect(first.headers['x-quota-limit']).toBe('2');
+    expect(first.headers['x-quota-remaining']).toBe('1');
+
+    expect((await send('quota-biz')).headers['x-quota-remaining']).toBe('0');
+
+    const refused = await send('quota-biz');
+    expect(refused.status).toBe(429);
+    expect(refused.body.error).toMatchObject({
+      code: 'quota_exceeded',
+      details: { channel: 'sms', period: 'daily', limit: 2 },
+    });
+    expect(refused.headers['x-quota-remaining']).toBe('0');
+    expect(Number(refused.headers['x-quota-reset'])).toBeGreaterThan(0);
+    expect(refused.headers['retry-after']).toBe(refused.headers['x-quota-reset']);
+    expect(usageService.getStatus('quota-biz', 'sms').daily.used).toBe(2);
+  });
+
+  test('reports the tighter of the daily and monthly quotas', async () => {
+    usageService.setQuotas('monthly-biz', { sms: { daily: 10, monthly: 1 } });
+
+    expect((await send('monthly-biz')).headers['x-quota-remaining']).toBe('0');
+
+    const refused = await send('monthly-biz');
+    expect(refused.status).toBe(429);
+    expect(refused.body.error.details).toMatchObject({ period: 'monthly', limit: 1 });
+  });
+
+  test('keeps each business\'s quota separate', async () => {
+    usageService.setQuotas('quota-other', { sms: { daily: 2 } });
+
+    expect((await send('quota-other')).status).toBe(202);
+  });
+
+  test('sets no quota headers on an unlimited channel', async () => {
+    const response = await send('unlimited-biz');
+
+    expect(response.status).toBe(202);
+    expect(response.headers['x-quota-limit']).toBeUndefined();
+  });
+});
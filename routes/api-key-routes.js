@@ -0,0 +1,132 @@
+// routes/api-key-routes.js - Routes for managing tenant API keys
+
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const apiKeyService = require('../services/api-key-service');
+const router = express.Router();
+
+/**
+ * List API keys
+ * GET /api/keys
+ */
+router.get('/', [
+  query('businessId').optional().notEmpty().withMessage('Business ID must not be empty'),
+], (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const keys = apiKeyService.listKeys({ businessId: req.query.businessId });
+
+    res.status(200).json({
+      success: true,
+      data: keys
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Create an API key for a business
+ * POST /api/keys
+ */
+router.post('/', [
+  body('businessId').isString().notEmpty().withMessage('Business ID is required'),
+  body('name').optional().isString().isLength({ max: 100 }).withMessage('Name must be at most 100 characters'),
+  body('permissions').optional().isArray().withMessage('Permissions must be an array'),
+  body('permissions.*').isIn(apiKeyService.permissions).withMessage(`Permission must be one of: ${apiKeyService.permissions.join(', ')}`),
+], (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { businessId, name, permissions } = req.body;
+    const key = apiKeyService.createKey({ businessId, name, permissions });
+
+    res.status(201).json({
+      success: true,
+      message: 'API key created. Store it now; it will not be shown again.',
+      data: key
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Replace the permissions granted to an API key
+ * PATCH /api/keys/:id
+ */
+router.patch('/:id', [
+  body('permissions').isArray().withMessage('Permissions must be an array'),
+  body('permissions.*').isIn(apiKeyService.permissions).withMessage(`Permission must be one of: ${apiKeyService.permissions.join(', ')}`),
+], (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const key = apiKeyService.setPermissions(req.params.id, req.body.permissions);
+
+    res.status(200).json({
+      success: true,
+      message: 'API key permissions updated',
+      data: key
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Rotate an API key, invalidating the old secret
+ * POST /api/keys/:id/rotate
+ */
+router.post('/:id/rotate', (req, res, next) => {
+  try {
+    const key = apiKeyService.rotateKey(req.params.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'API key rotated. Store it now; it will not be shown again.',
+      data: key
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Revoke an API key
+ * DELETE /api/keys/:id
+ */
+router.delete('/:id', (req, res, next) => {
+  try {
+    const key = apiKeyService.revokeKey(req.params.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'API key revoked',
+      data: key
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,116 @@
+// routes/campaign-routes.js - Routes for bulk review-request campaigns
+
+const express = require('express');
+const { check, validationResult } = require('express-validator');
+const campaignService = require('../services/campaign-service');
+const HttpError = require('../utils/http-error');
+const { hasPermission } = require('../middleware/auth');
+const { parseCsv } = require('../utils/csv');
+const { isValidLocale } = require('../utils/i18n');
+const router = express.Router();
+
+/**
+ * Create a campaign from a JSON `recipients` array or CSV. CSV can be sent
+ * as a text/csv body (campaign options in the query string) or as JSON `{ csv }`.
+ * `force` skips frequency caps and needs the "frequency_cap_override" permission.
+ * POST /api/campaigns
+ */
+router.post('/', express.text({ type: ['text/csv', 'text/plain'], limit: '5mb' }), [
+  check('businessName').notEmpty().withMessage('Business name is required'),
+  check('name').optional().isString().isLength({ max: 200 }),
+  check('channel').optional().isIn(['email', 'sms']).withMessage('Channel must be email or sms'),
+  check('reviewLink').optional().isURL().withMessage('Review link must be a valid URL'),
+  check('locale').optional().custom(isValidLocale).withMessage('Locale must be a language tag such as "es" or "fr-CA"'),
+  check('replyTo').optional().isEmail().withMessage('Reply-to must be a valid email if provided'),
+  check('throttlePerMinute').optional().isInt({ min: 1, max: 6000 }).withMessage('Throttle must be between 1 and 6000 per minute').toInt(),
+  check('force').optional().isBoolean().withMessage('Force must be true or false').toBoolean(),
+], (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const isCsvUpload = typeof req.body === 'string';
+    const options = isCsvUpload ? req.query : req.body;
+    const csv = isCsvUpload ? req.body : options.csv;
+
+    // Skipping frequency caps is reserved for keys the admin granted it
+    if (options.force && !hasPermission(req, 'frequency_cap_override')) {
+      throw new HttpError(403, 'This API key may not override frequency caps', { code: 'permission_denied' });
+    }
+
+    let rows = options.recipients;
+    if (typeof csv === 'string') {
+      rows = parseCsv(csv);
+    }
+
+    if (!Array.isArray(rows)) {
+      throw new HttpError(400, 'Provide recipients as a JSON array or CSV', { code: 'recipients_required' });
+    }
+
+    const campaign = campaignService.create({
+      businessId: req.auth.businessId,
+      businessName: options.businessName,
+      rows,
+      name: options.name,
+      channel: options.channel,
+      reviewLink: options.reviewLink,
+      country: options.country,
+      locale: options.locale,
+      replyTo: options.replyTo,
+      throttlePerMinute: options.throttlePerMinute,
+      customData: isCsvUpload ? undefined : options.customData,
+      force: options.force,
+    });
+
+    res.status(202).json({
+      success: true,
+      message: `Campaign accepted: ${campaign.summary.pending} of ${campaign.summary.total} recipients will be queued`,
+      data: campaign
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * List campaigns for the authenticated business
+ * GET /api/campaigns
+ */
+router.get('/', (req, res, next) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: campaignService.list(req.auth.businessId)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Get a campaign with per-recipient progress
+ * GET /api/campaigns/:id
+ */
+router.get('/:id', (req, res, next) => {
+  try {
+    const campaign = campaignService.get(req.params.id);
+
+    if (!campaign || campaign.businessId !== req.auth.businessId) {
+      throw new HttpError(404, 'Campaign not found', { code: 'campaign_not_found' });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: campaign
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
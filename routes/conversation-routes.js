@@ -0,0 +1,70 @@
+// routes/conversation-routes.js - Routes for two-way SMS conversations
+
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const conversationService = require('../services/conversation-service');
+const HttpError = require('../utils/http-error');
+const router = express.Router();
+
+/**
+ * List SMS conversations for the authenticated business, most recent reply first
+ * GET /api/conversations
+ */
+router.get('/', [
+  query('unread').optional().isBoolean().withMessage('Unread must be true or false').toBoolean(),
+  query('limit').optional().isInt({ min: 1, max: 200 }).withMessage('Limit must be between 1 and 200').toInt(),
+  query('offset').optional().isInt({ min: 0 }).withMessage('Offset must be 0 or greater').toInt(),
+], (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { unread, limit, offset } = req.query;
+    const result = conversationService.list({ businessId: req.auth.businessId, unread, limit, offset });
+
+    res.status(200).json({
+      success: true,
+      data: result.conversations,
+      pagination: {
+        total: result.total,
+        limit: result.limit,
+        offset: result.offset,
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Get a conversation with its messages in both directions, and mark it read
+ * GET /api/conversations/:id
+ */
+router.get('/:id', (req, res, next) => {
+  try {
+    const conversation = conversationService.get(req.params.id);
+
+    if (!conversation || conversation.businessId !== req.auth.businessId) {
+      throw new HttpError(404, 'Conversation not found', { code: 'conversation_not_found' });
+    }
+
+    const messages = conversationService.getThread(conversation);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...conversationService.markRead(conversation.id),
+        messages,
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
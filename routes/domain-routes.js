@@ -0,0 +1,143 @@
+// routes/domain-routes.js - Routes for custom sending domains
+
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const domainService = require('../services/domain-service');
+const emailService = require('../services/email-service');
+const HttpError = require('../utils/http-error');
+const router = express.Router();
+
+/**
+ * Find a domain owned by the authenticated business
+ * @param {Object} req - Express request object
+ * @returns {Object} The domain
+ */
+function findOwned(req) {
+  const domain = domainService.get(req.params.id);
+
+  if (!domain || domain.businessId !== req.auth.businessId) {
+    throw new HttpError(404, 'Domain not found', { code: 'domain_not_found' });
+  }
+
+  return domain;
+}
+
+/**
+ * Refuse to register or verify domains the email provider won't send from
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+function requireCustomDomainSupport(req, res, next) {
+  if (!emailService.supportsCustomDomains()) {
+    return next(new HttpError(409, 'The configured email provider cannot send from custom domains; mail is sent from the default address', {
+      code: 'custom_domains_unsupported',
+    }));
+  }
+
+  next();
+}
+
+/**
+ * List sending domains for the authenticated business
+ * GET /api/domains
+ */
+router.get('/', (req, res, next) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: domainService.list(req.auth.businessId)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Register a sending domain. The response lists the SPF, DKIM and DMARC
+ * records to publish before verifying. Only available when the primary
+ * email provider signs for custom domains (SMTP).
+ * POST /api/domains
+ */
+router.post('/', requireCustomDomainSupport, [
+  body('domain').isFQDN().withMessage('A valid domain name is required'),
+  body('localPart').optional().matches(/^[a-z0-9][a-z0-9._-]{0,63}$/i).withMessage('Local part must be a simple mailbox name such as "reviews"'),
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const domain = await domainService.register({
+      businessId: req.auth.businessId,
+      domain: req.body.domain,
+      localPart: req.body.localPart,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Domain registered. Publish its DNS records, then verify it.',
+      data: domain
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Get a sending domain with its DNS records
+ * GET /api/domains/:id
+ */
+router.get('/:id', (req, res, next) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: findOwned(req)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Check a domain's DNS records now
+ * POST /api/domains/:id/verify
+ */
+router.post('/:id/verify', requireCustomDomainSupport, async (req, res, next) => {
+  try {
+    const domain = await domainService.verify(findOwned(req).id);
+
+    res.status(200).json({
+      success: true,
+      message: domain.status === 'verified'
+        ? `Domain verified; email will be sent from ${domain.fromAddress}`
+        : 'Domain is not verified yet; check the records marked unverified',
+      data: domain
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Delete a sending domain
+ * DELETE /api/domains/:id
+ */
+router.delete('/:id', (req, res, next) => {
+  try {
+    domainService.remove(findOwned(req).id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Domain deleted'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,65 @@
+// routes/domain-routes.test.js
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+jest.mock('../services/email-service', () => ({ supportsCustomDomains: jest.fn() }));
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'revboost-domain-routes-'));
+
+const emailService = require('../services/email-service');
+const domainService = require('../services/domain-service');
+const errorHandler = require('../middleware/error-handler');
+
+describe('domain routes', () => {
+  const app = express();
+
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.auth = { businessId: 'biz1' };
+    next();
+  });
+  app.use('/api/domains', require('./domain-routes'));
+  app.use(errorHandler);
+
+  beforeAll(() => {
+    domainService.resolver = { resolveTxt: jest.fn(async () => []) };
+  });
+
+  afterAll(() => {
+    fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+  });
+
+  test('refuses to register or verify domains the provider cannot send from', async () => {
+    emailService.supportsCustomDomains.mockReturnValue(true);
+    const registered = await request(app).post('/api/domains').send({ domain: 'cafe.example' });
+    expect(registered.status).toBe(201);
+
+    emailService.supportsCustomDomains.mockReturnValue(false);
+
+    const create = await request(app).post('/api/domains').send({ domain: 'bakery.example' });
+    expect(create.status).toBe(409);
+    expect(create.body.error.code).toBe('custom_domains_unsupported');
+    expect(domainService.list('biz1').map(domain => domain.domain)).toEqual(['cafe.example']);
+
+    const verify = await request(app).post(`/api/domains/${registered.body.data.id}/verify`);
+    expect(verify.status).toBe(409);
+    expect(domainService.resolver.resolveTxt).not.toHaveBeenCalled();
+
+    expect((await request(app).get('/api/domains')).status).toBe(200);
+  });
+
+  test('verifies domains when the provider can sign for them', async () => {
+    emailService.supportsCustomDomains.mockReturnValue(true);
+    const [domain] = domainService.list('biz1');
+
+    const verify = await request(app).post(`/api/domains/${domain.id}/verify`);
+
+    expect(verify.status).toBe(200);
+    expect(verify.body.data.status).toBe('pending');
+  });
+});
@@ -4,10 +4,16 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 const emailService = require('../services/email-service');
 const feedbackService = require('../services/feedback-service');
+const scheduledSends = require('../services/scheduled-send-service');
+const HttpError = require('../utils/http-error');
+const { hasPermission } = require('../middleware/auth');
+const { isValidTimezone } = require('../utils/quiet-hours');
+const { isValidLocale } = require('../utils/i18n');
 const router = express.Router();
 
 /**
- * Send a review request email
+ * Send a review request email. `force` skips frequency caps and needs the
+ * "frequency_cap_override" permission.
  * POST /api/email/review-request
  */
 router.post('/review-request', [
@@ -17,6 +23,11 @@ router.post('/review-request', [
   body('businessName').notEmpty().withMessage('Business name is required'),
   body('reviewLink').isURL().withMessage('Valid review link URL is required'),
   body('replyTo').optional().isEmail().withMessage('Reply-to must be a valid email if provided'),
+  body('sendAt').optional().isISO8601().withMessage('sendAt must be an ISO 8601 date'),
+  body('timezone').optional().custom(isValidTimezone).withMessage('Unknown timezone'),
+  body('locale').optional().custom(isValidLocale).withMessage('Locale must be a language tag such as "es" or "fr-CA"'),
+  body('customerPhone').optional().isString().withMessage('Customer phone must be a string'),
+  body('force').optional().isBoolean({ strict: true }).withMessage('Force must be true or false'),
 ], async (req, res, next) => {
   try {
     // Check for validation errors
@@ -28,22 +39,58 @@ router.post('/review-request', [
       });
     }
 
-    const { toEmail, customerName, businessName, reviewLink, replyTo, customData } = req.body;
+    const { toEmail, customerName, businessName, reviewLink, replyTo, customData, sendAt, timezone, locale, customerPhone, force } = req.body;
+    const request = { toEmail, customerName, businessName, reviewLink, replyTo, customData, timezone, locale, customerPhone, force };
 
-    // Send the email
+    // Skipping frequency caps is reserved for keys the admin granted it
+    if (force && !hasPermission(req, 'frequency_cap_override')) {
+      throw new HttpError(403, 'This API key may not override frequency caps', { code: 'permission_denied' });
+    }
+
+    // Hold future sends in the scheduler until they are due
+    if (sendAt && new Date(sendAt).getTime() > Date.now()) {
+      const scheduled = scheduledSends.schedule({
+        channel: 'email',
+        businessId: req.auth.businessId,
+        sendAt,
+        request,
+      });
+
+      return res.status(202).json({
+        success: true,
+        message: 'Email scheduled',
+        data: { scheduledId: scheduled.id, status: scheduled.status, sendAt: scheduled.sendAt }
+      });
+    }
+
+    // Queue the email
     const result = await emailService.sendReviewRequest({
-      toEmail,
-      customerName,
-      businessName,
-      reviewLink,
-      replyTo,
-      customData
+      ...request,
+      businessId: req.auth.businessId,
     });
 
+    // Suppressed recipients are skipped without contacting the provider
+    if (result.status === 'suppressed') {
+      return res.status(200).json({
+        success: true,
+        message: 'Recipient is on the suppression list; nothing was sent',
+        data: result
+      });
+    }
+
+    // Customers asked too recently are skipped unless the request is forced
+    if (result.status === 'skipped') {
+      return res.status(200).json({
+        success: true,
+        message: 'Recipient was sent a review request recently; nothing was sent',
+        data: result
+      });
+    }
+
     // Return the result
-    res.status(200).json({
+    res.status(202).json({
       success: true,
-      message: 'Email sent successfully',
+      message: 'Email queued for delivery',
       data: result
     });
   } catch (error) {
@@ -61,11 +108,13 @@ router.post('/feedback-notification',
     body('businessId').notEmpty().withMessage('Business ID is required'),
     body('toEmail').isEmail().withMessage('Valid email address is required'),
     body('businessName').notEmpty().withMessage('Business name is required'),
-    body('rating').isFloat({ min: 1, max: 5 }).withMessage('Rating must be between 1 and 5'),
+    body('rating').isFloat({ min: 1, max: 5 }).withMessage('Rating must be between 1 and 5').toFloat(),
     body('feedback').notEmpty().withMessage('Feedback content is required'),
-    body('customerName').optional()
+    body('customerName').optional(),
+    body('customerEmail').optional().isEmail().withMessage('Customer email must be valid if provided'),
+    body('customerPhone').optional().isString()
   ],
-  async (req, res) => {
+  async (req, res, next) => {
     // Validate request
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -82,7 +131,9 @@ router.post('/feedback-notification',
         businessName, 
         rating, 
         feedback, 
-        customerName 
+        customerName,
+        customerEmail,
+        customerPhone
       } = req.body;
       
       const result = await feedbackService.sendFeedbackNotification({
@@ -91,21 +142,32 @@ router.post('/feedback-notification',
         businessName,
         rating,
         feedback,
-        customerName: customerName || 'Anonymous Customer'
+        customerName: customerName || 'Anonymous Customer',
+        customerEmail,
+        customerPhone
       });
       
-      return res.status(200).json({
+      // Keep the feedback in the business's inbox as well. Only once the
+      // email is queued, so a client retrying a failed request doesn't
+      // store it twice.
+      const stored = feedbackService.record({
+        businessId: req.auth.businessId,
+        businessName,
+        rating,
+        feedback,
+        customerName,
+        customerEmail,
+        customerPhone,
+      });
+      feedbackService.attachNotification(stored.id, result.messageId);
+      
+      return res.status(202).json({
         success: true,
-        message: 'Feedback notification sent successfully',
-        data: result
+        message: 'Feedback notification queued for delivery',
+        data: { ...result, feedbackId: stored.id }
       });
     } catch (error) {
-      logger.error(`Error sending feedback notification: ${error.message}`);
-      return res.status(500).json({
-        success: false,
-        message: 'Failed to send feedback notification',
-        error: error.message
-      });
+      next(error);
     }
   }
 );
@@ -128,12 +190,12 @@ router.post('/test', [
 
     const { toEmail } = req.body;
 
-    // Send a test email
-    const result = await emailService.sendTestEmail(toEmail);
+    // Queue a test email
+    const result = await emailService.sendTestEmail(toEmail, req.auth.businessId);
 
-    res.status(200).json({
+    res.status(202).json({
       success: true,
-      message: 'Test email sent successfully',
+      message: 'Test email queued for delivery',
       data: result
     });
   } catch (error) {
@@ -0,0 +1,263 @@
+// routes/event-webhook-routes.js - Routes for event webhook subscriptions and deliveries
+
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const eventWebhooks = require('../services/event-webhook-service');
+const HttpError = require('../utils/http-error');
+const router = express.Router();
+
+const URL_OPTIONS = { protocols: ['http', 'https'], require_protocol: true, require_tld: false };
+const DELIVERY_STATUSES = ['pending', 'retrying', 'delivered', 'failed'];
+
+/**
+ * Find a subscription belonging to the authenticated business
+ * @param {Object} req - Express request object
+ * @returns {Object} The subscription
+ */
+function findOwnedSubscription(req) {
+  const subscription = eventWebhooks.getSubscription(req.params.id);
+
+  if (!subscription || subscription.businessId !== req.auth.businessId) {
+    throw new HttpError(404, 'Webhook subscription not found', { code: 'webhook_subscription_not_found' });
+  }
+
+  return subscription;
+}
+
+/**
+ * Find a delivery belonging to the authenticated business
+ * @param {Object} req - Express request object
+ * @returns {Object} The delivery
+ */
+function findOwnedDelivery(req) {
+  const delivery = eventWebhooks.getDelivery(req.params.id);
+
+  if (!delivery || delivery.businessId !== req.auth.businessId) {
+    throw new HttpError(404, 'Webhook delivery not found', { code: 'webhook_delivery_not_found' });
+  }
+
+  return delivery;
+}
+
+/**
+ * List deliveries for the authenticated business, newest first
+ * GET /api/event-webhooks/deliveries
+ */
+router.get('/deliveries', [
+  query('subscriptionId').optional().isString(),
+  query('eventType').optional().isIn(eventWebhooks.eventTypes).withMessage(`Event type must be one of: ${eventWebhooks.eventTypes.join(', ')}`),
+  query('status').optional().isIn(DELIVERY_STATUSES).withMessage(`Status must be one of: ${DELIVERY_STATUSES.join(', ')}`),
+  query('limit').optional().isInt({ min: 1, max: 200 }).withMessage('Limit must be between 1 and 200').toInt(),
+  query('offset').optional().isInt({ min: 0 }).withMessage('Offset must be 0 or greater').toInt(),
+], (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { subscriptionId, eventType, status, limit, offset } = req.query;
+
+    const result = eventWebhooks.listDeliveries({
+      businessId: req.auth.businessId,
+      subscriptionId,
+      eventType,
+      status,
+      limit,
+      offset,
+    });
+
+    res.status(200).json({
+      success: true,
+      data: result.deliveries,
+      pagination: {
+        total: result.total,
+        limit: result.limit,
+        offset: result.offset,
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Get a delivery with its event and attempts
+ * GET /api/event-webhooks/deliveries/:id
+ */
+router.get('/deliveries/:id', (req, res, next) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: findOwnedDelivery(req)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Send a delivery's event again
+ * POST /api/event-webhooks/deliveries/:id/redeliver
+ */
+router.post('/deliveries/:id/redeliver', (req, res, next) => {
+  try {
+    const delivery = eventWebhooks.redeliver(findOwnedDelivery(req).id);
+
+    res.status(202).json({
+      success: true,
+      message: 'Event queued for redelivery',
+      data: delivery
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * List the authenticated business's subscriptions
+ * GET /api/event-webhooks
+ */
+router.get('/', (req, res, next) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: eventWebhooks.listSubscriptions(req.auth.businessId)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Subscribe a URL to events. The URL must be https and resolve to a public
+ * address (see EventWebhookService).
+ * POST /api/event-webhooks
+ */
+router.post('/', [
+  body('url').isURL(URL_OPTIONS).withMessage('URL must be an http or https URL').bail()
+    .custom(url => eventWebhooks.checkUrl(url)),
+  body('events').isArray({ min: 1 }).withMessage('Events must be a non-empty array'),
+  body('events.*').isIn(eventWebhooks.eventTypes).withMessage(`Event must be one of: ${eventWebhooks.eventTypes.join(', ')}`),
+  body('description').optional().isString().isLength({ max: 200 }).withMessage('Description must be at most 200 characters'),
+], (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { url, events, description } = req.body;
+    const subscription = eventWebhooks.createSubscription({
+      businessId: req.auth.businessId,
+      url,
+      events,
+      description,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Webhook subscription created. Store the signing secret now; it will not be shown again.',
+      data: subscription
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Get a subscription
+ * GET /api/event-webhooks/:id
+ */
+router.get('/:id', (req, res, next) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: findOwnedSubscription(req)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Change a subscription's URL, events, description or enabled state
+ * PATCH /api/event-webhooks/:id
+ */
+router.patch('/:id', [
+  body('url').optional().isURL(URL_OPTIONS).withMessage('URL must be an http or https URL').bail()
+    .custom(url => eventWebhooks.checkUrl(url)),
+  body('events').optional().isArray({ min: 1 }).withMessage('Events must be a non-empty array'),
+  body('events.*').isIn(eventWebhooks.eventTypes).withMessage(`Event must be one of: ${eventWebhooks.eventTypes.join(', ')}`),
+  body('description').optional({ values: 'null' }).isString().isLength({ max: 200 }).withMessage('Description must be at most 200 characters'),
+  body('enabled').optional().isBoolean({ strict: true }).withMessage('Enabled must be true or false'),
+], (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { url, events, description, enabled } = req.body;
+    const subscription = eventWebhooks.updateSubscription(findOwnedSubscription(req).id, {
+      url,
+      events,
+      description,
+      enabled,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Webhook subscription updated',
+      data: subscription
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Replace a subscription's signing secret
+ * POST /api/event-webhooks/:id/rotate-secret
+ */
+router.post('/:id/rotate-secret', (req, res, next) => {
+  try {
+    const subscription = eventWebhooks.rotateSecret(findOwnedSubscription(req).id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Signing secret rotated. Store it now; it will not be shown again.',
+      data: subscription
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Delete a subscription
+ * DELETE /api/event-webhooks/:id
+ */
+router.delete('/:id', (req, res, next) => {
+  try {
+    eventWebhooks.deleteSubscription(findOwnedSubscription(req).id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Webhook subscription deleted'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
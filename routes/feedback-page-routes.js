@@ -0,0 +1,164 @@
+// routes/feedback-page-routes.js - Hosted rating and private feedback pages
+
+const express = require('express');
+const feedbackGate = require('../services/feedback-gate-service');
+const feedbackService = require('../services/feedback-service');
+const sequenceService = require('../services/sequence-service');
+const businessSettings = require('../services/business-settings-service');
+const { resolveLocale, translate } = require('../utils/i18n');
+const {
+  generateInvalidLinkPageHtml,
+  generateRatingPageHtml,
+  generateFeedbackFormPageHtml,
+  generateFeedbackThanksPageHtml,
+} = require('../utils/page-templates');
+const router = express.Router();
+
+const MAX_FEEDBACK_LENGTH = 5000;
+
+/**
+ * Resolve the link from its token, or render the invalid-link page
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object|null} The link
+ */
+function resolveLink(req, res) {
+  const link = feedbackGate.findByToken(req.params.token);
+
+  if (!link) {
+    res.status(404).type('html').send(
+      generateInvalidLinkPageHtml(translate(resolveLocale(req.acceptsLanguages()[0]), 'feedbackPage.invalid'))
+    );
+  }
+
+  return link;
+}
+
+/**
+ * Page options shared by every step of the flow
+ * @param {Object} req - Express request object
+ * @param {Object} link - The link
+ * @returns {Object} `{ businessName, locale, action }`
+ */
+function pageOptions(req, link) {
+  return {
+    businessName: link.businessName,
+    locale: resolveLocale(link.locale, businessSettings.get(link.businessId).locale),
+    action: `${req.baseUrl}/${link.token}`,
+  };
+}
+
+/**
+ * Show the step the customer is on: rating, feedback form or thanks
+ * GET /f/:token
+ */
+router.get('/:token', (req, res, next) => {
+  try {
+    const link = resolveLink(req, res);
+    if (!link) return;
+
+    const options = pageOptions(req, link);
+
+    if (link.outcome === 'public') {
+      return res.redirect(303, link.reviewLink);
+    }
+
+    if (link.feedbackId) {
+      return res.status(200).type('html').send(generateFeedbackThanksPageHtml(options));
+    }
+
+    if (link.outcome === 'private') {
+      return res.status(200).type('html').send(generateFeedbackFormPageHtml({
+        ...options,
+        action: `${options.action}/feedback`,
+      }));
+    }
+
+    res.status(200).type('html').send(generateRatingPageHtml(options));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Record a star rating. High ratings continue to the review site; low
+ * ratings return to the page, which now shows the feedback form.
+ * POST /f/:token
+ */
+router.post('/:token', (req, res, next) => {
+  try {
+    const link = resolveLink(req, res);
+    if (!link) return;
+
+    const rating = parseInt(req.body && req.body.rating, 10);
+
+    if (link.feedbackId || !(rating >= 1 && rating <= 5)) {
+      return res.redirect(303, `${req.baseUrl}/${link.token}`);
+    }
+
+    const rated = feedbackGate.rate(link, rating);
+
+    if (rated.outcome === 'public') {
+      // Going on to the review site ends any follow-ups, as a click does
+      sequenceService.stopForCustomer({
+        businessId: link.businessId,
+        email: link.customerEmail,
+        phoneNumber: link.customerPhone,
+        reason: 'clicked',
+      });
+
+      return res.redirect(303, link.reviewLink);
+    }
+
+    res.redirect(303, `${req.baseUrl}/${link.token}`);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Submit private feedback after a low rating
+ * POST /f/:token/feedback
+ */
+router.post('/:token/feedback', async (req, res, next) => {
+  try {
+    const link = resolveLink(req, res);
+    if (!link) return;
+
+    if (link.outcome !== 'private' || link.feedbackId) {
+      return res.redirect(303, `${req.baseUrl}/${link.token}`);
+    }
+
+    const feedback = String((req.body && req.body.feedback) || '').trim().slice(0, MAX_FEEDBACK_LENGTH);
+
+    if (!feedback) {
+      const options = pageOptions(req, link);
+      return res.status(400).type('html').send(generateFeedbackFormPageHtml({
+        ...options,
+        action: `${options.action}/feedback`,
+        missingFeedback: true,
+      }));
+    }
+
+    const settings = feedbackGate.getSettings(link.businessId);
+    const record = await feedbackService.receiveFeedback({
+      businessId: link.businessId,
+      businessName: link.businessName,
+      rating: link.rating,
+      feedback,
+      customerName: link.customerName,
+      customerEmail: link.customerEmail,
+      customerPhone: link.customerPhone,
+      messageId: link.messageId,
+      locale: link.locale,
+      notifyEmail: settings ? settings.notifyEmail : null,
+    });
+
+    feedbackGate.markSubmitted(link.id, record.id);
+    res.redirect(303, `${req.baseUrl}/${link.token}`);
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,157 @@
+// routes/feedback-routes.js - Routes for the stored feedback inbox
+
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const feedbackService = require('../services/feedback-service');
+const HttpError = require('../utils/http-error');
+const router = express.Router();
+
+/**
+ * Find feedback left for the authenticated business
+ * @param {Object} req - Express request object
+ * @returns {Object} The feedback
+ */
+function findOwned(req) {
+  const feedback = feedbackService.get(req.params.id);
+
+  if (!feedback || feedback.businessId !== req.auth.businessId) {
+    throw new HttpError(404, 'Feedback not found', { code: 'feedback_not_found' });
+  }
+
+  return feedback;
+}
+
+/**
+ * List feedback for the authenticated business
+ * GET /api/feedback
+ */
+router.get('/', [
+  query('status').optional().isIn(feedbackService.statuses).withMessage(`Status must be one of: ${feedbackService.statuses.join(', ')}`),
+  query('minRating').optional().isInt({ min: 1, max: 5 }).withMessage('minRating must be between 1 and 5').toInt(),
+  query('maxRating').optional().isInt({ min: 1, max: 5 }).withMessage('maxRating must be between 1 and 5').toInt(),
+  query('search').optional().isString().isLength({ max: 200 }),
+  query('from').optional().isISO8601().withMessage('From must be an ISO 8601 date'),
+  query('to').optional().isISO8601().withMessage('To must be an ISO 8601 date'),
+  query('limit').optional().isInt({ min: 1, max: 200 }).withMessage('Limit must be between 1 and 200').toInt(),
+  query('offset').optional().isInt({ min: 0 }).withMessage('Offset must be 0 or greater').toInt(),
+], (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { status, minRating, maxRating, search, from, to, limit, offset } = req.query;
+
+    const result = feedbackService.query({
+      businessId: req.auth.businessId,
+      status,
+      minRating,
+      maxRating,
+      search,
+      from,
+      to,
+      limit,
+      offset,
+    });
+
+    res.status(200).json({
+      success: true,
+      data: result.feedback,
+      pagination: {
+        total: result.total,
+        limit: result.limit,
+        offset: result.offset,
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Get a single piece of feedback with its replies
+ * GET /api/feedback/:id
+ */
+router.get('/:id', (req, res, next) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: findOwned(req)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Change feedback's status or internal note
+ * PATCH /api/feedback/:id
+ */
+router.patch('/:id', [
+  body('status').optional().isIn(feedbackService.statuses).withMessage(`Status must be one of: ${feedbackService.statuses.join(', ')}`),
+  body('note').optional({ values: 'null' }).isString().isLength({ max: 2000 }).withMessage('Note must be at most 2000 characters'),
+  body().custom(value => value && (value.status !== undefined || value.note !== undefined))
+    .withMessage('Provide a status or note to change'),
+], (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const feedback = feedbackService.update(findOwned(req).id, {
+      status: req.body.status,
+      note: req.body.note,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Feedback updated',
+      data: feedback
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Reply to the customer by email or SMS
+ * POST /api/feedback/:id/reply
+ */
+router.post('/:id/reply', [
+  body('message').isString().trim().notEmpty().withMessage('Reply message is required')
+    .isLength({ max: 5000 }).withMessage('Reply message must be at most 5000 characters'),
+  body('channel').optional().isIn(['email', 'sms']).withMessage('Channel must be email or sms'),
+  body('subject').optional().isString().isLength({ max: 500 }),
+  body('replyTo').optional().isEmail().withMessage('Reply-to must be a valid email if provided'),
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { message, channel, subject, replyTo } = req.body;
+    const result = await feedbackService.reply(findOwned(req).id, { message, channel, subject, replyTo });
+
+    res.status(202).json({
+      success: true,
+      message: `Reply queued for delivery by ${result.reply.channel}`,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
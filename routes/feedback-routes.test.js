@@ -0,0 +1,214 @@
+// routes/feedback-routes.test.js
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+jest.mock('../services/email-service', () => ({
+  fromName: 'RevBoost',
+  fromEmail: 'reviews@revboost.test',
+  sendEmail: jest.fn(),
+  sendFeedbackReply: jest.fn(),
+}));
+jest.mock('../services/sms-service', () => ({ sendFeedbackReply: jest.fn() }));
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'revboost-feedback-'));
+
+const emailService = require('../services/email-service');
+const smsService = require('../services/sms-service');
+const feedbackService = require('../services/feedback-service');
+const errorHandler = require('../middleware/error-handler');
+
+/**
+ * Build an app authenticated as a business
+ * @returns {Object} Express app
+ */
+function buildApp() {
+  const app = express();
+
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.auth = { businessId: req.get('x-business') || 'biz1' };
+    next();
+  });
+  app.use('/api/feedback', require('./feedback-routes'));
+  app.use('/api/email', require('./email-routes'));
+  app.use(errorHandler);
+
+  return app;
+}
+
+/**
+ * Store feedback for a business
+ * @param {Object} [overrides] - Fields to change
+ * @returns {Object} The feedback
+ */
+function seed(overrides) {
+  return feedbackService.record({
+    businessId: 'biz1',
+    businessName: 'Cafe',
+    rating: 2,
+    feedback: 'Cold coffee',
+    customerName: 'Ada',
+    customerEmail: 'ada@x.com',
+    ...overrides,
+  });
+}
+
+describe('feedback routes', () => {
+  const app = buildApp();
+
+  beforeEach(() => {
+    feedbackService.store.removeWhere(() => true);
+    emailService.sendEmail.mockReset().mockResolvedValue({ messageId: 'msg_note', status: 'queued' });
+    emailService.sendFeedbackReply.mockReset().mockResolvedValue({ messageId: 'msg_reply', status: 'queued' });
+    smsService.sendFeedbackReply.mockReset().mockResolvedValue({ messageId: 'msg_sms', status: 'queued' });
+  });
+
+  afterAll(() => {
+    fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+  });
+
+  describe('GET /api/feedback', () => {
+    test('lists only the business\'s feedback, newest first, with filters', async () => {
+      const older = seed({ rating: 1, feedback: 'Rude staff' });
+      feedbackService.store.update(older.id, { createdAt: new Date(Date.now() - 60000).toISOString() });
+      seed({ rating: 3, feedback: 'Slow service', customerName: 'Bob' });
+      seed({ businessId: 'biz2', rating: 1 });
+
+      const all = await request(app).get('/api/feedback');
+      expect(all.status).toBe(200);
+      expect(all.body.data.map(item => item.feedback)).toEqual(['Slow service', 'Rude staff']);
+      expect(all.body.pagination).toEqual({ total: 2, limit: 50, offset: 0 });
+
+      const low = await request(app).get('/api/feedback?maxRating=2');
+      expect(low.body.data.map(item => item.rating)).toEqual([1]);
+
+      const search = await request(app).get('/api/feedback?search=bob');
+      expect(search.body.data.map(item => item.customerName)).toEqual(['Bob']);
+
+      const page = await request(app).get('/api/feedback?limit=1&offset=1');
+      expect(page.body.data.map(item => item.feedback)).toEqual(['Rude staff']);
+    });
+
+    test('rejects invalid filters', async () => {
+      const response = await request(app).get('/api/feedback?status=archived&minRating=9');
+
+      expect(response.status).toBe(400);
+      expect(response.body.errors.map(error => error.path)).toEqual(['status', 'minRating']);
+    });
+
+    test('hides other businesses\' feedback', async () => {
+      const other = seed({ businessId: 'biz2' });
+
+      expect((await request(app).get(`/api/feedback/${other.id}`)).status).toBe(404);
+      expect((await request(app).get(`/api/feedback/${other.id}`).set('x-business', 'biz2')).status).toBe(200);
+    });
+  });
+
+  describe('PATCH /api/feedback/:id', () => {
+    test('moves feedback through its statuses and keeps a note', async () => {
+      const { id } = seed();
+
+      const acknowledged = await request(app).patch(`/api/feedback/${id}`).send({ status: 'acknowledged', note: 'Called them' });
+      expect(acknowledged.status).toBe(200);
+      expect(acknowledged.body.data).toMatchObject({ status: 'acknowledged', note: 'Called them', resolvedAt: null });
+      expect(acknowledged.body.data.acknowledgedAt).toEqual(expect.any(String));
+
+      const resolved = await request(app).patch(`/api/feedback/${id}`).send({ status: 'resolved', note: null });
+      expect(resolved.body.data).toMatchObject({ status: 'resolved', note: null });
+      expect(resolved.body.data.resolvedAt).toEqual(expect.any(String));
+
+      const reopened = await request(app).patch(`/api/feedback/${id}`).send({ status: 'new' });
+      expect(reopened.body.data).toMatchObject({ status: 'new', acknowledgedAt: null, resolvedAt: null });
+    });
+
+    test('requires a valid change', async () => {
+      const { id } = seed();
+
+      expect((await request(app).patch(`/api/feedback/${id}`).send({})).status).toBe(400);
+      expect((await request(app).patch(`/api/feedback/${id}`).send({ status: 'closed' })).status).toBe(400);
+      expect((await request(app).patch(`/api/feedback/${id}`).set('x-business', 'biz2').send({ status: 'resolved' })).status).toBe(404);
+    });
+  });
+
+  describe('POST /api/feedback/:id/reply', () => {
+    test('replies by email and acknowledges new feedback', async () => {
+      const { id } = seed();
+
+      const response = await request(app).post(`/api/feedback/${id}/reply`).send({ message: 'Sorry about that', subject: 'Your visit' });
+
+      expect(response.status).toBe(202);
+      expect(emailService.sendFeedbackReply).toHaveBeenCalledWith(expect.objectContaining({
+        toEmail: 'ada@x.com',
+        message: 'Sorry about that',
+        subject: 'Your visit',
+        businessId: 'biz1',
+      }));
+      expect(response.body.data.reply).toMatchObject({ channel: 'email', to: 'ada@x.com', messageId: 'msg_reply' });
+      expect(response.body.data.feedback).toMatchObject({ status: 'acknowledged' });
+      expect(response.body.data.feedback.replies).toHaveLength(1);
+    });
+
+    test('replies by SMS when there is no email address', async () => {
+      const { id } = seed({ customerEmail: undefined, customerPhone: '+14155550100' });
+
+      const response = await request(app).post(`/api/feedback/${id}/reply`).send({ message: 'Sorry' });
+
+      expect(response.status).toBe(202);
+      expect(smsService.sendFeedbackReply).toHaveBeenCalledWith(expect.objectContaining({ phoneNumber: '+14155550100' }));
+    });
+
+    test('refuses channels without a contact and suppressed customers', async () => {
+      const { id } = seed({ customerPhone: undefined });
+
+      const noPhone = await request(app).post(`/api/feedback/${id}/reply`).send({ message: 'Hi', channel: 'sms' });
+      expect(noPhone.status).toBe(400);
+      expect(noPhone.body.error.code).toBe('no_contact');
+
+      emailService.sendFeedbackReply.mockResolvedValue({ messageId: 'msg_x', status: 'suppressed', reason: 'unsubscribe' });
+      const suppressed = await request(app).post(`/api/feedback/${id}/reply`).send({ message: 'Hi' });
+      expect(suppressed.status).toBe(409);
+      expect(suppressed.body.error.code).toBe('recipient_suppressed');
+      expect(feedbackService.get(id).replies).toEqual([]);
+    });
+
+    test('requires a message', async () => {
+      const { id } = seed();
+
+      expect((await request(app).post(`/api/feedback/${id}/reply`).send({ message: '  ' })).status).toBe(400);
+    });
+  });
+
+  describe('POST /api/email/feedback-notification', () => {
+    const body = {
+      businessId: 'biz1',
+      toEmail: 'owner@cafe.example',
+      businessName: 'Cafe',
+      rating: '2.5',
+      feedback: 'Too loud',
+    };
+
+    test('stores the rating as a number once the notification is queued', async () => {
+      const response = await request(app).post('/api/email/feedback-notification').send(body);
+
+      expect(response.status).toBe(202);
+
+      const stored = feedbackService.get(response.body.data.feedbackId);
+      expect(stored.rating).toBe(2.5);
+      expect(stored.notificationMessageId).toBe('msg_note');
+    });
+
+    test('stores nothing when the notification cannot be sent', async () => {
+      emailService.sendEmail.mockRejectedValue(new Error('provider down'));
+
+      const response = await request(app).post('/api/email/feedback-notification').send(body);
+
+      expect(response.status).toBe(500);
+      expect(feedbackService.store.all()).toEqual([]);
+    });
+  });
+});
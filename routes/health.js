@@ -1,5 +1,9 @@
 // routes/health.js - Clean version without keep-alive
 const express = require('express');
+const emailService = require('../services/email-service');
+const smsService = require('../services/sms-service');
+const sendQueue = require('../services/queue-service');
+const eventWebhooks = require('../services/event-webhook-service');
 const router = express.Router();
 
 /**
@@ -15,6 +19,13 @@ router.get('/detailed', async (req, res) => {
       resendApiKey: !!process.env.RESEND_API_KEY,
       emailFromAddress: !!process.env.EMAIL_FROM_ADDRESS,
       emailFromName: !!process.env.EMAIL_FROM_NAME,
+      emailProviders: process.env.EMAIL_PROVIDERS || 'resend',
+      smtpHost: !!process.env.SMTP_HOST,
+      twilioAccountSid: !!process.env.TWILIO_ACCOUNT_SID,
+      twilioAuthToken: !!process.env.TWILIO_AUTH_TOKEN,
+      twilioPhoneNumber: !!process.env.TWILIO_PHONE_NUMBER,
+      smsProviders: process.env.SMS_PROVIDERS || 'twilio',
+      vonageApiKey: !!process.env.VONAGE_API_KEY,
     };
     
     // Check memory usage
@@ -29,10 +40,19 @@ router.get('/detailed', async (req, res) => {
     // Service availability checks
     const services = {
       email: {
-        configured: envCheck.resendApiKey && envCheck.emailFromAddress,
-        provider: 'resend',
-        status: envCheck.resendApiKey ? 'available' : 'not_configured',
+        configured: emailService.isConfigured(),
+        provider: emailService.providers[0].name,
+        status: emailService.isConfigured() ? 'available' : 'not_configured',
+        providers: emailService.getProviderStatuses(),
       },
+      sms: {
+        configured: smsService.isConfigured(),
+        provider: smsService.defaultProvider.name,
+        status: smsService.isConfigured() ? 'available' : 'not_configured',
+        providers: smsService.getProviderStatuses(),
+      },
+      queue: sendQueue.getStats(),
+      webhookQueue: eventWebhooks.queue.getStats(),
     };
     
     const responseTime = Date.now() - startTime;
@@ -59,6 +79,8 @@ router.get('/detailed', async (req, res) => {
         reviewRequest: '/api/email/review-request',
         emailTest: '/api/email/test',
         feedbackNotification: '/api/email/feedback-notification',
+        smsReviewRequest: '/api/sms/review-request',
+        smsTest: '/api/sms/test',
       },
     };
     
@@ -81,18 +103,34 @@ router.get('/detailed', async (req, res) => {
  */
 router.get('/ready', (req, res) => {
   const requiredEnvVars = [
-    'RESEND_API_KEY',
     'EMAIL_FROM_ADDRESS',
   ];
   
   const missingEnvVars = requiredEnvVars.filter(varName => !process.env[varName]);
   
+  // SMS is optional: report it without failing readiness
+  const services = {
+    email: emailService.isConfigured() ? 'ready' : 'not_configured',
+    sms: smsService.isConfigured() ? 'ready' : 'not_configured',
+  };
+  
   if (missingEnvVars.length > 0) {
     return res.status(503).json({
       status: 'not_ready',
       timestamp: new Date().toISOString(),
       error: 'Missing required environment variables',
       missing: missingEnvVars,
+      services,
+    });
+  }
+  
+  if (!emailService.isConfigured()) {
+    return res.status(503).json({
+      status: 'not_ready',
+      timestamp: new Date().toISOString(),
+      error: 'No email provider is configured',
+      providers: emailService.getProviderStatuses(),
+      services,
     });
   }
   
@@ -100,6 +138,7 @@ router.get('/ready', (req, res) => {
     status: 'ready',
     timestamp: new Date().toISOString(),
     message: 'Service is ready to handle requests',
+    services,
   });
 });
 
@@ -0,0 +1,112 @@
+// routes/message-routes.js - Routes for querying the outbound message log
+
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const messageLog = require('../services/message-log-service');
+const clickTracking = require('../services/click-tracking-service');
+const HttpError = require('../utils/http-error');
+const router = express.Router();
+
+/**
+ * Find a message sent by the authenticated business
+ * @param {Object} req - Express request object
+ * @returns {Object} The message
+ */
+function findOwned(req) {
+  const message = messageLog.get(req.params.id);
+
+  if (!message || message.businessId !== req.auth.businessId) {
+    throw new HttpError(404, 'Message not found', { code: 'message_not_found' });
+  }
+
+  return message;
+}
+
+/**
+ * List messages sent for the authenticated business
+ * GET /api/messages
+ */
+router.get('/', [
+  query('channel').optional().isIn(['email', 'sms']).withMessage('Channel must be email or sms'),
+  query('status').optional().isString(),
+  query('recipient').optional().isString(),
+  query('from').optional().isISO8601().withMessage('From must be an ISO 8601 date'),
+  query('to').optional().isISO8601().withMessage('To must be an ISO 8601 date'),
+  query('limit').optional().isInt({ min: 1, max: 200 }).withMessage('Limit must be between 1 and 200').toInt(),
+  query('offset').optional().isInt({ min: 0 }).withMessage('Offset must be 0 or greater').toInt(),
+], (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { channel, status, recipient, from, to, limit, offset } = req.query;
+
+    const result = messageLog.query({
+      businessId: req.auth.businessId,
+      channel,
+      status,
+      recipient,
+      from,
+      to,
+      limit,
+      offset,
+    });
+
+    res.status(200).json({
+      success: true,
+      data: result.messages,
+      pagination: {
+        total: result.total,
+        limit: result.limit,
+        offset: result.offset,
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Get a single message
+ * GET /api/messages/:id
+ */
+router.get('/:id', (req, res, next) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: findOwned(req)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Get click data for a message's tracked review links
+ * GET /api/messages/:id/clicks
+ */
+router.get('/:id/clicks', (req, res, next) => {
+  try {
+    const message = findOwned(req);
+    const links = clickTracking.listForMessage(message.id);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        messageId: message.id,
+        clickCount: links.reduce((total, link) => total + link.clickCount, 0),
+        firstClickedAt: links.map(link => link.firstClickedAt).filter(Boolean).sort()[0] || null,
+        links
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,49 @@
+// routes/queue-routes.js - Routes for inspecting the send queue
+
+const express = require('express');
+const sendQueue = require('../services/queue-service');
+const HttpError = require('../utils/http-error');
+const router = express.Router();
+
+/**
+ * List dead-lettered sends for the authenticated business
+ * GET /api/queue/dead-letter
+ */
+router.get('/dead-letter', (req, res, next) => {
+  try {
+    const jobs = sendQueue.listDeadLetters({ businessId: req.auth.businessId });
+
+    res.status(200).json({
+      success: true,
+      data: jobs
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Re-queue a dead-lettered send
+ * POST /api/queue/dead-letter/:id/replay
+ */
+router.post('/dead-letter/:id/replay', (req, res, next) => {
+  try {
+    const job = sendQueue.get(req.params.id);
+
+    if (!job || job.businessId !== req.auth.businessId) {
+      throw new HttpError(404, 'Queue job not found', { code: 'job_not_found' });
+    }
+
+    const replayed = sendQueue.replay(job.id);
+
+    res.status(202).json({
+      success: true,
+      message: 'Job re-queued for delivery',
+      data: replayed
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
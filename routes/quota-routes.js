@@ -0,0 +1,101 @@
+// routes/quota-routes.js - Routes for managing per-business send quotas
+
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const usageService = require('../services/usage-service');
+const router = express.Router();
+
+/**
+ * Validators for one channel's quotas; null removes a limit
+ * @param {string} channel - "email" or "sms"
+ * @returns {Array} express-validator chains
+ */
+function quotaFields(channel) {
+  return ['daily', 'monthly'].map(period => (
+    body(`${channel}.${period}`)
+      .optional({ values: 'null' })
+      .isInt({ min: 1 })
+      .withMessage(`${channel}.${period} must be a positive integer or null`)
+      .toInt()
+  ));
+}
+
+/**
+ * Get a business's quotas and current usage
+ * GET /api/quotas/:businessId
+ */
+router.get('/:businessId', (req, res, next) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: usageService.getUsage(req.params.businessId)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Override a business's quotas
+ * PUT /api/quotas/:businessId
+ */
+router.put('/:businessId', [
+  body('email').optional().isObject().withMessage('email must be an object'),
+  body('sms').optional().isObject().withMessage('sms must be an object'),
+  ...quotaFields('email'),
+  ...quotaFields('sms'),
+], (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const quotas = {};
+    for (const channel of usageService.channels) {
+      const values = req.body[channel];
+
+      if (values) {
+        quotas[channel] = {};
+        for (const period of ['daily', 'monthly']) {
+          if (values[period] !== undefined) {
+            quotas[channel][period] = values[period];
+          }
+        }
+      }
+    }
+
+    usageService.setQuotas(req.params.businessId, quotas);
+
+    res.status(200).json({
+      success: true,
+      message: 'Quotas updated',
+      data: usageService.getUsage(req.params.businessId)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Remove a business's overrides so the default quotas apply
+ * DELETE /api/quotas/:businessId
+ */
+router.delete('/:businessId', (req, res, next) => {
+  try {
+    usageService.resetQuotas(req.params.businessId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Quotas reset to defaults',
+      data: usageService.getUsage(req.params.businessId)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,33 @@
+// routes/redirect-routes.js - Short tracking links that redirect to review links
+
+const express = require('express');
+const clickTracking = require('../services/click-tracking-service');
+const { generateInvalidLinkPageHtml } = require('../utils/page-templates');
+const { resolveLocale, translate } = require('../utils/i18n');
+const router = express.Router();
+
+/**
+ * Record a click and redirect to the review link
+ * GET /r/:code
+ */
+router.get('/:code', (req, res, next) => {
+  try {
+    const targetUrl = clickTracking.recordClick(req.params.code, {
+      userAgent: req.get('user-agent'),
+    });
+
+    if (!targetUrl) {
+      return res.status(404).type('html').send(
+        generateInvalidLinkPageHtml(translate(resolveLocale(req.acceptsLanguages()[0]), 'reviewLink.invalid'))
+      );
+    }
+
+    // Don't let caches replay the redirect without recording the click
+    res.set('Cache-Control', 'no-store');
+    res.redirect(302, targetUrl);
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
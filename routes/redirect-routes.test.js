@@ -0,0 +1,66 @@
+// routes/redirect-routes.test.js
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'revboost-redirect-'));
+process.env.PUBLIC_BASE_URL = 'https://reviews.example.com';
+
+const redirectRoutes = require('./redirect-routes');
+const clickTracking = require('../services/click-tracking-service');
+const errorHandler = require('../middleware/error-handler');
+
+/**
+ * Build an app serving the tracking-link redirects
+ * @returns {Object} Express app
+ */
+function buildApp() {
+  const app = express();
+
+  app.use('/r', redirectRoutes);
+  app.use(errorHandler);
+
+  return app;
+}
+
+describe('tracking-link redirects', () => {
+  const app = buildApp();
+
+  afterAll(() => {
+    fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+  });
+
+  test('records the click and redirects without caching', async () => {
+    const link = clickTracking.create({ businessId: 'biz1', channel: 'sms', targetUrl: 'https://g.page/r/acme/review' });
+
+    const response = await request(app).get(`/r/${link.code}`).set('User-Agent', 'Mozilla/5.0');
+
+    expect(response.status).toBe(302);
+    expect(response.headers.location).toBe('https://g.page/r/acme/review');
+    expect(response.headers['cache-control']).toBe('no-store');
+    expect(clickTracking.findByCode(link.code).clickCount).toBe(1);
+  });
+
+  test('shows the invalid-link page in English by default', async () => {
+    const response = await request(app).get('/r/unknown1');
+
+    expect(response.status).toBe(404);
+    expect(response.text).toContain('This review link is invalid. Please use the link from your most recent message.');
+  });
+
+  test.each([
+    ['fr-FR,fr;q=0.9,en;q=0.8', 'Ce lien d&#039;avis est invalide.'],
+    ['es-MX', 'Este enlace de reseña no es válido.'],
+    ['de-DE', 'This review link is invalid.'],
+  ])('shows the invalid-link page for Accept-Language %p', async (acceptLanguage, expected) => {
+    const response = await request(app).get('/r/unknown2').set('Accept-Language', acceptLanguage);
+
+    expect(response.status).toBe(404);
+    expect(response.text).toContain(expected);
+  });
+});
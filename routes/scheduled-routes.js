@@ -0,0 +1,83 @@
+// routes/scheduled-routes.js - Routes for scheduled review requests
+
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const scheduledSends = require('../services/scheduled-send-service');
+const HttpError = require('../utils/http-error');
+const router = express.Router();
+
+/**
+ * Find a scheduled send owned by the authenticated business
+ * @param {Object} req - Express request object
+ * @returns {Object} The scheduled send
+ */
+function findOwned(req) {
+  const scheduled = scheduledSends.get(req.params.id);
+
+  if (!scheduled || scheduled.businessId !== req.auth.businessId) {
+    throw new HttpError(404, 'Scheduled send not found', { code: 'scheduled_send_not_found' });
+  }
+
+  return scheduled;
+}
+
+/**
+ * List scheduled sends for the authenticated business
+ * GET /api/scheduled
+ */
+router.get('/', [
+  query('status').optional().isIn(['scheduled', 'dispatching', 'dispatched', 'suppressed', 'skipped', 'failed', 'cancelled'])
+    .withMessage('Unknown scheduled send status'),
+], (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: scheduledSends.list({ businessId: req.auth.businessId, status: req.query.status })
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Get a scheduled send
+ * GET /api/scheduled/:id
+ */
+router.get('/:id', (req, res, next) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: findOwned(req)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Cancel a scheduled send
+ * DELETE /api/scheduled/:id
+ */
+router.delete('/:id', (req, res, next) => {
+  try {
+    const scheduled = scheduledSends.cancel(findOwned(req).id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Scheduled send cancelled',
+      data: scheduled
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,242 @@
+// routes/sequence-routes.js - Routes for follow-up sequences
+
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const sequenceService = require('../services/sequence-service');
+const HttpError = require('../utils/http-error');
+const { isValidTimezone } = require('../utils/quiet-hours');
+const { isValidLocale } = require('../utils/i18n');
+const router = express.Router();
+
+const MAX_STEPS = 10;
+
+/**
+ * Find a sequence owned by the authenticated business
+ * @param {Object} req - Express request object
+ * @returns {Object} The sequence
+ */
+function findOwnedSequence(req) {
+  const sequence = sequenceService.getSequence(req.params.id);
+
+  if (!sequence || sequence.businessId !== req.auth.businessId) {
+    throw new HttpError(404, 'Sequence not found', { code: 'sequence_not_found' });
+  }
+
+  return sequence;
+}
+
+/**
+ * Find an enrollment owned by the authenticated business
+ * @param {Object} req - Express request object
+ * @returns {Object} The enrollment
+ */
+function findOwnedEnrollment(req) {
+  const enrollment = sequenceService.getEnrollment(req.params.id);
+
+  if (!enrollment || enrollment.businessId !== req.auth.businessId) {
+    throw new HttpError(404, 'Enrollment not found', { code: 'enrollment_not_found' });
+  }
+
+  return enrollment;
+}
+
+/**
+ * List sequences for the authenticated business
+ * GET /api/sequences
+ */
+router.get('/', (req, res, next) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: sequenceService.listSequences(req.auth.businessId)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Create a sequence, e.g. steps `[{ channel: 'email', delayDays: 0 },
+ * { channel: 'sms', delayDays: 3 }, { channel: 'email', delayDays: 7 }]`
+ * POST /api/sequences
+ */
+router.post('/', [
+  body('name').isString().notEmpty().withMessage('Name is required'),
+  body('steps').isArray({ min: 1, max: MAX_STEPS }).withMessage(`Between 1 and ${MAX_STEPS} steps are required`),
+  body('steps.*.channel').isIn(['email', 'sms']).withMessage('Channel must be email or sms'),
+  body('steps.*.delayDays').isFloat({ min: 0, max: 365 }).withMessage('Delay must be between 0 and 365 days'),
+  body('steps.*.customData').optional().isObject(),
+], (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const sequence = sequenceService.createSequence({
+      businessId: req.auth.businessId,
+      name: req.body.name,
+      steps: req.body.steps,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Sequence created',
+      data: sequence
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Get an enrollment
+ * GET /api/sequences/enrollments/:id
+ */
+router.get('/enrollments/:id', (req, res, next) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: findOwnedEnrollment(req)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Stop an enrollment before its remaining steps are sent
+ * POST /api/sequences/enrollments/:id/stop
+ */
+router.post('/enrollments/:id/stop', (req, res, next) => {
+  try {
+    const enrollment = findOwnedEnrollment(req);
+    const stopped = sequenceService.stopEnrollment(enrollment.id, 'cancelled');
+
+    if (!stopped) {
+      throw new HttpError(409, `Enrollment is already ${enrollment.status}`, { code: 'enrollment_not_active' });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Enrollment stopped',
+      data: stopped
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Get a sequence
+ * GET /api/sequences/:id
+ */
+router.get('/:id', (req, res, next) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: findOwnedSequence(req)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Delete a sequence, stopping its active enrollments
+ * DELETE /api/sequences/:id
+ */
+router.delete('/:id', (req, res, next) => {
+  try {
+    sequenceService.deleteSequence(findOwnedSequence(req).id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Sequence deleted'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Enroll a customer
+ * POST /api/sequences/:id/enrollments
+ */
+router.post('/:id/enrollments', [
+  body('customerName').notEmpty().withMessage('Customer name is required'),
+  body('businessName').notEmpty().withMessage('Business name is required'),
+  body('reviewLink').isURL().withMessage('Valid review link URL is required'),
+  body('toEmail').optional().isEmail().withMessage('Valid email address required'),
+  body('phoneNumber').optional().isString(),
+  body('country').optional().isString().isLength({ min: 2, max: 2 }).toUpperCase(),
+  body('timezone').optional().custom(isValidTimezone).withMessage('Unknown timezone'),
+  body('locale').optional().custom(isValidLocale).withMessage('Locale must be a language tag such as "es" or "fr-CA"'),
+  body('replyTo').optional().isEmail().withMessage('Reply-to must be a valid email if provided'),
+], (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const sequence = findOwnedSequence(req);
+    const { customerName, businessName, reviewLink, toEmail, phoneNumber, country, timezone, locale, replyTo, customData } = req.body;
+
+    const enrollment = sequenceService.enroll(sequence, {
+      customerName,
+      businessName,
+      reviewLink,
+      toEmail,
+      phoneNumber,
+      country,
+      timezone,
+      locale,
+      replyTo,
+      customData,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Customer enrolled',
+      data: enrollment
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * List enrollments in a sequence
+ * GET /api/sequences/:id/enrollments
+ */
+router.get('/:id/enrollments', [
+  query('status').optional().isIn(['active', 'completed', 'stopped']).withMessage('Unknown enrollment status'),
+], (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const sequence = findOwnedSequence(req);
+
+    res.status(200).json({
+      success: true,
+      data: sequenceService.listEnrollments(sequence.id, { status: req.query.status })
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
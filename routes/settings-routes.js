@@ -0,0 +1,141 @@
+// routes/settings-routes.js - Routes for per-business settings
+
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const businessSettings = require('../services/business-settings-service');
+const feedbackGate = require('../services/feedback-gate-service');
+const frequencyCap = require('../services/frequency-cap-service');
+const { isValidTimezone, isValidTime } = require('../utils/quiet-hours');
+const { SUPPORTED_LOCALES } = require('../utils/i18n');
+const { isHexColor } = require('../utils/color');
+const router = express.Router();
+
+/**
+ * Get settings for the authenticated business
+ * GET /api/settings
+ */
+router.get('/', (req, res, next) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: businessSettings.get(req.auth.businessId)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Update settings for the authenticated business.
+ * `quietHours` is `{ start, end, timezone?, channels? }` with "HH:MM" times,
+ * or null to disable quiet hours. `locale` is the default language for
+ * customers sent without one, or null for English. `branding` is
+ * `{ logoUrl?, primaryColor?, accentColor?, senderName?, signature?,
+ * footerAddress?, socialLinks? }`, or null for the RevBoost defaults.
+ * `feedbackGate` is `{ enabled, minPublicRating?, notifyEmail? }`: when
+ * enabled, review links open a rating page and only ratings of at least
+ * `minPublicRating` (default 4) continue to the review site.
+ * `frequencyCaps` is a list of `{ maxRequests?, periodDays?, channels? }`
+ * rules, e.g. the default `{ maxRequests: 1, periodDays: 30 }` allows one
+ * review request per customer per 30 days across email and SMS; null
+ * removes all caps; sends with `force` skip them, which needs an API key
+ * granted "frequency_cap_override". `notificationEmail` is where SMS
+ * replies from customers are forwarded; if null they go to the feedback
+ * gate's `notifyEmail`.
+ * PATCH /api/settings
+ */
+router.patch('/', [
+  body('quietHours').optional({ nullable: true }).isObject().withMessage('Quiet hours must be an object or null'),
+  body('quietHours.start').if(body('quietHours').isObject()).custom(isValidTime).withMessage('Start must be HH:MM'),
+  body('quietHours.end').if(body('quietHours').isObject()).custom(isValidTime).withMessage('End must be HH:MM'),
+  body('quietHours.timezone').optional().custom(isValidTimezone).withMessage('Unknown timezone'),
+  body('quietHours.channels').optional().isArray({ min: 1 }).withMessage('Channels must be a non-empty array'),
+  body('quietHours.channels.*').isIn(['email', 'sms']).withMessage('Channel must be email or sms'),
+  body('branding').optional({ nullable: true }).isObject().withMessage('Branding must be an object or null'),
+  body('branding.logoUrl').optional({ nullable: true }).isURL({ protocols: ['https'], require_protocol: true }).withMessage('Logo URL must be an https URL'),
+  body('branding.primaryColor').optional({ nullable: true }).custom(isHexColor).withMessage('Primary color must be a hex color such as #2563eb'),
+  body('branding.accentColor').optional({ nullable: true }).custom(isHexColor).withMessage('Accent color must be a hex color such as #1e40af'),
+  body('branding.senderName').optional({ nullable: true }).isString().isLength({ min: 1, max: 100 })
+    .matches(/^[^<>"@,;\r\n]+$/).withMessage('Sender name cannot contain <, >, ", @, commas, semicolons or line breaks'),
+  body('branding.signature').optional({ nullable: true }).isString().isLength({ max: 500 }),
+  body('branding.footerAddress').optional({ nullable: true }).isString().isLength({ max: 500 }),
+  body('branding.socialLinks').optional({ nullable: true }).isObject().withMessage('Social links must be an object')
+    .custom(links => Object.keys(links).every(network => businessSettings.socialNetworks.includes(network)))
+    .withMessage(`Social links must be keyed by ${businessSettings.socialNetworks.join(', ')}`),
+  body('branding.socialLinks.*').isURL({ protocols: ['http', 'https'], require_protocol: true }).withMessage('Social links must be URLs'),
+  body('feedbackGate').optional({ nullable: true }).isObject().withMessage('Feedback gate must be an object or null'),
+  body('feedbackGate.enabled').if(body('feedbackGate').isObject()).isBoolean({ strict: true }).withMessage('Enabled must be true or false'),
+  body('feedbackGate.minPublicRating').optional().isInt({ min: 2, max: 5 }).withMessage('Minimum public rating must be between 2 and 5').toInt(),
+  body('feedbackGate.notifyEmail').optional({ nullable: true }).isEmail().withMessage('Notification email must be valid'),
+  body('frequencyCaps').optional({ nullable: true }).isArray({ min: 1, max: 5 }).withMessage('Frequency caps must be a list of 1 to 5 rules, or null'),
+  body('frequencyCaps.*').isObject().withMessage('Each frequency cap must be an object'),
+  body('frequencyCaps.*.maxRequests').optional().isInt({ min: 1, max: 100 }).withMessage('Max requests must be between 1 and 100').toInt(),
+  body('frequencyCaps.*.periodDays').optional().isInt({ min: 1, max: frequencyCap.maxPeriodDays })
+    .withMessage(`Period must be between 1 and ${frequencyCap.maxPeriodDays} days`).toInt(),
+  body('frequencyCaps.*.channels').optional().isArray({ min: 1 }).withMessage('Channels must be a non-empty array'),
+  body('frequencyCaps.*.channels.*').isIn(['email', 'sms']).withMessage('Channel must be email or sms'),
+  body('notificationEmail').optional({ nullable: true }).isEmail().withMessage('Notification email must be valid'),
+  body('locale').optional({ nullable: true }).isIn(SUPPORTED_LOCALES).withMessage(`Locale must be one of ${SUPPORTED_LOCALES.join(', ')}`),
+], (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const changes = {};
+
+    if (req.body.quietHours !== undefined) {
+      const { quietHours } = req.body;
+      changes.quietHours = quietHours && {
+        start: quietHours.start,
+        end: quietHours.end,
+        timezone: quietHours.timezone || null,
+        channels: quietHours.channels || ['sms'],
+      };
+    }
+
+    if (req.body.branding !== undefined) {
+      changes.branding = req.body.branding && businessSettings.validateBranding(req.body.branding);
+    }
+
+    if (req.body.feedbackGate !== undefined) {
+      const gate = req.body.feedbackGate;
+      changes.feedbackGate = gate && {
+        enabled: gate.enabled,
+        minPublicRating: gate.minPublicRating || feedbackGate.defaultMinPublicRating,
+        notifyEmail: gate.notifyEmail || null,
+      };
+    }
+
+    if (req.body.frequencyCaps !== undefined) {
+      const caps = req.body.frequencyCaps;
+      changes.frequencyCaps = caps && caps.map(rule => ({
+        maxRequests: rule.maxRequests || 1,
+        periodDays: rule.periodDays || 30,
+        channels: rule.channels ? [...new Set(rule.channels)] : ['email', 'sms'],
+      }));
+    }
+
+    if (req.body.notificationEmail !== undefined) {
+      changes.notificationEmail = req.body.notificationEmail;
+    }
+
+    if (req.body.locale !== undefined) {
+      changes.locale = req.body.locale;
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Settings updated',
+      data: businessSettings.update(req.auth.businessId, changes)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,80 @@
+// routes/settings-routes.test.js
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'revboost-settings-routes-'));
+
+const settingsRoutes = require('./settings-routes');
+const businessSettings = require('../services/business-settings-service');
+const errorHandler = require('../middleware/error-handler');
+
+/**
+ * Build an app serving the settings routes for a fake authenticated business
+ * @returns {Object} Express app
+ */
+function buildApp() {
+  const app = express();
+
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.auth = { businessId: req.get('x-business') || 'biz1' };
+    next();
+  });
+  app.use('/api/settings', settingsRoutes);
+  app.use(errorHandler);
+
+  return app;
+}
+
+describe('settings routes: branding', () => {
+  const app = buildApp();
+
+  afterAll(() => {
+    fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+  });
+
+  test('stores readable brand colors, normalized', async () => {
+    const response = await request(app).patch('/api/settings').send({
+      branding: { primaryColor: '#2563EB', accentColor: '#00f', senderName: ' Acme Dental ' },
+    });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.branding).toMatchObject({ primaryColor: '#2563eb', accentColor: '#0000ff', senderName: 'Acme Dental' });
+  });
+
+  test('rejects colors white button text cannot be read on', async () => {
+    const response = await request(app).patch('/api/settings').set('x-business', 'low-contrast').send({
+      branding: { primaryColor: '#ffff00', accentColor: '#777777' },
+    });
+
+    expect(response.status).toBe(400);
+    expect(response.body.error.code).toBe('insufficient_contrast');
+    expect(response.body.error.details).toEqual([
+      { field: 'primaryColor', color: '#ffff00', contrast: expect.closeTo(1.07, 2), required: 4.5 },
+      { field: 'accentColor', color: '#777777', contrast: expect.closeTo(4.48, 2), required: 4.5 },
+    ]);
+    expect(businessSettings.get('low-contrast').branding).toBeNull();
+  });
+
+  test('accepts a color just over the 4.5:1 threshold', async () => {
+    const response = await request(app).patch('/api/settings').set('x-business', 'threshold').send({
+      branding: { primaryColor: '#767676' },
+    });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.branding.primaryColor).toBe('#767676');
+  });
+
+  test('rejects colors that are not hex', async () => {
+    const response = await request(app).patch('/api/settings').send({ branding: { primaryColor: 'blue' } });
+
+    expect(response.status).toBe(400);
+    expect(response.body.errors[0]).toMatchObject({ path: 'branding.primaryColor' });
+  });
+});
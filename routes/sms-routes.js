@@ -3,18 +3,47 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const smsService = require('../services/sms-service');
+const scheduledSends = require('../services/scheduled-send-service');
+const HttpError = require('../utils/http-error');
+const { hasPermission } = require('../middleware/auth');
+const { isValidTimezone } = require('../utils/quiet-hours');
+const { isValidLocale } = require('../utils/i18n');
+const { normalizePhoneNumber, isE164, COUNTRY_CALLING_CODES } = require('../utils/phone');
 const router = express.Router();
 
 /**
- * Send a review request SMS
+ * Validation chain that normalizes a phone number field to E.164
+ * using the optional `country` field (or SMS_DEFAULT_COUNTRY)
+ * @param {string} field - Body field holding the phone number
+ */
+const phoneNumberField = (field) => body(field)
+  .customSanitizer((value, { req }) => normalizePhoneNumber(value, req.body.country) || value)
+  .custom((value) => isE164(value))
+  .withMessage('Valid phone number required');
+
+const countryField = () => body('country')
+  .optional()
+  .customSanitizer((value) => String(value).toUpperCase())
+  .isIn(Object.keys(COUNTRY_CALLING_CODES))
+  .withMessage('Unsupported country code');
+
+/**
+ * Send a review request SMS. `force` skips frequency caps and needs the
+ * "frequency_cap_override" permission.
  * POST /api/sms/review-request
  */
 router.post('/review-request', [
   // Validate request body
-  body('phoneNumber').isMobilePhone().withMessage('Valid phone number required'),
+  countryField(),
+  phoneNumberField('phoneNumber'),
   body('customerName').notEmpty().withMessage('Customer name is required'),
   body('businessName').notEmpty().withMessage('Business name is required'),
   body('reviewLink').isURL().withMessage('Valid review link URL is required'),
+  body('sendAt').optional().isISO8601().withMessage('sendAt must be an ISO 8601 date'),
+  body('timezone').optional().custom(isValidTimezone).withMessage('Unknown timezone'),
+  body('locale').optional().custom(isValidLocale).withMessage('Locale must be a language tag such as "es" or "fr-CA"'),
+  body('customerEmail').optional().isEmail().withMessage('Customer email must be valid if provided'),
+  body('force').optional().isBoolean({ strict: true }).withMessage('Force must be true or false'),
 ], async (req, res, next) => {
   try {
     // Check for validation errors
@@ -26,21 +55,58 @@ router.post('/review-request', [
       });
     }
 
-    const { phoneNumber, customerName, businessName, reviewLink, customData } = req.body;
+    const { phoneNumber, customerName, businessName, reviewLink, country, customData, sendAt, timezone, locale, customerEmail, force } = req.body;
+    const request = { phoneNumber, customerName, businessName, reviewLink, country, customData, timezone, locale, customerEmail, force };
 
-    // Send the SMS
+    // Skipping frequency caps is reserved for keys the admin granted it
+    if (force && !hasPermission(req, 'frequency_cap_override')) {
+      throw new HttpError(403, 'This API key may not override frequency caps', { code: 'permission_denied' });
+    }
+
+    // Hold future sends in the scheduler until they are due
+    if (sendAt && new Date(sendAt).getTime() > Date.now()) {
+      const scheduled = scheduledSends.schedule({
+        channel: 'sms',
+        businessId: req.auth.businessId,
+        sendAt,
+        request,
+      });
+
+      return res.status(202).json({
+        success: true,
+        message: 'SMS scheduled',
+        data: { scheduledId: scheduled.id, status: scheduled.status, sendAt: scheduled.sendAt }
+      });
+    }
+
+    // Queue the SMS
     const result = await smsService.sendReviewRequest({
-      phoneNumber,
-      customerName,
-      businessName,
-      reviewLink,
-      customData
+      ...request,
+      businessId: req.auth.businessId,
     });
 
+    // Suppressed recipients are skipped without contacting the provider
+    if (result.status === 'suppressed') {
+      return res.status(200).json({
+        success: true,
+        message: 'Recipient is on the suppression list; nothing was sent',
+        data: result
+      });
+    }
+
+    // Customers asked too recently are skipped unless the request is forced
+    if (result.status === 'skipped') {
+      return res.status(200).json({
+        success: true,
+        message: 'Recipient was sent a review request recently; nothing was sent',
+        data: result
+      });
+    }
+
     // Return the result
-    res.status(200).json({
+    res.status(202).json({
       success: true,
-      message: 'SMS sent successfully',
+      message: 'SMS queued for delivery',
       data: result
     });
   } catch (error) {
@@ -53,7 +119,8 @@ router.post('/review-request', [
  * POST /api/sms/test
  */
 router.post('/test', [
-  body('phoneNumber').isMobilePhone().withMessage('Valid phone number required'),
+  countryField(),
+  phoneNumberField('phoneNumber'),
 ], async (req, res, next) => {
   try {
     const errors = validationResult(req);
@@ -64,14 +131,14 @@ router.post('/test', [
       });
     }
 
-    const { phoneNumber } = req.body;
+    const { phoneNumber, country } = req.body;
 
-    // Send a test SMS
-    const result = await smsService.sendTestSms(phoneNumber);
+    // Queue a test SMS
+    const result = await smsService.sendTestSms(phoneNumber, country, req.auth.businessId);
 
-    res.status(200).json({
+    res.status(202).json({
       success: true,
-      message: 'Test SMS sent successfully',
+      message: 'Test SMS queued for delivery',
       data: result
     });
   } catch (error) {
@@ -0,0 +1,127 @@
+// routes/sms-routing-routes.js - Routes for managing SMS routing rules
+
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const smsRouting = require('../services/sms-routing-service');
+const { PROVIDERS } = require('../services/sms-providers');
+const { COUNTRY_CALLING_CODES } = require('../utils/phone');
+const router = express.Router();
+
+// E.164 number or an alphanumeric sender ID (max 11 characters)
+const SENDER_PATTERN = /^(\+[1-9]\d{7,14}|[A-Za-z0-9 ]{1,11})$/;
+
+/**
+ * Validation chains shared by create and update
+ * @param {boolean} partial - Whether every field is optional
+ */
+const ruleFields = partial => [
+  partial
+    ? body('provider').optional().isIn(Object.keys(PROVIDERS)).withMessage('Unknown SMS provider')
+    : body('provider').isIn(Object.keys(PROVIDERS)).withMessage('Unknown SMS provider'),
+  body('fromNumber').optional({ nullable: true }).matches(SENDER_PATTERN).withMessage('From number must be E.164 or an alphanumeric sender ID'),
+  body('businessId').optional({ nullable: true }).isString(),
+  body('country').optional({ nullable: true })
+    .customSanitizer(value => (value ? String(value).toUpperCase() : value))
+    .isIn(Object.keys(COUNTRY_CALLING_CODES)).withMessage('Unsupported country code'),
+  body('priority').optional().isInt().withMessage('Priority must be an integer').toInt(),
+  body('enabled').optional().isBoolean().withMessage('Enabled must be a boolean').toBoolean(),
+];
+
+/**
+ * List routing rules
+ * GET /api/sms-routing
+ */
+router.get('/', [
+  query('businessId').optional().isString(),
+], (req, res, next) => {
+  try {
+    const rules = smsRouting.listRules({ businessId: req.query.businessId });
+
+    res.status(200).json({
+      success: true,
+      data: rules
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Create a routing rule
+ * POST /api/sms-routing
+ */
+router.post('/', ruleFields(false), (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { provider, fromNumber, businessId, country, priority } = req.body;
+    const rule = smsRouting.createRule({ provider, fromNumber, businessId, country, priority });
+
+    res.status(201).json({
+      success: true,
+      message: 'Routing rule created',
+      data: rule
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Update a routing rule
+ * PATCH /api/sms-routing/:id
+ */
+router.patch('/:id', ruleFields(true), (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const allowed = ['provider', 'fromNumber', 'businessId', 'country', 'priority', 'enabled'];
+    const changes = {};
+    allowed
+      .filter(field => req.body[field] !== undefined)
+      .forEach((field) => {
+        changes[field] = req.body[field];
+      });
+
+    const rule = smsRouting.updateRule(req.params.id, changes);
+
+    res.status(200).json({
+      success: true,
+      message: 'Routing rule updated',
+      data: rule
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Delete a routing rule
+ * DELETE /api/sms-routing/:id
+ */
+router.delete('/:id', (req, res, next) => {
+  try {
+    smsRouting.deleteRule(req.params.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Routing rule deleted'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,191 @@
+// routes/suppression-routes.js - Routes for managing the suppression list
+
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const suppressionService = require('../services/suppression-service');
+const HttpError = require('../utils/http-error');
+const { parseCsv, toCsv } = require('../utils/csv');
+const router = express.Router();
+
+const CSV_COLUMNS = ['channel', 'address', 'reason', 'businessId', 'source', 'note', 'createdAt'];
+
+/**
+ * List the authenticated business's own suppressions
+ * GET /api/suppressions
+ */
+router.get('/', [
+  query('channel').optional().isIn(['email', 'sms']).withMessage('Channel must be email or sms'),
+  query('reason').optional().isIn(suppressionService.reasons).withMessage('Unknown suppression reason'),
+], (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const entries = suppressionService.list({
+      businessId: req.auth.businessId,
+      channel: req.query.channel,
+      reason: req.query.reason,
+    });
+
+    res.status(200).json({
+      success: true,
+      data: entries
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Check whether a recipient is blocked for the authenticated business,
+ * by its own list or by a global suppression
+ * GET /api/suppressions/check
+ */
+router.get('/check', [
+  query('channel').isIn(['email', 'sms']).withMessage('Channel must be email or sms'),
+  query('address').isString().notEmpty().withMessage('Address is required'),
+], (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { channel, address } = req.query;
+    const normalized = suppressionService.normalizeAddress(channel, address);
+
+    if (!normalized) {
+      throw new HttpError(400, `Invalid ${channel} address: ${address}`, { code: 'invalid_address' });
+    }
+
+    const entry = suppressionService.check({ channel, address: normalized, businessId: req.auth.businessId });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        channel,
+        address: normalized,
+        suppressed: !!entry,
+        scope: entry ? (entry.businessId ? 'business' : 'global') : null,
+        reason: entry ? entry.reason : null,
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Export suppressions as CSV
+ * GET /api/suppressions/export
+ */
+router.get('/export', (req, res, next) => {
+  try {
+    const entries = suppressionService.list({ businessId: req.auth.businessId });
+
+    res.type('text/csv')
+      .attachment('suppressions.csv')
+      .status(200)
+      .send(toCsv(entries, CSV_COLUMNS));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Import suppressions from CSV (text/csv body, or JSON `{ csv }`)
+ * with columns channel, address and optional reason, note
+ * POST /api/suppressions/import
+ */
+router.post('/import', express.text({ type: ['text/csv', 'text/plain'], limit: '5mb' }), (req, res, next) => {
+  try {
+    const csv = typeof req.body === 'string' ? req.body : req.body && req.body.csv;
+
+    if (!csv || typeof csv !== 'string') {
+      throw new HttpError(400, 'CSV content is required', { code: 'csv_required' });
+    }
+
+    const result = suppressionService.importRows(parseCsv(csv), req.auth.businessId);
+
+    res.status(200).json({
+      success: true,
+      message: `Imported ${result.imported} suppression(s)`,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Manually suppress a recipient for the authenticated business
+ * POST /api/suppressions
+ */
+router.post('/', [
+  body('channel').isIn(['email', 'sms']).withMessage('Channel must be email or sms'),
+  body('address').isString().notEmpty().withMessage('Address is required'),
+  body('reason').optional().isIn(suppressionService.reasons).withMessage('Unknown suppression reason'),
+  body('note').optional().isString().isLength({ max: 500 }),
+], (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { channel, address, reason, note } = req.body;
+
+    const entry = suppressionService.add({
+      channel,
+      address,
+      reason: reason || 'manual',
+      businessId: req.auth.businessId,
+      source: 'api',
+      note,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Recipient suppressed',
+      data: entry
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Remove a suppression owned by the authenticated business
+ * DELETE /api/suppressions/:id
+ */
+router.delete('/:id', (req, res, next) => {
+  try {
+    const entry = suppressionService.get(req.params.id);
+
+    if (!entry || entry.businessId !== req.auth.businessId) {
+      throw new HttpError(404, 'Suppression not found', { code: 'suppression_not_found' });
+    }
+
+    suppressionService.remove(entry.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Suppression removed'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
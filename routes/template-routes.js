@@ -0,0 +1,242 @@
+// routes/template-routes.js - Routes for stored message templates
+
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const templateService = require('../services/template-service');
+const templatePreview = require('../services/template-preview-service');
+const HttpError = require('../utils/http-error');
+const { isValidLocale } = require('../utils/i18n');
+const router = express.Router();
+
+/**
+ * Find a template owned by the authenticated business
+ * @param {Object} req - Express request object
+ * @returns {Object} The template
+ */
+function findOwned(req) {
+  const template = templateService.get(req.params.id);
+
+  if (!template || template.businessId !== req.auth.businessId) {
+    throw new HttpError(404, 'Template not found', { code: 'template_not_found' });
+  }
+
+  return template;
+}
+
+/**
+ * List templates for the authenticated business
+ * GET /api/templates
+ */
+router.get('/', (req, res, next) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: templateService.list(req.auth.businessId)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Describe the variables available to, and required by, each template type
+ * GET /api/templates/variables
+ */
+router.get('/variables', (req, res, next) => {
+  try {
+    const data = {};
+    templateService.types.forEach((type) => {
+      data[type] = {
+        available: templateService.variables[type],
+        required: templateService.requiredVariables[type],
+      };
+    });
+
+    res.status(200).json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Create a template
+ * POST /api/templates
+ */
+router.post('/', [
+  body('type').isIn(templateService.types).withMessage(`Type must be one of ${templateService.types.join(', ')}`),
+  body('channel').isIn(templateService.channels).withMessage('Channel must be email or sms'),
+  body('subject').optional().isString().isLength({ max: 500 }),
+  body('body').isString().notEmpty().withMessage('Template body is required'),
+  body('note').optional().isString().isLength({ max: 500 }),
+], (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { type, channel, subject, note } = req.body;
+
+    const template = templateService.create({
+      businessId: req.auth.businessId,
+      type,
+      channel,
+      subject,
+      body: req.body.body,
+      note,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Template created',
+      data: template
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Render a template with sample data without sending anything. Previews the
+ * draft `subject`/`body` if given, else the saved or built-in template.
+ * POST /api/templates/preview
+ */
+router.post('/preview', [
+  body('type').isIn(templateService.types).withMessage(`Type must be one of ${templateService.types.join(', ')}`),
+  body('channel').isIn(templateService.channels).withMessage('Channel must be email or sms'),
+  body('data').optional().isObject().withMessage('Data must be an object'),
+  body('locale').optional().custom(isValidLocale).withMessage('Locale must be a language tag such as "es" or "fr-CA"'),
+  body('subject').optional().isString(),
+  body('body').optional().isString(),
+], (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { type, channel, data, locale, subject } = req.body;
+
+    const preview = templatePreview.preview({
+      businessId: req.auth.businessId,
+      type,
+      channel,
+      data,
+      locale,
+      subject,
+      body: req.body.body,
+    });
+
+    res.status(200).json({
+      success: true,
+      data: preview
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Get a template with all its versions
+ * GET /api/templates/:id
+ */
+router.get('/:id', (req, res, next) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: findOwned(req)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Save a new version of a template and make it active
+ * PUT /api/templates/:id
+ */
+router.put('/:id', [
+  body('subject').optional().isString().isLength({ max: 500 }),
+  body('body').isString().notEmpty().withMessage('Template body is required'),
+  body('note').optional().isString().isLength({ max: 500 }),
+], (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const template = templateService.addVersion(findOwned(req).id, {
+      subject: req.body.subject,
+      body: req.body.body,
+      note: req.body.note,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Template version ${template.activeVersion} saved`,
+      data: template
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Re-activate an earlier version
+ * POST /api/templates/:id/rollback
+ */
+router.post('/:id/rollback', [
+  body('version').isInt({ min: 1 }).withMessage('Version must be a positive integer').toInt(),
+], (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const template = templateService.rollback(findOwned(req).id, req.body.version);
+
+    res.status(200).json({
+      success: true,
+      message: `Template rolled back to version ${template.activeVersion}`,
+      data: template
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Delete a template; the built-in template is used again
+ * DELETE /api/templates/:id
+ */
+router.delete('/:id', (req, res, next) => {
+  try {
+    templateService.remove(findOwned(req).id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Template deleted'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,71 @@
+// routes/unsubscribe-routes.js - Hosted unsubscribe page for email recipients
+
+const express = require('express');
+const unsubscribeService = require('../services/unsubscribe-service');
+const { generateUnsubscribePageHtml, generateInvalidLinkPageHtml } = require('../utils/page-templates');
+const router = express.Router();
+
+/**
+ * Resolve the recipient from the link token, or render the invalid-link page
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object|null} Verified token contents
+ */
+function resolveRecipient(req, res) {
+  const recipient = unsubscribeService.verifyToken(req.params.token);
+
+  if (!recipient) {
+    res.status(404).type('html').send(
+      generateInvalidLinkPageHtml('This unsubscribe link is invalid. Please use the link from your most recent email.')
+    );
+  }
+
+  return recipient;
+}
+
+/**
+ * Show the preference page
+ * GET /unsubscribe/:token
+ */
+router.get('/:token', (req, res, next) => {
+  try {
+    const recipient = resolveRecipient(req, res);
+    if (!recipient) return;
+
+    res.status(200).type('html').send(generateUnsubscribePageHtml({
+      ...recipient,
+      unsubscribed: unsubscribeService.isUnsubscribed(recipient),
+      action: req.originalUrl,
+    }));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Unsubscribe (or resubscribe with `action=resubscribe`).
+ * Also receives RFC 8058 one-click requests (`List-Unsubscribe=One-Click`)
+ * POST /unsubscribe/:token
+ */
+router.post('/:token', (req, res, next) => {
+  try {
+    const recipient = resolveRecipient(req, res);
+    if (!recipient) return;
+
+    if (req.body && req.body.action === 'resubscribe') {
+      unsubscribeService.resubscribe(recipient);
+    } else {
+      unsubscribeService.unsubscribe(recipient);
+    }
+
+    res.status(200).type('html').send(generateUnsubscribePageHtml({
+      ...recipient,
+      unsubscribed: unsubscribeService.isUnsubscribed(recipient),
+      action: req.originalUrl,
+    }));
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
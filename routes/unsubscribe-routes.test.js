@@ -0,0 +1,119 @@
+// routes/unsubscribe-routes.test.js
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'revboost-unsubscribe-routes-'));
+process.env.UNSUBSCRIBE_SECRET = 'test-unsubscribe-secret';
+process.env.PUBLIC_BASE_URL = 'https://reviews.example.com';
+
+const unsubscribeRoutes = require('./unsubscribe-routes');
+const unsubscribeService = require('../services/unsubscribe-service');
+const suppressionService = require('../services/suppression-service');
+const errorHandler = require('../middleware/error-handler');
+
+/**
+ * Build an app serving the hosted unsubscribe page, parsing form posts as
+ * the server does
+ * @returns {Object} Express app
+ */
+function buildApp() {
+  const app = express();
+
+  app.use(express.urlencoded({ extended: true }));
+  app.use('/unsubscribe', unsubscribeRoutes);
+  app.use(errorHandler);
+
+  return app;
+}
+
+/**
+ * Create a token for a test recipient of biz1
+ * @param {string} address - Recipient email address
+ * @param {string} [businessName] - Business display name
+ * @returns {string} The signed token
+ */
+function tokenFor(address, businessName = 'Acme Dental') {
+  return unsubscribeService.createToken({ businessId: 'biz1', businessName, channel: 'email', address });
+}
+
+describe('hosted unsubscribe page', () => {
+  const app = buildApp();
+
+  afterAll(() => {
+    fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+  });
+
+  test('asks the recipient to confirm', async () => {
+    const token = tokenFor('page@example.com');
+    const response = await request(app).get(`/unsubscribe/${token}`);
+
+    expect(response.status).toBe(200);
+    expect(response.type).toBe('text/html');
+    expect(response.text).toContain('Stop sending emails from Acme Dental to page@example.com?');
+    expect(response.text).toContain(`action="/unsubscribe/${token}"`);
+    expect(response.text).toContain('value="unsubscribe"');
+  });
+
+  test('unsubscribes from the form and offers to resubscribe', async () => {
+    const token = tokenFor('form@example.com');
+
+    const response = await request(app).post(`/unsubscribe/${token}`).type('form').send({ action: 'unsubscribe' });
+
+    expect(response.status).toBe(200);
+    expect(response.text).toContain('form@example.com will no longer receive emails from Acme Dental.');
+    expect(response.text).toContain('value="resubscribe"');
+    expect(suppressionService.check({ channel: 'email', address: 'form@example.com', businessId: 'biz1' })).not.toBeNull();
+    expect(suppressionService.check({ channel: 'email', address: 'form@example.com', businessId: 'biz2' })).toBeNull();
+
+    // Reloading the page shows the current state
+    expect((await request(app).get(`/unsubscribe/${token}`)).text).toContain('value="resubscribe"');
+  });
+
+  test('resubscribes', async () => {
+    const token = tokenFor('back@example.com');
+    await request(app).post(`/unsubscribe/${token}`).type('form').send({ action: 'unsubscribe' });
+
+    const response = await request(app).post(`/unsubscribe/${token}`).type('form').send({ action: 'resubscribe' });
+
+    expect(response.status).toBe(200);
+    expect(response.text).toContain('value="unsubscribe"');
+    expect(suppressionService.check({ channel: 'email', address: 'back@example.com', businessId: 'biz1' })).toBeNull();
+  });
+
+  test('accepts RFC 8058 one-click requests', async () => {
+    const token = tokenFor('oneclick@example.com');
+
+    const response = await request(app).post(`/unsubscribe/${token}`).type('form').send('List-Unsubscribe=One-Click');
+
+    expect(response.status).toBe(200);
+    expect(unsubscribeService.isUnsubscribed({ businessId: 'biz1', channel: 'email', address: 'oneclick@example.com' })).toBe(true);
+  });
+
+  test('shows the invalid-link page for a tampered token and changes nothing', async () => {
+    const [, signature] = tokenFor('victim@example.com').split('.');
+    const forged = Buffer.from(JSON.stringify({ b: 'biz1', c: 'email', a: 'victim@example.com', n: 'Acme' })).toString('base64url');
+
+    const page = await request(app).get(`/unsubscribe/${forged}.${signature}`);
+    const post = await request(app).post(`/unsubscribe/${forged}.${signature}`).type('form').send({ action: 'unsubscribe' });
+
+    expect(page.status).toBe(404);
+    expect(page.text).toContain('This unsubscribe link is invalid.');
+    expect(post.status).toBe(404);
+    expect(suppressionService.check({ channel: 'email', address: 'victim@example.com', businessId: 'biz1' })).toBeNull();
+  });
+
+  test('escapes the business name and address', async () => {
+    const token = tokenFor('x"<b>@example.com', '<script>alert(1)</script>');
+    const response = await request(app).get(`/unsubscribe/${token}`);
+
+    expect(response.text).not.toContain('<script>alert(1)</script>');
+    expect(response.text).toContain('&lt;script&gt;');
+    expect(response.text).not.toContain('x"<b>');
+  });
+});
@@ -0,0 +1,22 @@
+// routes/usage-routes.js - Routes for a business's send usage and quotas
+
+const express = require('express');
+const usageService = require('../services/usage-service');
+const router = express.Router();
+
+/**
+ * Get the authenticated business's usage and quotas for each channel
+ * GET /api/usage
+ */
+router.get('/', (req, res, next) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: usageService.getUsage(req.auth.businessId)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,113 @@
+// routes/webhook-routes.js - Inbound webhooks from email and SMS providers
+
+const express = require('express');
+const logger = require('../utils/logger');
+const HttpError = require('../utils/http-error');
+const deliveryStatus = require('../services/delivery-status-service');
+const conversationService = require('../services/conversation-service');
+const { escapeHtml } = require('../utils/email-templates');
+const {
+  verifyResendSignature,
+  verifyTwilioSignature,
+  getPublicUrl,
+} = require('../utils/webhook-signatures');
+const router = express.Router();
+
+/**
+ * Resend email events (delivered, bounced, complained, opened, clicked)
+ * POST /api/webhooks/resend
+ */
+router.post('/resend', (req, res, next) => {
+  try {
+    const secret = process.env.RESEND_WEBHOOK_SECRET;
+
+    if (!secret) {
+      throw new HttpError(503, 'Resend webhooks are not configured', { code: 'webhook_not_configured' });
+    }
+
+    const valid = verifyResendSignature({
+      secret,
+      headers: req.headers,
+      rawBody: req.rawBody,
+    });
+
+    if (!valid) {
+      throw new HttpError(401, 'Invalid webhook signature', { code: 'invalid_signature' });
+    }
+
+    const message = deliveryStatus.handleResendEvent(req.body);
+
+    res.status(200).json({
+      success: true,
+      data: { processed: !!message }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Reject Twilio webhooks without a valid X-Twilio-Signature
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+function requireTwilioSignature(req, res, next) {
+  const authToken = process.env.TWILIO_AUTH_TOKEN;
+
+  if (!authToken) {
+    return next(new HttpError(503, 'Twilio webhooks are not configured', { code: 'webhook_not_configured' }));
+  }
+
+  const valid = verifyTwilioSignature({
+    authToken,
+    signature: req.get('x-twilio-signature'),
+    url: getPublicUrl(req),
+    params: req.body,
+  });
+
+  if (!valid) {
+    logger.warn(`Rejected Twilio webhook with invalid signature for ${getPublicUrl(req)}`);
+    return next(new HttpError(401, 'Invalid webhook signature', { code: 'invalid_signature' }));
+  }
+
+  next();
+}
+
+/**
+ * Twilio SMS status callbacks (StatusCallback on messages.create)
+ * POST /api/webhooks/twilio
+ */
+router.post('/twilio', requireTwilioSignature, (req, res, next) => {
+  try {
+    deliveryStatus.handleTwilioStatus(req.body);
+
+    res.type('text/xml').status(200).send('<Response></Response>');
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Inbound SMS replies. Messages are threaded into conversations; STOP,
+ * START and HELP are answered with a TwiML auto-reply.
+ * POST /api/webhooks/twilio/inbound
+ */
+router.post('/twilio/inbound', requireTwilioSignature, async (req, res, next) => {
+  try {
+    const { From: from, To: to, Body: text, MessageSid: providerMessageId } = req.body;
+
+    if (!from) {
+      throw new HttpError(400, 'From is required', { code: 'missing_sender' });
+    }
+
+    const { reply } = await conversationService.receive({ from, to, body: text, providerMessageId });
+    const twiml = reply ? `<Message>${escapeHtml(reply)}</Message>` : '';
+
+    res.type('text/xml').status(200).send(`<Response>${twiml}</Response>`);
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
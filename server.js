@@ -2,10 +2,26 @@
 require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
+const errorHandler = require('./middleware/error-handler');
+const { requireApiKey, requireAdmin } = require('./middleware/auth');
+const { ipRateLimit, apiKeyRateLimit, enforceQuota } = require('./middleware/rate-limit');
+const idempotency = require('./middleware/idempotency');
+const sendQueue = require('./services/queue-service');
+const scheduledSends = require('./services/scheduled-send-service');
+const sequenceService = require('./services/sequence-service');
+const campaignService = require('./services/campaign-service');
+const eventWebhooks = require('./services/event-webhook-service');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Behind a load balancer, TRUST_PROXY makes req.ip the client's address
+// (a hop count such as "1", or an Express trust proxy setting)
+if (process.env.TRUST_PROXY) {
+  const hops = parseInt(process.env.TRUST_PROXY, 10);
+  app.set('trust proxy', Number.isNaN(hops) ? process.env.TRUST_PROXY : hops);
+}
+
 // Middleware
 app.use(cors({
   origin: [
@@ -18,8 +34,13 @@ app.use(cors({
   optionsSuccessStatus: 200,
 }));
 
-app.use(express.json({ limit: '10mb' }));
-app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+// Keep the raw body around for webhook signature verification
+const captureRawBody = (req, res, buf) => {
+  req.rawBody = buf;
+};
+
+app.use(express.json({ limit: '10mb', verify: captureRawBody }));
+app.use(express.urlencoded({ extended: true, limit: '10mb', verify: captureRawBody }));
 
 // Simple health endpoint
 app.get('/health', (req, res) => {
@@ -36,22 +57,143 @@ app.get('/health', (req, res) => {
   });
 });
 
-// API Routes
-app.use('/api/email', require('./routes/email-routes'));
+// Detailed health, readiness and liveness probes
+app.use('/health', require('./routes/health'));
+
+// Provider webhooks (authenticated by provider signatures)
+app.use('/api/webhooks', require('./routes/webhook-routes'));
+
+// Everything below is limited per client IP. Webhooks are exempt as
+// providers send them in bursts from a few addresses.
+app.use(ipRateLimit);
+
+// Customer-facing pages (authenticated by signed link tokens)
+app.use('/unsubscribe', require('./routes/unsubscribe-routes'));
+
+// Review-link redirects and rating pages (authenticated by unguessable link codes)
+app.use('/r', require('./routes/redirect-routes'));
+app.use('/f', require('./routes/feedback-page-routes'));
+
+// API key management (admin only)
+app.use('/api/keys', requireAdmin, require('./routes/api-key-routes'));
+app.use('/api/sms-routing', requireAdmin, require('./routes/sms-routing-routes'));
+app.use('/api/quotas', requireAdmin, require('./routes/quota-routes'));
+
+// API Routes (tenant API key required, rate limited per key)
+const tenantAuth = [requireApiKey, apiKeyRateLimit];
+
+// Retries with an Idempotency-Key are answered before quotas are checked
+app.use('/api/email', tenantAuth, idempotency, enforceQuota('email'), require('./routes/email-routes'));
+app.use('/api/sms', tenantAuth, idempotency, enforceQuota('sms'), require('./routes/sms-routes'));
+app.use('/api/messages', tenantAuth, require('./routes/message-routes'));
+app.use('/api/queue', tenantAuth, require('./routes/queue-routes'));
+app.use('/api/suppressions', tenantAuth, require('./routes/suppression-routes'));
+app.use('/api/campaigns', tenantAuth, require('./routes/campaign-routes'));
+app.use('/api/scheduled', tenantAuth, require('./routes/scheduled-routes'));
+app.use('/api/sequences', tenantAuth, require('./routes/sequence-routes'));
+app.use('/api/templates', tenantAuth, require('./routes/template-routes'));
+app.use('/api/settings', tenantAuth, require('./routes/settings-routes'));
+app.use('/api/domains', tenantAuth, require('./routes/domain-routes'));
+app.use('/api/feedback', tenantAuth, require('./routes/feedback-routes'));
+app.use('/api/usage', tenantAuth, require('./routes/usage-routes'));
+app.use('/api/conversations', tenantAuth, require('./routes/conversation-routes'));
+app.use('/api/event-webhooks', tenantAuth, require('./routes/event-webhook-routes'));
 
 // Root endpoint
 app.get('/', (req, res) => {
   res.json({
-    message: 'RevBoost Email Server',
+    message: 'RevBoost Email & SMS Server',
     status: 'online',
     version: '1.0.0',
     uptime: process.uptime(),
     timestamp: new Date().toISOString(),
     endpoints: [
       'GET /health',
+      'GET /health/detailed',
+      'GET /health/ready',
+      'GET /health/live',
       'POST /api/email/review-request',
       'POST /api/email/test',
       'POST /api/email/feedback-notification',
+      'POST /api/sms/review-request',
+      'POST /api/sms/test',
+      'GET /api/messages',
+      'GET /api/messages/:id',
+      'GET /api/messages/:id/clicks',
+      'GET /api/queue/dead-letter',
+      'POST /api/queue/dead-letter/:id/replay',
+      'GET /api/suppressions',
+      'POST /api/suppressions',
+      'DELETE /api/suppressions/:id',
+      'POST /api/suppressions/import',
+      'GET /api/suppressions/export',
+      'GET /api/suppressions/check',
+      'POST /api/campaigns',
+      'GET /api/campaigns',
+      'GET /api/campaigns/:id',
+      'GET /api/scheduled',
+      'GET /api/scheduled/:id',
+      'DELETE /api/scheduled/:id',
+      'GET /api/sequences',
+      'POST /api/sequences',
+      'GET /api/sequences/:id',
+      'DELETE /api/sequences/:id',
+      'POST /api/sequences/:id/enrollments',
+      'GET /api/sequences/:id/enrollments',
+      'GET /api/sequences/enrollments/:id',
+      'POST /api/sequences/enrollments/:id/stop',
+      'GET /api/templates',
+      'GET /api/templates/variables',
+      'POST /api/templates/preview',
+      'POST /api/templates',
+      'GET /api/templates/:id',
+      'PUT /api/templates/:id',
+      'POST /api/templates/:id/rollback',
+      'DELETE /api/templates/:id',
+      'GET /api/settings',
+      'PATCH /api/settings',
+      'GET /api/domains',
+      'POST /api/domains',
+      'GET /api/domains/:id',
+      'POST /api/domains/:id/verify',
+      'DELETE /api/domains/:id',
+      'GET /api/feedback',
+      'GET /api/feedback/:id',
+      'PATCH /api/feedback/:id',
+      'POST /api/feedback/:id/reply',
+      'GET /api/usage',
+      'GET /api/conversations',
+      'GET /api/conversations/:id',
+      'GET /api/event-webhooks',
+      'POST /api/event-webhooks',
+      'GET /api/event-webhooks/:id',
+      'PATCH /api/event-webhooks/:id',
+      'POST /api/event-webhooks/:id/rotate-secret',
+      'DELETE /api/event-webhooks/:id',
+      'GET /api/event-webhooks/deliveries',
+      'GET /api/event-webhooks/deliveries/:id',
+      'POST /api/event-webhooks/deliveries/:id/redeliver',
+      'POST /api/webhooks/resend',
+      'POST /api/webhooks/twilio',
+      'POST /api/webhooks/twilio/inbound',
+      'GET /unsubscribe/:token',
+      'POST /unsubscribe/:token',
+      'GET /r/:code',
+      'GET /f/:token',
+      'POST /f/:token',
+      'POST /f/:token/feedback',
+      'GET /api/keys',
+      'POST /api/keys',
+      'PATCH /api/keys/:id',
+      'POST /api/keys/:id/rotate',
+      'DELETE /api/keys/:id',
+      'GET /api/sms-routing',
+      'POST /api/sms-routing',
+      'PATCH /api/sms-routing/:id',
+      'DELETE /api/sms-routing/:id',
+      'GET /api/quotas/:businessId',
+      'PUT /api/quotas/:businessId',
+      'DELETE /api/quotas/:businessId',
     ],
   });
 });
@@ -66,30 +208,38 @@ app.use('*', (req, res) => {
 });
 
 // Global error handler
-app.use((err, req, res, next) => {
-  console.error('Server error:', err);
-  res.status(500).json({
-    success: false,
-    error: 'Internal server error',
-    message: err.message,
-  });
-});
+app.use(errorHandler);
 
 // Start server
 app.listen(PORT, () => {
   console.log(`🚀 Server running on port ${PORT}`);
   console.log(`📡 Health check: http://localhost:${PORT}/health`);
   console.log(`🌍 Environment: ${process.env.NODE_ENV || 'development'}`);
+  
+  // Start processing queued and scheduled sends
+  sendQueue.start();
+  scheduledSends.start();
+  sequenceService.start();
+  campaignService.start();
+  eventWebhooks.start();
 });
 
 // Graceful shutdown
 process.on('SIGTERM', () => {
   console.log('🛑 SIGTERM received, shutting down gracefully...');
+  sendQueue.stop();
+  scheduledSends.stop();
+  sequenceService.stop();
+  eventWebhooks.stop();
   process.exit(0);
 });
 
 process.on('SIGINT', () => {
   console.log('🛑 SIGINT received, shutting down gracefully...');
+  sendQueue.stop();
+  scheduledSends.stop();
+  sequenceService.stop();
+  eventWebhooks.stop();
   process.exit(0);
 });
 
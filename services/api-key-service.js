@@ -0,0 +1,201 @@
+// services/api-key-service.js - Service for issuing and verifying API keys
+
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const HttpError = require('../utils/http-error');
+const { FileStore } = require('../utils/file-store');
+
+const KEY_PREFIX = 'rbk';
+
+// lastUsedAt is only written when it is at least this stale, so API calls
+// don't each rewrite the key store
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+// Extra rights an admin can grant a key beyond sending for its tenant
+const PERMISSIONS = ['frequency_cap_override'];
+
+/**
+ * Service for managing tenant API keys.
+ * Only a hash of each key is stored; the plaintext key is returned once
+ * when it is created or rotated. Keys carry a list of `permissions`, such
+ * as "frequency_cap_override", which only the admin can grant.
+ */
+class ApiKeyService {
+  constructor() {
+    this.store = new FileStore('api-keys', { idPrefix: 'key' });
+    this.permissions = PERMISSIONS;
+    this.secret = process.env.API_KEY_SECRET;
+
+    if (!this.secret) {
+      logger.warn('API_KEY_SECRET is missing. API keys will be hashed without a server secret.');
+    }
+  }
+
+  /**
+   * Hash a plaintext API key
+   * @param {string} apiKey - Plaintext API key
+   * @returns {string} Hex-encoded hash
+   * @private
+   */
+  hashKey(apiKey) {
+    return this.secret
+      ? crypto.createHmac('sha256', this.secret).update(apiKey).digest('hex')
+      : crypto.createHash('sha256').update(apiKey).digest('hex');
+  }
+
+  /**
+   * Generate a new plaintext API key
+   * @returns {string} The API key
+   * @private
+   */
+  generateKey() {
+    return `${KEY_PREFIX}_${crypto.randomBytes(24).toString('hex')}`;
+  }
+
+  /**
+   * Strip secret fields from a stored key record
+   * @param {Object} record - Stored key record
+   * @returns {Object} Public key details
+   * @private
+   */
+  toPublic(record) {
+    const { keyHash, ...details } = record;
+    return { ...details, permissions: record.permissions || [] };
+  }
+
+  /**
+   * Create an API key for a tenant
+   * @param {Object} options - Key options
+   * @param {string} options.businessId - Business (tenant) the key belongs to
+   * @param {string} [options.name] - Human-readable label
+   * @param {Array<string>} [options.permissions] - Extra rights for the key
+   * @returns {Object} The key details, including the plaintext `apiKey`
+   */
+  createKey({ businessId, name, permissions }) {
+    const apiKey = this.generateKey();
+
+    const record = this.store.insert({
+      businessId,
+      name: name || null,
+      permissions: permissions || [],
+      keyHash: this.hashKey(apiKey),
+      keyPreview: `${apiKey.slice(0, 8)}...${apiKey.slice(-4)}`,
+      status: 'active',
+      lastUsedAt: null,
+      revokedAt: null,
+    });
+
+    logger.info(`API key ${record.id} created for business ${businessId}`);
+    return { ...this.toPublic(record), apiKey };
+  }
+
+  /**
+   * Replace the secret of an existing key
+   * @param {string} id - Key ID
+   * @returns {Object} The key details, including the new plaintext `apiKey`
+   */
+  rotateKey(id) {
+    const existing = this.store.get(id);
+
+    if (!existing) {
+      throw new HttpError(404, 'API key not found', { code: 'api_key_not_found' });
+    }
+
+    if (existing.status !== 'active') {
+      throw new HttpError(409, 'Revoked API keys cannot be rotated', { code: 'api_key_revoked' });
+    }
+
+    const apiKey = this.generateKey();
+    const record = this.store.update(id, {
+      keyHash: this.hashKey(apiKey),
+      keyPreview: `${apiKey.slice(0, 8)}...${apiKey.slice(-4)}`,
+      rotatedAt: new Date().toISOString(),
+    });
+
+    logger.info(`API key ${id} rotated for business ${record.businessId}`);
+    return { ...this.toPublic(record), apiKey };
+  }
+
+  /**
+   * Replace the permissions granted to a key
+   * @param {string} id - Key ID
+   * @param {Array<string>} permissions - Extra rights for the key
+   * @returns {Object} The key details
+   */
+  setPermissions(id, permissions) {
+    const existing = this.store.get(id);
+
+    if (!existing) {
+      throw new HttpError(404, 'API key not found', { code: 'api_key_not_found' });
+    }
+
+    const record = this.store.update(id, { permissions });
+
+    logger.info(`API key ${id} permissions set to [${permissions.join(', ')}] for business ${record.businessId}`);
+    return this.toPublic(record);
+  }
+
+  /**
+   * Revoke a key so it can no longer authenticate
+   * @param {string} id - Key ID
+   * @returns {Object} The revoked key details
+   */
+  revokeKey(id) {
+    const existing = this.store.get(id);
+
+    if (!existing) {
+      throw new HttpError(404, 'API key not found', { code: 'api_key_not_found' });
+    }
+
+    const record = this.store.update(id, {
+      status: 'revoked',
+      revokedAt: existing.revokedAt || new Date().toISOString(),
+    });
+
+    logger.info(`API key ${id} revoked for business ${record.businessId}`);
+    return this.toPublic(record);
+  }
+
+  /**
+   * List keys, optionally for a single business
+   * @param {Object} [filters] - List filters
+   * @param {string} [filters.businessId] - Only keys for this business
+   * @returns {Array<Object>} Public key details
+   */
+  listKeys({ businessId } = {}) {
+    return this.store
+      .find(record => !businessId || record.businessId === businessId)
+      .map(record => this.toPublic(record));
+  }
+
+  /**
+   * Look up the active key matching a plaintext API key. `lastUsedAt` is
+   * accurate to about a minute.
+   * @param {string} apiKey - Plaintext API key from the request
+   * @returns {Object|null} Public key details, or null if invalid
+   */
+  authenticate(apiKey) {
+    if (!apiKey || typeof apiKey !== 'string') {
+      return null;
+    }
+
+    const keyHash = Buffer.from(this.hashKey(apiKey), 'hex');
+    const record = this.store.findOne(item => (
+      item.status === 'active'
+        && crypto.timingSafeEqual(Buffer.from(item.keyHash, 'hex'), keyHash)
+    ));
+
+    if (!record) {
+      return null;
+    }
+
+    const now = Date.now();
+    if (!record.lastUsedAt || now - new Date(record.lastUsedAt).getTime() >= LAST_USED_RESOLUTION_MS) {
+      this.store.update(record.id, { lastUsedAt: new Date(now).toISOString() });
+    }
+
+    return this.toPublic(record);
+  }
+}
+
+module.exports = new ApiKeyService();
@@ -0,0 +1,149 @@
+// services/business-settings-service.js - Per-business sending preferences
+
+const logger = require('../utils/logger');
+const HttpError = require('../utils/http-error');
+const { FileStore } = require('../utils/file-store');
+const { nextAllowedTime, isValidTimezone } = require('../utils/quiet-hours');
+const { normalizeHexColor, contrastRatio } = require('../utils/color');
+
+// Networks a business can link to from its email footer
+const SOCIAL_NETWORKS = ['website', 'facebook', 'instagram', 'x', 'linkedin', 'youtube', 'tiktok'];
+
+// Both brand colors sit behind white button text, so they must meet
+// WCAG AA contrast for normal text against white
+const MIN_CONTRAST = 4.5;
+
+/**
+ * Service for settings each business controls, such as quiet hours,
+ * email branding, the feedback gate, review request frequency caps, where
+ * customer replies are forwarded and the default language for customers
+ * who don't specify one.
+ * There is one record per business; businesses without a record use defaults.
+ */
+class BusinessSettingsService {
+  constructor() {
+    this.store = new FileStore('business-settings', { idPrefix: 'bset' });
+    this.defaultTimezone = process.env.DEFAULT_TIMEZONE || 'UTC';
+    this.socialNetworks = SOCIAL_NETWORKS;
+
+    // An unknown zone would make every quiet-hours check throw
+    if (!isValidTimezone(this.defaultTimezone)) {
+      logger.warn(`DEFAULT_TIMEZONE "${this.defaultTimezone}" is not a known timezone; using UTC`);
+      this.defaultTimezone = 'UTC';
+    }
+  }
+
+  /**
+   * Get a business's settings
+   * @param {string} businessId - Business ID
+   * @returns {Object} Settings (defaults if none are stored)
+   */
+  get(businessId) {
+    const stored = businessId ? this.store.findOne(record => record.businessId === businessId) : null;
+
+    return {
+      businessId: businessId || null,
+      quietHours: null,
+      locale: null,
+      branding: null,
+      feedbackGate: null,
+      frequencyCaps: null,
+      notificationEmail: null,
+      ...stored,
+    };
+  }
+
+  /**
+   * Update a business's settings
+   * @param {string} businessId - Business ID
+   * @param {Object} changes - Fields to change
+   * @returns {Object} The updated settings
+   */
+  update(businessId, changes) {
+    const existing = this.store.findOne(record => record.businessId === businessId);
+
+    const record = existing
+      ? this.store.update(existing.id, changes)
+      : this.store.insert({ businessId, ...changes });
+
+    logger.info(`Updated settings for business ${businessId}: ${Object.keys(changes).join(', ')}`);
+    return this.get(record.businessId);
+  }
+
+  /**
+   * Normalize a branding profile and check its colors stay readable
+   * @param {Object} branding - Branding profile
+   * @param {string} [branding.logoUrl] - HTTPS logo URL
+   * @param {string} [branding.primaryColor] - Hex color for headings and buttons
+   * @param {string} [branding.accentColor] - Hex color for links and button hover
+   * @param {string} [branding.senderName] - Display name review requests come from
+   * @param {string} [branding.signature] - Sign-off, may span lines
+   * @param {string} [branding.footerAddress] - Postal address for the footer
+   * @param {Object} [branding.socialLinks] - URLs keyed by network
+   * @returns {Object} The branding to store
+   * @throws {HttpError} 400 if a color has too little contrast with white
+   */
+  validateBranding(branding) {
+    const normalized = {
+      logoUrl: branding.logoUrl || null,
+      primaryColor: branding.primaryColor ? normalizeHexColor(branding.primaryColor) : null,
+      accentColor: branding.accentColor ? normalizeHexColor(branding.accentColor) : null,
+      senderName: branding.senderName ? branding.senderName.trim() : null,
+      signature: branding.signature ? branding.signature.trim() : null,
+      footerAddress: branding.footerAddress ? branding.footerAddress.trim() : null,
+      socialLinks: branding.socialLinks || {},
+    };
+
+    const problems = ['primaryColor', 'accentColor']
+      .filter(field => normalized[field])
+      .map(field => ({ field, color: normalized[field], contrast: contrastRatio(normalized[field], '#ffffff') }))
+      .filter(({ contrast }) => contrast < MIN_CONTRAST)
+      .map(({ field, color, contrast }) => ({
+        field,
+        color,
+        contrast: Math.round(contrast * 100) / 100,
+        required: MIN_CONTRAST,
+      }));
+
+    if (problems.length > 0) {
+      throw new HttpError(400, `Brand colors need a contrast ratio of at least ${MIN_CONTRAST}:1 with white text`, {
+        code: 'insufficient_contrast',
+        details: problems,
+      });
+    }
+
+    return normalized;
+  }
+
+  /**
+   * Get the earliest time a message may be delivered, pushing it past the
+   * business's quiet hours in the recipient's timezone
+   * @param {Object} options - Message details
+   * @param {string} options.channel - "email" or "sms"
+   * @param {string} [options.businessId] - Sending business
+   * @param {string} [options.timezone] - Recipient timezone; defaults to the
+   *   quiet-hours timezone, then DEFAULT_TIMEZONE
+   * @param {Date|string} [options.runAt] - Requested send time, defaults to now
+   * @returns {Date|null} The delivery time, or null to send immediately
+   */
+  resolveSendTime({ channel, businessId, timezone, runAt }) {
+    const { quietHours } = this.get(businessId);
+    const requested = runAt ? new Date(runAt) : new Date();
+
+    if (!quietHours || !(quietHours.channels || ['sms']).includes(channel)) {
+      return runAt ? requested : null;
+    }
+
+    const zone = timezone || quietHours.timezone || this.defaultTimezone;
+    const allowed = nextAllowedTime(requested, quietHours, zone);
+
+    if (allowed !== requested) {
+      logger.info(`Deferring ${channel} for business ${businessId} to ${allowed.toISOString()} (quiet hours in ${zone})`);
+      return allowed;
+    }
+
+    return runAt ? requested : null;
+  }
+}
+
+module.exports = new BusinessSettingsService();
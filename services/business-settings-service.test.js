@@ -0,0 +1,83 @@
+// services/business-settings-service.test.js
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'revboost-settings-'));
+
+const businessSettings = require('./business-settings-service');
+
+describe('BusinessSettingsService', () => {
+  afterAll(() => {
+    fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+  });
+
+  describe('resolveSendTime', () => {
+    beforeAll(() => {
+      businessSettings.update('quiet', {
+        quietHours: { start: '21:00', end: '08:00', timezone: 'America/New_York', channels: ['sms'] },
+      });
+    });
+
+    test('sends straight away without quiet hours', () => {
+      expect(businessSettings.resolveSendTime({ channel: 'sms', businessId: 'loud' })).toBeNull();
+    });
+
+    test('keeps a requested time outside quiet hours', () => {
+      const runAt = '2026-06-01T16:00:00.000Z';
+
+      expect(businessSettings.resolveSendTime({ channel: 'sms', businessId: 'quiet', runAt })).toEqual(new Date(runAt));
+    });
+
+    test('defers into the business timezone', () => {
+      // 23:00 EDT
+      const deferred = businessSettings.resolveSendTime({ channel: 'sms', businessId: 'quiet', runAt: '2026-06-02T03:00:00Z' });
+
+      expect(deferred).toEqual(new Date('2026-06-02T12:00:00Z'));
+    });
+
+    test('prefers the recipient timezone', () => {
+      // 18:00 in Los Angeles, outside quiet hours there
+      expect(businessSettings.resolveSendTime({
+        channel: 'sms',
+        businessId: 'quiet',
+        timezone: 'America/Los_Angeles',
+        runAt: '2026-06-02T01:00:00Z',
+      })).toEqual(new Date('2026-06-02T01:00:00Z'));
+    });
+
+    test('only applies to the configured channels', () => {
+      expect(businessSettings.resolveSendTime({ channel: 'email', businessId: 'quiet', runAt: '2026-06-02T03:00:00Z' }))
+        .toEqual(new Date('2026-06-02T03:00:00Z'));
+    });
+
+    test('ends the window at local 08:00 across a DST change', () => {
+      // 22:00 EST on 7 March; clocks spring forward overnight
+      expect(businessSettings.resolveSendTime({ channel: 'sms', businessId: 'quiet', runAt: '2026-03-08T03:00:00Z' }))
+        .toEqual(new Date('2026-03-08T12:00:00Z'));
+    });
+  });
+
+  test('falls back to UTC when DEFAULT_TIMEZONE is not a known zone', () => {
+    const original = process.env.DEFAULT_TIMEZONE;
+    process.env.DEFAULT_TIMEZONE = 'Mars/Olympus_Mons';
+
+    jest.isolateModules(() => {
+      const isolated = require('./business-settings-service');
+      isolated.update('utc', { quietHours: { start: '21:00', end: '08:00' } });
+
+      expect(isolated.defaultTimezone).toBe('UTC');
+      expect(isolated.resolveSendTime({ channel: 'sms', businessId: 'utc', runAt: '2026-06-01T22:00:00Z' }))
+        .toEqual(new Date('2026-06-02T08:00:00Z'));
+    });
+
+    if (original === undefined) {
+      delete process.env.DEFAULT_TIMEZONE;
+    } else {
+      process.env.DEFAULT_TIMEZONE = original;
+    }
+  });
+});
@@ -0,0 +1,397 @@
+// services/campaign-service.js - Bulk review-request campaigns
+
+const logger = require('../utils/logger');
+const HttpError = require('../utils/http-error');
+const emailService = require('./email-service');
+const smsService = require('./sms-service');
+const messageLog = require('./message-log-service');
+const { FileStore } = require('../utils/file-store');
+const { normalizePhoneNumber } = require('../utils/phone');
+const { isValidLocale } = require('../utils/i18n');
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Message log statuses grouped into campaign progress buckets
+const PROGRESS_BY_STATUS = {
+  queued: 'queued',
+  retrying: 'queued',
+  sent: 'sent',
+  delayed: 'sent',
+  delivered: 'sent',
+  opened: 'sent',
+  clicked: 'sent',
+  failed: 'failed',
+  bounced: 'failed',
+  complained: 'failed',
+  undelivered: 'failed',
+  suppressed: 'skipped',
+};
+
+/**
+ * Check that a value is an absolute http(s) URL
+ * @param {string} value - Candidate URL
+ * @returns {boolean} True if valid
+ */
+function isHttpUrl(value) {
+  try {
+    const url = new URL(value);
+    return url.protocol === 'http:' || url.protocol === 'https:';
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Service for sending review requests to many recipients at once.
+ * Every row is validated up front; invalid, duplicate, suppressed and
+ * recently contacted recipients are skipped and the rest are queued, spaced out to respect
+ * the campaign's throttle. Rows are handed to the send services in batches
+ * of CAMPAIGN_BATCH_SIZE after the campaign is stored. Each row is claimed
+ * in a small side store before it is sent and its result written there, so
+ * a restart never sends a row twice; claims are folded into the campaign
+ * once per batch. Progress is read back from the message log.
+ */
+class CampaignService {
+  constructor() {
+    this.store = new FileStore('campaigns', { idPrefix: 'cmp' });
+    this.claims = new FileStore('campaign-claims', { idPrefix: 'cmc' });
+    this.maxRecipients = parseInt(process.env.CAMPAIGN_MAX_RECIPIENTS, 10) || 5000;
+    this.defaultThrottle = parseInt(process.env.CAMPAIGN_THROTTLE_PER_MINUTE, 10) || 60;
+    this.batchSize = parseInt(process.env.CAMPAIGN_BATCH_SIZE, 10) || 50;
+  }
+
+  /**
+   * Validate and normalize one recipient row
+   * @param {Object} row - Raw row
+   * @param {Object} defaults - Campaign-level defaults
+   * @returns {Object} `{ recipient }` or `{ error }`
+   * @private
+   */
+  validateRow(row, defaults) {
+    const value = key => (typeof row[key] === 'string' ? row[key].trim() : row[key]);
+    const email = value('toEmail') || value('email');
+    const phoneNumber = value('phoneNumber') || value('phone');
+    const channel = (value('channel') || defaults.channel || (email ? 'email' : 'sms')).toLowerCase();
+    const customerName = value('customerName');
+    const reviewLink = value('reviewLink') || defaults.reviewLink;
+    const country = value('country') || defaults.country;
+    const locale = value('locale') || value('language') || defaults.locale;
+
+    if (locale && !isValidLocale(locale)) {
+      return { error: 'Locale must be a language tag such as "es" or "fr-CA"' };
+    }
+
+    if (!['email', 'sms'].includes(channel)) {
+      return { error: 'Channel must be email or sms' };
+    }
+
+    if (!customerName) {
+      return { error: 'Customer name is required' };
+    }
+
+    if (!reviewLink || !isHttpUrl(reviewLink)) {
+      return { error: 'Valid review link URL is required' };
+    }
+
+    let address;
+    if (channel === 'email') {
+      if (!email || !EMAIL_PATTERN.test(email)) {
+        return { error: 'Valid email address required' };
+      }
+      address = email.toLowerCase();
+    } else {
+      address = normalizePhoneNumber(phoneNumber, country);
+      if (!address) {
+        return { error: 'Valid phone number required' };
+      }
+    }
+
+    // The other contact detail, if given, lets frequency caps match across channels
+    const otherContact = channel === 'email'
+      ? { customerPhone: (phoneNumber && normalizePhoneNumber(phoneNumber, country)) || undefined }
+      : { customerEmail: email && EMAIL_PATTERN.test(email) ? email.toLowerCase() : undefined };
+
+    return {
+      recipient: { channel, address, customerName, reviewLink, country: country || null, locale: locale || null, ...otherContact },
+    };
+  }
+
+  /**
+   * Create a campaign. Rows are validated and the campaign is stored
+   * straight away; the valid rows are then sent in batches in the
+   * background (see `dispatch`), so a large upload doesn't hold up the
+   * request or the server.
+   * @param {Object} options - Campaign options
+   * @param {string} options.businessId - Owning business
+   * @param {string} options.businessName - Business name used in messages
+   * @param {Array<Object>} options.rows - Recipient rows (customerName,
+   *   toEmail/email or phoneNumber/phone, and optional channel, reviewLink,
+   *   country, locale)
+   * @param {string} [options.name] - Campaign name
+   * @param {string} [options.channel] - Default channel for rows
+   * @param {string} [options.reviewLink] - Default review link for rows
+   * @param {string} [options.country] - Default country for phone numbers
+   * @param {string} [options.locale] - Default language for rows
+   * @param {string} [options.replyTo] - Reply-to address for emails
+   * @param {number} [options.throttlePerMinute] - Maximum sends per minute
+   * @param {Object} [options.customData] - Custom data for every message
+   * @param {boolean} [options.force] - Send to recipients a frequency cap would skip
+   * @returns {Object} The campaign with progress; valid rows are "pending"
+   */
+  create({ businessId, businessName, rows, name, channel, reviewLink, country, locale, replyTo, throttlePerMinute, customData, force }) {
+    if (!Array.isArray(rows) || rows.length === 0) {
+      throw new HttpError(400, 'At least one recipient is required', { code: 'recipients_required' });
+    }
+
+    if (rows.length > this.maxRecipients) {
+      throw new HttpError(400, `Campaigns are limited to ${this.maxRecipients} recipients`, { code: 'too_many_recipients' });
+    }
+
+    const seen = new Set();
+
+    const recipients = rows.map((row, index) => {
+      const { recipient, error } = this.validateRow(row || {}, { channel, reviewLink, country, locale });
+      const entry = {
+        row: index + 1,
+        channel: recipient ? recipient.channel : null,
+        address: recipient ? recipient.address : null,
+        customerName: recipient ? recipient.customerName : null,
+        status: 'pending',
+        reason: null,
+        error: null,
+        messageId: null,
+      };
+
+      if (error) {
+        return { ...entry, status: 'skipped', reason: 'invalid', error };
+      }
+
+      const key = `${recipient.channel}:${recipient.address}`;
+      if (seen.has(key)) {
+        return { ...entry, status: 'skipped', reason: 'duplicate' };
+      }
+      seen.add(key);
+
+      // Kept until the row is sent, so dispatch can resume after a restart
+      return { ...entry, recipient };
+    });
+
+    const campaign = this.store.insert({
+      businessId,
+      businessName,
+      name: name || null,
+      throttlePerMinute: throttlePerMinute || this.defaultThrottle,
+      sendOptions: { replyTo: replyTo || null, customData: customData || null, force: !!force },
+      queuedCount: 0,
+      startAt: new Date().toISOString(),
+      recipients,
+    });
+
+    logger.info(`Campaign ${campaign.id} created for business ${businessId} with ${rows.length} rows`);
+    this.scheduleDispatch(campaign.id);
+
+    return this.withProgress(campaign);
+  }
+
+  /**
+   * Dispatch a campaign's next batch on a later turn of the event loop
+   * @param {string} id - Campaign ID
+   * @private
+   */
+  scheduleDispatch(id) {
+    setImmediate(() => {
+      this.dispatch(id).catch(error => logger.error(`Campaign ${id} dispatch failed: ${error.message}`));
+    });
+  }
+
+  /**
+   * Fold a campaign's row claims into its recipients and delete them.
+   * A claim without a result was being sent when the server stopped; the
+   * row may already be queued, so it is marked failed rather than sent
+   * again.
+   * @param {string} id - Campaign ID
+   * @returns {Object|null} The updated campaign
+   * @private
+   */
+  settleClaims(id) {
+    const campaign = this.store.get(id);
+    const claims = this.claims.find(claim => claim.campaignId === id);
+
+    if (!campaign || claims.length === 0) {
+      return campaign;
+    }
+
+    const recipients = campaign.recipients.slice();
+    let { queuedCount } = campaign;
+
+    claims.forEach((claim) => {
+      const index = claim.row - 1;
+
+      // Already folded in before a crash removed the claims
+      if (recipients[index].status !== 'pending') {
+        return;
+      }
+
+      const { recipient, ...entry } = recipients[index];
+      const result = claim.result || { status: 'failed', reason: 'interrupted', error: 'Sending was interrupted; not retried to avoid a duplicate' };
+
+      recipients[index] = { ...entry, ...result };
+      if (result.status === 'queued') {
+        queuedCount += 1;
+      }
+    });
+
+    const updated = this.store.update(id, { recipients, queuedCount });
+    this.claims.removeWhere(claim => claim.campaignId === id);
+
+    return updated;
+  }
+
+  /**
+   * Send a campaign's pending rows, one batch per turn of the event loop
+   * until none are left
+   * @param {string} id - Campaign ID
+   * @returns {Promise<void>}
+   * @private
+   */
+  async dispatch(id) {
+    const campaign = this.settleClaims(id);
+
+    if (!campaign) {
+      return;
+    }
+
+    const { businessId, businessName, sendOptions } = campaign;
+    const intervalMs = Math.ceil(60000 / campaign.throttlePerMinute);
+    const startAt = new Date(campaign.startAt).getTime();
+    const pending = campaign.recipients
+      .filter(entry => entry.status === 'pending')
+      .slice(0, this.batchSize);
+    let { queuedCount } = campaign;
+
+    for (const { row, recipient } of pending) {
+      const claim = this.claims.insert({ campaignId: id, row, result: null });
+      const result = {};
+
+      try {
+        const common = {
+          customerName: recipient.customerName,
+          businessName,
+          reviewLink: recipient.reviewLink,
+          businessId,
+          customData: sendOptions.customData || undefined,
+          locale: recipient.locale || undefined,
+          runAt: new Date(startAt + queuedCount * intervalMs),
+          force: sendOptions.force,
+        };
+
+        const sent = recipient.channel === 'email'
+          ? await emailService.sendReviewRequest({ ...common, toEmail: recipient.address, replyTo: sendOptions.replyTo || undefined, customerPhone: recipient.customerPhone })
+          : await smsService.sendReviewRequest({ ...common, phoneNumber: recipient.address, country: recipient.country, customerEmail: recipient.customerEmail });
+
+        result.messageId = sent.messageId;
+
+        if (sent.status === 'suppressed') {
+          Object.assign(result, { status: 'skipped', reason: 'suppressed' });
+        } else if (sent.status === 'skipped') {
+          Object.assign(result, { status: 'skipped', reason: sent.reason, lastContactAt: sent.lastContactAt });
+        } else {
+          result.status = 'queued';
+          queuedCount += 1;
+        }
+      } catch (sendError) {
+        Object.assign(result, { status: 'failed', error: sendError.message });
+      }
+
+      this.claims.update(claim.id, { result });
+
+      // Let requests in between sends; each one writes several stores
+      await new Promise(resolve => setImmediate(resolve));
+    }
+
+    const { recipients } = this.settleClaims(id);
+
+    if (recipients.some(entry => entry.status === 'pending')) {
+      this.scheduleDispatch(id);
+    } else {
+      logger.info(`Campaign ${id} dispatched: ${queuedCount}/${recipients.length} recipients queued`);
+    }
+  }
+
+  /**
+   * Resume campaigns whose rows were still being sent when the server stopped
+   */
+  start() {
+    this.store
+      .find(campaign => campaign.recipients.some(entry => entry.status === 'pending'))
+      .forEach((campaign) => {
+        logger.info(`Resuming campaign ${campaign.id}`);
+        this.scheduleDispatch(campaign.id);
+      });
+  }
+
+  /**
+   * Refresh recipient statuses from the message log and add a summary
+   * @param {Object} campaign - Stored campaign
+   * @returns {Object} Campaign with current `recipients`, `summary` and `status`
+   * @private
+   */
+  withProgress(campaign) {
+    const recipients = campaign.recipients.map(({ recipient, ...entry }) => {
+      if (!entry.messageId || entry.status === 'skipped') {
+        return entry;
+      }
+
+      const message = messageLog.get(entry.messageId);
+      if (!message) {
+        return entry;
+      }
+
+      return {
+        ...entry,
+        status: PROGRESS_BY_STATUS[message.status] || entry.status,
+        messageStatus: message.status,
+        error: message.error || entry.error,
+      };
+    });
+
+    const summary = { total: recipients.length, pending: 0, queued: 0, sent: 0, failed: 0, skipped: 0 };
+    recipients.forEach((entry) => {
+      summary[entry.status] = (summary[entry.status] || 0) + 1;
+    });
+
+    return {
+      ...campaign,
+      status: summary.pending > 0 || summary.queued > 0 ? 'in_progress' : 'completed',
+      summary,
+      recipients,
+    };
+  }
+
+  /**
+   * Get a campaign with per-recipient progress
+   * @param {string} id - Campaign ID
+   * @returns {Object|null} The campaign
+   */
+  get(id) {
+    const campaign = this.store.get(id);
+    return campaign ? this.withProgress(campaign) : null;
+  }
+
+  /**
+   * List a business's campaigns with summaries, newest first
+   * @param {string} businessId - Business ID
+   * @returns {Array<Object>} Campaigns without per-recipient detail
+   */
+  list(businessId) {
+    return this.store
+      .find(campaign => campaign.businessId === businessId)
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+      .map((campaign) => {
+        const { recipients, ...rest } = this.withProgress(campaign);
+        return rest;
+      });
+  }
+}
+
+module.exports = new CampaignService();
@@ -0,0 +1,165 @@
+// services/campaign-service.test.js
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+jest.mock('./email-service', () => ({ sendReviewRequest: jest.fn() }));
+jest.mock('./sms-service', () => ({ sendReviewRequest: jest.fn() }));
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'revboost-campaigns-'));
+
+const campaignService = require('./campaign-service');
+const emailService = require('./email-service');
+const smsService = require('./sms-service');
+
+const REVIEW_LINK = 'https://g.page/r/abc/review';
+
+/**
+ * Build email recipient rows
+ * @param {number} count - Number of rows
+ * @returns {Array<Object>} Rows
+ */
+function emailRows(count) {
+  return Array.from({ length: count }, (value, index) => ({ customerName: `C${index}`, email: `c${index}@x.com` }));
+}
+
+/**
+ * Create a campaign without starting its background dispatch
+ * @param {Object} options - Options for `create`
+ * @returns {Object} The campaign
+ */
+function createHeld(options) {
+  const schedule = jest.spyOn(campaignService, 'scheduleDispatch').mockImplementation(() => {});
+  const campaign = campaignService.create({ businessId: 'biz1', businessName: 'Cafe', reviewLink: REVIEW_LINK, ...options });
+  schedule.mockRestore();
+  return campaign;
+}
+
+/**
+ * Run dispatch batches until the campaign has no pending rows
+ * @param {string} id - Campaign ID
+ * @returns {Promise<number>} Number of batches run
+ */
+async function dispatchAll(id) {
+  const schedule = jest.spyOn(campaignService, 'scheduleDispatch').mockImplementation(() => {});
+  let batches = 0;
+
+  do {
+    await campaignService.dispatch(id);
+    batches += 1;
+  } while (campaignService.store.get(id).recipients.some(entry => entry.status === 'pending'));
+
+  schedule.mockRestore();
+  return batches;
+}
+
+describe('CampaignService', () => {
+  let sent = 0;
+
+  beforeEach(() => {
+    campaignService.batchSize = 2;
+    const send = jest.fn(async () => ({ messageId: `msg_${++sent}`, status: 'queued' }));
+    emailService.sendReviewRequest.mockImplementation(send);
+    smsService.sendReviewRequest.mockImplementation(send);
+    emailService.sendReviewRequest.mockClear();
+    smsService.sendReviewRequest.mockClear();
+  });
+
+  afterAll(() => {
+    fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+  });
+
+  test('validates rows up front and leaves valid ones pending', () => {
+    const campaign = createHeld({
+      rows: [
+        { customerName: 'Ada', email: 'ADA@x.com' },
+        { customerName: 'Ada again', email: 'ada@x.com' },
+        { customerName: 'Bob', phone: '(415) 555-0100' },
+        { email: 'nameless@x.com' },
+      ],
+    });
+
+    expect(campaign.recipients.map(entry => [entry.status, entry.reason])).toEqual([
+      ['pending', null],
+      ['skipped', 'duplicate'],
+      ['pending', null],
+      ['skipped', 'invalid'],
+    ]);
+    expect(campaign.recipients[2]).toMatchObject({ channel: 'sms', address: '+14155550100' });
+    expect(campaign.recipients.every(entry => entry.recipient === undefined)).toBe(true);
+    expect(campaign.summary).toMatchObject({ total: 4, pending: 2, skipped: 2 });
+    expect(emailService.sendReviewRequest).not.toHaveBeenCalled();
+  });
+
+  test('sends pending rows in batches and spaces them by the throttle', async () => {
+    const campaign = createHeld({ rows: emailRows(5), throttlePerMinute: 60 });
+
+    expect(await dispatchAll(campaign.id)).toBe(3);
+
+    const stored = campaignService.store.get(campaign.id);
+    expect(stored.recipients.map(entry => entry.status)).toEqual(['queued', 'queued', 'queued', 'queued', 'queued']);
+    expect(stored.queuedCount).toBe(5);
+    expect(campaignService.claims.find(claim => claim.campaignId === campaign.id)).toEqual([]);
+
+    const runAts = emailService.sendReviewRequest.mock.calls.map(([options]) => options.runAt.getTime());
+    expect(runAts[4] - runAts[0]).toBe(4 * 1000);
+  });
+
+  test('records send failures and skipped recipients per row', async () => {
+    emailService.sendReviewRequest
+      .mockImplementationOnce(async () => { throw new Error('provider down'); })
+      .mockImplementationOnce(async () => ({ messageId: 'msg_s', status: 'suppressed' }));
+
+    const campaign = createHeld({ rows: emailRows(3) });
+    await dispatchAll(campaign.id);
+
+    expect(campaignService.store.get(campaign.id).recipients.map(entry => [entry.status, entry.reason || entry.error])).toEqual([
+      ['failed', 'provider down'],
+      ['skipped', 'suppressed'],
+      ['queued', null],
+    ]);
+  });
+
+  test('resumes after a restart without sending claimed rows again', async () => {
+    const campaign = createHeld({ rows: emailRows(4) });
+
+    // Row 1 was queued and row 2 was being sent when the server stopped
+    campaignService.claims.insert({ campaignId: campaign.id, row: 1, result: { status: 'queued', messageId: 'msg_before' } });
+    campaignService.claims.insert({ campaignId: campaign.id, row: 2, result: null });
+
+    await dispatchAll(campaign.id);
+
+    const stored = campaignService.store.get(campaign.id);
+    expect(stored.recipients.map(entry => [entry.status, entry.reason])).toEqual([
+      ['queued', null],
+      ['failed', 'interrupted'],
+      ['queued', null],
+      ['queued', null],
+    ]);
+    expect(stored.recipients[0].messageId).toBe('msg_before');
+    expect(stored.queuedCount).toBe(3);
+    expect(emailService.sendReviewRequest.mock.calls.map(([options]) => options.toEmail)).toEqual(['c2@x.com', 'c3@x.com']);
+  });
+
+  test('start resumes campaigns with pending rows', async () => {
+    const campaign = createHeld({ rows: emailRows(1) });
+    const dispatch = jest.spyOn(campaignService, 'dispatch').mockResolvedValue();
+
+    campaignService.start();
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(dispatch).toHaveBeenCalledWith(campaign.id);
+    dispatch.mockRestore();
+  });
+
+  test('rejects empty and oversized campaigns', () => {
+    expect(() => createHeld({ rows: [] })).toThrow(expect.objectContaining({ code: 'recipients_required' }));
+
+    const { maxRecipients } = campaignService;
+    campaignService.maxRecipients = 2;
+    expect(() => createHeld({ rows: emailRows(3) })).toThrow(expect.objectContaining({ code: 'too_many_recipients' }));
+    campaignService.maxRecipients = maxRecipients;
+  });
+});
@@ -0,0 +1,178 @@
+// services/click-tracking-service.js - Short tracking links for review links
+
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const messageLog = require('./message-log-service');
+const deliveryStatus = require('./delivery-status-service');
+const { FileStore } = require('../utils/file-store');
+
+const CODE_ALPHABET = 'abcdefghijkmnpqrstuvwxyzABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 8;
+const MAX_CLICKS_KEPT = 100;
+
+// Link previews and mail scanners fetch links nobody clicked. iMessage
+// previews identify as facebookexternalhit, so that covers SMS too.
+const BOT_USER_AGENT = /bot|crawl|spider|preview|scanner|facebookexternalhit|whatsapp|slurp|headless/i;
+
+/**
+ * Service for review-link click tracking.
+ * Each review request gets a short `/r/:code` URL that records the click
+ * and redirects to the real review link. Clicks mark the message
+ * "clicked" through the delivery status service, so they show up in the
+ * message log and end follow-up sequences. Requires PUBLIC_BASE_URL.
+ */
+class ClickTrackingService {
+  constructor() {
+    this.store = new FileStore('tracked-links', { idPrefix: 'lnk' });
+    this.baseUrl = process.env.PUBLIC_BASE_URL;
+    this.enabled = process.env.CLICK_TRACKING_ENABLED !== 'false';
+  }
+
+  /**
+   * Check whether review links should be rewritten
+   * @returns {boolean} True if tracking is on and PUBLIC_BASE_URL is set
+   */
+  isEnabled() {
+    return this.enabled && !!this.baseUrl;
+  }
+
+  /**
+   * Generate an unused short code
+   * @returns {string} The code
+   * @private
+   */
+  generateCode() {
+    let code;
+
+    do {
+      const bytes = crypto.randomBytes(CODE_LENGTH);
+      code = Array.from(bytes, byte => CODE_ALPHABET[byte % CODE_ALPHABET.length]).join('');
+    } while (this.findByCode(code));
+
+    return code;
+  }
+
+  /**
+   * Create a tracking link for a review link
+   * @param {Object} options - Link details
+   * @param {string} [options.businessId] - Sending business
+   * @param {string} options.channel - "email" or "sms"
+   * @param {string} options.targetUrl - Review link to redirect to
+   * @returns {Object|null} The link with its public `url`, or null if tracking is off
+   */
+  create({ businessId, channel, targetUrl }) {
+    if (!this.isEnabled()) {
+      return null;
+    }
+
+    const link = this.store.insert({
+      code: this.generateCode(),
+      businessId: businessId || null,
+      messageId: null,
+      channel,
+      targetUrl,
+      clickCount: 0,
+      firstClickedAt: null,
+      lastClickedAt: null,
+      clicks: [],
+    });
+
+    return { ...link, url: this.getUrl(link.code) };
+  }
+
+  /**
+   * Link a tracking link to the message it was sent in
+   * @param {string} id - Link ID
+   * @param {string} messageId - Message log ID
+   * @returns {Object|null} The updated link
+   */
+  attachMessage(id, messageId) {
+    return this.store.update(id, { messageId });
+  }
+
+  /**
+   * Build the public URL for a code
+   * @param {string} code - Link code
+   * @returns {string} e.g. "https://api.example.com/r/aB3dE5fG"
+   */
+  getUrl(code) {
+    return `${this.baseUrl.replace(/\/+$/, '')}/r/${code}`;
+  }
+
+  /**
+   * Find a link by its code
+   * @param {string} code - Link code
+   * @returns {Object|null} The link
+   */
+  findByCode(code) {
+    return this.store.findOne(link => link.code === code);
+  }
+
+  /**
+   * Record a click and return where to send the customer. Clicks from
+   * link previews and scanners are kept but not counted.
+   * @param {string} code - Link code
+   * @param {Object} [request] - Request details
+   * @param {string} [request.userAgent] - User-Agent header
+   * @returns {string|null} The review link, or null for an unknown code
+   */
+  recordClick(code, { userAgent } = {}) {
+    const link = this.findByCode(code);
+
+    if (!link) {
+      return null;
+    }
+
+    const at = new Date().toISOString();
+    const bot = BOT_USER_AGENT.test(userAgent || '');
+    const click = { at, channel: link.channel, userAgent: userAgent || null, bot };
+    const changes = { clicks: link.clicks.concat([click]).slice(-MAX_CLICKS_KEPT) };
+
+    if (!bot) {
+      changes.clickCount = link.clickCount + 1;
+      changes.firstClickedAt = link.firstClickedAt || at;
+      changes.lastClickedAt = at;
+    }
+
+    this.store.update(link.id, changes);
+
+    if (!bot && link.messageId) {
+      const message = messageLog.get(link.messageId);
+
+      if (message) {
+        deliveryStatus.applyMessageEvent(message, {
+          provider: 'revboost',
+          status: 'clicked',
+          type: 'link.clicked',
+          occurredAt: at,
+          details: { link: link.targetUrl, userAgent: userAgent || null },
+        });
+      }
+    }
+
+    logger.info(`Tracking link ${code} clicked${bot ? ' by a bot' : ''} (message ${link.messageId || 'unknown'})`);
+    return link.targetUrl;
+  }
+
+  /**
+   * Delete a link that was never sent
+   * @param {string} id - Link ID
+   * @returns {boolean} True if deleted
+   */
+  remove(id) {
+    return this.store.remove(id);
+  }
+
+  /**
+   * List the tracking links sent in a message
+   * @param {string} messageId - Message log ID
+   * @returns {Array<Object>} Links with their clicks
+   */
+  listForMessage(messageId) {
+    return this.store
+      .find(link => link.messageId === messageId)
+      .map(link => ({ ...link, url: this.baseUrl ? this.getUrl(link.code) : null }));
+  }
+}
+
+module.exports = new ClickTrackingService();
@@ -0,0 +1,260 @@
+// services/conversation-service.js - Inbound SMS replies threaded with outbound messages
+
+const logger = require('../utils/logger');
+const messageLog = require('./message-log-service');
+const emailService = require('./email-service');
+const sequenceService = require('./sequence-service');
+const suppressionService = require('./suppression-service');
+const businessSettings = require('./business-settings-service');
+const { FileStore } = require('../utils/file-store');
+const { normalizePhoneNumber } = require('../utils/phone');
+const { detectKeyword } = require('../utils/sms-keywords');
+const { generateSmsReplyNotificationHtml } = require('../utils/email-templates');
+const { resolveLocale, translate, formatDate } = require('../utils/i18n');
+
+// Logged texts that never went out, so cannot be what a customer replies to
+const UNSENT_STATUSES = ['suppressed', 'skipped'];
+
+/**
+ * Service for texts customers send back to us.
+ * Each inbound SMS is attributed to the business that most recently texted
+ * that number and added to a conversation per business and customer
+ * number; the thread combines it with the outbound SMS in the message log.
+ * STOP, START and HELP get carrier-compliant auto-replies; STOP and START
+ * opt the number out of, or back into, the attributed business only.
+ * Other replies end the customer's follow-up sequences and are emailed to
+ * the business's `notificationEmail` (or its feedback gate address).
+ */
+class ConversationService {
+  constructor() {
+    this.conversations = new FileStore('conversations', { idPrefix: 'conv' });
+    this.inbound = new FileStore('inbound-messages', { idPrefix: 'in' });
+    this.keywordRepliesEnabled = process.env.SMS_KEYWORD_AUTO_REPLY !== 'false';
+    this.helpContact = process.env.SMS_HELP_CONTACT || emailService.fromEmail;
+  }
+
+  /**
+   * Find the latest SMS actually sent to a number. Suppressed and skipped
+   * sends are ignored, so a business that keeps trying to text a customer
+   * who opted out doesn't take over their replies.
+   * @param {string} phoneNumber - E.164 number
+   * @returns {Object|null} The outbound message
+   * @private
+   */
+  findLastOutbound(phoneNumber) {
+    const { messages } = messageLog.query({ channel: 'sms', recipient: phoneNumber, limit: Infinity });
+    return messages.find(message => !UNSENT_STATUSES.includes(message.status)) || null;
+  }
+
+  /**
+   * Build the auto-reply to a compliance keyword
+   * @param {string} keyword - "stop", "start" or "help"
+   * @param {Object} options - Reply details
+   * @param {string} options.businessName - Business the customer heard from
+   * @param {string} [options.locale] - Business's default language
+   * @returns {string|null} Reply text, or null if auto-replies are off
+   * @private
+   */
+  getKeywordReply(keyword, { businessName, locale }) {
+    if (!this.keywordRepliesEnabled) {
+      return null;
+    }
+
+    return translate(resolveLocale(locale), `smsKeywords.${keyword}`, { businessName, contact: this.helpContact });
+  }
+
+  /**
+   * Record an inbound SMS and act on it
+   * @param {Object} options - Inbound message
+   * @param {string} options.from - Sender number
+   * @param {string} [options.to] - Our number it was sent to
+   * @param {string} [options.body] - Message text
+   * @param {string} [options.providerMessageId] - Provider's message ID
+   * @returns {Promise<Object>} `{ message, reply }`: the stored inbound message
+   *   and the text to send back, if any
+   */
+  async receive({ from, to, body, providerMessageId }) {
+    const phoneNumber = normalizePhoneNumber(from) || from;
+    const text = String(body || '');
+    const keyword = detectKeyword(text);
+    const outbound = this.findLastOutbound(phoneNumber);
+    const businessId = outbound ? outbound.businessId : null;
+    const businessName = (outbound && outbound.businessName) || 'RevBoost';
+    const settings = businessSettings.get(businessId);
+
+    if (keyword === 'stop' || keyword === 'start') {
+      suppressionService.handleSmsKeyword(keyword, phoneNumber, businessId);
+    }
+
+    const reply = keyword ? this.getKeywordReply(keyword, { businessName, locale: settings.locale }) : null;
+
+    let conversation = null;
+    if (businessId) {
+      conversation = this.conversations.findOne(record => record.businessId === businessId && record.phoneNumber === phoneNumber)
+        || this.conversations.insert({
+          businessId,
+          phoneNumber,
+          unreadCount: 0,
+          inboundCount: 0,
+          lastInboundAt: null,
+          lastInboundText: null,
+        });
+    }
+
+    let message = this.inbound.insert({
+      conversationId: conversation ? conversation.id : null,
+      businessId,
+      phoneNumber,
+      to: to || null,
+      body: text,
+      keyword,
+      providerMessageId: providerMessageId || null,
+      inReplyTo: outbound ? outbound.id : null,
+      autoReply: reply,
+      forwardedMessageId: null,
+    });
+
+    if (conversation) {
+      this.conversations.update(conversation.id, {
+        unreadCount: conversation.unreadCount + 1,
+        inboundCount: conversation.inboundCount + 1,
+        lastInboundAt: message.createdAt,
+        lastInboundText: text.slice(0, 160),
+      });
+    }
+
+    logger.info(`Inbound SMS ${message.id} from ${phoneNumber}${keyword ? ` (${keyword.toUpperCase()})` : ''} for business ${businessId || 'unknown'}`);
+
+    if (businessId && !keyword) {
+      // A customer who wrote back shouldn't get automated reminders
+      sequenceService.stopForCustomer({ businessId, phoneNumber, reason: 'replied' });
+      message = await this.forwardToOwner(message, { businessName, settings });
+    }
+
+    return { message, reply };
+  }
+
+  /**
+   * Email a customer's reply to the business, if it has an address for it
+   * @param {Object} message - Stored inbound message
+   * @param {Object} context - Business details
+   * @param {string} context.businessName - Business name
+   * @param {Object} context.settings - Business settings
+   * @returns {Promise<Object>} The inbound message, with `forwardedMessageId`
+   *   if it was forwarded
+   * @private
+   */
+  async forwardToOwner(message, { businessName, settings }) {
+    const toEmail = settings.notificationEmail || (settings.feedbackGate && settings.feedbackGate.notifyEmail);
+
+    if (!toEmail) {
+      return message;
+    }
+
+    // A failed forward must not lose the reply itself
+    try {
+      const locale = resolveLocale(settings.locale);
+      const timezone = (settings.quietHours && settings.quietHours.timezone) || businessSettings.defaultTimezone;
+
+      const response = await emailService.sendEmail({
+        from: emailService.getFrom(message.businessId),
+        to: toEmail,
+        subject: translate(locale, 'smsReplyNotification.subject', { from: message.phoneNumber }),
+        html: generateSmsReplyNotificationHtml({
+          businessName,
+          from: message.phoneNumber,
+          body: message.body,
+          receivedAt: formatDate(new Date(message.createdAt), locale, timezone),
+          locale,
+          branding: settings.branding,
+        }),
+        tags: [
+          { name: 'type', value: 'sms_reply_notification' },
+          { name: 'business_id', value: message.businessId },
+        ]
+      }, { businessId: message.businessId, businessName });
+
+      return this.inbound.update(message.id, { forwardedMessageId: response.messageId });
+    } catch (error) {
+      logger.error(`Failed to forward inbound SMS ${message.id}: ${error.message}`);
+      return message;
+    }
+  }
+
+  /**
+   * List a business's conversations, most recent reply first
+   * @param {Object} filters - Query filters
+   * @param {string} filters.businessId - Business ID
+   * @param {boolean} [filters.unread] - Only conversations with unread replies
+   * @param {number} [filters.limit=50] - Page size
+   * @param {number} [filters.offset=0] - Records to skip
+   * @returns {Object} `{ conversations, total, limit, offset }`
+   */
+  list({ businessId, unread, limit = 50, offset = 0 }) {
+    const matches = this.conversations
+      .find(record => record.businessId === businessId && (!unread || record.unreadCount > 0))
+      .sort((a, b) => new Date(b.lastInboundAt) - new Date(a.lastInboundAt));
+
+    return {
+      conversations: matches.slice(offset, offset + limit),
+      total: matches.length,
+      limit,
+      offset,
+    };
+  }
+
+  /**
+   * Get a conversation
+   * @param {string} id - Conversation ID
+   * @returns {Object|null} The conversation
+   */
+  get(id) {
+    return this.conversations.get(id);
+  }
+
+  /**
+   * Get a conversation's messages in both directions, oldest first
+   * @param {Object} conversation - The conversation
+   * @returns {Array<Object>} Messages with `direction` "inbound" or "outbound"
+   */
+  getThread(conversation) {
+    const outbound = messageLog.store
+      .find(record => (
+        record.channel === 'sms'
+          && record.businessId === conversation.businessId
+          && record.recipient === conversation.phoneNumber
+      ))
+      .map(record => ({
+        direction: 'outbound',
+        id: record.id,
+        body: record.body,
+        templateType: record.templateType,
+        status: record.status,
+        at: record.createdAt,
+      }));
+
+    const inbound = this.inbound
+      .find(record => record.conversationId === conversation.id)
+      .map(record => ({
+        direction: 'inbound',
+        id: record.id,
+        body: record.body,
+        keyword: record.keyword,
+        autoReply: record.autoReply,
+        at: record.createdAt,
+      }));
+
+    return outbound.concat(inbound).sort((a, b) => new Date(a.at) - new Date(b.at));
+  }
+
+  /**
+   * Mark a conversation's replies as read
+   * @param {string} id - Conversation ID
+   * @returns {Object|null} The updated conversation
+   */
+  markRead(id) {
+    return this.conversations.update(id, { unreadCount: 0 });
+  }
+}
+
+module.exports = new ConversationService();
@@ -0,0 +1,136 @@
+// services/conversation-service.test.js
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+jest.mock('./email-service', () => ({ fromEmail: 'help@revboost.test', getFrom: jest.fn(), sendEmail: jest.fn() }));
+jest.mock('./sequence-service', () => ({ stopForCustomer: jest.fn() }));
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'revboost-conversations-'));
+
+const conversationService = require('./conversation-service');
+const messageLog = require('./message-log-service');
+const suppressionService = require('./suppression-service');
+const sequenceService = require('./sequence-service');
+
+/**
+ * Log an outbound SMS as if it was created some minutes ago
+ * @param {Object} options - Message details
+ * @param {string} options.businessId - Sending business
+ * @param {string} options.to - E.164 recipient
+ * @param {number} options.minutesAgo - Age of the message
+ * @param {string} [options.status] - Message status, defaults to "sent"
+ * @returns {Object} The message record
+ */
+function loggedSms({ businessId, to, minutesAgo, status = 'sent' }) {
+  const record = messageLog.create({ channel: 'sms', recipient: to, businessId, businessName: `Business ${businessId}`, status });
+  return messageLog.update(record.id, { createdAt: new Date(Date.now() - minutesAgo * 60000).toISOString() });
+}
+
+/**
+ * Check whether a business may text a number
+ * @param {string} phoneNumber - E.164 number
+ * @param {string} businessId - Sending business
+ * @returns {boolean} True if a suppression blocks it
+ */
+function isBlocked(phoneNumber, businessId) {
+  return !!suppressionService.check({ channel: 'sms', address: phoneNumber, businessId });
+}
+
+describe('ConversationService keyword handling', () => {
+  afterAll(() => {
+    fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+  });
+
+  test('STOP opts out of the business that last texted the number only', async () => {
+    const phone = '+14155550201';
+    loggedSms({ businessId: 'biz2', to: phone, minutesAgo: 60 });
+    loggedSms({ businessId: 'biz1', to: phone, minutesAgo: 5 });
+
+    const { message, reply } = await conversationService.receive({ from: phone, body: 'STOP' });
+
+    expect(message).toMatchObject({ businessId: 'biz1', keyword: 'stop' });
+    expect(reply).toContain('Business biz1');
+    expect(isBlocked(phone, 'biz1')).toBe(true);
+    expect(isBlocked(phone, 'biz2')).toBe(false);
+    expect(suppressionService.check({ channel: 'sms', address: phone, businessId: 'biz1' }))
+      .toMatchObject({ reason: 'stop', businessId: 'biz1', source: 'inbound_sms' });
+  });
+
+  test('START lifts only the attributed business\'s STOP', async () => {
+    const phone = '+14155550202';
+    suppressionService.add({ channel: 'sms', address: phone, reason: 'stop', businessId: 'biz2', source: 'inbound_sms' });
+    suppressionService.add({ channel: 'sms', address: phone, reason: 'stop', businessId: 'biz1', source: 'inbound_sms' });
+    loggedSms({ businessId: 'biz1', to: phone, minutesAgo: 5 });
+
+    await conversationService.receive({ from: phone, body: 'START' });
+
+    expect(isBlocked(phone, 'biz1')).toBe(false);
+    expect(isBlocked(phone, 'biz2')).toBe(true);
+  });
+
+  test('START leaves other kinds of suppression in place', async () => {
+    const phone = '+14155550203';
+    suppressionService.add({ channel: 'sms', address: phone, reason: 'manual', businessId: 'biz1' });
+    loggedSms({ businessId: 'biz1', to: phone, minutesAgo: 5 });
+
+    await conversationService.receive({ from: phone, body: 'unstop' });
+
+    expect(suppressionService.check({ channel: 'sms', address: phone, businessId: 'biz1' })).toMatchObject({ reason: 'manual' });
+  });
+
+  test.each(['suppressed', 'skipped'])('ignores later %s sends when attributing a reply', async (status) => {
+    const phone = status === 'suppressed' ? '+14155550204' : '+14155550205';
+    loggedSms({ businessId: 'biz1', to: phone, minutesAgo: 30 });
+    loggedSms({ businessId: 'biz2', to: phone, minutesAgo: 1, status });
+
+    const { message } = await conversationService.receive({ from: phone, body: 'STOP' });
+
+    expect(message.businessId).toBe('biz1');
+    expect(isBlocked(phone, 'biz1')).toBe(true);
+    expect(isBlocked(phone, 'biz2')).toBe(false);
+  });
+
+  test('a STOPped customer\'s START reaches the business it opted out of', async () => {
+    const phone = '+14155550206';
+    loggedSms({ businessId: 'biz1', to: phone, minutesAgo: 30 });
+    await conversationService.receive({ from: phone, body: 'STOP' });
+
+    // biz1 keeps trying; those sends are logged as suppressed
+    loggedSms({ businessId: 'biz1', to: phone, minutesAgo: 2, status: 'suppressed' });
+    loggedSms({ businessId: 'biz2', to: phone, minutesAgo: 1, status: 'skipped' });
+
+    const { message } = await conversationService.receive({ from: phone, body: 'START' });
+
+    expect(message.businessId).toBe('biz1');
+    expect(isBlocked(phone, 'biz1')).toBe(false);
+  });
+
+  test('an unattributed STOP and START apply to every business', async () => {
+    const phone = '+14155550207';
+
+    const { message } = await conversationService.receive({ from: phone, body: 'STOP' });
+
+    expect(message.businessId).toBeNull();
+    expect(isBlocked(phone, 'biz1')).toBe(true);
+    expect(isBlocked(phone, 'biz2')).toBe(true);
+
+    await conversationService.receive({ from: phone, body: 'START' });
+
+    expect(isBlocked(phone, 'biz1')).toBe(false);
+  });
+
+  test('ordinary replies go to the business that actually texted', async () => {
+    const phone = '+14155550208';
+    loggedSms({ businessId: 'biz1', to: phone, minutesAgo: 30 });
+    loggedSms({ businessId: 'biz2', to: phone, minutesAgo: 1, status: 'suppressed' });
+
+    const { message, reply } = await conversationService.receive({ from: phone, body: 'Thanks, see you soon' });
+
+    expect(message.businessId).toBe('biz1');
+    expect(reply).toBeNull();
+    expect(sequenceService.stopForCustomer).toHaveBeenCalledWith({ businessId: 'biz1', phoneNumber: phone, reason: 'replied' });
+  });
+});
@@ -0,0 +1,188 @@
+// services/delivery-status-service.js - Applies provider delivery events to the message log
+
+const EventEmitter = require('events');
+const logger = require('../utils/logger');
+const messageLog = require('./message-log-service');
+
+// Resend webhook event types and the message status they imply
+const RESEND_EVENT_STATUSES = {
+  'email.sent': 'sent',
+  'email.delivered': 'delivered',
+  'email.delivery_delayed': 'delayed',
+  'email.bounced': 'bounced',
+  'email.complained': 'complained',
+  'email.opened': 'opened',
+  'email.clicked': 'clicked',
+};
+
+// Twilio MessageStatus values and the message status they imply
+const TWILIO_STATUSES = {
+  accepted: 'sent',
+  queued: 'sent',
+  sending: 'sent',
+  sent: 'sent',
+  delivered: 'delivered',
+  undelivered: 'undelivered',
+  failed: 'failed',
+  read: 'opened',
+};
+
+// Later stages never move a message back to an earlier one (e.g. an
+// "opened" event arriving after "clicked"). Failure states always apply.
+const STATUS_RANK = {
+  queued: 0,
+  retrying: 0,
+  sent: 1,
+  delayed: 2,
+  delivered: 3,
+  opened: 4,
+  clicked: 5,
+};
+
+const FAILURE_STATUSES = ['failed', 'bounced', 'complained', 'undelivered'];
+
+/**
+ * Service that records delivery, engagement and failure events reported
+ * by provider webhooks and our own click tracking. Emits a "status" event
+ * for every applied update.
+ */
+class DeliveryStatusService extends EventEmitter {
+  /**
+   * Decide whether an event's status should replace the current one
+   * @param {string} current - Current message status
+   * @param {string} next - Status implied by the event
+   * @returns {boolean} True if the message status should change
+   * @private
+   */
+  shouldReplaceStatus(current, next) {
+    if (FAILURE_STATUSES.includes(next)) {
+      return true;
+    }
+
+    if (FAILURE_STATUSES.includes(current)) {
+      return false;
+    }
+
+    const currentRank = STATUS_RANK[current];
+    const nextRank = STATUS_RANK[next];
+
+    return nextRank !== undefined && (currentRank === undefined || nextRank > currentRank);
+  }
+
+  /**
+   * Apply a provider event to the matching message
+   * @param {Object} event - Normalized event
+   * @param {string} event.provider - Provider name
+   * @param {string} event.providerMessageId - Provider message ID
+   * @param {string} event.status - Normalized status
+   * @param {string} event.type - Raw provider event type
+   * @param {string} [event.occurredAt] - When the provider saw the event
+   * @param {Object} [event.details] - Extra provider data (bounce reason, link, ...)
+   * @returns {Object|null} The updated message, or null if unknown
+   */
+  applyEvent({ provider, providerMessageId, status, type, occurredAt, details }) {
+    const message = messageLog.findByProviderMessageId(providerMessageId);
+
+    if (!message) {
+      logger.warn(`Ignoring ${provider} ${type} event for unknown message ${providerMessageId}`);
+      return null;
+    }
+
+    return this.applyMessageEvent(message, { provider, status, type, occurredAt, details });
+  }
+
+  /**
+   * Apply an event to a message already looked up
+   * @param {Object} message - Message log record
+   * @param {Object} event - Normalized event
+   * @param {string} event.provider - Who reported the event
+   * @param {string} event.status - Normalized status
+   * @param {string} event.type - Raw event type
+   * @param {string} [event.occurredAt] - When the event happened
+   * @param {Object} [event.details] - Extra event data
+   * @returns {Object} The updated message
+   */
+  applyMessageEvent(message, { provider, status, type, occurredAt, details }) {
+    const at = occurredAt || new Date().toISOString();
+    const events = (message.events || []).concat([{ type, status, at, details: details || null }]);
+    const changes = { events };
+
+    if (this.shouldReplaceStatus(message.status, status)) {
+      changes.status = status;
+    }
+
+    changes[`${status}At`] = message[`${status}At`] || at;
+
+    if (FAILURE_STATUSES.includes(status) && details && details.reason) {
+      changes.error = details.reason;
+    }
+
+    const updated = messageLog.update(message.id, changes);
+
+    logger.info(`Message ${message.id} ${provider} event ${type} -> ${updated.status}`);
+    this.emit('status', { message: updated, status, type, provider, details: details || null });
+
+    return updated;
+  }
+
+  /**
+   * Handle a Resend webhook payload
+   * @param {Object} payload - Parsed webhook body (`{ type, created_at, data }`)
+   * @returns {Object|null} The updated message, or null if ignored
+   */
+  handleResendEvent(payload) {
+    const status = RESEND_EVENT_STATUSES[payload.type];
+    const data = payload.data || {};
+
+    if (!status || !data.email_id) {
+      logger.debug(`Ignoring Resend event ${payload.type}`);
+      return null;
+    }
+
+    const details = {};
+    if (data.bounce) {
+      details.reason = data.bounce.message || data.bounce.subType || data.bounce.type;
+      details.bounceType = data.bounce.type;
+    }
+    if (data.click) {
+      details.link = data.click.link;
+    }
+
+    return this.applyEvent({
+      provider: 'resend',
+      providerMessageId: data.email_id,
+      status,
+      type: payload.type,
+      occurredAt: payload.created_at,
+      details: Object.keys(details).length > 0 ? details : null,
+    });
+  }
+
+  /**
+   * Handle a Twilio SMS status callback
+   * @param {Object} params - Form parameters (MessageSid, MessageStatus, ErrorCode, ...)
+   * @returns {Object|null} The updated message, or null if ignored
+   */
+  handleTwilioStatus(params) {
+    const status = TWILIO_STATUSES[params.MessageStatus];
+
+    if (!status || !params.MessageSid) {
+      logger.debug(`Ignoring Twilio status ${params.MessageStatus}`);
+      return null;
+    }
+
+    const details = params.ErrorCode
+      ? { errorCode: params.ErrorCode, reason: params.ErrorMessage || `Twilio error ${params.ErrorCode}` }
+      : null;
+
+    return this.applyEvent({
+      provider: 'twilio',
+      providerMessageId: params.MessageSid,
+      status,
+      type: params.MessageStatus,
+      details,
+    });
+  }
+}
+
+module.exports = new DeliveryStatusService();
@@ -0,0 +1,225 @@
+// services/domain-service.js - Custom sending domains per business
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+const dns = require('dns');
+const logger = require('../utils/logger');
+const HttpError = require('../utils/http-error');
+const { FileStore } = require('../utils/file-store');
+const { buildDomainRecords, checkDomainRecords } = require('../utils/domain-records');
+
+const generateKeyPair = promisify(crypto.generateKeyPair);
+
+/**
+ * Service for the domains businesses send review requests from.
+ * Registering a domain creates a DKIM key and the SPF, DKIM and DMARC
+ * records to publish; the domain is only used for `from` addresses once
+ * a DNS check finds all three. The DKIM private key never leaves the
+ * store except to sign mail sent over SMTP, so only SMTP sends from these
+ * domains; other providers fall back to EMAIL_FROM_ADDRESS. The domain
+ * routes refuse registration and verification unless the primary provider
+ * can sign for them.
+ */
+class DomainService {
+  /**
+   * @param {Object} [options] - Service options
+   * @param {Object} [options.resolver] - DNS resolver with `resolveTxt(host)`,
+   *   replaceable so verification can run offline
+   */
+  constructor({ resolver } = {}) {
+    this.store = new FileStore('sending-domains', { idPrefix: 'dom' });
+    this.resolver = resolver || dns.promises;
+    this.spfInclude = process.env.SENDING_DOMAIN_SPF_INCLUDE || '_spf.revboostapp.com';
+    this.dkimSelector = process.env.DKIM_SELECTOR || 'revboost';
+  }
+
+  /**
+   * Strip secret fields from a stored domain
+   * @param {Object} record - Stored domain
+   * @returns {Object} Public domain details
+   * @private
+   */
+  toPublic(record) {
+    const { dkimPrivateKey, ...details } = record;
+    return details;
+  }
+
+  /**
+   * Register a sending domain for a business
+   * @param {Object} options - Domain details
+   * @param {string} options.businessId - Owning business
+   * @param {string} options.domain - Domain to send from
+   * @param {string} [options.localPart="reviews"] - Mailbox name for the from address
+   * @returns {Promise<Object>} The domain with the DNS records to publish
+   */
+  async register({ businessId, domain, localPart = 'reviews' }) {
+    const name = domain.trim().toLowerCase().replace(/\.$/, '');
+    const existing = this.store.findOne(record => record.domain === name);
+
+    if (existing) {
+      throw new HttpError(409, `Domain ${name} is already registered`, {
+        code: 'domain_exists',
+        details: existing.businessId === businessId ? { domainId: existing.id } : undefined,
+      });
+    }
+
+    const { publicKey, privateKey } = await generateKeyPair('rsa', {
+      modulusLength: 2048,
+      publicKeyEncoding: { type: 'spki', format: 'der' },
+      privateKeyEncoding: { type: 'pkcs8', format: 'pem' },
+    });
+
+    const records = buildDomainRecords({
+      domain: name,
+      dkimSelector: this.dkimSelector,
+      dkimPublicKey: publicKey.toString('base64'),
+      spfInclude: this.spfInclude,
+    });
+
+    const record = this.store.insert({
+      businessId,
+      domain: name,
+      fromAddress: `${localPart}@${name}`,
+      status: 'pending',
+      dkimSelector: this.dkimSelector,
+      dkimPrivateKey: privateKey,
+      records: records.map(entry => ({ ...entry, verified: false, error: null })),
+      lastCheckedAt: null,
+      verifiedAt: null,
+    });
+
+    logger.info(`Sending domain ${name} registered for business ${businessId} (${record.id})`);
+    return this.toPublic(record);
+  }
+
+  /**
+   * Look up a domain's DNS records and update its verification status.
+   * A failed lookup (e.g. a DNS timeout) leaves the status unchanged; a
+   * verified domain whose records have been removed goes back to pending.
+   * @param {string} id - Domain ID
+   * @returns {Promise<Object>} The domain with per-record results
+   */
+  async verify(id) {
+    const domain = this.store.get(id);
+
+    if (!domain) {
+      throw new HttpError(404, 'Domain not found', { code: 'domain_not_found' });
+    }
+
+    const records = await checkDomainRecords(domain.records, this.resolver);
+    const allVerified = records.every(record => record.verified);
+    const lookupFailed = records.some(record => record.error);
+
+    let status = domain.status;
+    if (allVerified) {
+      status = 'verified';
+    } else if (!lookupFailed) {
+      status = 'pending';
+    }
+
+    const updated = this.store.update(id, {
+      status,
+      records,
+      lastCheckedAt: new Date().toISOString(),
+      verifiedAt: status === 'verified' ? (domain.verifiedAt || new Date().toISOString()) : null,
+    });
+
+    if (status !== domain.status) {
+      logger.info(`Sending domain ${domain.domain} is now ${status}`);
+    }
+
+    return this.toPublic(updated);
+  }
+
+  /**
+   * Get a domain
+   * @param {string} id - Domain ID
+   * @returns {Object|null} The domain
+   */
+  get(id) {
+    const record = this.store.get(id);
+    return record ? this.toPublic(record) : null;
+  }
+
+  /**
+   * List a business's domains
+   * @param {string} businessId - Business ID
+   * @returns {Array<Object>} Domains
+   */
+  list(businessId) {
+    return this.store
+      .find(record => record.businessId === businessId)
+      .map(record => this.toPublic(record));
+  }
+
+  /**
+   * Delete a domain; the business goes back to the default from address
+   * @param {string} id - Domain ID
+   * @returns {boolean} True if deleted
+   */
+  remove(id) {
+    return this.store.remove(id);
+  }
+
+  /**
+   * Get the from address a business should send from
+   * @param {string} [businessId] - Business ID
+   * @returns {string|null} Address on the most recently verified domain,
+   *   or null to use EMAIL_FROM_ADDRESS
+   */
+  getFromAddress(businessId) {
+    if (!businessId) {
+      return null;
+    }
+
+    const verified = this.store
+      .find(record => record.businessId === businessId && record.status === 'verified')
+      .sort((a, b) => b.verifiedAt.localeCompare(a.verifiedAt));
+
+    return verified.length > 0 ? verified[0].fromAddress : null;
+  }
+
+  /**
+   * Find the verified domain a from header sends from
+   * @param {string} from - From header, e.g. "Name <reviews@example.com>"
+   * @returns {Object|null} The stored domain, or null
+   * @private
+   */
+  findVerifiedDomain(from) {
+    const match = /@([^\s>]+)>?\s*$/.exec(from || '');
+    const name = match ? match[1].toLowerCase() : null;
+
+    return name ? this.store.findOne(record => record.domain === name && record.status === 'verified') : null;
+  }
+
+  /**
+   * Check whether a from header uses a business's verified domain
+   * @param {string} from - From header
+   * @returns {boolean} True for a verified custom domain
+   */
+  isCustomDomain(from) {
+    return !!this.findVerifiedDomain(from);
+  }
+
+  /**
+   * Get nodemailer DKIM options for mail from a verified domain
+   * @param {string} from - From header, e.g. "Name <reviews@example.com>"
+   * @returns {Object|null} `{ domainName, keySelector, privateKey }`, or null
+   */
+  getDkimSigningKey(from) {
+    const domain = this.findVerifiedDomain(from);
+
+    if (!domain) {
+      return null;
+    }
+
+    return {
+      domainName: domain.domain,
+      keySelector: domain.dkimSelector,
+      privateKey: domain.dkimPrivateKey,
+    };
+  }
+}
+
+module.exports = new DomainService();
+module.exports.DomainService = DomainService;
@@ -0,0 +1,83 @@
+// services/domain-service.test.js
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'revboost-domains-'));
+
+const { DomainService } = require('./domain-service');
+
+/**
+ * Resolver answering TXT lookups from a fixed table
+ * @param {Object} answers - TXT values keyed by host
+ * @returns {Object} Resolver with `resolveTxt`
+ */
+function fakeResolver(answers) {
+  return {
+    resolveTxt: jest.fn(async (host) => {
+      if (answers[host] instanceof Error) {
+        throw answers[host];
+      }
+
+      if (!answers[host]) {
+        throw Object.assign(new Error(`queryTxt ENOTFOUND ${host}`), { code: 'ENOTFOUND' });
+      }
+
+      return answers[host].map(value => [value]);
+    }),
+  };
+}
+
+describe('DomainService', () => {
+  afterAll(() => {
+    fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+  });
+
+  test('verifies a domain once SPF, DKIM and DMARC are published', async () => {
+    const answers = {};
+    const service = new DomainService({ resolver: fakeResolver(answers) });
+    const domain = await service.register({ businessId: 'biz1', domain: 'Cafe.example.' });
+
+    expect(domain.domain).toBe('cafe.example');
+    expect(domain.dkimPrivateKey).toBeUndefined();
+
+    let checked = await service.verify(domain.id);
+    expect(checked.status).toBe('pending');
+    expect(service.getFromAddress('biz1')).toBeNull();
+
+    domain.records.forEach((record) => {
+      answers[record.host] = [record.value];
+    });
+
+    checked = await service.verify(domain.id);
+    expect(checked.status).toBe('verified');
+    expect(checked.records.every(record => record.verified)).toBe(true);
+    expect(service.getFromAddress('biz1')).toBe('reviews@cafe.example');
+    expect(service.isCustomDomain('Cafe <reviews@cafe.example>')).toBe(true);
+    expect(service.getDkimSigningKey('Cafe <reviews@cafe.example>')).toMatchObject({
+      domainName: 'cafe.example',
+      keySelector: 'revboost',
+    });
+  });
+
+  test('keeps the status when a lookup fails and reverts when records are removed', async () => {
+    const answers = {};
+    const service = new DomainService({ resolver: fakeResolver(answers) });
+    const domain = await service.register({ businessId: 'biz2', domain: 'bakery.example' });
+
+    domain.records.forEach((record) => {
+      answers[record.host] = [record.value];
+    });
+    await service.verify(domain.id);
+
+    answers[domain.records[0].host] = Object.assign(new Error('timeout'), { code: 'ETIMEOUT' });
+    expect((await service.verify(domain.id)).status).toBe('verified');
+
+    delete answers[domain.records[0].host];
+    expect((await service.verify(domain.id)).status).toBe('pending');
+    expect(service.isCustomDomain('reviews@bakery.example')).toBe(false);
+  });
+});
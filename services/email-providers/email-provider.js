@@ -0,0 +1,91 @@
+// services/email-providers/email-provider.js - Base class for email providers
+
+/**
+ * Base class for email providers.
+ * Subclasses implement `isConfigured()` and `deliver(emailData)`; this class
+ * tracks the outcome of each send so health checks can report provider state.
+ *
+ * `emailData` uses the Resend payload shape:
+ * `{ from, to, subject, html, text, reply_to, headers, tags }`.
+ */
+class EmailProvider {
+  /**
+   * @param {string} name - Provider name, e.g. "resend"
+   */
+  constructor(name) {
+    this.name = name;
+    // Whether mail from businesses' own verified domains can be signed
+    // (DKIM) and sent through this provider
+    this.supportsCustomDomains = false;
+    this.lastSuccessAt = null;
+    this.lastFailureAt = null;
+    this.lastError = null;
+    this.consecutiveFailures = 0;
+  }
+
+  /**
+   * Whether the provider has the configuration it needs
+   * @returns {boolean} True if the provider can send
+   */
+  isConfigured() {
+    return false;
+  }
+
+  /**
+   * Deliver an email. Implemented by subclasses.
+   * @param {Object} emailData - Email data
+   * @returns {Promise<Object>} `{ id }` - the provider message ID
+   * @abstract
+   */
+  async deliver(emailData) {
+    throw new Error(`${this.name} provider does not implement deliver()`);
+  }
+
+  /**
+   * Send an email, recording the outcome
+   * @param {Object} emailData - Email data
+   * @returns {Promise<Object>} `{ id }` - the provider message ID
+   */
+  async send(emailData) {
+    try {
+      const result = await this.deliver(emailData);
+
+      this.lastSuccessAt = new Date().toISOString();
+      this.consecutiveFailures = 0;
+
+      return result;
+    } catch (error) {
+      this.lastFailureAt = new Date().toISOString();
+      this.lastError = error.message;
+      this.consecutiveFailures += 1;
+
+      throw error;
+    }
+  }
+
+  /**
+   * Report provider state for health checks
+   * @returns {Object} Provider status
+   */
+  getStatus() {
+    let status = 'available';
+
+    if (!this.isConfigured()) {
+      status = 'not_configured';
+    } else if (this.consecutiveFailures > 0) {
+      status = 'degraded';
+    }
+
+    return {
+      name: this.name,
+      configured: this.isConfigured(),
+      status,
+      lastSuccessAt: this.lastSuccessAt,
+      lastFailureAt: this.lastFailureAt,
+      lastError: this.lastError,
+      consecutiveFailures: this.consecutiveFailures,
+    };
+  }
+}
+
+module.exports = EmailProvider;
@@ -0,0 +1,48 @@
+// services/email-providers/index.js - Email provider registry
+
+const logger = require('../../utils/logger');
+const ResendProvider = require('./resend-provider');
+const SmtpProvider = require('./smtp-provider');
+const OutboxProvider = require('./outbox-provider');
+
+const PROVIDERS = {
+  resend: ResendProvider,
+  smtp: SmtpProvider,
+  outbox: OutboxProvider,
+};
+
+/**
+ * Build the ordered failover list of email providers.
+ * EMAIL_PROVIDERS is a comma-separated list, e.g. "resend,smtp";
+ * the first entry is the primary provider.
+ * @param {string} [providerList] - Override EMAIL_PROVIDERS
+ * @returns {Array<EmailProvider>} Provider instances in failover order
+ */
+function createEmailProviders(providerList = process.env.EMAIL_PROVIDERS || 'resend') {
+  const names = providerList
+    .split(',')
+    .map(name => name.trim().toLowerCase())
+    .filter(Boolean);
+
+  const providers = names
+    .filter((name) => {
+      if (!PROVIDERS[name]) {
+        logger.error(`Unknown email provider "${name}" in EMAIL_PROVIDERS. Ignoring it.`);
+        return false;
+      }
+      return true;
+    })
+    .map(name => new PROVIDERS[name]());
+
+  if (providers.length === 0) {
+    logger.warn('No valid email providers configured. Falling back to resend.');
+    providers.push(new ResendProvider());
+  }
+
+  return providers;
+}
+
+module.exports = {
+  PROVIDERS,
+  createEmailProviders,
+};
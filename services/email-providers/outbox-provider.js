@@ -0,0 +1,51 @@
+// services/email-providers/outbox-provider.js - Local file outbox for development
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('../../utils/logger');
+const { generateId, getDataDir } = require('../../utils/file-store');
+const EmailProvider = require('./email-provider');
+
+/**
+ * Email provider that writes each message to a local outbox directory
+ * instead of sending it. Useful for development and manual testing.
+ */
+class OutboxProvider extends EmailProvider {
+  constructor() {
+    super('outbox');
+    this.supportsCustomDomains = true;
+    this.outboxDir = process.env.EMAIL_OUTBOX_DIR;
+  }
+
+  /**
+   * @returns {boolean} Always true; the outbox needs no credentials
+   */
+  isConfigured() {
+    return true;
+  }
+
+  /**
+   * Write the email to the outbox as JSON, plus its HTML body
+   * @param {Object} emailData - Email data
+   * @returns {Promise<Object>} `{ id }` - the generated outbox ID
+   */
+  async deliver(emailData) {
+    const dir = path.resolve(this.outboxDir || path.join(getDataDir(), 'outbox'));
+    const id = generateId('outbox');
+
+    await fs.promises.mkdir(dir, { recursive: true });
+    await fs.promises.writeFile(
+      path.join(dir, `${id}.json`),
+      JSON.stringify({ id, createdAt: new Date().toISOString(), ...emailData }, null, 2)
+    );
+
+    if (emailData.html) {
+      await fs.promises.writeFile(path.join(dir, `${id}.html`), emailData.html);
+    }
+
+    logger.info(`Email to ${emailData.to} written to outbox ${dir}/${id}.json`);
+    return { id };
+  }
+}
+
+module.exports = OutboxProvider;
@@ -0,0 +1,71 @@
+// services/email-providers/resend-provider.js - Resend HTTP API provider
+
+const axios = require('axios');
+const logger = require('../../utils/logger');
+const EmailProvider = require('./email-provider');
+
+/**
+ * Email provider backed by the Resend API
+ */
+class ResendProvider extends EmailProvider {
+  constructor() {
+    super('resend');
+    this.apiKey = process.env.RESEND_API_KEY;
+    this.apiUrl = process.env.RESEND_API_URL || 'https://api.resend.com/emails';
+  }
+
+  /**
+   * @returns {boolean} True if RESEND_API_KEY is set
+   */
+  isConfigured() {
+    return !!this.apiKey;
+  }
+
+  /**
+   * Send an email using Resend API
+   * @param {Object} emailData - Email data
+   * @returns {Promise<Object>} The Resend API response (`{ id }`)
+   */
+  async deliver(emailData) {
+    try {
+      // Check if API key is available
+      if (!this.apiKey) {
+        const configError = new Error('Resend API key is not configured');
+        configError.retryable = false;
+        throw configError;
+      }
+
+      // Send the email
+      const response = await axios.post(this.apiUrl, emailData, {
+        headers: {
+          'Authorization': `Bearer ${this.apiKey}`,
+          'Content-Type': 'application/json',
+        },
+        timeout: 10000, // 10 second timeout
+      });
+
+      return response.data;
+    } catch (error) {
+      if (error.response) {
+        // The request was made and the server responded with a status code
+        // that falls out of the range of 2xx
+        logger.error(`Resend API error: ${error.response.status} - ${JSON.stringify(error.response.data)}`);
+        const apiError = new Error((error.response.data && error.response.data.message) || 'Failed to send email');
+        apiError.providerStatus = error.response.status;
+        throw apiError;
+      } else if (error.request) {
+        // The request was made but no response was received
+        logger.error('No response received from Resend API');
+        const networkError = new Error('No response from email service');
+        networkError.retryable = true;
+        throw networkError;
+      } else {
+        // Something happened in setting up the request
+        logger.error(`Email request setup error: ${error.message}`);
+        throw error;
+      }
+    }
+  }
+}
+
+module.exports = ResendProvider;
@@ -0,0 +1,91 @@
+// services/email-providers/smtp-provider.js - SMTP provider using nodemailer
+
+const nodemailer = require('nodemailer');
+const EmailProvider = require('./email-provider');
+const sendingDomains = require('../domain-service');
+
+// nodemailer error codes caused by connectivity rather than the message
+const TRANSIENT_SMTP_CODES = ['ECONNECTION', 'ETIMEDOUT', 'ESOCKET', 'EDNS'];
+
+/**
+ * Email provider that sends through any SMTP server
+ */
+class SmtpProvider extends EmailProvider {
+  constructor() {
+    super('smtp');
+    this.supportsCustomDomains = true;
+    this.host = process.env.SMTP_HOST;
+    this.port = parseInt(process.env.SMTP_PORT, 10) || 587;
+    this.secure = process.env.SMTP_SECURE === 'true';
+    this.user = process.env.SMTP_USER;
+    this.pass = process.env.SMTP_PASS;
+    this.transporter = null;
+  }
+
+  /**
+   * @returns {boolean} True if SMTP_HOST is set
+   */
+  isConfigured() {
+    return !!this.host;
+  }
+
+  /**
+   * Create the nodemailer transport on first use
+   * @returns {Object} nodemailer transporter
+   * @private
+   */
+  getTransporter() {
+    if (!this.transporter) {
+      this.transporter = nodemailer.createTransport({
+        host: this.host,
+        port: this.port,
+        secure: this.secure,
+        auth: this.user ? { user: this.user, pass: this.pass } : undefined,
+        connectionTimeout: 10000,
+        greetingTimeout: 10000,
+        socketTimeout: 20000,
+      });
+    }
+
+    return this.transporter;
+  }
+
+  /**
+   * Send an email over SMTP
+   * @param {Object} emailData - Email data (Resend payload shape)
+   * @returns {Promise<Object>} `{ id }` - the SMTP Message-ID
+   */
+  async deliver(emailData) {
+    if (!this.isConfigured()) {
+      const configError = new Error('SMTP is not configured');
+      configError.retryable = false;
+      throw configError;
+    }
+
+    try {
+      const info = await this.getTransporter().sendMail({
+        from: emailData.from,
+        to: emailData.to,
+        subject: emailData.subject,
+        html: emailData.html,
+        text: emailData.text,
+        replyTo: emailData.reply_to,
+        headers: emailData.headers,
+        // Sign mail from verified custom domains with their DKIM key
+        dkim: sendingDomains.getDkimSigningKey(emailData.from) || undefined,
+      });
+
+      return { id: info.messageId };
+    } catch (error) {
+      // 4xx SMTP replies are temporary, 5xx are permanent
+      if (error.responseCode) {
+        error.retryable = error.responseCode >= 400 && error.responseCode < 500;
+      } else {
+        error.retryable = TRANSIENT_SMTP_CODES.includes(error.code);
+      }
+      throw error;
+    }
+  }
+}
+
+module.exports = SmtpProvider;
@@ -1,20 +1,37 @@
-// services/email-service.js - Service for email functionality using Resend
+// services/email-service.js - Service for email functionality
 
-const axios = require('axios');
 const logger = require('../utils/logger');
-const { generateReviewRequestHtml, generateTestEmailHtml } = require('../utils/email-templates');
+const messageLog = require('./message-log-service');
+const sendQueue = require('./queue-service');
+const deliveryStatus = require('./delivery-status-service');
+const eventWebhooks = require('./event-webhook-service');
+const suppressionService = require('./suppression-service');
+const unsubscribeService = require('./unsubscribe-service');
+const businessSettings = require('./business-settings-service');
+const templateService = require('./template-service');
+const sendingDomains = require('./domain-service');
+const clickTracking = require('./click-tracking-service');
+const usageService = require('./usage-service');
+const frequencyCap = require('./frequency-cap-service');
+const feedbackGate = require('./feedback-gate-service');
+const { createEmailProviders } = require('./email-providers');
+const { isRetryableError } = require('../utils/retry');
+const { generateReviewRequestHtml, generateTestEmailHtml, generateFeedbackReplyHtml } = require('../utils/email-templates');
+const { htmlToText } = require('../utils/html-to-text');
+const { resolveLocale, translate } = require('../utils/i18n');
 
 /**
- * Service for sending emails using Resend
+ * Service for sending emails through the configured providers
+ * (Resend by default), failing over in EMAIL_PROVIDERS order
  */
 class EmailService {
   constructor() {
-    this.apiKey = process.env.RESEND_API_KEY;
+    this.providers = createEmailProviders();
     this.fromEmail = process.env.EMAIL_FROM_ADDRESS;
     this.fromName = process.env.EMAIL_FROM_NAME;
     
-    if (!this.apiKey) {
-      logger.error('RESEND_API_KEY is missing. Email functionality will not work.');
+    if (!this.isConfigured()) {
+      logger.error(`No configured email provider (${this.providers.map(p => p.name).join(', ')}). Email functionality will not work.`);
     }
     
     if (!this.fromEmail) {
@@ -26,6 +43,66 @@ class EmailService {
       logger.warn('EMAIL_FROM_NAME is missing. Using default name.');
       this.fromName = 'RevBoost';
     }
+    
+    // Deliver queued emails in the background
+    sendQueue.registerHandler('email', payload => this.processQueuedEmail(payload));
+    
+    // Tell event webhook subscribers how review requests are doing
+    sendQueue.on('completed', (job) => {
+      if (job.type === 'email') {
+        eventWebhooks.publishMessageEvent('review_request.sent', messageLog.get(job.messageId));
+      }
+    });
+    sendQueue.on('dead', (job, error) => {
+      if (job.type === 'email') {
+        eventWebhooks.publishMessageEvent('review_request.failed', messageLog.get(job.messageId), { reason: error.message });
+      }
+    });
+    deliveryStatus.on('status', (update) => {
+      if (update.message.channel === 'email') {
+        eventWebhooks.handleDeliveryStatus(update);
+      }
+    });
+  }
+  
+  /**
+   * Check whether at least one email provider can send
+   * @returns {boolean} True if any provider is configured
+   */
+  isConfigured() {
+    return this.providers.some(provider => provider.isConfigured());
+  }
+  
+  /**
+   * Check whether mail from verified custom domains actually goes out from
+   * them, i.e. whether the first configured provider can sign for them
+   * @returns {boolean} True if custom sending domains are usable
+   */
+  supportsCustomDomains() {
+    const primary = this.providers.find(provider => provider.isConfigured());
+    return !!(primary && primary.supportsCustomDomains);
+  }
+  
+  /**
+   * Report the state of every provider in failover order
+   * @returns {Array<Object>} Provider statuses
+   */
+  getProviderStatuses() {
+    return this.providers.map(provider => provider.getStatus());
+  }
+  
+  /**
+   * Build the from header for a business's email. Businesses with a
+   * verified sending domain send from it; everyone else uses
+   * EMAIL_FROM_ADDRESS. Providers that can't sign for the domain send
+   * from EMAIL_FROM_ADDRESS anyway (see `deliverEmail`).
+   * @param {string} [businessId] - Sending business
+   * @param {string} [name] - Display name, defaults to EMAIL_FROM_NAME
+   * @returns {string} e.g. "RevBoost <reviews@revboostapp.com>"
+   */
+  getFrom(businessId, name) {
+    const address = sendingDomains.getFromAddress(businessId) || this.fromEmail;
+    return `${name || this.fromName} <${address}>`;
   }
   
   /**
@@ -36,27 +113,111 @@ class EmailService {
    * @param {string} options.businessName - Business name
    * @param {string} options.reviewLink - Review link URL
    * @param {string} [options.replyTo] - Reply-to email address
+   * @param {string} [options.businessId] - Business ID for the message log
    * @param {Object} [options.customData] - Custom data for template
-   * @returns {Promise<Object>} The Resend API response
+   * @param {Date|string} [options.runAt] - Earliest time to deliver
+   * @param {string} [options.timezone] - Recipient timezone for quiet hours
+   * @param {string} [options.locale] - Customer's language, e.g. "es" or "fr-CA"
+   * @param {string} [options.customerPhone] - Customer's phone number, so frequency
+   *   caps also count SMS sent to them
+   * @param {boolean} [options.force] - Send even if a frequency cap would skip it
+   * @returns {Promise<Object>} The queued message (`messageId`, `jobId`, `status`,
+   *   and `deliverAt` if delayed), `{ messageId, status: 'suppressed', reason }`
+   *   if the recipient is suppressed, or `{ messageId, status: 'skipped',
+   *   reason: 'frequency_cap', lastContactAt }` if they were asked too recently
    */
-  async sendReviewRequest({ toEmail, customerName, businessName, reviewLink, replyTo, customData }) {
+  async sendReviewRequest({ toEmail, customerName, businessName, reviewLink, replyTo, businessId, customData, runAt, timezone, locale, customerPhone, force }) {
+    let gate = null;
+    let trackedLink = null;
+    let response = null;
+    
     try {
       logger.info(`Sending review request email to ${toEmail}`);
       
-      // Generate HTML content
-      const htmlContent = generateReviewRequestHtml({
-        customerName,
+      // Never contact suppressed recipients
+      const suppression = suppressionService.check({ channel: 'email', address: toEmail, businessId });
+      if (suppression) {
+        logger.info(`Skipping review request email to ${toEmail}: suppressed (${suppression.reason})`);
+        const record = messageLog.create({
+          channel: 'email',
+          recipient: toEmail,
+          templateType: 'review_request',
+          businessId,
+          businessName,
+          status: 'suppressed',
+          error: `Recipient suppressed: ${suppression.reason}`,
+        });
+        
+        return {
+          messageId: record.id,
+          status: 'suppressed',
+          reason: suppression.reason,
+          suppressedAt: suppression.createdAt,
+        };
+      }
+      
+      // Per-recipient opt-out link (null when links are not configured)
+      const unsubscribeUrl = unsubscribeService.getUnsubscribeUrl({
+        businessId,
         businessName,
+        channel: 'email',
+        address: toEmail,
+      });
+      
+      // Don't ask the same customer again too soon, unless forced
+      const capped = force ? null : frequencyCap.check({ businessId, channel: 'email', email: toEmail, phone: customerPhone });
+      if (capped) {
+        logger.info(`Skipping review request email to ${toEmail}: last contacted ${capped.lastContactAt} (frequency cap)`);
+        const record = messageLog.create({
+          channel: 'email',
+          recipient: toEmail,
+          templateType: 'review_request',
+          businessId,
+          businessName,
+          status: 'skipped',
+          error: `Frequency cap: ${capped.rule.maxRequests} per ${capped.rule.periodDays} days`,
+        });
+        
+        return {
+          messageId: record.id,
+          status: 'skipped',
+          reason: 'frequency_cap',
+          lastContactAt: capped.lastContactAt,
+          lastContactChannel: capped.lastContactChannel,
+        };
+      }
+      
+      // Businesses with a feedback gate ask for a star rating first
+      gate = feedbackGate.create({
+        businessId,
+        businessName,
+        customerName,
         reviewLink,
+        channel: 'email',
+        customerEmail: toEmail,
+        locale,
+      });
+      const targetUrl = gate ? gate.url : reviewLink;
+      
+      // Send the customer through a short link that records the click
+      trackedLink = clickTracking.create({ businessId, channel: 'email', targetUrl });
+      
+      const { subject, html, senderName } = this.renderReviewRequest({
+        customerName,
+        businessName,
+        reviewLink: trackedLink ? trackedLink.url : targetUrl,
+        unsubscribeUrl,
+        businessId,
         customData,
+        locale,
       });
       
       // Build the email payload
       const emailData = {
-        from: `${this.fromName} <${this.fromEmail}>`,
+        from: this.getFrom(businessId, senderName),
         to: toEmail,
-        subject: `We'd love to hear your feedback on ${businessName}`,
-        html: htmlContent,
+        subject,
+        html,
         tags: [
           { name: 'type', value: 'review_request' },
           { name: 'business', value: businessName.replace(/[^a-zA-Z0-9_-]/g, '_') }
@@ -68,41 +229,146 @@ class EmailService {
         emailData.reply_to = replyTo;
       }
       
+      // RFC 8058 one-click unsubscribe, required by Gmail and Yahoo for bulk senders
+      if (unsubscribeUrl) {
+        emailData.headers = {
+          'List-Unsubscribe': `<${unsubscribeUrl}>`,
+          'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click',
+        };
+      }
+      
+      // Hold the email until the business's quiet hours end, if any apply
+      const deliverAt = businessSettings.resolveSendTime({ channel: 'email', businessId, timezone, runAt });
+      
       // Send the email
-      const response = await this.sendEmail(emailData);
+      response = await this.sendEmail(emailData, { businessId, businessName, runAt: deliverAt });
+      
+      if (trackedLink) {
+        clickTracking.attachMessage(trackedLink.id, response.messageId);
+      }
       
-      logger.info(`Email sent successfully to ${toEmail}`);
+      if (gate) {
+        feedbackGate.attachMessage(gate.id, response.messageId);
+      }
+      
+      frequencyCap.recordContact({ businessId, channel: 'email', email: toEmail, phone: customerPhone, messageId: response.messageId });
+      
+      if (deliverAt) {
+        response.deliverAt = deliverAt.toISOString();
+      }
+      
+      logger.info(`Review request email queued for ${toEmail}`);
       return response;
     } catch (error) {
+      // Nothing was queued (e.g. quota exceeded), so the links can't be used
+      if (!response) {
+        if (trackedLink) {
+          clickTracking.remove(trackedLink.id);
+        }
+        
+        if (gate) {
+          feedbackGate.remove(gate.id);
+        }
+      }
+      
       logger.error(`Failed to send review request email: ${error.message}`);
       throw error;
     }
   }
   
+  /**
+   * Render the review request email, using the business's stored template
+   * if it has one and the built-in template otherwise. Built-in copy is in
+   * the customer's locale, else the business's default, else English, and
+   * uses the business's branding profile.
+   * @param {Object} options - Template data
+   * @param {string} options.customerName - Customer name
+   * @param {string} options.businessName - Business name
+   * @param {string} options.reviewLink - Review link URL
+   * @param {string} [options.unsubscribeUrl] - Hosted unsubscribe page URL
+   * @param {string} [options.businessId] - Business whose template to use
+   * @param {Object} [options.customData] - Custom data for template
+   * @param {string} [options.locale] - Customer's language
+   * @returns {Object} `{ subject, html, locale, senderName }`; `senderName`
+   *   is the branded From name, or null for the default
+   */
+  renderReviewRequest({ customerName, businessName, reviewLink, unsubscribeUrl, businessId, customData, locale }) {
+    const settings = businessSettings.get(businessId);
+    const language = resolveLocale(locale, settings.locale);
+    const branding = settings.branding || null;
+    const senderName = branding ? branding.senderName : null;
+    
+    const stored = templateService.render({ businessId, type: 'review_request', channel: 'email' }, {
+      customerName,
+      businessName,
+      reviewLink,
+      unsubscribeUrl,
+      custom: customData || {},
+      branding: branding || {},
+    });
+    
+    if (stored) {
+      return { subject: stored.subject, html: stored.body, locale: language, senderName };
+    }
+    
+    return {
+      subject: translate(language, 'reviewRequest.subject', { businessName }),
+      html: generateReviewRequestHtml({
+        customerName,
+        businessName,
+        reviewLink,
+        unsubscribeUrl,
+        customData,
+        locale: language,
+        branding,
+      }),
+      locale: language,
+      senderName,
+    };
+  }
+  
+  /**
+   * Render the test email
+   * @param {string} [businessId] - Business whose template to use
+   * @returns {Object} `{ subject, html }`
+   */
+  renderTestEmail(businessId) {
+    const stored = templateService.render({ businessId, type: 'test', channel: 'email' }, {
+      sentAt: new Date().toLocaleString(),
+    });
+    
+    if (stored) {
+      return { subject: stored.subject, html: stored.body };
+    }
+    
+    return { subject: 'RevBoost Email Test', html: generateTestEmailHtml() };
+  }
+  
   /**
    * Send a test email
    * @param {string} toEmail - Recipient email address
-   * @returns {Promise<Object>} The Resend API response
+   * @param {string} [businessId] - Business ID for the message log
+   * @returns {Promise<Object>} The queued message (`messageId`, `jobId`, `status`)
    */
-  async sendTestEmail(toEmail) {
+  async sendTestEmail(toEmail, businessId) {
     try {
       logger.info(`Sending test email to ${toEmail}`);
       
-      const htmlContent = generateTestEmailHtml();
+      const { subject, html } = this.renderTestEmail(businessId);
       
       const emailData = {
-        from: `${this.fromName} <${this.fromEmail}>`,
+        from: this.getFrom(businessId),
         to: toEmail,
-        subject: 'RevBoost Email Test',
-        html: htmlContent,
+        subject,
+        html,
         tags: [
           { name: 'type', value: 'test' },
         ]
       };
       
-      const response = await this.sendEmail(emailData);
+      const response = await this.sendEmail(emailData, { businessId });
       
-      logger.info(`Test email sent successfully to ${toEmail}`);
+      logger.info(`Test email queued for ${toEmail}`);
       return response;
     } catch (error) {
       logger.error(`Failed to send test email: ${error.message}`);
@@ -111,44 +377,206 @@ class EmailService {
   }
   
   /**
-   * Send an email using Resend API
-   * @param {Object} emailData - Email data
-   * @returns {Promise<Object>} The Resend API response
-   * @private
+   * Send a business's reply to a customer who left feedback
+   * @param {Object} options - Email options
+   * @param {string} options.toEmail - Customer email address
+   * @param {string} options.customerName - Customer name
+   * @param {string} options.businessName - Business name
+   * @param {string} options.message - Reply text
+   * @param {string} [options.subject] - Subject instead of the default
+   * @param {string} [options.replyTo] - Reply-to email address
+   * @param {string} [options.businessId] - Business ID for the message log
+   * @param {string} [options.locale] - Customer's language
+   * @returns {Promise<Object>} The queued message (`messageId`, `jobId`, `status`),
+   *   or `{ messageId, status: 'suppressed', reason }` if the recipient is suppressed
    */
-  async sendEmail(emailData) {
+  async sendFeedbackReply({ toEmail, customerName, businessName, message, subject, replyTo, businessId, locale }) {
     try {
-      // Check if API key is available
-      if (!this.apiKey) {
-        throw new Error('Resend API key is not configured');
+      logger.info(`Sending feedback reply email to ${toEmail}`);
+      
+      // Customers who unsubscribed are not contacted, even in reply
+      const suppression = suppressionService.check({ channel: 'email', address: toEmail, businessId });
+      if (suppression) {
+        logger.info(`Skipping feedback reply email to ${toEmail}: suppressed (${suppression.reason})`);
+        const record = messageLog.create({
+          channel: 'email',
+          recipient: toEmail,
+          templateType: 'feedback_reply',
+          businessId,
+          businessName,
+          status: 'suppressed',
+          error: `Recipient suppressed: ${suppression.reason}`,
+        });
+        
+        return {
+          messageId: record.id,
+          status: 'suppressed',
+          reason: suppression.reason,
+          suppressedAt: suppression.createdAt,
+        };
       }
       
-      // Send the email
-      const response = await axios.post('https://api.resend.com/emails', emailData, {
-        headers: {
-          'Authorization': `Bearer ${this.apiKey}`,
-          'Content-Type': 'application/json',
-        },
-        timeout: 10000, // 10 second timeout
-      });
+      const settings = businessSettings.get(businessId);
+      const language = resolveLocale(locale, settings.locale);
+      const branding = settings.branding || null;
       
-      return response.data;
+      const emailData = {
+        from: this.getFrom(businessId, branding ? branding.senderName : null),
+        to: toEmail,
+        subject: subject || translate(language, 'feedbackReply.subject', { businessName }),
+        html: generateFeedbackReplyHtml({
+          customerName,
+          businessName,
+          message,
+          locale: language,
+          branding,
+        }),
+        tags: [
+          { name: 'type', value: 'feedback_reply' },
+          { name: 'business', value: businessName.replace(/[^a-zA-Z0-9_-]/g, '_') }
+        ]
+      };
+      
+      if (replyTo) {
+        emailData.reply_to = replyTo;
+      }
+      
+      const response = await this.sendEmail(emailData, { businessId, businessName });
+      
+      logger.info(`Feedback reply email queued for ${toEmail}`);
+      return response;
     } catch (error) {
-      if (error.response) {
-        // The request was made and the server responded with a status code
-        // that falls out of the range of 2xx
-        logger.error(`Resend API error: ${error.response.status} - ${JSON.stringify(error.response.data)}`);
-        throw new Error(error.response.data.message || 'Failed to send email');
-      } else if (error.request) {
-        // The request was made but no response was received
-        logger.error('No response received from Resend API');
-        throw new Error('No response from email service');
-      } else {
-        // Something happened in setting up the request
-        logger.error(`Email request setup error: ${error.message}`);
-        throw error;
+      logger.error(`Failed to send feedback reply email: ${error.message}`);
+      throw error;
+    }
+  }
+  
+  /**
+   * Queue an email for background delivery and record it in the message log
+   * @param {Object} emailData - Email data
+   * @param {Object} [meta] - Message log details
+   * @param {string} [meta.businessId] - Business ID
+   * @param {string} [meta.businessName] - Business name
+   * @param {string} [meta.templateType] - Template type, defaults to the "type" tag
+   * @param {Date|string} [meta.runAt] - Earliest time to deliver
+   * @returns {Promise<Object>} `{ messageId, jobId, status }`
+   * @throws {HttpError} 429 `quota_exceeded` when the business has no quota left
+   */
+  async sendEmail(emailData, { businessId, businessName, templateType, runAt } = {}) {
+    // Fail fast rather than queueing mail that can never be delivered
+    if (!this.isConfigured()) {
+      throw new Error('No email provider is configured');
+    }
+    
+    // Send a plain-text alternative alongside HTML
+    if (emailData.html && !emailData.text) {
+      emailData.text = htmlToText(emailData.html);
+    }
+    
+    const tags = emailData.tags || [];
+    const tagValue = name => (tags.find(tag => tag.name === name) || {}).value;
+    const owner = businessId || tagValue('business_id');
+    
+    // Count the email against the business's quota, or refuse it
+    usageService.consume(owner, 'email');
+    
+    const record = messageLog.create({
+      channel: 'email',
+      recipient: Array.isArray(emailData.to) ? emailData.to.join(', ') : emailData.to,
+      templateType: templateType || tagValue('type'),
+      businessId: owner,
+      businessName,
+      provider: this.providers[0].name,
+      subject: emailData.subject,
+    });
+    
+    const job = sendQueue.enqueue('email', { emailData }, {
+      messageId: record.id,
+      businessId: owner,
+      runAt,
+    });
+    
+    return {
+      messageId: record.id,
+      jobId: job.id,
+      status: 'queued',
+    };
+  }
+  
+  /**
+   * Deliver an email taken from the send queue
+   * @param {Object} payload - Queue payload
+   * @param {Object} payload.emailData - Email data
+   * @returns {Promise<Object>} Provider result for the message log
+   * @private
+   */
+  async processQueuedEmail({ emailData }) {
+    const response = await this.deliverEmail(emailData);
+    
+    return {
+      provider: response.provider,
+      providerMessageId: response.id,
+    };
+  }
+  
+  /**
+   * Swap the address in a from header for EMAIL_FROM_ADDRESS, keeping the
+   * display name
+   * @param {string} from - From header, e.g. "Cafe <reviews@cafe.com>"
+   * @returns {string} e.g. "Cafe <reviews@revboostapp.com>"
+   * @private
+   */
+  withDefaultAddress(from) {
+    const match = /^\s*(.*?)\s*<[^>]*>\s*$/.exec(from || '');
+    return `${(match && match[1]) || this.fromName} <${this.fromEmail}>`;
+  }
+  
+  /**
+   * Deliver an email through the first provider that accepts it.
+   * Unconfigured providers are skipped; a provider failing with a
+   * retryable error (outage, timeout, 429, 5xx) fails over to the next.
+   * @param {Object} emailData - Email data
+   * @returns {Promise<Object>} `{ id, provider }`
+   * @private
+   */
+  async deliverEmail(emailData) {
+    let lastError = null;
+    const customDomain = sendingDomains.isCustomDomain(emailData.from);
+    
+    for (const provider of this.providers) {
+      if (!provider.isConfigured()) {
+        continue;
+      }
+      
+      // Only providers holding the domain's DKIM key may send from it
+      const data = customDomain && !provider.supportsCustomDomains
+        ? { ...emailData, from: this.withDefaultAddress(emailData.from) }
+        : emailData;
+      
+      try {
+        const response = await provider.send(data);
+        
+        if (lastError) {
+          logger.warn(`Email to ${emailData.to} delivered via failover provider ${provider.name}`);
+        }
+        
+        return { ...response, provider: provider.name };
+      } catch (error) {
+        logger.error(`Email provider ${provider.name} failed: ${error.message}`);
+        lastError = error;
+        
+        if (!isRetryableError(error)) {
+          throw error;
+        }
       }
     }
+    
+    if (!lastError) {
+      lastError = new Error('No email provider is configured');
+      lastError.retryable = false;
+    }
+    
+    throw lastError;
   }
 }
 
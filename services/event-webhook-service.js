@@ -0,0 +1,480 @@
+// services/event-webhook-service.js - Signed event callbacks to subscriber URLs
+
+const crypto = require('crypto');
+const axios = require('axios');
+const logger = require('../utils/logger');
+const HttpError = require('../utils/http-error');
+const { QueueService } = require('./queue-service');
+const { FileStore } = require('../utils/file-store');
+const { signEventPayload } = require('../utils/webhook-signatures');
+const { assertPublicUrl, lookupPublicAddress } = require('../utils/url-safety');
+
+const EVENT_TYPES = [
+  'review_request.sent',
+  'review_request.delivered',
+  'review_request.clicked',
+  'review_request.failed',
+  'feedback.negative',
+];
+
+// Delivery statuses reported by providers and click tracking, and the
+// event each one publishes
+const STATUS_EVENTS = {
+  delivered: 'review_request.delivered',
+  clicked: 'review_request.clicked',
+  failed: 'review_request.failed',
+  bounced: 'review_request.failed',
+  undelivered: 'review_request.failed',
+};
+
+/**
+ * Service for event webhooks: callbacks to our own systems when review
+ * requests are sent, delivered, clicked or fail and when negative
+ * feedback arrives. Businesses subscribe URLs to event types; each event
+ * is POSTed as signed JSON (see `signEventPayload`) to every matching
+ * subscription. Deliveries run on their own queue (EVENT_WEBHOOK_CONCURRENCY
+ * at a time), so slow subscribers never hold up customer sends; failed
+ * attempts are retried with the queue's exponential backoff, and every
+ * delivery is logged with its attempts so it can be redelivered by hand.
+ * Subscriber URLs must be https (http too when NODE_ENV is "development")
+ * and resolve to public addresses, checked on subscribe and again when
+ * connecting for each attempt; EVENT_WEBHOOK_ALLOW_PRIVATE_URLS=true lifts
+ * the address check for local testing. Response bodies are never kept.
+ */
+class EventWebhookService {
+  constructor() {
+    this.subscriptions = new FileStore('webhook-subscriptions', { idPrefix: 'whs' });
+    this.deliveries = new FileStore('webhook-deliveries', { idPrefix: 'whd' });
+    this.eventTypes = EVENT_TYPES;
+    this.timeoutMs = parseInt(process.env.EVENT_WEBHOOK_TIMEOUT_MS, 10) || 10000;
+    this.maxAttempts = parseInt(process.env.EVENT_WEBHOOK_MAX_ATTEMPTS, 10) || 8;
+    this.allowHttp = process.env.NODE_ENV === 'development';
+    this.allowPrivateUrls = process.env.EVENT_WEBHOOK_ALLOW_PRIVATE_URLS === 'true';
+
+    this.queue = new QueueService({
+      name: 'webhook-queue',
+      label: 'Webhook queue',
+      concurrency: parseInt(process.env.EVENT_WEBHOOK_CONCURRENCY, 10) || 4,
+    });
+    this.queue.registerHandler('event_webhook', (payload, job) => this.attempt(payload.deliveryId, job));
+    this.queue.on('dead', (job, error) => {
+      if (job.type === 'event_webhook') {
+        this.markFailed(job.payload.deliveryId, error);
+      }
+    });
+  }
+
+  /**
+   * Start delivering queued events
+   */
+  start() {
+    this.queue.start();
+  }
+
+  /**
+   * Stop delivering events. In-flight attempts finish on their own.
+   */
+  stop() {
+    this.queue.stop();
+  }
+
+  /**
+   * Generate a signing secret
+   * @returns {string} The secret
+   * @private
+   */
+  generateSecret() {
+    return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+  }
+
+  /**
+   * Strip the signing secret from a stored subscription
+   * @param {Object} record - Stored subscription
+   * @returns {Object} Public subscription details
+   * @private
+   */
+  toPublic(record) {
+    const { secret, ...details } = record;
+    return details;
+  }
+
+  /**
+   * Check a subscriber URL may be called
+   * @param {string} url - Callback URL
+   * @returns {Promise<void>}
+   * @throws {HttpError} 400 if it is not https or not a public address
+   */
+  async checkUrl(url) {
+    await assertPublicUrl(url, { allowHttp: this.allowHttp, allowPrivate: this.allowPrivateUrls });
+  }
+
+  /**
+   * Subscribe a URL to events for a business. Check the URL with
+   * `checkUrl` first.
+   * @param {Object} options - Subscription details
+   * @param {string} options.businessId - Business ID
+   * @param {string} options.url - Callback URL
+   * @param {Array<string>} options.events - Event types to receive
+   * @param {string} [options.description] - Human-readable label
+   * @returns {Object} The subscription, including its `secret`
+   */
+  createSubscription({ businessId, url, events, description }) {
+    const record = this.subscriptions.insert({
+      businessId,
+      url,
+      events: [...new Set(events)],
+      description: description || null,
+      secret: this.generateSecret(),
+      enabled: true,
+    });
+
+    logger.info(`Event webhook ${record.id} subscribed ${url} for business ${businessId}`);
+    return record;
+  }
+
+  /**
+   * List a business's subscriptions
+   * @param {string} businessId - Business ID
+   * @returns {Array<Object>} Subscriptions without secrets, oldest first
+   */
+  listSubscriptions(businessId) {
+    return this.subscriptions
+      .find(record => record.businessId === businessId)
+      .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+      .map(record => this.toPublic(record));
+  }
+
+  /**
+   * Get a subscription
+   * @param {string} id - Subscription ID
+   * @returns {Object|null} The subscription, without its secret
+   */
+  getSubscription(id) {
+    const record = this.subscriptions.get(id);
+    return record ? this.toPublic(record) : null;
+  }
+
+  /**
+   * Change a subscription's URL, events, label or enabled state. Check a
+   * new URL with `checkUrl` first.
+   * @param {string} id - Subscription ID
+   * @param {Object} changes - Fields to change
+   * @returns {Object|null} The updated subscription, without its secret
+   */
+  updateSubscription(id, { url, events, description, enabled }) {
+    const changes = {};
+
+    if (url !== undefined) changes.url = url;
+    if (events !== undefined) changes.events = [...new Set(events)];
+    if (description !== undefined) changes.description = description;
+    if (enabled !== undefined) changes.enabled = enabled;
+
+    const record = this.subscriptions.update(id, changes);
+    return record ? this.toPublic(record) : null;
+  }
+
+  /**
+   * Replace a subscription's signing secret
+   * @param {string} id - Subscription ID
+   * @returns {Object|null} The subscription, including its new `secret`
+   */
+  rotateSecret(id) {
+    const record = this.subscriptions.update(id, { secret: this.generateSecret() });
+
+    if (record) {
+      logger.info(`Event webhook ${id} secret rotated`);
+    }
+
+    return record;
+  }
+
+  /**
+   * Delete a subscription. Its delivery log is kept; queued retries
+   * are dropped when they next run.
+   * @param {string} id - Subscription ID
+   * @returns {boolean} True if it existed
+   */
+  deleteSubscription(id) {
+    return this.subscriptions.remove(id);
+  }
+
+  /**
+   * Publish an event to a business's subscribers
+   * @param {string} type - Event type, one of `eventTypes`
+   * @param {Object} options - Event details
+   * @param {string} [options.businessId] - Business the event belongs to;
+   *   events without one are not delivered
+   * @param {Object} options.data - Event data
+   * @returns {Array<Object>} The queued deliveries
+   */
+  publish(type, { businessId, data }) {
+    if (!businessId) {
+      return [];
+    }
+
+    const subscriptions = this.subscriptions.find(record => (
+      record.businessId === businessId && record.enabled && record.events.includes(type)
+    ));
+
+    if (subscriptions.length === 0) {
+      return [];
+    }
+
+    const event = {
+      id: `evt_${crypto.randomBytes(12).toString('hex')}`,
+      type,
+      createdAt: new Date().toISOString(),
+      businessId,
+      data,
+    };
+
+    logger.info(`Publishing ${type} event ${event.id} to ${subscriptions.length} webhook(s)`);
+    return subscriptions.map(subscription => this.queueDelivery(subscription, event));
+  }
+
+  /**
+   * Publish an event about a review request
+   * @param {string} type - Event type
+   * @param {Object} message - Message log record
+   * @param {Object} [details] - Extra event data, e.g. a bounce reason
+   * @returns {Array<Object>} The queued deliveries
+   */
+  publishMessageEvent(type, message, details) {
+    if (!message || message.templateType !== 'review_request') {
+      return [];
+    }
+
+    return this.publish(type, {
+      businessId: message.businessId,
+      data: {
+        messageId: message.id,
+        channel: message.channel,
+        recipient: message.recipient,
+        businessName: message.businessName,
+        status: message.status,
+        provider: message.provider,
+        providerMessageId: message.providerMessageId,
+        error: message.error,
+        details: details || null,
+      },
+    });
+  }
+
+  /**
+   * Publish the event for a delivery status update, the first time the
+   * message reaches that stage. Statuses with no event are ignored.
+   * @param {Object} update - Delivery status update
+   * @param {Object} update.message - Updated message log record
+   * @param {string} update.status - Status reported
+   * @param {Object} [update.details] - Extra provider data
+   * @returns {Array<Object>} The queued deliveries
+   */
+  handleDeliveryStatus({ message, status, details }) {
+    const type = STATUS_EVENTS[status];
+
+    if (!type) {
+      return [];
+    }
+
+    // Providers resend events and customers click more than once
+    const earlier = (message.events || []).slice(0, -1);
+    if (earlier.some(event => STATUS_EVENTS[event.status] === type)) {
+      return [];
+    }
+
+    return this.publishMessageEvent(type, message, details);
+  }
+
+  /**
+   * Log a delivery of an event to a subscription and queue it
+   * @param {Object} subscription - Stored subscription
+   * @param {Object} event - The event
+   * @param {string} [redeliveryOf] - Delivery this one repeats
+   * @returns {Object} The delivery
+   * @private
+   */
+  queueDelivery(subscription, event, redeliveryOf) {
+    const delivery = this.deliveries.insert({
+      subscriptionId: subscription.id,
+      businessId: subscription.businessId,
+      eventId: event.id,
+      eventType: event.type,
+      event,
+      url: subscription.url,
+      status: 'pending',
+      attempts: [],
+      redeliveryOf: redeliveryOf || null,
+      deliveredAt: null,
+      failedAt: null,
+    });
+
+    this.queue.enqueue('event_webhook', { deliveryId: delivery.id }, { maxAttempts: this.maxAttempts });
+
+    return delivery;
+  }
+
+  /**
+   * POST a delivery to its subscriber; run by the webhook queue
+   * @param {string} deliveryId - Delivery ID
+   * @param {Object} job - Queue job
+   * @returns {Promise<Object>} `{ statusCode }`
+   * @throws {Error} Retryable error if the subscriber did not return 2xx;
+   *   non-retryable if its URL is no longer allowed
+   * @private
+   */
+  async attempt(deliveryId, job) {
+    const delivery = this.deliveries.get(deliveryId);
+    const subscription = delivery && this.subscriptions.get(delivery.subscriptionId);
+
+    if (!subscription) {
+      const error = new Error('Webhook subscription no longer exists');
+      error.retryable = false;
+      throw error;
+    }
+
+    const body = JSON.stringify(delivery.event);
+    const startedAt = Date.now();
+    const record = {
+      at: new Date(startedAt).toISOString(),
+      attempt: job.attempts + 1,
+      statusCode: null,
+      durationMs: null,
+      error: null,
+    };
+    let failure = null;
+
+    try {
+      await this.checkUrl(subscription.url);
+
+      const response = await axios.post(subscription.url, body, {
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'RevBoost-Webhooks/1.0',
+          'RevBoost-Event': delivery.eventType,
+          'RevBoost-Delivery': delivery.id,
+          'RevBoost-Signature': signEventPayload({ secret: subscription.secret, body }),
+        },
+        timeout: this.timeoutMs,
+        maxRedirects: 0,
+        // Connect only to an address checked now, so DNS can't change
+        // between the check above and the request
+        lookup: this.allowPrivateUrls ? undefined : async hostname => lookupPublicAddress(hostname),
+        responseType: 'stream',
+        validateStatus: () => true,
+      });
+
+      // Only the status matters; don't read what the subscriber sent back
+      response.data.destroy();
+      record.statusCode = response.status;
+
+      if (response.status < 200 || response.status >= 300) {
+        failure = new Error(`Subscriber responded ${response.status}`);
+      }
+    } catch (error) {
+      failure = error;
+    }
+
+    // Retrying won't help a URL that now resolves to a private address
+    if (failure instanceof HttpError) {
+      failure.retryable = false;
+    }
+
+    record.durationMs = Date.now() - startedAt;
+    record.error = failure ? failure.message : null;
+
+    const attempts = delivery.attempts.concat([record]);
+
+    if (!failure) {
+      this.deliveries.update(deliveryId, { status: 'delivered', attempts, deliveredAt: new Date().toISOString() });
+      logger.info(`Event webhook delivery ${deliveryId} (${delivery.eventType}) delivered to ${subscription.url}`);
+      return { statusCode: record.statusCode };
+    }
+
+    this.deliveries.update(deliveryId, { status: 'retrying', attempts });
+
+    // Subscribers may be down or mid-deploy, so other failures are worth retrying
+    if (failure.retryable === undefined) {
+      failure.retryable = true;
+    }
+    throw failure;
+  }
+
+  /**
+   * Mark a delivery as failed once the queue gives up on it
+   * @param {string} deliveryId - Delivery ID
+   * @param {Error} error - Last failure
+   * @private
+   */
+  markFailed(deliveryId, error) {
+    const delivery = this.deliveries.update(deliveryId, { status: 'failed', failedAt: new Date().toISOString() });
+
+    if (delivery) {
+      logger.error(`Event webhook delivery ${deliveryId} (${delivery.eventType}) failed after ${delivery.attempts.length} attempt(s): ${error.message}`);
+    }
+  }
+
+  /**
+   * List a business's deliveries, newest first
+   * @param {Object} filters - Query filters
+   * @param {string} filters.businessId - Business ID
+   * @param {string} [filters.subscriptionId] - Only this subscription
+   * @param {string} [filters.eventType] - Only this event type
+   * @param {string} [filters.status] - "pending", "retrying", "delivered" or "failed"
+   * @param {number} [filters.limit=50] - Page size
+   * @param {number} [filters.offset=0] - Records to skip
+   * @returns {Object} `{ deliveries, total, limit, offset }`
+   */
+  listDeliveries({ businessId, subscriptionId, eventType, status, limit = 50, offset = 0 }) {
+    const matches = this.deliveries
+      .find(record => (
+        record.businessId === businessId
+          && (!subscriptionId || record.subscriptionId === subscriptionId)
+          && (!eventType || record.eventType === eventType)
+          && (!status || record.status === status)
+      ))
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+
+    return {
+      deliveries: matches.slice(offset, offset + limit),
+      total: matches.length,
+      limit,
+      offset,
+    };
+  }
+
+  /**
+   * Get a delivery
+   * @param {string} id - Delivery ID
+   * @returns {Object|null} The delivery
+   */
+  getDelivery(id) {
+    return this.deliveries.get(id);
+  }
+
+  /**
+   * Send a delivery's event again, as a new delivery to the
+   * subscription's current URL. The event ID is unchanged so subscribers
+   * can ignore events they already processed.
+   * @param {string} id - Delivery ID
+   * @returns {Object} The new delivery
+   * @throws {HttpError} 404 if the subscription was deleted, 409 if it is
+   *   still being retried
+   */
+  redeliver(id) {
+    const delivery = this.deliveries.get(id);
+    const subscription = delivery && this.subscriptions.get(delivery.subscriptionId);
+
+    if (!subscription) {
+      throw new HttpError(404, 'Webhook subscription no longer exists', { code: 'webhook_subscription_not_found' });
+    }
+
+    if (delivery.status === 'pending' || delivery.status === 'retrying') {
+      throw new HttpError(409, 'Delivery is still being attempted', { code: 'delivery_in_progress' });
+    }
+
+    logger.info(`Redelivering event ${delivery.eventId} from delivery ${id}`);
+    return this.queueDelivery(subscription, delivery.event, id);
+  }
+}
+
+module.exports = new EventWebhookService();
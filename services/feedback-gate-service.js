@@ -0,0 +1,145 @@
+// services/feedback-gate-service.js - Hosted rating pages in front of review links
+
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const businessSettings = require('./business-settings-service');
+const { FileStore } = require('../utils/file-store');
+
+const DEFAULT_MIN_PUBLIC_RATING = 4;
+
+/**
+ * Service for the rating page at `/f/:token`.
+ * When a business turns on its feedback gate, review requests link to a
+ * page that asks for a 1-5 star rating first. Ratings at or above the
+ * business's `minPublicRating` go on to the public review link; lower
+ * ratings get a private feedback form instead.
+ */
+class FeedbackGateService {
+  constructor() {
+    this.store = new FileStore('feedback-links', { idPrefix: 'fbl' });
+    this.baseUrl = process.env.PUBLIC_BASE_URL;
+    this.ttlDays = parseInt(process.env.FEEDBACK_LINK_TTL_DAYS, 10) || 60;
+    this.defaultMinPublicRating = DEFAULT_MIN_PUBLIC_RATING;
+  }
+
+  /**
+   * Get a business's gate settings, or null if the gate is off
+   * @param {string} [businessId] - Business ID
+   * @returns {Object|null} `{ enabled, minPublicRating, notifyEmail }`
+   */
+  getSettings(businessId) {
+    const { feedbackGate } = businessSettings.get(businessId);
+
+    if (!feedbackGate || !feedbackGate.enabled) {
+      return null;
+    }
+
+    return {
+      minPublicRating: DEFAULT_MIN_PUBLIC_RATING,
+      notifyEmail: null,
+      ...feedbackGate,
+    };
+  }
+
+  /**
+   * Create a rating page for a review request, if the business uses one
+   * @param {Object} options - Review request details
+   * @param {string} [options.businessId] - Sending business
+   * @param {string} options.businessName - Business name
+   * @param {string} options.customerName - Customer name
+   * @param {string} options.reviewLink - Public review link
+   * @param {string} options.channel - "email" or "sms"
+   * @param {string} [options.customerEmail] - Customer email
+   * @param {string} [options.customerPhone] - Customer phone number
+   * @param {string} [options.locale] - Customer's language
+   * @returns {Object|null} The link with its public `url`, or null to link
+   *   straight to the review site
+   */
+  create({ businessId, businessName, customerName, reviewLink, channel, customerEmail, customerPhone, locale }) {
+    if (!this.baseUrl || !businessId || !this.getSettings(businessId)) {
+      return null;
+    }
+
+    const link = this.store.insert({
+      token: crypto.randomBytes(16).toString('base64url'),
+      businessId,
+      businessName,
+      customerName,
+      customerEmail: customerEmail || null,
+      customerPhone: customerPhone || null,
+      reviewLink,
+      channel,
+      locale: locale || null,
+      messageId: null,
+      rating: null,
+      outcome: null,
+      ratedAt: null,
+      feedbackId: null,
+      expiresAt: new Date(Date.now() + this.ttlDays * 24 * 60 * 60 * 1000).toISOString(),
+    });
+
+    return { ...link, url: `${this.baseUrl.replace(/\/+$/, '')}/f/${link.token}` };
+  }
+
+  /**
+   * Link a rating page to the message it was sent in
+   * @param {string} id - Link ID
+   * @param {string} messageId - Message log ID
+   * @returns {Object|null} The updated link
+   */
+  attachMessage(id, messageId) {
+    return this.store.update(id, { messageId });
+  }
+
+  /**
+   * Delete a link that was never sent
+   * @param {string} id - Link ID
+   * @returns {boolean} True if deleted
+   */
+  remove(id) {
+    return this.store.remove(id);
+  }
+
+  /**
+   * Find an unexpired link by token
+   * @param {string} token - Link token
+   * @returns {Object|null} The link
+   */
+  findByToken(token) {
+    const link = this.store.findOne(record => record.token === token);
+
+    if (!link || new Date(link.expiresAt).getTime() < Date.now()) {
+      return null;
+    }
+
+    return link;
+  }
+
+  /**
+   * Record the customer's star rating
+   * @param {Object} link - The link
+   * @param {number} rating - Rating from 1 to 5
+   * @returns {Object} The updated link; `outcome` is "public" if the
+   *   customer should go on to the review site, "private" otherwise
+   */
+  rate(link, rating) {
+    const settings = this.getSettings(link.businessId);
+    const minPublicRating = settings ? settings.minPublicRating : DEFAULT_MIN_PUBLIC_RATING;
+    const outcome = rating >= minPublicRating ? 'public' : 'private';
+
+    logger.info(`Feedback link ${link.id} rated ${rating}/5 (${outcome})`);
+    return this.store.update(link.id, { rating, outcome, ratedAt: new Date().toISOString() });
+  }
+
+  /**
+   * Mark a link's private feedback as received
+   * @param {string} id - Link ID
+   * @param {string} feedbackId - Stored feedback ID
+   * @returns {Object|null} The updated link
+   */
+  markSubmitted(id, feedbackId) {
+    return this.store.update(id, { feedbackId });
+  }
+}
+
+module.exports = new FeedbackGateService();
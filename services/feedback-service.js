@@ -1,13 +1,324 @@
 // services/feedback-service.js
 
 const emailService = require('./email-service');
+const smsService = require('./sms-service');
+const sequenceService = require('./sequence-service');
+const feedbackGate = require('./feedback-gate-service');
+const eventWebhooks = require('./event-webhook-service');
+const templateService = require('./template-service');
+const businessSettings = require('./business-settings-service');
 const logger = require('../utils/logger');
-const { escapeHtml } = require('../utils/email-templates');
+const HttpError = require('../utils/http-error');
+const { FileStore } = require('../utils/file-store');
+const { escapeHtml, generateLogoHtml } = require('../utils/email-templates');
+const { resolveLocale, translate, formatRating, formatDate } = require('../utils/i18n');
+
+const FEEDBACK_STATUSES = ['new', 'acknowledged', 'resolved'];
 
 /**
- * Service for handling customer feedback
+ * Service for handling customer feedback.
+ * Feedback is kept in an inbox per business, where owners can reply to
+ * the customer by email or SMS and move it from "new" through
+ * "acknowledged" to "resolved".
  */
 class FeedbackService {
+  constructor() {
+    this.store = new FileStore('feedback', { idPrefix: 'fb' });
+    this.statuses = FEEDBACK_STATUSES;
+  }
+  
+  /**
+   * Add feedback to a business's inbox, publishing a `feedback.negative`
+   * event if the rating is below the business's minimum public rating
+   * @param {Object} options - Feedback details
+   * @param {string} options.businessId - Business ID
+   * @param {string} options.businessName - Business name
+   * @param {number} options.rating - Customer rating (1-5)
+   * @param {string} options.feedback - Customer feedback text
+   * @param {string} [options.customerName] - Customer name
+   * @param {string} [options.customerEmail] - Customer email
+   * @param {string} [options.customerPhone] - Customer phone number
+   * @param {string} [options.messageId] - Review request the feedback came from
+   * @param {string} [options.locale] - Customer's language, for replies
+   * @param {string} [options.source="api"] - "rating_page" or "api"
+   * @returns {Object} The stored feedback
+   */
+  record({ businessId, businessName, rating, feedback, customerName, customerEmail, customerPhone, messageId, locale, source = 'api' }) {
+    const record = this.store.insert({
+      businessId,
+      businessName,
+      customerName: customerName || null,
+      customerEmail: customerEmail || null,
+      customerPhone: customerPhone || null,
+      rating,
+      feedback,
+      messageId: messageId || null,
+      locale: locale || null,
+      source,
+      status: 'new',
+      note: null,
+      notificationMessageId: null,
+      replies: [],
+      acknowledgedAt: null,
+      resolvedAt: null,
+    });
+    
+    logger.info(`Stored ${rating}/5 feedback ${record.id} for business ${businessId}`);
+    
+    // Negative means below the rating the business sends on to review sites
+    const gate = feedbackGate.getSettings(businessId);
+    const minPublicRating = gate ? gate.minPublicRating : feedbackGate.defaultMinPublicRating;
+    
+    if (rating < minPublicRating) {
+      eventWebhooks.publish('feedback.negative', {
+        businessId,
+        data: {
+          feedbackId: record.id,
+          rating,
+          feedback,
+          customerName: record.customerName,
+          customerEmail: record.customerEmail,
+          customerPhone: record.customerPhone,
+          messageId: record.messageId,
+          source,
+        },
+      });
+    }
+    
+    return record;
+  }
+  
+  /**
+   * Link feedback to the owner notification sent about it
+   * @param {string} id - Feedback ID
+   * @param {string} messageId - Notification message ID
+   * @returns {Object|null} The updated feedback
+   */
+  attachNotification(id, messageId) {
+    return this.store.update(id, { notificationMessageId: messageId });
+  }
+  
+  /**
+   * Store private feedback from the hosted rating page and notify the
+   * business owner if the business has a notification address
+   * @param {Object} options - Feedback details
+   * @param {string} options.businessId - Business ID
+   * @param {string} options.businessName - Business name
+   * @param {number} options.rating - Customer rating (1-5)
+   * @param {string} options.feedback - Customer feedback text
+   * @param {string} [options.customerName] - Customer name
+   * @param {string} [options.customerEmail] - Customer email
+   * @param {string} [options.customerPhone] - Customer phone number
+   * @param {string} [options.messageId] - Review request the feedback came from
+   * @param {string} [options.locale] - Customer's language
+   * @param {string} [options.notifyEmail] - Owner address to notify
+   * @returns {Promise<Object>} The stored feedback
+   */
+  async receiveFeedback({ businessId, businessName, rating, feedback, customerName, customerEmail, customerPhone, messageId, locale, notifyEmail }) {
+    const record = this.record({
+      businessId,
+      businessName,
+      rating,
+      feedback,
+      customerName,
+      customerEmail,
+      customerPhone,
+      messageId,
+      locale,
+      source: 'rating_page',
+    });
+    
+    if (!notifyEmail) {
+      sequenceService.stopForCustomer({ businessId, email: customerEmail, phoneNumber: customerPhone, reason: 'feedback' });
+      return record;
+    }
+    
+    // A failed notification must not lose the feedback itself
+    try {
+      const notification = await this.sendFeedbackNotification({
+        businessId,
+        toEmail: notifyEmail,
+        businessName,
+        rating,
+        feedback,
+        customerName: customerName || 'Anonymous Customer',
+        customerEmail,
+        customerPhone,
+      });
+      
+      return this.attachNotification(record.id, notification.messageId);
+    } catch (error) {
+      sequenceService.stopForCustomer({ businessId, email: customerEmail, phoneNumber: customerPhone, reason: 'feedback' });
+      return record;
+    }
+  }
+  
+  /**
+   * Get feedback by ID
+   * @param {string} id - Feedback ID
+   * @returns {Object|null} The feedback
+   */
+  get(id) {
+    return this.store.get(id);
+  }
+  
+  /**
+   * Query a business's feedback inbox, newest first
+   * @param {Object} [filters] - Query filters
+   * @param {string} [filters.businessId] - Business ID
+   * @param {string} [filters.status] - "new", "acknowledged" or "resolved"
+   * @param {number} [filters.minRating] - Lowest rating to include
+   * @param {number} [filters.maxRating] - Highest rating to include
+   * @param {string} [filters.search] - Text to find in the feedback or customer details
+   * @param {string} [filters.from] - ISO date lower bound (inclusive)
+   * @param {string} [filters.to] - ISO date upper bound (inclusive)
+   * @param {number} [filters.limit=50] - Page size
+   * @param {number} [filters.offset=0] - Records to skip
+   * @returns {Object} `{ feedback, total, limit, offset }`
+   */
+  query({ businessId, status, minRating, maxRating, search, from, to, limit = 50, offset = 0 } = {}) {
+    const fromTime = from ? new Date(from).getTime() : null;
+    const toTime = to ? new Date(to).getTime() : null;
+    const needle = search ? search.toLowerCase() : null;
+    
+    const matches = this.store
+      .find((record) => {
+        const createdAt = new Date(record.createdAt).getTime();
+        
+        if (businessId && record.businessId !== businessId) return false;
+        if (status && record.status !== status) return false;
+        if (minRating !== undefined && record.rating < minRating) return false;
+        if (maxRating !== undefined && record.rating > maxRating) return false;
+        if (fromTime !== null && createdAt < fromTime) return false;
+        if (toTime !== null && createdAt > toTime) return false;
+        
+        if (needle) {
+          const haystack = [record.feedback, record.customerName, record.customerEmail, record.customerPhone]
+            .filter(Boolean)
+            .join(' ')
+            .toLowerCase();
+          if (!haystack.includes(needle)) return false;
+        }
+        
+        return true;
+      })
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    
+    return {
+      feedback: matches.slice(offset, offset + limit),
+      total: matches.length,
+      limit,
+      offset,
+    };
+  }
+  
+  /**
+   * Change feedback's status or internal note
+   * @param {string} id - Feedback ID
+   * @param {Object} changes - Fields to change
+   * @param {string} [changes.status] - "new", "acknowledged" or "resolved"
+   * @param {string|null} [changes.note] - Internal note, never shown to the customer
+   * @returns {Object} The updated feedback
+   */
+  update(id, { status, note }) {
+    const record = this.store.get(id);
+    
+    if (!record) {
+      throw new HttpError(404, 'Feedback not found', { code: 'feedback_not_found' });
+    }
+    
+    const changes = {};
+    
+    if (note !== undefined) {
+      changes.note = note || null;
+    }
+    
+    if (status !== undefined && status !== record.status) {
+      const now = new Date().toISOString();
+      
+      changes.status = status;
+      changes.acknowledgedAt = status === 'new' ? null : (record.acknowledgedAt || now);
+      changes.resolvedAt = status === 'resolved' ? now : null;
+      
+      logger.info(`Feedback ${id} marked ${status}`);
+    }
+    
+    return this.store.update(id, changes);
+  }
+  
+  /**
+   * Reply to the customer who left feedback, by email or SMS. New
+   * feedback is marked acknowledged once a reply is queued.
+   * @param {string} id - Feedback ID
+   * @param {Object} options - Reply options
+   * @param {string} options.message - Reply text
+   * @param {string} [options.channel] - "email" or "sms"; defaults to email
+   *   when the customer left an address, SMS otherwise
+   * @param {string} [options.subject] - Email subject instead of the default
+   * @param {string} [options.replyTo] - Email reply-to address
+   * @returns {Promise<Object>} `{ feedback, reply }`
+   */
+  async reply(id, { message, channel, subject, replyTo }) {
+    const record = this.store.get(id);
+    
+    if (!record) {
+      throw new HttpError(404, 'Feedback not found', { code: 'feedback_not_found' });
+    }
+    
+    const replyChannel = channel || (record.customerEmail ? 'email' : 'sms');
+    const to = replyChannel === 'email' ? record.customerEmail : record.customerPhone;
+    
+    if (!to) {
+      throw new HttpError(400, `Feedback has no customer ${replyChannel === 'email' ? 'email address' : 'phone number'} to reply to`, {
+        code: 'no_contact',
+      });
+    }
+    
+    const result = replyChannel === 'email'
+      ? await emailService.sendFeedbackReply({
+        toEmail: to,
+        customerName: record.customerName || '',
+        businessName: record.businessName,
+        message,
+        subject,
+        replyTo,
+        businessId: record.businessId,
+        locale: record.locale,
+      })
+      : await smsService.sendFeedbackReply({
+        phoneNumber: to,
+        businessName: record.businessName,
+        message,
+        businessId: record.businessId,
+        locale: record.locale,
+      });
+    
+    if (result.status === 'suppressed') {
+      throw new HttpError(409, `Customer has opted out of ${replyChannel === 'email' ? 'email' : 'SMS'} messages`, {
+        code: 'recipient_suppressed',
+        details: { messageId: result.messageId, reason: result.reason },
+      });
+    }
+    
+    const reply = {
+      channel: replyChannel,
+      to,
+      subject: replyChannel === 'email' ? (subject || null) : null,
+      message,
+      messageId: result.messageId,
+      sentAt: new Date().toISOString(),
+    };
+    
+    const changes = { replies: record.replies.concat([reply]) };
+    if (record.status === 'new') {
+      changes.status = 'acknowledged';
+      changes.acknowledgedAt = reply.sentAt;
+    }
+    
+    logger.info(`Feedback ${id} answered by ${replyChannel} (message ${result.messageId})`);
+    return { feedback: this.store.update(id, changes), reply };
+  }
+  
   /**
    * Send feedback notification to business owner
    * @param {Object} options - Email options
@@ -17,16 +328,26 @@ class FeedbackService {
    * @param {number} options.rating - Customer rating (1-5)
    * @param {string} options.feedback - Customer feedback text
    * @param {string} options.customerName - Customer name
-   * @returns {Promise<Object>} The email service response
+   * @param {string} [options.customerEmail] - Customer email, to end follow-up sequences
+   * @param {string} [options.customerPhone] - Customer phone, to end follow-up sequences
+   * @returns {Promise<Object>} The queued message (`messageId`, `jobId`, `status`)
    */
-  async sendFeedbackNotification({ businessId, toEmail, businessName, rating, feedback, customerName }) {
+  async sendFeedbackNotification({ businessId, toEmail, businessName, rating, feedback, customerName, customerEmail, customerPhone }) {
     try {
       logger.info(`Sending feedback notification to ${toEmail} for business ${businessId}`);
       
-      const subject = `⚠️ Negative Review Blocked - Customer Feedback (${rating}/5)`;
+      // The customer has responded, so stop any follow-ups
+      if (customerEmail || customerPhone) {
+        sequenceService.stopForCustomer({
+          businessId,
+          email: customerEmail,
+          phoneNumber: customerPhone,
+          reason: 'feedback',
+        });
+      }
       
-      // Create HTML content for the email
-      const htmlContent = this.generateFeedbackEmailHtml({
+      const { subject, html: htmlContent } = this.renderFeedbackNotification({
+        businessId,
         businessName,
         rating,
         feedback,
@@ -47,9 +368,9 @@ class FeedbackService {
       };
       
       // Send the email
-      const response = await emailService.sendEmail(emailData);
+      const response = await emailService.sendEmail(emailData, { businessId, businessName });
       
-      logger.info(`Feedback notification sent successfully to ${toEmail}`);
+      logger.info(`Feedback notification queued for ${toEmail}`);
       return response;
     } catch (error) {
       logger.error(`Failed to send feedback notification: ${error.message}`);
@@ -57,6 +378,70 @@ class FeedbackService {
     }
   }
   
+  /**
+   * Render the feedback notification email, using the business's stored
+   * template if it has one and the built-in template otherwise. Built-in
+   * copy is in the business's default locale and shows its logo and colors;
+   * the sign-off stays RevBoost's, as RevBoost sends the notification.
+   * @param {Object} options - Template data
+   * @param {string} [options.businessId] - Business whose template to use
+   * @param {string} options.businessName - Business name
+   * @param {number} options.rating - Customer rating (1-5)
+   * @param {string} options.feedback - Customer feedback text
+   * @param {string} options.customerName - Customer name
+   * @param {string} [options.locale] - Language to use instead of the business default
+   * @returns {Object} `{ subject, html }`
+   */
+  renderFeedbackNotification({ businessId, businessName, rating, feedback, customerName, locale }) {
+    const settings = businessSettings.get(businessId);
+    const stored = templateService.render({ businessId, type: 'feedback_notification', channel: 'email' }, {
+      businessName,
+      customerName,
+      rating,
+      stars: this.generateStars(rating),
+      feedback,
+      branding: settings.branding || {},
+    });
+    
+    if (stored) {
+      return { subject: stored.subject, html: stored.body };
+    }
+    
+    const language = resolveLocale(locale, settings.locale);
+    const timezone = (settings.quietHours && settings.quietHours.timezone) || businessSettings.defaultTimezone;
+    
+    return {
+      subject: translate(language, 'feedbackNotification.subject', { rating: formatRating(rating, language) }),
+      html: this.generateFeedbackEmailHtml({
+        businessName,
+        rating,
+        feedback,
+        customerName,
+        locale: language,
+        receivedAt: formatDate(new Date(), language, timezone),
+        branding: settings.branding,
+      }),
+    };
+  }
+  
+  /**
+   * Render a rating as five filled or empty stars
+   * @param {number} rating - Customer rating (1-5)
+   * @returns {string} e.g. "★★★☆☆"
+   */
+  generateStars(rating) {
+    let stars = '';
+    for (let i = 1; i <= 5; i++) {
+      if (i <= rating) {
+        stars += '★'; // Filled star
+      } else {
+        stars += '☆'; // Empty star
+      }
+    }
+    
+    return stars;
+  }
+  
   /**
    * Generate HTML content for feedback notification email
    * @param {Object} options - Email options
@@ -64,34 +449,31 @@ class FeedbackService {
    * @param {number} options.rating - Customer rating (1-5)
    * @param {string} options.feedback - Customer feedback text
    * @param {string} options.customerName - Customer name
+   * @param {string} [options.locale="en"] - Supported locale for the copy
+   * @param {string} [options.receivedAt] - Formatted time the feedback arrived
+   * @param {Object} [options.branding] - Business branding profile
    * @returns {string} HTML content
    */
-  generateFeedbackEmailHtml({ businessName, rating, feedback, customerName }) {
+  generateFeedbackEmailHtml({ businessName, rating, feedback, customerName, locale = 'en', receivedAt, branding }) {
     // Escape all user-provided data to prevent XSS
     const safeBusinessName = escapeHtml(businessName);
     const safeFeedback = escapeHtml(feedback);
     const safeCustomerName = escapeHtml(customerName);
+    const t = (key, values) => translate(locale, `feedbackNotification.${key}`, values);
     
     // Get current year for copyright
     const currentYear = new Date().getFullYear();
     
     // Generate star rating HTML
-    let starsHtml = '';
-    for (let i = 1; i <= 5; i++) {
-      if (i <= rating) {
-        starsHtml += '★'; // Filled star
-      } else {
-        starsHtml += '☆'; // Empty star
-      }
-    }
+    const starsHtml = this.generateStars(rating);
     
     return `
       <!DOCTYPE html>
-      <html>
+      <html lang="${locale}">
       <head>
         <meta charset="utf-8">
         <meta name="viewport" content="width=device-width, initial-scale=1.0">
-        <title>Customer Feedback Alert</title>
+        <title>${t('heading')}</title>
         <style>
           @import url('https://fonts.googleapis.com/css2?family=Inter:wght@400;500;600;700&display=swap');
           
@@ -120,8 +502,15 @@ class FeedbackService {
             border-bottom: 1px solid #e5e7eb;
           }
           
+          .header .logo {
+            display: block;
+            max-width: 200px;
+            max-height: 60px;
+            margin: 0 auto 12px;
+          }
+          
           .header h2 {
-            color: #991b1b;
+            color: ${(branding && branding.primaryColor) || '#991b1b'};
             margin: 0;
             font-size: 24px;
             font-weight: 700;
@@ -171,32 +560,34 @@ class FeedbackService {
       <body>
         <div class="container">
           <div class="header">
-            <h2>Customer Feedback Alert</h2>
+            ${generateLogoHtml(branding, businessName)}
+            <h2>${t('heading')}</h2>
           </div>
           <div class="content">
-            <p>Hello ${safeBusinessName} Team,</p>
-            <p>A customer has left feedback that was <strong>not published publicly</strong>. This feedback has been blocked from appearing on review sites.</p>
+            <p>${t('greeting', { businessName: safeBusinessName })}</p>
+            <p>${t('intro')}</p>
             
-            <p><strong>Customer:</strong> ${safeCustomerName}</p>
+            <p><strong>${t('customer')}</strong> ${safeCustomerName}</p>
+            ${receivedAt ? `<p><strong>${t('received')}</strong> ${escapeHtml(receivedAt)}</p>` : ''}
             <div class="rating">
-              <strong>Rating:</strong> ${starsHtml} (${rating}/5)
+              <strong>${t('rating')}</strong> ${starsHtml} (${formatRating(rating, locale)})
             </div>
             
-            <p><strong>Customer Feedback:</strong></p>
+            <p><strong>${t('feedback')}</strong></p>
             <div class="feedback-box">
               ${safeFeedback}
             </div>
             
-            <p>This feedback was captured by RevBoost to protect your online reputation. We recommend addressing this feedback directly with the customer.</p>
+            <p>${t('advice')}</p>
             
             <p>
-              Best regards,<br>
-              RevBoost Team
+              ${t('signOff')}<br>
+              ${t('signature')}
             </p>
           </div>
           <div class="footer">
-            <p>This is an automated notification from RevBoost.</p>
-            <p>© ${currentYear} RevBoost. All rights reserved.</p>
+            <p>${t('footer')}</p>
+            <p>${t('copyright', { year: currentYear })}</p>
           </div>
         </div>
       </body>
@@ -0,0 +1,136 @@
+// services/frequency-cap-service.js - Limits on how often a customer is asked for a review
+
+const logger = require('../utils/logger');
+const messageLog = require('./message-log-service');
+const businessSettings = require('./business-settings-service');
+const { FileStore } = require('../utils/file-store');
+const { normalizePhoneNumber } = require('../utils/phone');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Contacts older than the longest allowed rule period can never match
+const MAX_PERIOD_DAYS = 365;
+
+// Messages that never reached the customer don't count as contact
+const UNSENT_STATUSES = ['failed', 'bounced', 'undelivered', 'suppressed', 'skipped'];
+
+/**
+ * Service for per-business frequency caps on review requests.
+ * Each review request sent is recorded as a contact under the customer's
+ * email address and phone number, whichever are known, so a rule such as
+ * "one request per 30 days across email and SMS" catches a customer asked
+ * by email one day and by SMS the next. Rules live in the business's
+ * `frequencyCaps` setting.
+ */
+class FrequencyCapService {
+  constructor() {
+    this.store = new FileStore('recipient-contacts', { idPrefix: 'rct' });
+    this.maxPeriodDays = MAX_PERIOD_DAYS;
+  }
+
+  /**
+   * Normalize the identifiers a customer can be matched on
+   * @param {Object} customer - Customer details
+   * @param {string} [customer.email] - Email address
+   * @param {string} [customer.phone] - Phone number
+   * @returns {Object} `{ email, phone }`, null where unknown
+   * @private
+   */
+  identify({ email, phone }) {
+    return {
+      email: email ? String(email).trim().toLowerCase() : null,
+      phone: phone ? normalizePhoneNumber(phone) : null,
+    };
+  }
+
+  /**
+   * Check a review request against the business's frequency caps
+   * @param {Object} options - Request details
+   * @param {string} [options.businessId] - Sending business
+   * @param {string} options.channel - "email" or "sms"
+   * @param {string} [options.email] - Customer email address
+   * @param {string} [options.phone] - Customer phone number
+   * @returns {Object|null} `{ rule, lastContactAt, lastContactChannel,
+   *   lastMessageId }` for the first rule the request would break, or null
+   *   if it may be sent
+   */
+  check({ businessId, channel, email, phone }) {
+    if (!businessId) {
+      return null;
+    }
+
+    const rules = (businessSettings.get(businessId).frequencyCaps || [])
+      .filter(rule => rule.channels.includes(channel));
+
+    if (rules.length === 0) {
+      return null;
+    }
+
+    const customer = this.identify({ email, phone });
+    const longest = Math.max(...rules.map(rule => rule.periodDays));
+    const since = Date.now() - longest * DAY_MS;
+
+    const contacts = this.store
+      .find(contact => (
+        contact.businessId === businessId
+        && new Date(contact.contactedAt).getTime() >= since
+        && ((customer.email && contact.email === customer.email) || (customer.phone && contact.phone === customer.phone))
+      ))
+      .filter((contact) => {
+        const message = contact.messageId ? messageLog.get(contact.messageId) : null;
+        return !message || !UNSENT_STATUSES.includes(message.status);
+      })
+      .sort((a, b) => b.contactedAt.localeCompare(a.contactedAt));
+
+    for (const rule of rules) {
+      const windowStart = Date.now() - rule.periodDays * DAY_MS;
+      const matching = contacts.filter(contact => (
+        rule.channels.includes(contact.channel) && new Date(contact.contactedAt).getTime() >= windowStart
+      ));
+
+      if (matching.length >= rule.maxRequests) {
+        return {
+          rule,
+          lastContactAt: matching[0].contactedAt,
+          lastContactChannel: matching[0].channel,
+          lastMessageId: matching[0].messageId,
+        };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Record that a customer was sent a review request
+   * @param {Object} options - Contact details
+   * @param {string} [options.businessId] - Sending business
+   * @param {string} options.channel - "email" or "sms"
+   * @param {string} [options.email] - Customer email address
+   * @param {string} [options.phone] - Customer phone number
+   * @param {string} options.messageId - Message log ID
+   * @returns {Object|null} The contact, or null without a business
+   */
+  recordContact({ businessId, channel, email, phone, messageId }) {
+    if (!businessId) {
+      return null;
+    }
+
+    const cutoff = Date.now() - MAX_PERIOD_DAYS * DAY_MS;
+    const removed = this.store.removeWhere(contact => new Date(contact.contactedAt).getTime() < cutoff);
+
+    if (removed > 0) {
+      logger.debug(`Pruned ${removed} expired recipient contacts`);
+    }
+
+    return this.store.insert({
+      businessId,
+      channel,
+      ...this.identify({ email, phone }),
+      messageId,
+      contactedAt: new Date().toISOString(),
+    });
+  }
+}
+
+module.exports = new FrequencyCapService();
@@ -0,0 +1,112 @@
+// services/frequency-cap-service.test.js
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'revboost-frequency-caps-'));
+
+const frequencyCap = require('./frequency-cap-service');
+const businessSettings = require('./business-settings-service');
+const messageLog = require('./message-log-service');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Record a contact as if it was made some days ago
+ * @param {Object} contact - Contact details for `recordContact`
+ * @param {number} daysAgo - Age of the contact
+ * @returns {Object} The contact
+ */
+function contactDaysAgo(contact, daysAgo) {
+  const recorded = frequencyCap.recordContact(contact);
+  return frequencyCap.store.update(recorded.id, {
+    contactedAt: new Date(Date.now() - daysAgo * DAY_MS).toISOString(),
+  });
+}
+
+describe('FrequencyCapService.check', () => {
+  afterAll(() => {
+    fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+  });
+
+  test('allows requests without a business or without rules', () => {
+    contactDaysAgo({ businessId: 'biz-none', channel: 'email', email: 'a@x.com' }, 0);
+
+    expect(frequencyCap.check({ channel: 'email', email: 'a@x.com' })).toBeNull();
+    expect(frequencyCap.check({ businessId: 'biz-none', channel: 'email', email: 'a@x.com' })).toBeNull();
+  });
+
+  test('blocks within the period and allows once it has passed', () => {
+    businessSettings.update('biz-window', {
+      frequencyCaps: [{ maxRequests: 1, periodDays: 30, channels: ['email', 'sms'] }],
+    });
+
+    const contact = contactDaysAgo({ businessId: 'biz-window', channel: 'email', email: 'b@x.com', messageId: 'msg_1' }, 29);
+    const blocked = frequencyCap.check({ businessId: 'biz-window', channel: 'email', email: 'B@x.com ' });
+
+    expect(blocked).toEqual({
+      rule: { maxRequests: 1, periodDays: 30, channels: ['email', 'sms'] },
+      lastContactAt: contact.contactedAt,
+      lastContactChannel: 'email',
+      lastMessageId: 'msg_1',
+    });
+
+    frequencyCap.store.update(contact.id, { contactedAt: new Date(Date.now() - 31 * DAY_MS).toISOString() });
+    expect(frequencyCap.check({ businessId: 'biz-window', channel: 'email', email: 'b@x.com' })).toBeNull();
+  });
+
+  test('matches a customer across channels by email or phone', () => {
+    businessSettings.update('biz-cross', {
+      frequencyCaps: [{ maxRequests: 1, periodDays: 30, channels: ['email', 'sms'] }],
+    });
+
+    contactDaysAgo({ businessId: 'biz-cross', channel: 'email', email: 'c@x.com', phone: '+14155550100' }, 1);
+
+    expect(frequencyCap.check({ businessId: 'biz-cross', channel: 'sms', phone: '(415) 555-0100' })).not.toBeNull();
+    expect(frequencyCap.check({ businessId: 'biz-cross', channel: 'sms', phone: '+14155550199' })).toBeNull();
+    expect(frequencyCap.check({ businessId: 'biz-other', channel: 'sms', phone: '+14155550100' })).toBeNull();
+  });
+
+  test('only counts contacts on the channels a rule covers', () => {
+    businessSettings.update('biz-channels', {
+      frequencyCaps: [{ maxRequests: 1, periodDays: 7, channels: ['sms'] }],
+    });
+
+    contactDaysAgo({ businessId: 'biz-channels', channel: 'email', email: 'd@x.com', phone: '+14155550101' }, 1);
+
+    expect(frequencyCap.check({ businessId: 'biz-channels', channel: 'sms', phone: '+14155550101' })).toBeNull();
+    expect(frequencyCap.check({ businessId: 'biz-channels', channel: 'email', email: 'd@x.com' })).toBeNull();
+  });
+
+  test('applies each rule to its own window', () => {
+    const daily = { maxRequests: 1, periodDays: 1, channels: ['email'] };
+    const monthly = { maxRequests: 3, periodDays: 30, channels: ['email'] };
+    businessSettings.update('biz-rules', { frequencyCaps: [daily, monthly] });
+
+    contactDaysAgo({ businessId: 'biz-rules', channel: 'email', email: 'e@x.com' }, 10);
+    contactDaysAgo({ businessId: 'biz-rules', channel: 'email', email: 'e@x.com' }, 5);
+    expect(frequencyCap.check({ businessId: 'biz-rules', channel: 'email', email: 'e@x.com' })).toBeNull();
+
+    const today = contactDaysAgo({ businessId: 'biz-rules', channel: 'email', email: 'e@x.com' }, 0.5);
+    expect(frequencyCap.check({ businessId: 'biz-rules', channel: 'email', email: 'e@x.com' }).rule).toEqual(daily);
+
+    frequencyCap.store.update(today.id, { contactedAt: new Date(Date.now() - 2 * DAY_MS).toISOString() });
+    expect(frequencyCap.check({ businessId: 'biz-rules', channel: 'email', email: 'e@x.com' }).rule).toEqual(monthly);
+  });
+
+  test('ignores messages that never reached the customer', () => {
+    businessSettings.update('biz-failed', {
+      frequencyCaps: [{ maxRequests: 1, periodDays: 30, channels: ['email'] }],
+    });
+
+    const message = messageLog.create({ channel: 'email', recipient: 'f@x.com', businessId: 'biz-failed' });
+    contactDaysAgo({ businessId: 'biz-failed', channel: 'email', email: 'f@x.com', messageId: message.id }, 1);
+    expect(frequencyCap.check({ businessId: 'biz-failed', channel: 'email', email: 'f@x.com' })).not.toBeNull();
+
+    messageLog.update(message.id, { status: 'bounced' });
+    expect(frequencyCap.check({ businessId: 'biz-failed', channel: 'email', email: 'f@x.com' })).toBeNull();
+  });
+});
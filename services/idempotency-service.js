@@ -0,0 +1,132 @@
+// services/idempotency-service.js - Stored responses for Idempotency-Key retries
+
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const HttpError = require('../utils/http-error');
+const { FileStore } = require('../utils/file-store');
+
+/**
+ * Serialize a value with object keys sorted, so equal bodies match
+ * whatever order their fields were sent in
+ * @param {*} value - Value to serialize
+ * @returns {string} JSON
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+/**
+ * Service for idempotent POSTs. The first request with a key is run and
+ * its response stored; a retry with the same key and body gets the stored
+ * response back instead of sending again. Keys are scoped to a business
+ * and kept for IDEMPOTENCY_KEY_TTL_HOURS (default 24). A claim whose
+ * request never stored a response (e.g. the process died) is treated as
+ * released after IDEMPOTENCY_CLAIM_TIMEOUT_SECONDS (default 60).
+ */
+class IdempotencyService {
+  constructor() {
+    this.store = new FileStore('idempotency-keys', { idPrefix: 'idem' });
+    this.ttlHours = parseInt(process.env.IDEMPOTENCY_KEY_TTL_HOURS, 10) || 24;
+    this.claimTimeoutMs = (parseInt(process.env.IDEMPOTENCY_CLAIM_TIMEOUT_SECONDS, 10) || 60) * 1000;
+  }
+
+  /**
+   * Fingerprint a request so a reused key can be told apart from a retry
+   * @param {Object} request - Request details
+   * @param {string} request.method - HTTP method
+   * @param {string} request.path - Path including the mount point
+   * @param {*} request.body - Parsed body
+   * @returns {string} SHA-256 hex digest
+   */
+  fingerprint({ method, path, body }) {
+    return crypto
+      .createHash('sha256')
+      .update(`${method} ${path}\n${stableStringify(body || {})}`)
+      .digest('hex');
+  }
+
+  /**
+   * Claim a key for a request, or find the response already stored for it
+   * @param {Object} options - Key details
+   * @param {string} options.businessId - Business ID
+   * @param {string} options.key - Idempotency-Key header value
+   * @param {string} options.fingerprint - Request fingerprint
+   * @returns {Object} `{ record, replay }`; `replay` is true when `record`
+   *   holds a completed response to return as-is
+   * @throws {HttpError} 409 if the key was used for a different request or
+   *   the original request is still running
+   */
+  begin({ businessId, key, fingerprint }) {
+    const now = Date.now();
+    this.store.removeWhere(record => new Date(record.expiresAt).getTime() <= now);
+
+    const existing = this.store.findOne(record => record.businessId === businessId && record.key === key);
+
+    if (existing) {
+      if (existing.fingerprint !== fingerprint) {
+        throw new HttpError(409, 'Idempotency-Key was already used for a different request', {
+          code: 'idempotency_key_reused',
+        });
+      }
+
+      if (existing.status === 'in_progress') {
+        const claimedAt = new Date(existing.claimedAt || existing.createdAt).getTime();
+
+        if (now - claimedAt < this.claimTimeoutMs) {
+          throw new HttpError(409, 'A request with this Idempotency-Key is still being processed', {
+            code: 'idempotency_in_progress',
+          });
+        }
+
+        logger.warn(`Reclaiming stale idempotency key ${key} (business ${businessId})`);
+        return { record: this.store.update(existing.id, { claimedAt: new Date(now).toISOString() }), replay: false };
+      }
+
+      logger.info(`Replaying stored response for idempotency key ${key} (business ${businessId})`);
+      return { record: existing, replay: true };
+    }
+
+    const record = this.store.insert({
+      businessId,
+      key,
+      fingerprint,
+      status: 'in_progress',
+      claimedAt: new Date(now).toISOString(),
+      responseStatus: null,
+      responseBody: null,
+      expiresAt: new Date(now + this.ttlHours * 60 * 60 * 1000).toISOString(),
+    });
+
+    return { record, replay: false };
+  }
+
+  /**
+   * Store the response for a claimed key
+   * @param {string} id - Record ID
+   * @param {number} statusCode - Response status
+   * @param {*} body - Response body
+   * @returns {Object|null} The updated record
+   */
+  complete(id, statusCode, body) {
+    return this.store.update(id, { status: 'completed', responseStatus: statusCode, responseBody: body });
+  }
+
+  /**
+   * Release a claimed key so the request can be retried
+   * @param {string} id - Record ID
+   * @returns {boolean} True if released
+   */
+  release(id) {
+    return this.store.remove(id);
+  }
+}
+
+module.exports = new IdempotencyService();
@@ -0,0 +1,158 @@
+// services/message-log-service.js - Persistent log of outbound messages
+
+const { FileStore } = require('../utils/file-store');
+
+/**
+ * Service for recording every outbound email and SMS
+ */
+class MessageLogService {
+  constructor() {
+    this.store = new FileStore('messages', { idPrefix: 'msg' });
+  }
+
+  /**
+   * Record a message when it is queued for a provider
+   * @param {Object} options - Message details
+   * @param {string} options.channel - "email" or "sms"
+   * @param {string} options.recipient - Email address or E.164 phone number
+   * @param {string} options.templateType - e.g. "review_request", "test"
+   * @param {string} [options.businessId] - Business the message was sent for
+   * @param {string} [options.businessName] - Business display name
+   * @param {string} [options.provider] - Provider name, e.g. "resend"
+   * @param {string} [options.subject] - Email subject
+   * @param {string} [options.body] - SMS text, kept for conversation threads
+   * @param {string} [options.status] - Initial status, defaults to "queued"
+   * @param {string} [options.error] - Reason a message was not queued
+   * @returns {Object} The stored message record
+   */
+  create({ channel, recipient, templateType, businessId, businessName, provider, subject, body, status, error }) {
+    return this.store.insert({
+      channel,
+      recipient,
+      templateType: templateType || 'unknown',
+      businessId: businessId || null,
+      businessName: businessName || null,
+      provider: provider || null,
+      providerMessageId: null,
+      subject: subject || null,
+      body: body || null,
+      status: status || 'queued',
+      attempts: 0,
+      error: error || null,
+      sentAt: null,
+      failedAt: null,
+    });
+  }
+
+  /**
+   * Mark a message as accepted by the provider
+   * @param {string} id - Message ID
+   * @param {Object} details - Provider details
+   * @param {string} details.providerMessageId - ID assigned by the provider
+   * @param {string} [details.provider] - Provider that accepted the message
+   * @param {string} [details.status] - Provider status, defaults to "sent"
+   * @returns {Object|null} The updated record
+   */
+  markSent(id, { providerMessageId, provider, status }) {
+    const changes = {
+      providerMessageId: providerMessageId || null,
+      status: status || 'sent',
+      sentAt: new Date().toISOString(),
+      error: null,
+    };
+
+    if (provider) {
+      changes.provider = provider;
+    }
+
+    return this.store.update(id, changes);
+  }
+
+  /**
+   * Mark a message as failed
+   * @param {string} id - Message ID
+   * @param {Error|string} error - The failure
+   * @returns {Object|null} The updated record
+   */
+  markFailed(id, error) {
+    return this.store.update(id, {
+      status: 'failed',
+      error: error instanceof Error ? error.message : String(error),
+      failedAt: new Date().toISOString(),
+    });
+  }
+
+  /**
+   * Update a message record
+   * @param {string} id - Message ID
+   * @param {Object} changes - Fields to update
+   * @returns {Object|null} The updated record
+   */
+  update(id, changes) {
+    return this.store.update(id, changes);
+  }
+
+  /**
+   * Get a message by ID
+   * @param {string} id - Message ID
+   * @returns {Object|null} The message record
+   */
+  get(id) {
+    return this.store.get(id);
+  }
+
+  /**
+   * Find a message by the ID its provider assigned
+   * @param {string} providerMessageId - Provider message ID
+   * @returns {Object|null} The message record
+   */
+  findByProviderMessageId(providerMessageId) {
+    if (!providerMessageId) {
+      return null;
+    }
+
+    return this.store.findOne(record => record.providerMessageId === providerMessageId);
+  }
+
+  /**
+   * Query the message log, newest first
+   * @param {Object} [filters] - Query filters
+   * @param {string} [filters.businessId] - Business ID
+   * @param {string} [filters.channel] - "email" or "sms"
+   * @param {string} [filters.status] - Message status
+   * @param {string} [filters.recipient] - Recipient address or number
+   * @param {string} [filters.from] - ISO date, inclusive lower bound on createdAt
+   * @param {string} [filters.to] - ISO date, inclusive upper bound on createdAt
+   * @param {number} [filters.limit=50] - Page size
+   * @param {number} [filters.offset=0] - Page offset
+   * @returns {Object} `{ messages, total, limit, offset }`
+   */
+  query({ businessId, channel, status, recipient, from, to, limit = 50, offset = 0 } = {}) {
+    const fromTime = from ? new Date(from).getTime() : null;
+    const toTime = to ? new Date(to).getTime() : null;
+
+    const matches = this.store
+      .find((record) => {
+        const createdAt = new Date(record.createdAt).getTime();
+
+        if (businessId && record.businessId !== businessId) return false;
+        if (channel && record.channel !== channel) return false;
+        if (status && record.status !== status) return false;
+        if (recipient && record.recipient !== recipient) return false;
+        if (fromTime !== null && createdAt < fromTime) return false;
+        if (toTime !== null && createdAt > toTime) return false;
+
+        return true;
+      })
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+
+    return {
+      messages: matches.slice(offset, offset + limit),
+      total: matches.length,
+      limit,
+      offset,
+    };
+  }
+}
+
+module.exports = new MessageLogService();
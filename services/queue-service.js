@@ -0,0 +1,337 @@
+// services/queue-service.js - Durable background send queue
+
+const EventEmitter = require('events');
+const logger = require('../utils/logger');
+const HttpError = require('../utils/http-error');
+const messageLog = require('./message-log-service');
+const { FileStore } = require('../utils/file-store');
+const { isRetryableError, computeBackoff } = require('../utils/retry');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Finished jobs are pruned at most this often
+const PRUNE_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Durable queue of outbound sends.
+ * Jobs are persisted so they survive restarts; a worker processes them with
+ * bounded concurrency, retries retryable failures with exponential backoff
+ * and moves exhausted jobs to a dead-letter state.
+ * Completed jobs drop their payload straight away and are deleted after
+ * QUEUE_COMPLETED_RETENTION_HOURS; dead jobs keep theirs for replay until
+ * QUEUE_DEAD_RETENTION_DAYS.
+ *
+ * Handlers are registered per job type and return the provider result
+ * (`{ provider, providerMessageId, status }`), which is written to the
+ * message log for the job's `messageId`.
+ * The module exports the shared send queue; other work that must not hold
+ * up sends gets its own instance of the class.
+ */
+class QueueService extends EventEmitter {
+  /**
+   * @param {Object} [options] - Queue options
+   * @param {string} [options.name="send-queue"] - Store the jobs are kept in
+   * @param {string} [options.label="Send queue"] - Name used in logs
+   * @param {number} [options.concurrency] - Jobs run at once; defaults to
+   *   QUEUE_CONCURRENCY
+   */
+  constructor({ name = 'send-queue', label = 'Send queue', concurrency } = {}) {
+    super();
+    this.store = new FileStore(name, { idPrefix: 'job' });
+    this.label = label;
+    this.handlers = {};
+    this.active = 0;
+    this.timer = null;
+
+    this.concurrency = concurrency || parseInt(process.env.QUEUE_CONCURRENCY, 10) || 2;
+    this.maxAttempts = parseInt(process.env.QUEUE_MAX_ATTEMPTS, 10) || 5;
+    this.pollIntervalMs = parseInt(process.env.QUEUE_POLL_INTERVAL_MS, 10) || 1000;
+    this.baseDelayMs = parseInt(process.env.QUEUE_RETRY_BASE_DELAY_MS, 10) || 2000;
+    this.maxDelayMs = parseInt(process.env.QUEUE_RETRY_MAX_DELAY_MS, 10) || 300000;
+    this.completedRetentionMs = (parseInt(process.env.QUEUE_COMPLETED_RETENTION_HOURS, 10) || 24) * HOUR_MS;
+    this.deadRetentionMs = (parseInt(process.env.QUEUE_DEAD_RETENTION_DAYS, 10) || 30) * 24 * HOUR_MS;
+    this.lastPrunedAt = 0;
+  }
+
+  /**
+   * Register the function that delivers jobs of a given type
+   * @param {string} type - Job type, e.g. "email" or "sms"
+   * @param {Function} handler - async (payload, job) => provider result
+   */
+  registerHandler(type, handler) {
+    this.handlers[type] = handler;
+  }
+
+  /**
+   * Add a job to the queue
+   * @param {string} type - Job type
+   * @param {Object} payload - Data passed to the handler
+   * @param {Object} [options] - Job options
+   * @param {string} [options.messageId] - Message log record to keep in sync
+   * @param {string} [options.businessId] - Owning business
+   * @param {number} [options.maxAttempts] - Override the default attempt limit
+   * @param {Date|string} [options.runAt] - Earliest time to process the job
+   * @returns {Object} The stored job
+   */
+  enqueue(type, payload, { messageId, businessId, maxAttempts, runAt } = {}) {
+    if (!this.handlers[type]) {
+      throw new Error(`No queue handler registered for "${type}" jobs`);
+    }
+
+    const job = this.store.insert({
+      type,
+      payload,
+      messageId: messageId || null,
+      businessId: businessId || null,
+      status: 'pending',
+      attempts: 0,
+      maxAttempts: maxAttempts || this.maxAttempts,
+      nextAttemptAt: new Date(runAt || Date.now()).toISOString(),
+      lastError: null,
+      completedAt: null,
+      deadAt: null,
+    });
+
+    logger.debug(`Queued ${type} job ${job.id}`);
+    this.emit('enqueued', job);
+
+    // Pick the job up straight away if the worker is idle
+    if (this.timer) {
+      setImmediate(() => this.tick());
+    }
+
+    return job;
+  }
+
+  /**
+   * Start the background worker
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    // Jobs left "processing" by a crash are safe to pick up again
+    this.store
+      .find(job => job.status === 'processing')
+      .forEach(job => this.store.update(job.id, { status: 'pending' }));
+
+    this.timer = setInterval(() => this.tick(), this.pollIntervalMs);
+    this.timer.unref();
+
+    logger.info(`${this.label} started (concurrency ${this.concurrency})`);
+    this.tick();
+  }
+
+  /**
+   * Stop the background worker. In-flight jobs finish on their own.
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      logger.info(`${this.label} stopped`);
+    }
+  }
+
+  /**
+   * Claim due jobs up to the concurrency limit
+   * @private
+   */
+  tick() {
+    if (Date.now() - this.lastPrunedAt >= PRUNE_INTERVAL_MS) {
+      this.prune();
+    }
+
+    const available = this.concurrency - this.active;
+    if (available <= 0) {
+      return;
+    }
+
+    const now = Date.now();
+    const due = this.store
+      .find(job => job.status === 'pending' && new Date(job.nextAttemptAt).getTime() <= now)
+      .sort((a, b) => new Date(a.nextAttemptAt) - new Date(b.nextAttemptAt))
+      .slice(0, available);
+
+    due.forEach((job) => {
+      const claimed = this.store.update(job.id, { status: 'processing' });
+      this.active += 1;
+
+      this.processJob(claimed)
+        .catch(error => logger.error(`Queue job ${job.id} crashed: ${error.message}`))
+        .finally(() => {
+          this.active -= 1;
+        });
+    });
+  }
+
+  /**
+   * Delete completed and dead jobs past their retention period
+   * @returns {number} Number of jobs deleted
+   * @private
+   */
+  prune() {
+    const now = Date.now();
+    this.lastPrunedAt = now;
+
+    const removed = this.store.removeWhere(job => (
+      (job.status === 'completed' && now - new Date(job.completedAt).getTime() > this.completedRetentionMs)
+        || (job.status === 'dead' && now - new Date(job.deadAt).getTime() > this.deadRetentionMs)
+    ));
+
+    if (removed > 0) {
+      logger.debug(`Pruned ${removed} finished queue jobs`);
+    }
+
+    return removed;
+  }
+
+  /**
+   * Run a single job and record the outcome
+   * @param {Object} job - The claimed job
+   * @private
+   */
+  async processJob(job) {
+    const attempts = job.attempts + 1;
+
+    try {
+      const result = await this.handlers[job.type](job.payload, job);
+
+      // The payload (e.g. rendered email HTML) is no longer needed
+      this.store.update(job.id, {
+        status: 'completed',
+        payload: null,
+        attempts,
+        lastError: null,
+        completedAt: new Date().toISOString(),
+      });
+
+      if (job.messageId) {
+        messageLog.markSent(job.messageId, { ...result });
+        messageLog.update(job.messageId, { attempts });
+      }
+
+      this.emit('completed', { ...job, attempts }, result);
+    } catch (error) {
+      const retryable = isRetryableError(error);
+
+      if (retryable && attempts < job.maxAttempts) {
+        const delay = computeBackoff(attempts, {
+          baseDelayMs: this.baseDelayMs,
+          maxDelayMs: this.maxDelayMs,
+        });
+        const nextAttemptAt = new Date(Date.now() + delay).toISOString();
+
+        this.store.update(job.id, {
+          status: 'pending',
+          attempts,
+          nextAttemptAt,
+          lastError: error.message,
+        });
+
+        if (job.messageId) {
+          messageLog.update(job.messageId, {
+            status: 'retrying',
+            attempts,
+            error: error.message,
+            nextAttemptAt,
+          });
+        }
+
+        logger.warn(`Queue job ${job.id} failed (attempt ${attempts}/${job.maxAttempts}), retrying in ${delay}ms: ${error.message}`);
+        this.emit('retry', { ...job, attempts }, error);
+        return;
+      }
+
+      this.store.update(job.id, {
+        status: 'dead',
+        attempts,
+        lastError: error.message,
+        deadAt: new Date().toISOString(),
+      });
+
+      if (job.messageId) {
+        messageLog.markFailed(job.messageId, error);
+        messageLog.update(job.messageId, { attempts });
+      }
+
+      logger.error(`Queue job ${job.id} moved to dead-letter after ${attempts} attempt(s): ${error.message}`);
+      this.emit('dead', { ...job, attempts }, error);
+    }
+  }
+
+  /**
+   * List dead-lettered jobs
+   * @param {Object} [filters] - List filters
+   * @param {string} [filters.businessId] - Only jobs for this business
+   * @returns {Array<Object>} Dead jobs, newest first
+   */
+  listDeadLetters({ businessId } = {}) {
+    return this.store
+      .find(job => job.status === 'dead' && (!businessId || job.businessId === businessId))
+      .sort((a, b) => new Date(b.deadAt) - new Date(a.deadAt));
+  }
+
+  /**
+   * Get a job by ID
+   * @param {string} id - Job ID
+   * @returns {Object|null} The job
+   */
+  get(id) {
+    return this.store.get(id);
+  }
+
+  /**
+   * Put a dead-lettered job back on the queue with a fresh attempt count
+   * @param {string} id - Job ID
+   * @returns {Object} The re-queued job
+   */
+  replay(id) {
+    const job = this.store.get(id);
+
+    if (!job) {
+      throw new HttpError(404, 'Queue job not found', { code: 'job_not_found' });
+    }
+
+    if (job.status !== 'dead') {
+      throw new HttpError(409, 'Only dead-lettered jobs can be replayed', { code: 'job_not_dead' });
+    }
+
+    const replayed = this.store.update(id, {
+      status: 'pending',
+      attempts: 0,
+      nextAttemptAt: new Date().toISOString(),
+      deadAt: null,
+      replayedAt: new Date().toISOString(),
+    });
+
+    if (job.messageId) {
+      messageLog.update(job.messageId, { status: 'queued', error: null, failedAt: null });
+    }
+
+    logger.info(`Queue job ${id} replayed from dead-letter`);
+
+    if (this.timer) {
+      setImmediate(() => this.tick());
+    }
+
+    return replayed;
+  }
+
+  /**
+   * Count jobs by status
+   * @returns {Object} Counts keyed by status, plus active workers
+   */
+  getStats() {
+    const counts = { pending: 0, processing: 0, completed: 0, dead: 0 };
+    this.store.all().forEach((job) => {
+      counts[job.status] = (counts[job.status] || 0) + 1;
+    });
+
+    return { ...counts, active: this.active, concurrency: this.concurrency };
+  }
+}
+
+module.exports = new QueueService();
+module.exports.QueueService = QueueService;
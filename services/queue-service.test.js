@@ -0,0 +1,314 @@
+// services/queue-service.test.js
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'revboost-queue-'));
+
+const { QueueService } = require('./queue-service');
+const messageLog = require('./message-log-service');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+let queueCount = 0;
+
+/**
+ * Build a queue with its own store and a fake "email" handler
+ * @param {Function} handler - Fake handler: async (payload, job) => result
+ * @param {Object} [settings] - Fields to override on the queue
+ * @returns {QueueService} The queue
+ */
+function buildQueue(handler, settings = {}) {
+  queueCount += 1;
+  const queue = new QueueService({ name: `test-queue-${queueCount}`, label: 'Test queue', concurrency: 2 });
+
+  Object.assign(queue, { baseDelayMs: 1000, maxDelayMs: 8000, maxAttempts: 3 }, settings);
+  queue.registerHandler('email', handler);
+  return queue;
+}
+
+/**
+ * Run one worker pass and wait for the jobs it claimed to finish
+ * @param {QueueService} queue - The queue
+ * @returns {Promise<void>}
+ */
+async function runOnce(queue) {
+  queue.tick();
+  while (queue.active > 0) {
+    await new Promise(resolve => setImmediate(resolve));
+  }
+}
+
+/**
+ * Make a pending job due now, skipping its backoff delay
+ * @param {QueueService} queue - The queue
+ * @param {string} id - Job ID
+ */
+function makeDue(queue, id) {
+  queue.store.update(id, { nextAttemptAt: new Date(Date.now() - 1).toISOString() });
+}
+
+/**
+ * Error shaped like a provider failure
+ * @param {string} message - Error message
+ * @param {boolean} retryable - Whether the provider marked it retryable
+ * @returns {Error} The error
+ */
+function providerError(message, retryable) {
+  return Object.assign(new Error(message), { retryable });
+}
+
+describe('QueueService', () => {
+  afterAll(() => {
+    fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+  });
+
+  test('refuses job types without a handler', () => {
+    const queue = buildQueue(jest.fn());
+
+    expect(() => queue.enqueue('fax', {})).toThrow('No queue handler registered for "fax" jobs');
+  });
+
+  test('completes a job, drops its payload and marks the message sent', async () => {
+    const handler = jest.fn(async () => ({ provider: 'fake', providerMessageId: 'pm_1' }));
+    const queue = buildQueue(handler);
+    const completed = jest.fn();
+    queue.on('completed', completed);
+
+    const message = messageLog.create({ channel: 'email', recipient: 'a@x.com', businessId: 'biz1' });
+    const job = queue.enqueue('email', { to: 'a@x.com', html: '<p>Hi</p>' }, { messageId: message.id, businessId: 'biz1' });
+
+    await runOnce(queue);
+
+    expect(handler).toHaveBeenCalledWith({ to: 'a@x.com', html: '<p>Hi</p>' }, expect.objectContaining({ id: job.id }));
+    expect(queue.get(job.id)).toMatchObject({ status: 'completed', payload: null, attempts: 1, lastError: null });
+    expect(messageLog.get(message.id)).toMatchObject({ status: 'sent', provider: 'fake', providerMessageId: 'pm_1', attempts: 1 });
+    expect(completed).toHaveBeenCalledWith(expect.objectContaining({ id: job.id, attempts: 1 }), { provider: 'fake', providerMessageId: 'pm_1' });
+  });
+
+  test('leaves jobs scheduled for later alone', async () => {
+    const handler = jest.fn(async () => ({}));
+    const queue = buildQueue(handler);
+
+    const job = queue.enqueue('email', {}, { runAt: new Date(Date.now() + HOUR_MS) });
+    await runOnce(queue);
+
+    expect(handler).not.toHaveBeenCalled();
+    expect(queue.get(job.id).status).toBe('pending');
+  });
+
+  test('runs no more jobs at once than its concurrency', async () => {
+    const release = [];
+    const handler = jest.fn(() => new Promise(resolve => release.push(resolve)));
+    const queue = buildQueue(handler);
+
+    ['a', 'b', 'c'].forEach(to => queue.enqueue('email', { to }));
+    queue.tick();
+    queue.tick();
+
+    expect(handler).toHaveBeenCalledTimes(2);
+    expect(queue.getStats()).toMatchObject({ pending: 1, processing: 2, active: 2 });
+
+    release.forEach(resolve => resolve({}));
+    await runOnce(queue);
+    queue.tick();
+    expect(handler).toHaveBeenCalledTimes(3);
+
+    release[2]({});
+    await runOnce(queue);
+
+    expect(queue.getStats()).toMatchObject({ pending: 0, processing: 0, completed: 3 });
+  });
+
+  test('retries a retryable failure with exponential backoff', async () => {
+    const handler = jest.fn()
+      .mockRejectedValueOnce(providerError('rate limited', true))
+      .mockRejectedValueOnce(providerError('rate limited', true))
+      .mockResolvedValueOnce({ provider: 'fake', providerMessageId: 'pm_2' });
+    const queue = buildQueue(handler);
+    const retried = jest.fn();
+    queue.on('retry', retried);
+
+    const message = messageLog.create({ channel: 'email', recipient: 'b@x.com' });
+    const job = queue.enqueue('email', {}, { messageId: message.id });
+
+    let before = Date.now();
+    await runOnce(queue);
+
+    let stored = queue.get(job.id);
+    let delay = new Date(stored.nextAttemptAt).getTime() - before;
+    expect(stored).toMatchObject({ status: 'pending', attempts: 1, lastError: 'rate limited' });
+    expect(delay).toBeGreaterThanOrEqual(500);
+    expect(delay).toBeLessThanOrEqual(1000 + (Date.now() - before));
+    expect(messageLog.get(message.id)).toMatchObject({ status: 'retrying', attempts: 1, error: 'rate limited' });
+
+    // Not due yet: a second pass does nothing
+    await runOnce(queue);
+    expect(handler).toHaveBeenCalledTimes(1);
+
+    makeDue(queue, job.id);
+    before = Date.now();
+    await runOnce(queue);
+
+    stored = queue.get(job.id);
+    delay = new Date(stored.nextAttemptAt).getTime() - before;
+    expect(stored.attempts).toBe(2);
+    expect(delay).toBeGreaterThanOrEqual(1000);
+    expect(delay).toBeLessThanOrEqual(2000 + (Date.now() - before));
+
+    makeDue(queue, job.id);
+    await runOnce(queue);
+
+    expect(queue.get(job.id)).toMatchObject({ status: 'completed', attempts: 3 });
+    expect(messageLog.get(message.id)).toMatchObject({ status: 'sent', attempts: 3 });
+    expect(retried).toHaveBeenCalledTimes(2);
+  });
+
+  test('caps the backoff delay', async () => {
+    const queue = buildQueue(jest.fn().mockRejectedValue(providerError('down', true)), { maxAttempts: 10, maxDelayMs: 1500 });
+    const job = queue.enqueue('email', {});
+
+    for (let attempt = 1; attempt <= 4; attempt += 1) {
+      makeDue(queue, job.id);
+      const before = Date.now();
+      await runOnce(queue);
+
+      const delay = new Date(queue.get(job.id).nextAttemptAt).getTime() - before;
+      expect(delay).toBeLessThanOrEqual(1500 + (Date.now() - before));
+    }
+
+    expect(queue.get(job.id).attempts).toBe(4);
+  });
+
+  test('dead-letters a job once its attempts run out', async () => {
+    const queue = buildQueue(jest.fn().mockRejectedValue(providerError('timeout', true)));
+    const dead = jest.fn();
+    queue.on('dead', dead);
+
+    const message = messageLog.create({ channel: 'email', recipient: 'c@x.com' });
+    const job = queue.enqueue('email', { to: 'c@x.com' }, { messageId: message.id, businessId: 'biz1' });
+
+    for (let attempt = 1; attempt <= 3; attempt += 1) {
+      makeDue(queue, job.id);
+      await runOnce(queue);
+    }
+
+    expect(queue.get(job.id)).toMatchObject({ status: 'dead', attempts: 3, lastError: 'timeout', payload: { to: 'c@x.com' } });
+    expect(queue.get(job.id).deadAt).toEqual(expect.any(String));
+    expect(messageLog.get(message.id)).toMatchObject({ status: 'failed', error: 'timeout', attempts: 3 });
+    expect(dead).toHaveBeenCalledTimes(1);
+    expect(queue.listDeadLetters({ businessId: 'biz1' }).map(j => j.id)).toEqual([job.id]);
+    expect(queue.listDeadLetters({ businessId: 'biz2' })).toEqual([]);
+  });
+
+  test('dead-letters a non-retryable failure straight away', async () => {
+    const handler = jest.fn().mockRejectedValue(providerError('invalid recipient', false));
+    const queue = buildQueue(handler);
+
+    const job = queue.enqueue('email', {});
+    await runOnce(queue);
+
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(queue.get(job.id)).toMatchObject({ status: 'dead', attempts: 1, lastError: 'invalid recipient' });
+  });
+
+  test('honours a per-job attempt limit', async () => {
+    const queue = buildQueue(jest.fn().mockRejectedValue(providerError('busy', true)));
+
+    const job = queue.enqueue('email', {}, { maxAttempts: 1 });
+    await runOnce(queue);
+
+    expect(queue.get(job.id)).toMatchObject({ status: 'dead', attempts: 1 });
+  });
+
+  describe('replay', () => {
+    test('re-queues a dead job with a fresh attempt count and delivers it', async () => {
+      const handler = jest.fn()
+        .mockRejectedValueOnce(providerError('invalid api key', false))
+        .mockResolvedValueOnce({ provider: 'fake', providerMessageId: 'pm_3' });
+      const queue = buildQueue(handler);
+
+      const message = messageLog.create({ channel: 'email', recipient: 'd@x.com' });
+      const job = queue.enqueue('email', { to: 'd@x.com' }, { messageId: message.id });
+      await runOnce(queue);
+      expect(messageLog.get(message.id).status).toBe('failed');
+
+      const replayed = queue.replay(job.id);
+
+      expect(replayed).toMatchObject({ status: 'pending', attempts: 0, deadAt: null });
+      expect(replayed.replayedAt).toEqual(expect.any(String));
+      expect(messageLog.get(message.id)).toMatchObject({ status: 'queued', error: null, failedAt: null });
+
+      await runOnce(queue);
+
+      expect(handler).toHaveBeenLastCalledWith({ to: 'd@x.com' }, expect.objectContaining({ id: job.id }));
+      expect(queue.get(job.id)).toMatchObject({ status: 'completed', attempts: 1 });
+      expect(messageLog.get(message.id).status).toBe('sent');
+    });
+
+    test('rejects unknown jobs', () => {
+      const queue = buildQueue(jest.fn());
+
+      expect(() => queue.replay('job_missing')).toThrow(expect.objectContaining({ statusCode: 404, code: 'job_not_found' }));
+    });
+
+    test('rejects jobs that are not dead', () => {
+      const queue = buildQueue(jest.fn());
+      const job = queue.enqueue('email', {});
+
+      expect(() => queue.replay(job.id)).toThrow(expect.objectContaining({ statusCode: 409, code: 'job_not_dead' }));
+    });
+  });
+
+  describe('prune', () => {
+    test('deletes finished jobs past their retention and keeps the rest', () => {
+      const queue = buildQueue(jest.fn(), { completedRetentionMs: HOUR_MS, deadRetentionMs: 24 * HOUR_MS });
+      const ago = ms => new Date(Date.now() - ms).toISOString();
+
+      const oldCompleted = queue.store.insert({ status: 'completed', completedAt: ago(2 * HOUR_MS) });
+      const newCompleted = queue.store.insert({ status: 'completed', completedAt: ago(HOUR_MS / 2) });
+      const oldDead = queue.store.insert({ status: 'dead', deadAt: ago(25 * HOUR_MS) });
+      const newDead = queue.store.insert({ status: 'dead', deadAt: ago(2 * HOUR_MS) });
+      const pending = queue.store.insert({ status: 'pending', nextAttemptAt: ago(48 * HOUR_MS) });
+
+      expect(queue.prune()).toBe(2);
+
+      expect(queue.get(oldCompleted.id)).toBeNull();
+      expect(queue.get(oldDead.id)).toBeNull();
+      [newCompleted, newDead, pending].forEach(job => expect(queue.get(job.id)).not.toBeNull());
+    });
+
+    test('runs from the worker at most once a minute', () => {
+      const queue = buildQueue(jest.fn());
+      const prune = jest.spyOn(queue, 'prune');
+
+      queue.tick();
+      queue.tick();
+      expect(prune).toHaveBeenCalledTimes(1);
+
+      queue.lastPrunedAt = Date.now() - 61 * 1000;
+      queue.tick();
+      expect(prune).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  test('start() picks up jobs a crash left processing', async () => {
+    const handler = jest.fn(async () => ({}));
+    const queue = buildQueue(handler);
+
+    const job = queue.enqueue('email', {});
+    queue.store.update(job.id, { status: 'processing' });
+
+    queue.start();
+    while (queue.active > 0) {
+      await new Promise(resolve => setImmediate(resolve));
+    }
+    queue.stop();
+
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(queue.get(job.id).status).toBe('completed');
+  });
+});
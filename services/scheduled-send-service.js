@@ -0,0 +1,187 @@
+// services/scheduled-send-service.js - Review requests held until their send time
+
+const logger = require('../utils/logger');
+const HttpError = require('../utils/http-error');
+const emailService = require('./email-service');
+const smsService = require('./sms-service');
+const { FileStore } = require('../utils/file-store');
+
+/**
+ * Service for review requests with a future `sendAt`.
+ * Scheduled sends are persisted so they survive restarts, and are handed to
+ * the email or SMS service when due. Dispatching late (rather than queueing
+ * up front) means cancellations, suppressions and frequency caps made in
+ * the meantime apply; quiet hours are enforced by the channel services at
+ * dispatch time.
+ */
+class ScheduledSendService {
+  constructor() {
+    this.store = new FileStore('scheduled-sends', { idPrefix: 'sch' });
+    this.timer = null;
+    this.running = false;
+    this.pollIntervalMs = parseInt(process.env.SCHEDULER_POLL_INTERVAL_MS, 10) || 15000;
+  }
+
+  /**
+   * Schedule a review request
+   * @param {Object} options - Scheduled send details
+   * @param {string} options.channel - "email" or "sms"
+   * @param {string} options.businessId - Owning business
+   * @param {Date|string} options.sendAt - When to send
+   * @param {Object} options.request - Options for the channel's sendReviewRequest
+   * @returns {Object} The scheduled send
+   */
+  schedule({ channel, businessId, sendAt, request }) {
+    const scheduled = this.store.insert({
+      channel,
+      businessId,
+      sendAt: new Date(sendAt).toISOString(),
+      request,
+      status: 'scheduled',
+      messageId: null,
+      error: null,
+      dispatchedAt: null,
+      cancelledAt: null,
+    });
+
+    logger.info(`Scheduled ${channel} review request ${scheduled.id} for ${scheduled.sendAt}`);
+    return scheduled;
+  }
+
+  /**
+   * Start the scheduler
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    // Sends interrupted mid-dispatch by a crash are retried
+    this.store
+      .find(scheduled => scheduled.status === 'dispatching')
+      .forEach(scheduled => this.store.update(scheduled.id, { status: 'scheduled' }));
+
+    this.timer = setInterval(() => this.tick(), this.pollIntervalMs);
+    this.timer.unref();
+
+    logger.info('Scheduler started');
+    this.tick();
+  }
+
+  /**
+   * Stop the scheduler
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      logger.info('Scheduler stopped');
+    }
+  }
+
+  /**
+   * Dispatch every due scheduled send
+   * @private
+   */
+  async tick() {
+    if (this.running) {
+      return;
+    }
+
+    this.running = true;
+
+    try {
+      const now = Date.now();
+      const due = this.store
+        .find(scheduled => scheduled.status === 'scheduled' && new Date(scheduled.sendAt).getTime() <= now)
+        .sort((a, b) => new Date(a.sendAt) - new Date(b.sendAt));
+
+      for (const scheduled of due) {
+        await this.dispatch(scheduled);
+      }
+    } catch (error) {
+      logger.error(`Scheduler tick failed: ${error.message}`);
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Hand a scheduled send to its channel service
+   * @param {Object} scheduled - The scheduled send
+   * @private
+   */
+  async dispatch(scheduled) {
+    this.store.update(scheduled.id, { status: 'dispatching' });
+
+    try {
+      const service = scheduled.channel === 'email' ? emailService : smsService;
+      const result = await service.sendReviewRequest({
+        ...scheduled.request,
+        businessId: scheduled.businessId,
+      });
+
+      this.store.update(scheduled.id, {
+        status: ['suppressed', 'skipped'].includes(result.status) ? result.status : 'dispatched',
+        messageId: result.messageId,
+        dispatchedAt: new Date().toISOString(),
+      });
+    } catch (error) {
+      logger.error(`Scheduled send ${scheduled.id} failed: ${error.message}`);
+      this.store.update(scheduled.id, {
+        status: 'failed',
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Cancel a scheduled send that has not been dispatched
+   * @param {string} id - Scheduled send ID
+   * @returns {Object} The cancelled send
+   */
+  cancel(id) {
+    const scheduled = this.store.get(id);
+
+    if (!scheduled) {
+      throw new HttpError(404, 'Scheduled send not found', { code: 'scheduled_send_not_found' });
+    }
+
+    if (scheduled.status !== 'scheduled') {
+      throw new HttpError(409, `Scheduled send is already ${scheduled.status}`, { code: 'scheduled_send_not_pending' });
+    }
+
+    logger.info(`Cancelled scheduled send ${id}`);
+    return this.store.update(id, {
+      status: 'cancelled',
+      cancelledAt: new Date().toISOString(),
+    });
+  }
+
+  /**
+   * Get a scheduled send by ID
+   * @param {string} id - Scheduled send ID
+   * @returns {Object|null} The scheduled send
+   */
+  get(id) {
+    return this.store.get(id);
+  }
+
+  /**
+   * List scheduled sends, soonest first
+   * @param {Object} [filters] - List filters
+   * @param {string} [filters.businessId] - Business ID
+   * @param {string} [filters.status] - Status
+   * @returns {Array<Object>} Scheduled sends
+   */
+  list({ businessId, status } = {}) {
+    return this.store
+      .find(scheduled => (
+        (!businessId || scheduled.businessId === businessId)
+          && (!status || scheduled.status === status)
+      ))
+      .sort((a, b) => new Date(a.sendAt) - new Date(b.sendAt));
+  }
+}
+
+module.exports = new ScheduledSendService();
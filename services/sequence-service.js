@@ -0,0 +1,420 @@
+// services/sequence-service.js - Multi-step follow-up sequences
+
+const logger = require('../utils/logger');
+const HttpError = require('../utils/http-error');
+const emailService = require('./email-service');
+const smsService = require('./sms-service');
+const suppressionService = require('./suppression-service');
+const deliveryStatus = require('./delivery-status-service');
+const { FileStore } = require('../utils/file-store');
+const { normalizePhoneNumber } = require('../utils/phone');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Suppression reasons that mean the customer asked us to stop
+const OPT_OUT_REASONS = ['unsubscribe', 'stop', 'complaint'];
+
+/**
+ * Service for follow-up sequences.
+ * A sequence is an ordered list of review-request steps, each sent
+ * `delayDays` after enrollment. Enrollments advance in the background and
+ * stop early when the customer clicks the review link, leaves feedback or
+ * opts out.
+ */
+class SequenceService {
+  constructor() {
+    this.sequences = new FileStore('sequences', { idPrefix: 'seq' });
+    this.enrollments = new FileStore('sequence-enrollments', { idPrefix: 'enr' });
+    this.timer = null;
+    this.running = false;
+    this.pollIntervalMs = parseInt(process.env.SEQUENCE_POLL_INTERVAL_MS, 10) || 60000;
+
+    // A click on any message in an enrollment ends it
+    deliveryStatus.on('status', ({ message, status }) => {
+      if (status === 'clicked') {
+        this.stopForMessage(message.id, 'clicked');
+      }
+    });
+  }
+
+  /**
+   * Create a sequence
+   * @param {Object} options - Sequence details
+   * @param {string} options.businessId - Owning business
+   * @param {string} options.name - Sequence name
+   * @param {Array<Object>} options.steps - `{ channel, delayDays, customData? }`
+   * @returns {Object} The sequence
+   */
+  createSequence({ businessId, name, steps }) {
+    const sortedSteps = steps
+      .map(step => ({
+        channel: step.channel,
+        delayDays: Number(step.delayDays),
+        customData: step.customData || null,
+      }))
+      .sort((a, b) => a.delayDays - b.delayDays);
+
+    const sequence = this.sequences.insert({ businessId, name, steps: sortedSteps });
+
+    logger.info(`Created sequence ${sequence.id} with ${sortedSteps.length} step(s) for business ${businessId}`);
+    return sequence;
+  }
+
+  /**
+   * Get a sequence by ID
+   * @param {string} id - Sequence ID
+   * @returns {Object|null} The sequence
+   */
+  getSequence(id) {
+    return this.sequences.get(id);
+  }
+
+  /**
+   * List a business's sequences
+   * @param {string} businessId - Business ID
+   * @returns {Array<Object>} Sequences
+   */
+  listSequences(businessId) {
+    return this.sequences.find(sequence => sequence.businessId === businessId);
+  }
+
+  /**
+   * Delete a sequence and cancel its active enrollments
+   * @param {string} id - Sequence ID
+   * @returns {boolean} True if deleted
+   */
+  deleteSequence(id) {
+    this.enrollments
+      .find(enrollment => enrollment.sequenceId === id && enrollment.status === 'active')
+      .forEach(enrollment => this.stopEnrollment(enrollment.id, 'cancelled'));
+
+    return this.sequences.remove(id);
+  }
+
+  /**
+   * Enroll a customer in a sequence
+   * @param {Object} sequence - The sequence
+   * @param {Object} customer - Customer details
+   * @param {string} customer.customerName - Customer name
+   * @param {string} customer.businessName - Business name
+   * @param {string} customer.reviewLink - Review link URL
+   * @param {string} [customer.toEmail] - Required if the sequence has email steps
+   * @param {string} [customer.phoneNumber] - Required if the sequence has SMS steps
+   * @param {string} [customer.country] - ISO country for the phone number
+   * @param {string} [customer.timezone] - Customer timezone for quiet hours
+   * @param {string} [customer.locale] - Customer's language
+   * @param {string} [customer.replyTo] - Reply-to address for emails
+   * @param {Object} [customer.customData] - Custom data for every step
+   * @returns {Object} The enrollment
+   */
+  enroll(sequence, { customerName, businessName, reviewLink, toEmail, phoneNumber, country, timezone, locale, replyTo, customData }) {
+    const channels = sequence.steps.map(step => step.channel);
+    const email = toEmail ? toEmail.trim().toLowerCase() : null;
+    const phone = phoneNumber ? normalizePhoneNumber(phoneNumber, country) : null;
+
+    if (channels.includes('email') && !email) {
+      throw new HttpError(400, 'An email address is required for this sequence', { code: 'email_required' });
+    }
+
+    if (channels.includes('sms') && !phone) {
+      throw new HttpError(400, 'A valid phone number is required for this sequence', { code: 'phone_required' });
+    }
+
+    const existing = this.enrollments.findOne(enrollment => (
+      enrollment.sequenceId === sequence.id
+        && enrollment.status === 'active'
+        && ((email && enrollment.toEmail === email) || (phone && enrollment.phoneNumber === phone))
+    ));
+
+    if (existing) {
+      throw new HttpError(409, 'Customer is already enrolled in this sequence', {
+        code: 'already_enrolled',
+        details: { enrollmentId: existing.id },
+      });
+    }
+
+    const enrolledAt = Date.now();
+    const enrollment = this.enrollments.insert({
+      sequenceId: sequence.id,
+      businessId: sequence.businessId,
+      businessName,
+      customerName,
+      reviewLink,
+      toEmail: email,
+      phoneNumber: phone,
+      country: country || null,
+      timezone: timezone || null,
+      locale: locale || null,
+      replyTo: replyTo || null,
+      customData: customData || null,
+      status: 'active',
+      stopReason: null,
+      stoppedAt: null,
+      nextStep: 0,
+      nextStepAt: new Date(enrolledAt + sequence.steps[0].delayDays * DAY_MS).toISOString(),
+      steps: [],
+    });
+
+    logger.info(`Enrolled ${email || phone} in sequence ${sequence.id} (${enrollment.id})`);
+
+    if (this.timer) {
+      setImmediate(() => this.tick());
+    }
+
+    return enrollment;
+  }
+
+  /**
+   * Get an enrollment by ID
+   * @param {string} id - Enrollment ID
+   * @returns {Object|null} The enrollment
+   */
+  getEnrollment(id) {
+    return this.enrollments.get(id);
+  }
+
+  /**
+   * List enrollments in a sequence, newest first
+   * @param {string} sequenceId - Sequence ID
+   * @param {Object} [filters] - List filters
+   * @param {string} [filters.status] - Enrollment status
+   * @returns {Array<Object>} Enrollments
+   */
+  listEnrollments(sequenceId, { status } = {}) {
+    return this.enrollments
+      .find(enrollment => enrollment.sequenceId === sequenceId && (!status || enrollment.status === status))
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  }
+
+  /**
+   * Stop an active enrollment
+   * @param {string} id - Enrollment ID
+   * @param {string} reason - e.g. "clicked", "feedback", "unsubscribed", "cancelled", "frequency_cap"
+   * @returns {Object|null} The enrollment, or null if it was not active
+   */
+  stopEnrollment(id, reason) {
+    const enrollment = this.enrollments.get(id);
+
+    if (!enrollment || enrollment.status !== 'active') {
+      return null;
+    }
+
+    logger.info(`Stopping sequence enrollment ${id}: ${reason}`);
+    return this.enrollments.update(id, {
+      status: 'stopped',
+      stopReason: reason,
+      stoppedAt: new Date().toISOString(),
+      nextStepAt: null,
+    });
+  }
+
+  /**
+   * Stop the active enrollment that sent a message
+   * @param {string} messageId - Message log ID
+   * @param {string} reason - Stop reason
+   * @returns {Object|null} The stopped enrollment
+   */
+  stopForMessage(messageId, reason) {
+    const enrollment = this.enrollments.findOne(candidate => (
+      candidate.status === 'active' && candidate.steps.some(step => step.messageId === messageId)
+    ));
+
+    return enrollment ? this.stopEnrollment(enrollment.id, reason) : null;
+  }
+
+  /**
+   * Stop a customer's active enrollments with a business
+   * @param {Object} options - Customer lookup
+   * @param {string} options.businessId - Business ID
+   * @param {string} [options.email] - Customer email
+   * @param {string} [options.phoneNumber] - Customer phone number
+   * @param {string} options.reason - Stop reason
+   * @returns {number} Number of enrollments stopped
+   */
+  stopForCustomer({ businessId, email, phoneNumber, reason }) {
+    const normalizedEmail = email ? email.trim().toLowerCase() : null;
+    const normalizedPhone = phoneNumber ? normalizePhoneNumber(phoneNumber) : null;
+
+    const matches = this.enrollments.find(enrollment => (
+      enrollment.businessId === businessId
+        && enrollment.status === 'active'
+        && ((normalizedEmail && enrollment.toEmail === normalizedEmail)
+          || (normalizedPhone && enrollment.phoneNumber === normalizedPhone))
+    ));
+
+    matches.forEach(enrollment => this.stopEnrollment(enrollment.id, reason));
+    return matches.length;
+  }
+
+  /**
+   * Start the sequence runner
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => this.tick(), this.pollIntervalMs);
+    this.timer.unref();
+
+    logger.info('Sequence runner started');
+    this.tick();
+  }
+
+  /**
+   * Stop the sequence runner
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      logger.info('Sequence runner stopped');
+    }
+  }
+
+  /**
+   * Send every due step
+   * @private
+   */
+  async tick() {
+    if (this.running) {
+      return;
+    }
+
+    this.running = true;
+
+    try {
+      const now = Date.now();
+      const due = this.enrollments.find(enrollment => (
+        enrollment.status === 'active' && new Date(enrollment.nextStepAt).getTime() <= now
+      ));
+
+      for (const enrollment of due) {
+        await this.runStep(enrollment);
+      }
+    } catch (error) {
+      logger.error(`Sequence runner tick failed: ${error.message}`);
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Find an opt-out on any of the enrollment's contacts
+   * @param {Object} enrollment - The enrollment
+   * @returns {Object|null} The suppression entry
+   * @private
+   */
+  findOptOut(enrollment) {
+    const contacts = [
+      { channel: 'email', address: enrollment.toEmail },
+      { channel: 'sms', address: enrollment.phoneNumber },
+    ].filter(contact => contact.address);
+
+    for (const contact of contacts) {
+      const entry = suppressionService.check({ ...contact, businessId: enrollment.businessId });
+      if (entry && OPT_OUT_REASONS.includes(entry.reason)) {
+        return entry;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Send an enrollment's next step and schedule the one after
+   * @param {Object} enrollment - The enrollment
+   * @private
+   */
+  async runStep(enrollment) {
+    const sequence = this.sequences.get(enrollment.sequenceId);
+
+    if (!sequence) {
+      this.stopEnrollment(enrollment.id, 'sequence_deleted');
+      return;
+    }
+
+    if (this.findOptOut(enrollment)) {
+      this.stopEnrollment(enrollment.id, 'unsubscribed');
+      return;
+    }
+
+    const index = enrollment.nextStep;
+    const step = sequence.steps[index];
+    const request = {
+      customerName: enrollment.customerName,
+      businessName: enrollment.businessName,
+      reviewLink: enrollment.reviewLink,
+      businessId: enrollment.businessId,
+      timezone: enrollment.timezone || undefined,
+      locale: enrollment.locale || undefined,
+      customData: { ...enrollment.customData, ...step.customData },
+      // Follow-ups continue the request the first step made, so only the
+      // first step is checked against frequency caps
+      force: index > 0,
+    };
+
+    let record;
+    try {
+      const result = step.channel === 'email'
+        ? await emailService.sendReviewRequest({
+          ...request,
+          toEmail: enrollment.toEmail,
+          replyTo: enrollment.replyTo || undefined,
+          customerPhone: enrollment.phoneNumber || undefined,
+        })
+        : await smsService.sendReviewRequest({
+          ...request,
+          phoneNumber: enrollment.phoneNumber,
+          country: enrollment.country || undefined,
+          customerEmail: enrollment.toEmail || undefined,
+        });
+
+      record = { step: index, channel: step.channel, messageId: result.messageId, status: result.status, at: new Date().toISOString() };
+    } catch (error) {
+      logger.error(`Sequence step ${index} for enrollment ${enrollment.id} failed: ${error.message}`);
+      record = { step: index, channel: step.channel, messageId: null, status: 'failed', error: error.message, at: new Date().toISOString() };
+    }
+
+    // A click or stop may have arrived while the step was being sent
+    const current = this.enrollments.get(enrollment.id);
+    const steps = current.steps.concat([record]);
+    const following = sequence.steps[index + 1];
+
+    if (current.status !== 'active') {
+      this.enrollments.update(enrollment.id, { steps });
+      return;
+    }
+
+    if (record.status === 'suppressed') {
+      this.enrollments.update(enrollment.id, { steps });
+      this.stopEnrollment(enrollment.id, 'suppressed');
+      return;
+    }
+
+    if (record.status === 'skipped') {
+      this.enrollments.update(enrollment.id, { steps });
+      this.stopEnrollment(enrollment.id, 'frequency_cap');
+      return;
+    }
+
+    if (!following) {
+      this.enrollments.update(enrollment.id, {
+        steps,
+        status: 'completed',
+        nextStep: null,
+        nextStepAt: null,
+        completedAt: new Date().toISOString(),
+      });
+      return;
+    }
+
+    this.enrollments.update(enrollment.id, {
+      steps,
+      nextStep: index + 1,
+      nextStepAt: new Date(new Date(current.createdAt).getTime() + following.delayDays * DAY_MS).toISOString(),
+    });
+  }
+}
+
+module.exports = new SequenceService();
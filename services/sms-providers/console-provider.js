@@ -0,0 +1,46 @@
+// services/sms-providers/console-provider.js - Local console/outbox SMS provider
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('../../utils/logger');
+const { generateId, getDataDir } = require('../../utils/file-store');
+const SmsProvider = require('./sms-provider');
+
+/**
+ * SMS provider that logs each message and writes it to a local outbox
+ * directory instead of sending it. Useful for development and tests.
+ */
+class ConsoleProvider extends SmsProvider {
+  constructor() {
+    super('console', process.env.SMS_CONSOLE_FROM || '+15550000000');
+    this.outboxDir = process.env.SMS_OUTBOX_DIR;
+  }
+
+  /**
+   * @returns {boolean} Always true; the console provider needs no credentials
+   */
+  isConfigured() {
+    return true;
+  }
+
+  /**
+   * Log the SMS and write it to the outbox as JSON
+   * @param {Object} message - SMS message (`{ to, from, body }`)
+   * @returns {Promise<Object>} `{ id, status }`
+   */
+  async deliver({ to, from, body }) {
+    const dir = path.resolve(this.outboxDir || path.join(getDataDir(), 'sms-outbox'));
+    const id = generateId('sms');
+
+    await fs.promises.mkdir(dir, { recursive: true });
+    await fs.promises.writeFile(
+      path.join(dir, `${id}.json`),
+      JSON.stringify({ id, to, from, body, createdAt: new Date().toISOString() }, null, 2)
+    );
+
+    logger.info(`[console SMS] ${from} -> ${to}: ${body}`);
+    return { id, status: 'sent' };
+  }
+}
+
+module.exports = ConsoleProvider;
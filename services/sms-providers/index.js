@@ -0,0 +1,48 @@
+// services/sms-providers/index.js - SMS provider registry
+
+const logger = require('../../utils/logger');
+const TwilioProvider = require('./twilio-provider');
+const VonageProvider = require('./vonage-provider');
+const ConsoleProvider = require('./console-provider');
+
+const PROVIDERS = {
+  twilio: TwilioProvider,
+  vonage: VonageProvider,
+  console: ConsoleProvider,
+};
+
+/**
+ * Build the enabled SMS providers.
+ * SMS_PROVIDERS is a comma-separated list, e.g. "twilio,vonage";
+ * the first entry is the default when no routing rule matches.
+ * @param {string} [providerList] - Override SMS_PROVIDERS
+ * @returns {Array<SmsProvider>} Provider instances, default first
+ */
+function createSmsProviders(providerList = process.env.SMS_PROVIDERS || 'twilio') {
+  const names = providerList
+    .split(',')
+    .map(name => name.trim().toLowerCase())
+    .filter(Boolean);
+
+  const providers = names
+    .filter((name) => {
+      if (!PROVIDERS[name]) {
+        logger.error(`Unknown SMS provider "${name}" in SMS_PROVIDERS. Ignoring it.`);
+        return false;
+      }
+      return true;
+    })
+    .map(name => new PROVIDERS[name]());
+
+  if (providers.length === 0) {
+    logger.warn('No valid SMS providers configured. Falling back to twilio.');
+    providers.push(new TwilioProvider());
+  }
+
+  return providers;
+}
+
+module.exports = {
+  PROVIDERS,
+  createSmsProviders,
+};
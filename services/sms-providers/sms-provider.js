@@ -0,0 +1,91 @@
+// services/sms-providers/sms-provider.js - Base class for SMS providers
+
+/**
+ * Base class for SMS providers.
+ * Subclasses implement `isConfigured()` and `deliver({ to, from, body })`;
+ * this class tracks the outcome of each send for health checks.
+ */
+class SmsProvider {
+  /**
+   * @param {string} name - Provider name, e.g. "twilio"
+   * @param {string} [defaultFrom] - Sender used when no routing rule sets one
+   */
+  constructor(name, defaultFrom) {
+    this.name = name;
+    this.defaultFrom = defaultFrom || null;
+    this.lastSuccessAt = null;
+    this.lastFailureAt = null;
+    this.lastError = null;
+    this.consecutiveFailures = 0;
+  }
+
+  /**
+   * Whether the provider has the credentials it needs
+   * @returns {boolean} True if the provider can send
+   */
+  isConfigured() {
+    return false;
+  }
+
+  /**
+   * Deliver an SMS. Implemented by subclasses.
+   * @param {Object} message - SMS message
+   * @param {string} message.to - E.164 recipient number
+   * @param {string} message.from - Sender number or ID
+   * @param {string} message.body - Message body
+   * @returns {Promise<Object>} `{ id }` - the provider message ID
+   * @abstract
+   */
+  async deliver(message) {
+    throw new Error(`${this.name} provider does not implement deliver()`);
+  }
+
+  /**
+   * Send an SMS, recording the outcome
+   * @param {Object} message - SMS message (`{ to, from, body }`)
+   * @returns {Promise<Object>} `{ id }` - the provider message ID
+   */
+  async send(message) {
+    try {
+      const result = await this.deliver({ ...message, from: message.from || this.defaultFrom });
+
+      this.lastSuccessAt = new Date().toISOString();
+      this.consecutiveFailures = 0;
+
+      return result;
+    } catch (error) {
+      this.lastFailureAt = new Date().toISOString();
+      this.lastError = error.message;
+      this.consecutiveFailures += 1;
+
+      throw error;
+    }
+  }
+
+  /**
+   * Report provider state for health checks
+   * @returns {Object} Provider status
+   */
+  getStatus() {
+    let status = 'available';
+
+    if (!this.isConfigured()) {
+      status = 'not_configured';
+    } else if (this.consecutiveFailures > 0) {
+      status = 'degraded';
+    }
+
+    return {
+      name: this.name,
+      configured: this.isConfigured(),
+      status,
+      defaultFrom: this.defaultFrom,
+      lastSuccessAt: this.lastSuccessAt,
+      lastFailureAt: this.lastFailureAt,
+      lastError: this.lastError,
+      consecutiveFailures: this.consecutiveFailures,
+    };
+  }
+}
+
+module.exports = SmsProvider;
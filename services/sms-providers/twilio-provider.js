@@ -0,0 +1,67 @@
+// services/sms-providers/twilio-provider.js - Twilio SMS provider
+
+const twilio = require('twilio');
+const logger = require('../../utils/logger');
+const SmsProvider = require('./sms-provider');
+
+/**
+ * SMS provider backed by the Twilio Messages API
+ */
+class TwilioProvider extends SmsProvider {
+  constructor() {
+    super('twilio', process.env.TWILIO_PHONE_NUMBER);
+    this.accountSid = process.env.TWILIO_ACCOUNT_SID;
+    this.authToken = process.env.TWILIO_AUTH_TOKEN;
+
+    // Twilio posts delivery updates here (see routes/webhook-routes.js)
+    this.statusCallbackUrl = process.env.TWILIO_STATUS_CALLBACK_URL
+      || (process.env.PUBLIC_BASE_URL
+        ? `${process.env.PUBLIC_BASE_URL.replace(/\/$/, '')}/api/webhooks/twilio`
+        : null);
+
+    // Initialize Twilio client if credentials are provided
+    if (this.accountSid && this.authToken) {
+      this.client = twilio(this.accountSid, this.authToken);
+    }
+  }
+
+  /**
+   * @returns {boolean} True if Twilio credentials are set
+   */
+  isConfigured() {
+    return !!this.client;
+  }
+
+  /**
+   * Send an SMS through Twilio
+   * @param {Object} message - SMS message (`{ to, from, body }`)
+   * @returns {Promise<Object>} `{ id, status }`
+   */
+  async deliver({ to, from, body }) {
+    if (!this.client || !from) {
+      const configError = new Error('Twilio is not fully configured');
+      configError.retryable = false;
+      throw configError;
+    }
+
+    try {
+      const params = { body, from, to };
+      if (this.statusCallbackUrl) {
+        params.statusCallback = this.statusCallbackUrl;
+      }
+
+      const message = await this.client.messages.create(params);
+
+      logger.info(`SMS delivered to Twilio for ${to}, SID: ${message.sid}`);
+      return { id: message.sid, status: message.status };
+    } catch (error) {
+      // Twilio REST errors carry the HTTP status of the failed request
+      if (error.status) {
+        error.providerStatus = error.status;
+      }
+      throw error;
+    }
+  }
+}
+
+module.exports = TwilioProvider;
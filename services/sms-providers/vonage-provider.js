@@ -0,0 +1,84 @@
+// services/sms-providers/vonage-provider.js - Vonage (Nexmo) SMS REST provider
+
+const axios = require('axios');
+const logger = require('../../utils/logger');
+const SmsProvider = require('./sms-provider');
+
+// Vonage SMS API status codes that are temporary (throttled, internal error, ...)
+const RETRYABLE_STATUS_CODES = ['1', '5'];
+
+/**
+ * SMS provider backed by the Vonage SMS REST API
+ */
+class VonageProvider extends SmsProvider {
+  constructor() {
+    super('vonage', process.env.VONAGE_FROM);
+    this.apiKey = process.env.VONAGE_API_KEY;
+    this.apiSecret = process.env.VONAGE_API_SECRET;
+    this.apiUrl = process.env.VONAGE_API_URL || 'https://rest.nexmo.com/sms/json';
+  }
+
+  /**
+   * @returns {boolean} True if VONAGE_API_KEY and VONAGE_API_SECRET are set
+   */
+  isConfigured() {
+    return !!(this.apiKey && this.apiSecret);
+  }
+
+  /**
+   * Send an SMS through Vonage
+   * @param {Object} message - SMS message (`{ to, from, body }`)
+   * @returns {Promise<Object>} `{ id, status }`
+   */
+  async deliver({ to, from, body }) {
+    if (!this.isConfigured() || !from) {
+      const configError = new Error('Vonage is not fully configured');
+      configError.retryable = false;
+      throw configError;
+    }
+
+    let response;
+
+    try {
+      response = await axios.post(this.apiUrl, {
+        api_key: this.apiKey,
+        api_secret: this.apiSecret,
+        // Vonage expects numbers without the leading plus sign
+        to: to.replace(/^\+/, ''),
+        from: from.replace(/^\+/, ''),
+        text: body,
+      }, {
+        headers: { 'Content-Type': 'application/json' },
+        timeout: 10000,
+      });
+    } catch (error) {
+      if (error.response) {
+        logger.error(`Vonage API error: ${error.response.status} - ${JSON.stringify(error.response.data)}`);
+        const apiError = new Error('Failed to send SMS via Vonage');
+        apiError.providerStatus = error.response.status;
+        throw apiError;
+      }
+
+      logger.error(`No response received from Vonage API: ${error.message}`);
+      const networkError = new Error('No response from SMS service');
+      networkError.retryable = true;
+      throw networkError;
+    }
+
+    // Vonage answers 200 even for rejected messages; check each part
+    const parts = (response.data && response.data.messages) || [];
+    const failed = parts.find(part => part.status !== '0');
+
+    if (parts.length === 0 || failed) {
+      const status = failed ? failed.status : 'unknown';
+      const sendError = new Error(`Vonage rejected the message: ${(failed && failed['error-text']) || 'no message parts returned'}`);
+      sendError.retryable = RETRYABLE_STATUS_CODES.includes(status);
+      throw sendError;
+    }
+
+    logger.info(`SMS delivered to Vonage for ${to}, ID: ${parts[0]['message-id']}`);
+    return { id: parts[0]['message-id'], status: 'sent' };
+  }
+}
+
+module.exports = VonageProvider;
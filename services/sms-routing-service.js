@@ -0,0 +1,125 @@
+// services/sms-routing-service.js - Rules choosing the SMS provider and sender
+
+const logger = require('../utils/logger');
+const HttpError = require('../utils/http-error');
+const { FileStore } = require('../utils/file-store');
+const { COUNTRY_CALLING_CODES } = require('../utils/phone');
+
+/**
+ * Service for SMS routing rules.
+ * A rule may target a business, a destination country, both, or neither
+ * (a catch-all). The most specific matching rule wins:
+ * business + country, then business, then country, then catch-all.
+ * Ties are broken by the lowest `priority` value.
+ */
+class SmsRoutingService {
+  constructor() {
+    this.store = new FileStore('sms-routing-rules', { idPrefix: 'route' });
+  }
+
+  /**
+   * Check whether a rule's country matches the recipient
+   * @param {string} ruleCountry - ISO country code on the rule
+   * @param {string} to - E.164 recipient number
+   * @param {string} [country] - ISO country supplied with the request
+   * @returns {boolean} True if the rule applies
+   * @private
+   */
+  matchesCountry(ruleCountry, to, country) {
+    if (country) {
+      return ruleCountry === country.toUpperCase();
+    }
+
+    // Without an explicit country, compare calling codes. NANP countries
+    // (US, CA, ...) share +1 and cannot be told apart this way.
+    const callingCode = COUNTRY_CALLING_CODES[ruleCountry];
+    return !!callingCode && to.startsWith(`+${callingCode}`);
+  }
+
+  /**
+   * Find the routing rule for a message
+   * @param {Object} options - Message details
+   * @param {string} [options.businessId] - Sending business
+   * @param {string} options.to - E.164 recipient number
+   * @param {string} [options.country] - ISO country supplied with the request
+   * @returns {Object|null} The matching rule, or null
+   */
+  resolve({ businessId, to, country }) {
+    const candidates = this.store
+      .find(rule => rule.enabled !== false)
+      .filter(rule => !rule.businessId || rule.businessId === businessId)
+      .filter(rule => !rule.country || this.matchesCountry(rule.country, to, country));
+
+    if (candidates.length === 0) {
+      return null;
+    }
+
+    const specificity = rule => (rule.businessId ? 2 : 0) + (rule.country ? 1 : 0);
+
+    candidates.sort((a, b) => (
+      specificity(b) - specificity(a) || (a.priority || 0) - (b.priority || 0)
+    ));
+
+    logger.debug(`SMS to ${to} matched routing rule ${candidates[0].id}`);
+    return candidates[0];
+  }
+
+  /**
+   * List routing rules
+   * @param {Object} [filters] - List filters
+   * @param {string} [filters.businessId] - Only rules for this business
+   * @returns {Array<Object>} Rules
+   */
+  listRules({ businessId } = {}) {
+    return this.store.find(rule => !businessId || rule.businessId === businessId);
+  }
+
+  /**
+   * Create a routing rule
+   * @param {Object} rule - Rule fields
+   * @param {string} rule.provider - Provider name
+   * @param {string} [rule.fromNumber] - Sender number or alphanumeric ID
+   * @param {string} [rule.businessId] - Business the rule applies to
+   * @param {string} [rule.country] - ISO destination country
+   * @param {number} [rule.priority=0] - Lower values win ties
+   * @returns {Object} The stored rule
+   */
+  createRule({ provider, fromNumber, businessId, country, priority }) {
+    return this.store.insert({
+      provider,
+      fromNumber: fromNumber || null,
+      businessId: businessId || null,
+      country: country ? country.toUpperCase() : null,
+      priority: priority || 0,
+      enabled: true,
+    });
+  }
+
+  /**
+   * Update a routing rule
+   * @param {string} id - Rule ID
+   * @param {Object} changes - Fields to update
+   * @returns {Object} The updated rule
+   */
+  updateRule(id, changes) {
+    const rule = this.store.update(id, changes);
+
+    if (!rule) {
+      throw new HttpError(404, 'Routing rule not found', { code: 'routing_rule_not_found' });
+    }
+
+    return rule;
+  }
+
+  /**
+   * Delete a routing rule
+   * @param {string} id - Rule ID
+   */
+  deleteRule(id) {
+    if (!this.store.remove(id)) {
+      throw new HttpError(404, 'Routing rule not found', { code: 'routing_rule_not_found' });
+    }
+  }
+}
+
+module.exports = new SmsRoutingService();
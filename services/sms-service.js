@@ -1,29 +1,135 @@
-// services/sms-service.js - Service for SMS functionality using Twilio
+// services/sms-service.js - Service for SMS functionality
 
-const twilio = require('twilio');
 const logger = require('../utils/logger');
+const HttpError = require('../utils/http-error');
+const messageLog = require('./message-log-service');
+const sendQueue = require('./queue-service');
+const deliveryStatus = require('./delivery-status-service');
+const eventWebhooks = require('./event-webhook-service');
+const smsRouting = require('./sms-routing-service');
+const suppressionService = require('./suppression-service');
+const businessSettings = require('./business-settings-service');
+const templateService = require('./template-service');
+const clickTracking = require('./click-tracking-service');
+const usageService = require('./usage-service');
+const frequencyCap = require('./frequency-cap-service');
+const feedbackGate = require('./feedback-gate-service');
+const { createSmsProviders } = require('./sms-providers');
+const { normalizePhoneNumber } = require('../utils/phone');
+const { validateTemplate, renderTemplate } = require('../utils/template-engine');
+const { resolveLocale, translate } = require('../utils/i18n');
 
 /**
- * Service for sending SMS messages using Twilio
+ * Service for sending SMS messages through the configured providers
+ * (Twilio by default), routed per business and destination country
  */
 class SmsService {
   constructor() {
-    this.accountSid = process.env.TWILIO_ACCOUNT_SID;
-    this.authToken = process.env.TWILIO_AUTH_TOKEN;
-    this.fromNumber = process.env.TWILIO_PHONE_NUMBER;
+    this.providers = createSmsProviders();
+    this.defaultProvider = this.providers[0];
     
-    if (!this.accountSid || !this.authToken) {
-      logger.error('TWILIO_ACCOUNT_SID or TWILIO_AUTH_TOKEN is missing. SMS functionality will not work.');
+    if (!this.isConfigured()) {
+      logger.error(`SMS provider ${this.defaultProvider.name} is not configured. SMS functionality will not work.`);
+    } else if (!this.defaultProvider.defaultFrom) {
+      logger.warn(`No default sender number for SMS provider ${this.defaultProvider.name}. Routing rules must set one.`);
     }
     
-    if (!this.fromNumber) {
-      logger.warn('TWILIO_PHONE_NUMBER is missing. SMS functionality will not work.');
+    // Deliver queued SMS in the background
+    sendQueue.registerHandler('sms', payload => this.processQueuedSms(payload));
+    
+    // Tell event webhook subscribers how review requests are doing
+    sendQueue.on('completed', (job) => {
+      if (job.type === 'sms') {
+        eventWebhooks.publishMessageEvent('review_request.sent', messageLog.get(job.messageId));
+      }
+    });
+    sendQueue.on('dead', (job, error) => {
+      if (job.type === 'sms') {
+        eventWebhooks.publishMessageEvent('review_request.failed', messageLog.get(job.messageId), { reason: error.message });
+      }
+    });
+    deliveryStatus.on('status', (update) => {
+      if (update.message.channel === 'sms') {
+        eventWebhooks.handleDeliveryStatus(update);
+      }
+    });
+  }
+  
+  /**
+   * Check whether the default provider can send SMS
+   * @returns {boolean} True if the default provider is configured
+   */
+  isConfigured() {
+    return this.defaultProvider.isConfigured();
+  }
+  
+  /**
+   * Get an enabled provider by name
+   * @param {string} name - Provider name
+   * @returns {SmsProvider|undefined} The provider
+   */
+  getProvider(name) {
+    return this.providers.find(provider => provider.name === name);
+  }
+  
+  /**
+   * Report the state of every enabled provider
+   * @returns {Array<Object>} Provider statuses
+   */
+  getProviderStatuses() {
+    return this.providers.map(provider => provider.getStatus());
+  }
+  
+  /**
+   * Choose the provider and sender for a message using the routing rules
+   * @param {Object} options - Message details
+   * @param {string} [options.businessId] - Sending business
+   * @param {string} options.to - E.164 recipient number
+   * @param {string} [options.country] - ISO country supplied with the request
+   * @returns {Object} `{ provider, from, ruleId }`
+   * @private
+   */
+  resolveRoute({ businessId, to, country }) {
+    const rule = smsRouting.resolve({ businessId, to, country });
+    let provider = this.defaultProvider;
+    
+    if (rule) {
+      provider = this.getProvider(rule.provider);
+      
+      if (!provider) {
+        logger.warn(`Routing rule ${rule.id} uses disabled SMS provider ${rule.provider}. Using ${this.defaultProvider.name}.`);
+        provider = this.defaultProvider;
+      }
+    }
+    
+    const from = (rule && rule.fromNumber) || provider.defaultFrom;
+    
+    if (!provider.isConfigured() || !from) {
+      throw new Error(`SMS provider ${provider.name} is not fully configured`);
     }
     
-    // Initialize Twilio client if credentials are provided
-    if (this.accountSid && this.authToken) {
-      this.client = twilio(this.accountSid, this.authToken);
+    return {
+      provider: provider.name,
+      from,
+      ruleId: rule ? rule.id : null,
+    };
+  }
+  
+  /**
+   * Normalize a recipient number to E.164, throwing if it is invalid
+   * @param {string} phoneNumber - Raw phone number
+   * @param {string} [country] - ISO country code for national numbers
+   * @returns {string} The E.164 phone number
+   * @private
+   */
+  resolveRecipient(phoneNumber, country) {
+    const normalized = normalizePhoneNumber(phoneNumber, country);
+    
+    if (!normalized) {
+      throw new HttpError(400, `Invalid phone number: ${phoneNumber}`, { code: 'invalid_phone_number' });
     }
+    
+    return normalized;
   }
   
   /**
@@ -33,39 +139,140 @@ class SmsService {
    * @param {string} options.customerName - Customer name
    * @param {string} options.businessName - Business name
    * @param {string} options.reviewLink - Review link URL
+   * @param {string} [options.country] - ISO country code for national numbers
+   * @param {string} [options.businessId] - Business ID for the message log
    * @param {Object} [options.customData] - Custom data for message
-   * @returns {Promise<Object>} The Twilio API response
+   * @param {Date|string} [options.runAt] - Earliest time to deliver
+   * @param {string} [options.timezone] - Recipient timezone for quiet hours
+   * @param {string} [options.locale] - Customer's language, e.g. "es" or "fr-CA"
+   * @param {string} [options.customerEmail] - Customer's email address, so frequency
+   *   caps also count email sent to them
+   * @param {boolean} [options.force] - Send even if a frequency cap would skip it
+   * @returns {Promise<Object>} The queued message (`messageId`, `jobId`, `status`,
+   *   and `deliverAt` if delayed), `{ messageId, status: 'suppressed', reason }`
+   *   if the recipient is suppressed, or `{ messageId, status: 'skipped',
+   *   reason: 'frequency_cap', lastContactAt }` if they were asked too recently
    */
-  async sendReviewRequest({ phoneNumber, customerName, businessName, reviewLink, customData }) {
+  async sendReviewRequest({ phoneNumber, customerName, businessName, reviewLink, country, businessId, customData, runAt, timezone, locale, customerEmail, force }) {
+    let gate = null;
+    let trackedLink = null;
+    let result = null;
+    
     try {
       logger.info(`Sending review request SMS to ${phoneNumber}`);
       
-      // Check if Twilio is configured
-      if (!this.client || !this.fromNumber) {
-        throw new Error('Twilio is not fully configured');
+      const to = this.resolveRecipient(phoneNumber, country);
+      
+      // Never contact suppressed recipients
+      const suppression = suppressionService.check({ channel: 'sms', address: to, businessId });
+      if (suppression) {
+        logger.info(`Skipping review request SMS to ${to}: suppressed (${suppression.reason})`);
+        const record = messageLog.create({
+          channel: 'sms',
+          recipient: to,
+          templateType: 'review_request',
+          businessId,
+          businessName,
+          status: 'suppressed',
+          error: `Recipient suppressed: ${suppression.reason}`,
+        });
+        
+        return {
+          messageId: record.id,
+          status: 'suppressed',
+          reason: suppression.reason,
+          suppressedAt: suppression.createdAt,
+        };
+      }
+      
+      // Don't ask the same customer again too soon, unless forced
+      const capped = force ? null : frequencyCap.check({ businessId, channel: 'sms', email: customerEmail, phone: to });
+      if (capped) {
+        logger.info(`Skipping review request SMS to ${to}: last contacted ${capped.lastContactAt} (frequency cap)`);
+        const record = messageLog.create({
+          channel: 'sms',
+          recipient: to,
+          templateType: 'review_request',
+          businessId,
+          businessName,
+          status: 'skipped',
+          error: `Frequency cap: ${capped.rule.maxRequests} per ${capped.rule.periodDays} days`,
+        });
+        
+        return {
+          messageId: record.id,
+          status: 'skipped',
+          reason: 'frequency_cap',
+          lastContactAt: capped.lastContactAt,
+          lastContactChannel: capped.lastContactChannel,
+        };
       }
       
+      // Businesses with a feedback gate ask for a star rating first
+      gate = feedbackGate.create({
+        businessId,
+        businessName,
+        customerName,
+        reviewLink,
+        channel: 'sms',
+        customerPhone: to,
+        locale,
+      });
+      const targetUrl = gate ? gate.url : reviewLink;
+      
+      // A short tracking link records the click and saves characters
+      trackedLink = clickTracking.create({ businessId, channel: 'sms', targetUrl });
+      
       // Build the SMS message
       const messageBody = this.generateReviewRequestMessage({
         customerName,
         businessName,
-        reviewLink,
+        reviewLink: trackedLink ? trackedLink.url : targetUrl,
+        businessId,
         customData,
+        locale,
       });
       
+      // Hold the SMS until the business's quiet hours end
+      const deliverAt = businessSettings.resolveSendTime({ channel: 'sms', businessId, timezone, runAt });
+      
       // Send the SMS
-      const message = await this.client.messages.create({
-        body: messageBody,
-        from: this.fromNumber,
-        to: phoneNumber,
+      result = await this.sendSms({ to, body: messageBody }, {
+        templateType: 'review_request',
+        businessId,
+        businessName,
+        country,
+        runAt: deliverAt,
       });
       
-      logger.info(`SMS sent successfully to ${phoneNumber}, SID: ${message.sid}`);
-      return {
-        sid: message.sid,
-        status: message.status,
-      };
+      if (trackedLink) {
+        clickTracking.attachMessage(trackedLink.id, result.messageId);
+      }
+      
+      if (gate) {
+        feedbackGate.attachMessage(gate.id, result.messageId);
+      }
+      
+      frequencyCap.recordContact({ businessId, channel: 'sms', email: customerEmail, phone: to, messageId: result.messageId });
+      
+      if (deliverAt) {
+        result.deliverAt = deliverAt.toISOString();
+      }
+      
+      logger.info(`Review request SMS queued for ${to}`);
+      return result;
     } catch (error) {
+      // Nothing was queued (e.g. no route or quota exceeded), so the links can't be used
+      if (!result) {
+        if (trackedLink) {
+          clickTracking.remove(trackedLink.id);
+        }
+        
+        if (gate) {
+          feedbackGate.remove(gate.id);
+        }
+      }
+      
       logger.error(`Failed to send review request SMS: ${error.message}`);
       throw error;
     }
@@ -74,29 +281,24 @@ class SmsService {
   /**
    * Send a test SMS
    * @param {string} phoneNumber - Recipient phone number
-   * @returns {Promise<Object>} The Twilio API response
+   * @param {string} [country] - ISO country code for national numbers
+   * @param {string} [businessId] - Business ID for the message log
+   * @returns {Promise<Object>} The queued message (`messageId`, `jobId`, `status`)
    */
-  async sendTestSms(phoneNumber) {
+  async sendTestSms(phoneNumber, country, businessId) {
     try {
       logger.info(`Sending test SMS to ${phoneNumber}`);
       
-      // Check if Twilio is configured
-      if (!this.client || !this.fromNumber) {
-        throw new Error('Twilio is not fully configured');
-      }
+      const to = this.resolveRecipient(phoneNumber, country);
       
       // Send the SMS
-      const message = await this.client.messages.create({
-        body: 'This is a test message from RevBoost. If you received this, SMS sending is working properly!',
-        from: this.fromNumber,
-        to: phoneNumber,
-      });
+      const result = await this.sendSms({
+        to,
+        body: this.generateTestMessage(businessId),
+      }, { templateType: 'test', businessId, country });
       
-      logger.info(`Test SMS sent successfully to ${phoneNumber}, SID: ${message.sid}`);
-      return {
-        sid: message.sid,
-        status: message.status,
-      };
+      logger.info(`Test SMS queued for ${to}`);
+      return result;
     } catch (error) {
       logger.error(`Failed to send test SMS: ${error.message}`);
       throw error;
@@ -104,28 +306,170 @@ class SmsService {
   }
   
   /**
-   * Generate a review request SMS message
+   * Send a business's reply to a customer who left feedback
+   * @param {Object} options - SMS options
+   * @param {string} options.phoneNumber - Customer phone number
+   * @param {string} options.businessName - Business name, shown before the reply
+   * @param {string} options.message - Reply text
+   * @param {string} [options.country] - ISO country code for national numbers
+   * @param {string} [options.businessId] - Business ID for the message log
+   * @param {string} [options.locale] - Customer's language
+   * @returns {Promise<Object>} The queued message (`messageId`, `jobId`, `status`),
+   *   or `{ messageId, status: 'suppressed', reason }` if the recipient is suppressed
+   */
+  async sendFeedbackReply({ phoneNumber, businessName, message, country, businessId, locale }) {
+    try {
+      logger.info(`Sending feedback reply SMS to ${phoneNumber}`);
+      
+      const to = this.resolveRecipient(phoneNumber, country);
+      
+      // Customers who texted STOP are not contacted, even in reply
+      const suppression = suppressionService.check({ channel: 'sms', address: to, businessId });
+      if (suppression) {
+        logger.info(`Skipping feedback reply SMS to ${to}: suppressed (${suppression.reason})`);
+        const record = messageLog.create({
+          channel: 'sms',
+          recipient: to,
+          templateType: 'feedback_reply',
+          businessId,
+          businessName,
+          status: 'suppressed',
+          error: `Recipient suppressed: ${suppression.reason}`,
+        });
+        
+        return {
+          messageId: record.id,
+          status: 'suppressed',
+          reason: suppression.reason,
+          suppressedAt: suppression.createdAt,
+        };
+      }
+      
+      const language = resolveLocale(locale, businessSettings.get(businessId).locale);
+      
+      const result = await this.sendSms({
+        to,
+        body: translate(language, 'feedbackReply.sms', { businessName, message }),
+      }, { templateType: 'feedback_reply', businessId, businessName, country });
+      
+      logger.info(`Feedback reply SMS queued for ${to}`);
+      return result;
+    } catch (error) {
+      logger.error(`Failed to send feedback reply SMS: ${error.message}`);
+      throw error;
+    }
+  }
+  
+  /**
+   * Queue an SMS for background delivery and record it in the message log
+   * @param {Object} options - SMS options
+   * @param {string} options.to - E.164 recipient number
+   * @param {string} options.body - Message body
+   * @param {Object} [meta] - Message log and routing details
+   * @param {string} [meta.templateType] - Template type
+   * @param {string} [meta.businessId] - Business ID
+   * @param {string} [meta.businessName] - Business name
+   * @param {string} [meta.country] - ISO country supplied with the request
+   * @param {Date|string} [meta.runAt] - Earliest time to deliver
+   * @returns {Promise<Object>} `{ messageId, jobId, status }`
+   * @throws {HttpError} 429 `quota_exceeded` when the business has no quota left
+   * @private
+   */
+  async sendSms({ to, body }, { templateType, businessId, businessName, country, runAt } = {}) {
+    // Resolve the route first: an SMS that can't be routed isn't charged
+    const route = this.resolveRoute({ businessId, to, country });
+    
+    // Count the SMS against the business's quota, or refuse it
+    usageService.consume(businessId, 'sms');
+    
+    const record = messageLog.create({
+      channel: 'sms',
+      recipient: to,
+      templateType,
+      businessId,
+      businessName,
+      provider: route.provider,
+      body,
+    });
+    
+    const job = sendQueue.enqueue('sms', { to, body, provider: route.provider, from: route.from }, {
+      messageId: record.id,
+      businessId,
+      runAt,
+    });
+    
+    return {
+      messageId: record.id,
+      jobId: job.id,
+      status: 'queued',
+    };
+  }
+  
+  /**
+   * Deliver an SMS taken from the send queue
+   * @param {Object} payload - Queue payload
+   * @param {string} payload.to - E.164 recipient number
+   * @param {string} payload.body - Message body
+   * @param {string} [payload.provider] - Provider chosen when queued
+   * @param {string} [payload.from] - Sender chosen when queued
+   * @returns {Promise<Object>} Provider result for the message log
+   * @private
+   */
+  async processQueuedSms({ to, body, provider: providerName, from }) {
+    const provider = this.getProvider(providerName) || this.defaultProvider;
+    const result = await provider.send({ to, from, body });
+    
+    return {
+      provider: provider.name,
+      providerMessageId: result.id,
+    };
+  }
+  
+  /**
+   * Generate a review request SMS message. The business's stored template
+   * wins, then `customData.messageTemplate`, then the default wording in
+   * the customer's locale, the business's default, or English.
    * @param {Object} options - Message options
    * @param {string} options.customerName - Customer name
    * @param {string} options.businessName - Business name
    * @param {string} options.reviewLink - Review link URL
+   * @param {string} [options.businessId] - Business whose template to use
    * @param {Object} [options.customData] - Custom data for message
+   * @param {string} [options.locale] - Customer's language
    * @returns {string} The message body
-   * @private
    */
-  generateReviewRequestMessage({ customerName, businessName, reviewLink, customData }) {
-    // Default message format
-    let message = `Hi ${customerName}, thank you for choosing ${businessName}! We'd love to hear your feedback. Please share your experience here: ${reviewLink}`;
+  generateReviewRequestMessage({ customerName, businessName, reviewLink, businessId, customData, locale }) {
+    const data = { customerName, businessName, reviewLink, custom: customData || {} };
+    
+    const stored = templateService.render({ businessId, type: 'review_request', channel: 'sms' }, data);
+    if (stored) {
+      return stored.body;
+    }
     
     // Use custom message if provided
     if (customData && customData.messageTemplate) {
-      message = customData.messageTemplate
-        .replace('{{customerName}}', customerName)
-        .replace('{{businessName}}', businessName)
-        .replace('{{reviewLink}}', reviewLink);
+      validateTemplate(customData.messageTemplate);
+      return renderTemplate(customData.messageTemplate, data, { escape: 'none' });
     }
     
-    return message;
+    // Default message format
+    const language = resolveLocale(locale, businessSettings.get(businessId).locale);
+    return translate(language, 'reviewRequest.sms', { customerName, businessName, reviewLink });
+  }
+  
+  /**
+   * Generate the test SMS message
+   * @param {string} [businessId] - Business whose template to use
+   * @returns {string} The message body
+   */
+  generateTestMessage(businessId) {
+    const stored = templateService.render({ businessId, type: 'test', channel: 'sms' }, {
+      sentAt: new Date().toLocaleString(),
+    });
+    
+    return stored
+      ? stored.body
+      : 'This is a test message from RevBoost. If you received this, SMS sending is working properly!';
   }
 }
 
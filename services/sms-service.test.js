@@ -0,0 +1,63 @@
+// services/sms-service.test.js
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'revboost-sms-'));
+process.env.SMS_PROVIDERS = 'console';
+
+const smsService = require('./sms-service');
+const usageService = require('./usage-service');
+const messageLog = require('./message-log-service');
+
+describe('SmsService quota accounting', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  afterAll(() => {
+    fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+  });
+
+  test('does not charge quota for an SMS that cannot be routed', async () => {
+    usageService.setQuotas('route-biz', { sms: { daily: 1 } });
+    jest.spyOn(smsService.defaultProvider, 'isConfigured').mockReturnValue(false);
+
+    await expect(smsService.sendTestSms('+14155550100', null, 'route-biz')).rejects.toThrow('SMS provider console is not fully configured');
+
+    expect(usageService.getStatus('route-biz', 'sms').daily.used).toBe(0);
+    expect(messageLog.query({ businessId: 'route-biz' }).total).toBe(0);
+  });
+
+  test('charges quota once the route resolves and refuses past the limit', async () => {
+    usageService.setQuotas('charge-biz', { sms: { daily: 1 } });
+
+    const sent = await smsService.sendTestSms('+14155550101', null, 'charge-biz');
+    expect(sent.status).toBe('queued');
+    expect(usageService.getStatus('charge-biz', 'sms').daily.used).toBe(1);
+
+    await expect(smsService.sendTestSms('+14155550102', null, 'charge-biz')).rejects.toMatchObject({
+      statusCode: 429,
+      code: 'quota_exceeded',
+    });
+    expect(messageLog.query({ businessId: 'charge-biz' }).total).toBe(1);
+  });
+
+  test('resolves the route before consuming quota', async () => {
+    const order = [];
+    const resolveRoute = smsService.resolveRoute.bind(smsService);
+
+    jest.spyOn(smsService, 'resolveRoute').mockImplementation((options) => {
+      order.push('route');
+      return resolveRoute(options);
+    });
+    jest.spyOn(usageService, 'consume').mockImplementation(() => order.push('quota'));
+
+    await smsService.sendTestSms('+14155550103', null, 'order-biz');
+
+    expect(order).toEqual(['route', 'quota']);
+  });
+});
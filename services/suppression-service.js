@@ -0,0 +1,275 @@
+// services/suppression-service.js - Addresses and numbers we must not contact
+
+const logger = require('../utils/logger');
+const HttpError = require('../utils/http-error');
+const deliveryStatus = require('./delivery-status-service');
+const { FileStore } = require('../utils/file-store');
+const { normalizePhoneNumber } = require('../utils/phone');
+
+const REASONS = ['hard_bounce', 'complaint', 'stop', 'unsubscribe', 'manual'];
+
+// Twilio error 21610: the recipient has replied STOP to this sender
+const TWILIO_UNSUBSCRIBED_ERROR = '21610';
+
+/**
+ * Service for the suppression list.
+ * Entries with a `businessId` only block that business; entries without one
+ * (hard bounces, carrier STOP opt-outs) block every business.
+ */
+class SuppressionService {
+  constructor() {
+    this.store = new FileStore('suppressions', { idPrefix: 'sup' });
+    this.reasons = REASONS;
+
+    // Populate the list from bounce, complaint and opt-out delivery events
+    deliveryStatus.on('status', event => this.handleDeliveryEvent(event));
+  }
+
+  /**
+   * Normalize an address so lookups are consistent
+   * @param {string} channel - "email" or "sms"
+   * @param {string} address - Email address or phone number
+   * @returns {string|null} Normalized address, or null if invalid
+   */
+  normalizeAddress(channel, address) {
+    if (!address) {
+      return null;
+    }
+
+    if (channel === 'sms') {
+      return normalizePhoneNumber(address);
+    }
+
+    return String(address).trim().toLowerCase();
+  }
+
+  /**
+   * Find the suppression blocking a recipient, if any
+   * @param {Object} options - Lookup options
+   * @param {string} options.channel - "email" or "sms"
+   * @param {string} options.address - Email address or phone number
+   * @param {string} [options.businessId] - Sending business
+   * @returns {Object|null} The suppression entry, or null
+   */
+  check({ channel, address, businessId }) {
+    const normalized = this.normalizeAddress(channel, address);
+
+    if (!normalized) {
+      return null;
+    }
+
+    return this.store.findOne(entry => (
+      entry.channel === channel
+        && entry.address === normalized
+        && (!entry.businessId || entry.businessId === businessId)
+    ));
+  }
+
+  /**
+   * Find an entry with exactly the given scope
+   * @param {string} channel - "email" or "sms"
+   * @param {string} normalized - Normalized address
+   * @param {string|null} businessId - Business scope; null for global
+   * @returns {Object|null} The entry
+   * @private
+   */
+  findScoped(channel, normalized, businessId) {
+    return this.store.findOne(entry => (
+      entry.channel === channel
+        && entry.address === normalized
+        && (entry.businessId || null) === (businessId || null)
+    ));
+  }
+
+  /**
+   * Add a recipient to the suppression list. Existing entries with the same
+   * scope are returned unchanged.
+   * @param {Object} options - Entry details
+   * @param {string} options.channel - "email" or "sms"
+   * @param {string} options.address - Email address or phone number
+   * @param {string} options.reason - One of REASONS
+   * @param {string|null} [options.businessId] - Business scope; null for all
+   * @param {string} [options.source] - Where the entry came from
+   * @param {string} [options.note] - Free-form note
+   * @returns {Object} The suppression entry
+   */
+  add({ channel, address, reason, businessId = null, source = 'api', note }) {
+    const normalized = this.normalizeAddress(channel, address);
+
+    if (!normalized) {
+      throw new HttpError(400, `Invalid ${channel} address: ${address}`, { code: 'invalid_address' });
+    }
+
+    if (!REASONS.includes(reason)) {
+      throw new HttpError(400, `Invalid suppression reason: ${reason}`, { code: 'invalid_reason' });
+    }
+
+    const existing = this.findScoped(channel, normalized, businessId);
+
+    if (existing) {
+      return existing;
+    }
+
+    const entry = this.store.insert({
+      channel,
+      address: normalized,
+      reason,
+      businessId: businessId || null,
+      source,
+      note: note || null,
+    });
+
+    logger.info(`Suppressed ${channel} ${normalized} (${reason}) for ${businessId || 'all businesses'}`);
+    return entry;
+  }
+
+  /**
+   * Remove entries for a recipient
+   * @param {Object} options - Removal options
+   * @param {string} options.channel - "email" or "sms"
+   * @param {string} options.address - Email address or phone number
+   * @param {string} [options.reason] - Only remove entries with this reason
+   * @param {string|null} [options.businessId] - Only remove entries with this scope
+   * @returns {number} Number of entries removed
+   */
+  removeAddress({ channel, address, reason, businessId }) {
+    const normalized = this.normalizeAddress(channel, address);
+
+    return this.store.removeWhere(entry => (
+      entry.channel === channel
+        && entry.address === normalized
+        && (!reason || entry.reason === reason)
+        && (businessId === undefined || (entry.businessId || null) === (businessId || null))
+    ));
+  }
+
+  /**
+   * Get an entry by ID
+   * @param {string} id - Entry ID
+   * @returns {Object|null} The entry
+   */
+  get(id) {
+    return this.store.get(id);
+  }
+
+  /**
+   * Remove an entry by ID
+   * @param {string} id - Entry ID
+   * @returns {boolean} True if removed
+   */
+  remove(id) {
+    return this.store.remove(id);
+  }
+
+  /**
+   * List a business's own entries. Global entries (bounces, complaints,
+   * STOP replies) concern other businesses' customers too, so they are
+   * only ever revealed one address at a time through `check`.
+   * @param {Object} filters - List filters
+   * @param {string} filters.businessId - Business ID
+   * @param {string} [filters.channel] - "email" or "sms"
+   * @param {string} [filters.reason] - Suppression reason
+   * @returns {Array<Object>} Entries, newest first
+   */
+  list({ businessId, channel, reason }) {
+    return this.store
+      .find(entry => (
+        entry.businessId === businessId
+          && (!channel || entry.channel === channel)
+          && (!reason || entry.reason === reason)
+      ))
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  }
+
+  /**
+   * Import manual entries for a business
+   * @param {Array<Object>} rows - Rows with channel, address, reason?, note?
+   * @param {string} businessId - Business the entries belong to
+   * @returns {Object} `{ imported, skipped, errors }`
+   */
+  importRows(rows, businessId) {
+    const result = { imported: 0, skipped: 0, errors: [] };
+
+    rows.forEach((row, index) => {
+      const channel = (row.channel || '').trim().toLowerCase();
+      const reason = (row.reason || 'manual').trim().toLowerCase();
+
+      if (!['email', 'sms'].includes(channel)) {
+        result.errors.push({ row: index + 1, error: 'Channel must be email or sms' });
+        return;
+      }
+
+      try {
+        const before = this.findScoped(channel, this.normalizeAddress(channel, row.address), businessId);
+        this.add({ channel, address: row.address, reason, businessId, source: 'import', note: row.note });
+
+        if (before) {
+          result.skipped += 1;
+        } else {
+          result.imported += 1;
+        }
+      } catch (error) {
+        result.errors.push({ row: index + 1, error: error.message });
+      }
+    });
+
+    logger.info(`Imported ${result.imported} suppressions for business ${businessId}`);
+    return result;
+  }
+
+  /**
+   * Add suppressions for bounce, complaint and STOP delivery events
+   * @param {Object} event - Event from the delivery status service
+   * @private
+   */
+  handleDeliveryEvent({ message, status, details }) {
+    try {
+      if (status === 'bounced' && !(details && details.bounceType === 'Transient')) {
+        this.add({
+          channel: message.channel,
+          address: message.recipient,
+          reason: 'hard_bounce',
+          source: 'webhook',
+          note: details && details.reason,
+        });
+      } else if (status === 'complained') {
+        this.add({
+          channel: message.channel,
+          address: message.recipient,
+          reason: 'complaint',
+          businessId: message.businessId,
+          source: 'webhook',
+        });
+      } else if (details && String(details.errorCode) === TWILIO_UNSUBSCRIBED_ERROR) {
+        this.add({
+          channel: 'sms',
+          address: message.recipient,
+          reason: 'stop',
+          source: 'webhook',
+        });
+      }
+    } catch (error) {
+      logger.error(`Failed to record suppression for message ${message.id}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Handle an inbound STOP/START keyword from an SMS recipient. STOP opts
+   * the number out of the business the reply is attributed to, and START
+   * lifts only that business's STOP; replies we cannot attribute apply to
+   * the global entry instead.
+   * @param {string} keyword - "stop" or "start"
+   * @param {string} phoneNumber - Sender of the inbound SMS
+   * @param {string|null} [businessId] - Business the reply is attributed to
+   */
+  handleSmsKeyword(keyword, phoneNumber, businessId = null) {
+    if (keyword === 'stop') {
+      this.add({ channel: 'sms', address: phoneNumber, reason: 'stop', businessId, source: 'inbound_sms' });
+    } else if (keyword === 'start') {
+      const removed = this.removeAddress({ channel: 'sms', address: phoneNumber, reason: 'stop', businessId });
+      logger.info(`Removed ${removed} STOP suppression(s) for ${phoneNumber}${businessId ? ` and business ${businessId}` : ''}`);
+    }
+  }
+}
+
+module.exports = new SuppressionService();
@@ -0,0 +1,87 @@
+// services/suppression-service.test.js
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'revboost-suppressions-'));
+
+const suppressionService = require('./suppression-service');
+
+describe('SuppressionService scoping', () => {
+  beforeAll(() => {
+    suppressionService.add({ channel: 'email', address: 'Bounced@x.com', reason: 'hard_bounce', source: 'webhook' });
+    suppressionService.add({ channel: 'email', address: 'unsub@x.com', reason: 'unsubscribe', businessId: 'biz1' });
+    suppressionService.add({ channel: 'sms', address: '(415) 555-0100', reason: 'stop', source: 'inbound_sms' });
+    suppressionService.add({ channel: 'sms', address: '+14155550101', reason: 'manual', businessId: 'biz2' });
+  });
+
+  afterAll(() => {
+    fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+  });
+
+  test('global entries block every business', () => {
+    expect(suppressionService.check({ channel: 'email', address: 'bounced@X.com', businessId: 'biz1' })).toMatchObject({ reason: 'hard_bounce' });
+    expect(suppressionService.check({ channel: 'email', address: 'bounced@x.com', businessId: 'biz2' })).not.toBeNull();
+    expect(suppressionService.check({ channel: 'sms', address: '+14155550100', businessId: 'biz2' })).toMatchObject({ reason: 'stop' });
+  });
+
+  test('business entries only block that business', () => {
+    expect(suppressionService.check({ channel: 'email', address: 'unsub@x.com', businessId: 'biz1' })).not.toBeNull();
+    expect(suppressionService.check({ channel: 'email', address: 'unsub@x.com', businessId: 'biz2' })).toBeNull();
+    expect(suppressionService.check({ channel: 'email', address: 'unsub@x.com' })).toBeNull();
+  });
+
+  test('entries are per channel', () => {
+    expect(suppressionService.check({ channel: 'sms', address: 'bounced@x.com', businessId: 'biz1' })).toBeNull();
+  });
+
+  test('adding the same address and scope again returns the existing entry', () => {
+    const first = suppressionService.add({ channel: 'email', address: 'unsub@x.com', reason: 'manual', businessId: 'biz1' });
+
+    expect(first.reason).toBe('unsubscribe');
+    expect(suppressionService.list({ businessId: 'biz1' })).toHaveLength(1);
+  });
+
+  test('lists only the business\'s own entries', () => {
+    expect(suppressionService.list({ businessId: 'biz1' }).map(entry => entry.address)).toEqual(['unsub@x.com']);
+    expect(suppressionService.list({ businessId: 'biz2' }).map(entry => entry.address)).toEqual(['+14155550101']);
+    expect(suppressionService.list({ businessId: 'biz3' })).toEqual([]);
+    expect(suppressionService.list({ businessId: 'biz2', channel: 'email' })).toEqual([]);
+  });
+
+  test('removing a business entry leaves global entries alone', () => {
+    suppressionService.add({ channel: 'email', address: 'both@x.com', reason: 'manual' });
+    suppressionService.add({ channel: 'email', address: 'both@x.com', reason: 'manual', businessId: 'biz1' });
+
+    expect(suppressionService.removeAddress({ channel: 'email', address: 'both@x.com', businessId: 'biz1' })).toBe(1);
+    expect(suppressionService.check({ channel: 'email', address: 'both@x.com', businessId: 'biz1' })).toMatchObject({ businessId: null });
+  });
+
+  test('SMS keywords apply to the business the reply is attributed to', () => {
+    suppressionService.handleSmsKeyword('stop', '+14155550110', 'biz3');
+    suppressionService.handleSmsKeyword('stop', '+14155550110', 'biz4');
+
+    expect(suppressionService.check({ channel: 'sms', address: '+14155550110', businessId: 'biz3' })).toMatchObject({ reason: 'stop', businessId: 'biz3' });
+    expect(suppressionService.check({ channel: 'sms', address: '+14155550110', businessId: 'biz5' })).toBeNull();
+
+    suppressionService.handleSmsKeyword('start', '+14155550110', 'biz3');
+
+    expect(suppressionService.check({ channel: 'sms', address: '+14155550110', businessId: 'biz3' })).toBeNull();
+    expect(suppressionService.check({ channel: 'sms', address: '+14155550110', businessId: 'biz4' })).not.toBeNull();
+  });
+
+  test('unattributed SMS keywords apply to the global entry', () => {
+    suppressionService.handleSmsKeyword('stop', '+14155550111');
+    suppressionService.add({ channel: 'sms', address: '+14155550111', reason: 'stop', businessId: 'biz3' });
+
+    expect(suppressionService.check({ channel: 'sms', address: '+14155550111', businessId: 'biz5' })).toMatchObject({ businessId: null });
+
+    suppressionService.handleSmsKeyword('start', '+14155550111');
+
+    expect(suppressionService.check({ channel: 'sms', address: '+14155550111', businessId: 'biz5' })).toBeNull();
+    expect(suppressionService.check({ channel: 'sms', address: '+14155550111', businessId: 'biz3' })).not.toBeNull();
+  });
+});
@@ -0,0 +1,127 @@
+// services/template-preview-service.js - Render templates without sending
+
+const emailService = require('./email-service');
+const smsService = require('./sms-service');
+const feedbackService = require('./feedback-service');
+const templateService = require('./template-service');
+const businessSettings = require('./business-settings-service');
+const HttpError = require('../utils/http-error');
+const { htmlToText } = require('../utils/html-to-text');
+const { countSegments } = require('../utils/sms-segments');
+
+// Placeholder values for variables missing from the sample data
+const SAMPLE_DATA = {
+  customerName: 'Jane Doe',
+  businessName: 'Your Business',
+  reviewLink: 'https://example.com/review',
+  unsubscribeUrl: 'https://example.com/unsubscribe',
+  rating: 2,
+  feedback: 'The wait was longer than expected.',
+};
+
+/**
+ * Service that renders exactly what a customer would receive for a
+ * template type and channel, using the same code paths as real sends.
+ */
+class TemplatePreviewService {
+  /**
+   * Render a preview
+   * @param {Object} options - Preview options
+   * @param {string} options.businessId - Business whose templates to use
+   * @param {string} options.type - Template type
+   * @param {string} options.channel - "email" or "sms"
+   * @param {Object} [options.data] - Sample variables
+   * @param {string} [options.locale] - Language for built-in templates
+   * @param {string} [options.subject] - Draft subject to preview instead of the saved template
+   * @param {string} [options.body] - Draft body to preview instead of the saved template
+   * @returns {Object} For email `{ subject, html, text }`, for SMS `{ body, sms }`,
+   *   plus `source` ("draft", "stored" or "built_in")
+   */
+  preview({ businessId, type, channel, data = {}, locale, subject, body }) {
+    const sample = { ...SAMPLE_DATA, ...data, locale };
+    const customData = sample.customData || sample.custom || {};
+    let rendered;
+    let source;
+
+    if (body) {
+      source = 'draft';
+      rendered = templateService.renderDraft({ type, channel, subject, body }, this.templateData({ businessId, type, sample, customData }));
+    } else {
+      source = templateService.findFor({ businessId, type, channel }) ? 'stored' : 'built_in';
+      rendered = channel === 'email'
+        ? this.renderEmail({ businessId, type, sample, customData })
+        : { body: this.renderSms({ businessId, type, sample, customData }) };
+    }
+
+    if (channel === 'email') {
+      const html = rendered.html || rendered.body;
+      return { source, subject: rendered.subject, html, text: htmlToText(html) };
+    }
+
+    return { source, body: rendered.body, sms: countSegments(rendered.body) };
+  }
+
+  /**
+   * Build template variables for a draft, as the senders do
+   * @param {Object} options - Preview inputs
+   * @param {string} options.businessId - Business whose branding to use
+   * @param {string} options.type - Template type
+   * @param {Object} options.sample - Sample data
+   * @param {Object} options.customData - Custom data
+   * @returns {Object} Template variables
+   * @private
+   */
+  templateData({ businessId, type, sample, customData }) {
+    if (type === 'test') {
+      return { sentAt: new Date().toLocaleString() };
+    }
+
+    const branding = businessSettings.get(businessId).branding || {};
+
+    if (type === 'feedback_notification') {
+      return { ...sample, stars: feedbackService.generateStars(sample.rating), branding };
+    }
+
+    return { ...sample, custom: customData, branding };
+  }
+
+  /**
+   * Render an email with the stored or built-in template
+   * @returns {Object} `{ subject, html }`
+   * @private
+   */
+  renderEmail({ businessId, type, sample, customData }) {
+    if (type === 'feedback_notification') {
+      return feedbackService.renderFeedbackNotification({ businessId, ...sample });
+    }
+
+    if (type === 'test') {
+      return emailService.renderTestEmail(businessId);
+    }
+
+    return emailService.renderReviewRequest({ businessId, ...sample, customData });
+  }
+
+  /**
+   * Render an SMS body with the stored or built-in template
+   * @returns {string} SMS body
+   * @private
+   */
+  renderSms({ businessId, type, sample, customData }) {
+    if (type === 'test') {
+      return smsService.generateTestMessage(businessId);
+    }
+
+    if (type === 'feedback_notification') {
+      const stored = templateService.render({ businessId, type, channel: 'sms' }, this.templateData({ businessId, type, sample, customData }));
+      if (!stored) {
+        throw new HttpError(404, 'There is no SMS feedback notification template to preview', { code: 'template_not_found' });
+      }
+      return stored.body;
+    }
+
+    return smsService.generateReviewRequestMessage({ businessId, ...sample, customData });
+  }
+}
+
+module.exports = new TemplatePreviewService();
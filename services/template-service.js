@@ -0,0 +1,276 @@
+// services/template-service.js - Stored, versioned message templates
+
+const logger = require('../utils/logger');
+const HttpError = require('../utils/http-error');
+const { FileStore } = require('../utils/file-store');
+const { validateTemplate, renderTemplate } = require('../utils/template-engine');
+
+// Variables each template type is rendered with; `custom` holds customData
+// and `branding` the business's branding profile (e.g. `branding.logoUrl`)
+const TEMPLATE_VARIABLES = {
+  review_request: ['customerName', 'businessName', 'reviewLink', 'unsubscribeUrl', 'custom', 'branding'],
+  feedback_notification: ['businessName', 'customerName', 'rating', 'stars', 'feedback', 'branding'],
+  test: ['sentAt'],
+};
+
+// Variables a template must use before it can be saved
+const REQUIRED_VARIABLES = {
+  review_request: ['reviewLink'],
+  feedback_notification: ['rating', 'feedback'],
+  test: [],
+};
+
+const TEMPLATE_TYPES = Object.keys(TEMPLATE_VARIABLES);
+const CHANNELS = ['email', 'sms'];
+
+/**
+ * Service for per-business templates.
+ * There is one template per business, type and channel. Every save adds a
+ * version; `activeVersion` selects the one used for sending, so rolling
+ * back is just re-activating an earlier version.
+ */
+class TemplateService {
+  constructor() {
+    this.store = new FileStore('templates', { idPrefix: 'tpl' });
+    this.types = TEMPLATE_TYPES;
+    this.channels = CHANNELS;
+    this.variables = TEMPLATE_VARIABLES;
+    this.requiredVariables = REQUIRED_VARIABLES;
+  }
+
+  /**
+   * Validate a template version before it is stored
+   * @param {Object} options - Template content
+   * @param {string} options.type - Template type
+   * @param {string} options.channel - "email" or "sms"
+   * @param {string} [options.subject] - Email subject (required for email)
+   * @param {string} options.body - HTML (email) or text (SMS) body
+   * @returns {Array<string>} Variables used by the template
+   * @throws {HttpError} 400 if invalid or missing required variables
+   * @private
+   */
+  validateVersion({ type, channel, subject, body }) {
+    if (channel === 'email' && !subject) {
+      throw new HttpError(400, 'Email templates need a subject', { code: 'subject_required' });
+    }
+
+    const used = new Set(validateTemplate(body));
+    if (subject) {
+      validateTemplate(subject).forEach(name => used.add(name));
+    }
+
+    const missing = REQUIRED_VARIABLES[type].filter(name => !used.has(name));
+    if (missing.length > 0) {
+      throw new HttpError(400, `Template is missing required variables: ${missing.join(', ')}`, {
+        code: 'missing_template_variables',
+        details: { missing },
+      });
+    }
+
+    return Array.from(used);
+  }
+
+  /**
+   * Create a template with its first version
+   * @param {Object} options - Template details
+   * @param {string} options.businessId - Owning business
+   * @param {string} options.type - Template type
+   * @param {string} options.channel - "email" or "sms"
+   * @param {string} [options.subject] - Email subject
+   * @param {string} options.body - Template body
+   * @param {string} [options.note] - Description of this version
+   * @returns {Object} The template
+   */
+  create({ businessId, type, channel, subject, body, note }) {
+    const existing = this.findFor({ businessId, type, channel });
+
+    if (existing) {
+      throw new HttpError(409, `A ${channel} ${type} template already exists; add a version instead`, {
+        code: 'template_exists',
+        details: { templateId: existing.id },
+      });
+    }
+
+    const variables = this.validateVersion({ type, channel, subject, body });
+    const template = this.store.insert({
+      businessId,
+      type,
+      channel,
+      activeVersion: 1,
+      versions: [{
+        version: 1,
+        subject: subject || null,
+        body,
+        variables,
+        note: note || null,
+        createdAt: new Date().toISOString(),
+      }],
+    });
+
+    logger.info(`Created ${channel} ${type} template ${template.id} for business ${businessId}`);
+    return template;
+  }
+
+  /**
+   * Add a version to a template and make it active
+   * @param {string} id - Template ID
+   * @param {Object} content - Version content
+   * @param {string} [content.subject] - Email subject
+   * @param {string} content.body - Template body
+   * @param {string} [content.note] - Description of this version
+   * @returns {Object} The template
+   */
+  addVersion(id, { subject, body, note }) {
+    const template = this.getOrThrow(id);
+    const variables = this.validateVersion({ type: template.type, channel: template.channel, subject, body });
+    const version = Math.max(...template.versions.map(v => v.version)) + 1;
+
+    logger.info(`Template ${id} version ${version} saved`);
+    return this.store.update(id, {
+      activeVersion: version,
+      versions: template.versions.concat([{
+        version,
+        subject: subject || null,
+        body,
+        variables,
+        note: note || null,
+        createdAt: new Date().toISOString(),
+      }]),
+    });
+  }
+
+  /**
+   * Make an earlier version active again
+   * @param {string} id - Template ID
+   * @param {number} version - Version number
+   * @returns {Object} The template
+   */
+  rollback(id, version) {
+    const template = this.getOrThrow(id);
+
+    if (!template.versions.some(v => v.version === version)) {
+      throw new HttpError(404, `Template version ${version} not found`, { code: 'template_version_not_found' });
+    }
+
+    logger.info(`Template ${id} rolled back to version ${version}`);
+    return this.store.update(id, { activeVersion: version });
+  }
+
+  /**
+   * Get a template by ID
+   * @param {string} id - Template ID
+   * @returns {Object|null} The template
+   */
+  get(id) {
+    return this.store.get(id);
+  }
+
+  /**
+   * Get a template by ID or throw a 404
+   * @param {string} id - Template ID
+   * @returns {Object} The template
+   * @private
+   */
+  getOrThrow(id) {
+    const template = this.store.get(id);
+
+    if (!template) {
+      throw new HttpError(404, 'Template not found', { code: 'template_not_found' });
+    }
+
+    return template;
+  }
+
+  /**
+   * Find a business's template for a type and channel
+   * @param {Object} options - Lookup
+   * @param {string} options.businessId - Business ID
+   * @param {string} options.type - Template type
+   * @param {string} options.channel - "email" or "sms"
+   * @returns {Object|null} The template
+   */
+  findFor({ businessId, type, channel }) {
+    if (!businessId) {
+      return null;
+    }
+
+    return this.store.findOne(template => (
+      template.businessId === businessId && template.type === type && template.channel === channel
+    ));
+  }
+
+  /**
+   * List a business's templates
+   * @param {string} businessId - Business ID
+   * @returns {Array<Object>} Templates
+   */
+  list(businessId) {
+    return this.store.find(template => template.businessId === businessId);
+  }
+
+  /**
+   * Delete a template and all its versions
+   * @param {string} id - Template ID
+   * @returns {boolean} True if deleted
+   */
+  remove(id) {
+    return this.store.remove(id);
+  }
+
+  /**
+   * Render a business's active template, if it has one
+   * @param {Object} options - Lookup
+   * @param {string} options.businessId - Business ID
+   * @param {string} options.type - Template type
+   * @param {string} options.channel - "email" or "sms"
+   * @param {Object} data - Template variables
+   * @returns {Object|null} `{ subject, body, templateId, version }`, or null to
+   *   use the built-in template
+   */
+  render({ businessId, type, channel }, data) {
+    const template = this.findFor({ businessId, type, channel });
+
+    if (!template) {
+      return null;
+    }
+
+    const active = template.versions.find(v => v.version === template.activeVersion);
+
+    return {
+      ...this.renderContent({ channel, subject: active.subject, body: active.body }, data),
+      templateId: template.id,
+      version: active.version,
+    };
+  }
+
+  /**
+   * Render unsaved template content, validating it as if it were saved
+   * @param {Object} content - Template content
+   * @param {string} content.type - Template type
+   * @param {string} content.channel - "email" or "sms"
+   * @param {string} [content.subject] - Email subject
+   * @param {string} content.body - Template body
+   * @param {Object} data - Template variables
+   * @returns {Object} `{ subject, body }`
+   */
+  renderDraft({ type, channel, subject, body }, data) {
+    this.validateVersion({ type, channel, subject, body });
+    return this.renderContent({ channel, subject, body }, data);
+  }
+
+  /**
+   * Render a subject and body, escaping HTML for email bodies only
+   * @param {Object} content - `{ channel, subject, body }`
+   * @param {Object} data - Template variables
+   * @returns {Object} `{ subject, body }`
+   * @private
+   */
+  renderContent({ channel, subject, body }, data) {
+    return {
+      subject: subject ? renderTemplate(subject, data, { escape: 'none' }) : null,
+      body: renderTemplate(body, data, { escape: channel === 'sms' ? 'none' : 'html' }),
+    };
+  }
+}
+
+module.exports = new TemplateService();
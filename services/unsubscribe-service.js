@@ -0,0 +1,174 @@
+// services/unsubscribe-service.js - Signed unsubscribe links for recipients
+
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const suppressionService = require('./suppression-service');
+
+/**
+ * Encode a buffer as unpadded base64url
+ * @param {Buffer} buffer - Data to encode
+ * @returns {string} base64url string
+ */
+function toBase64Url(buffer) {
+  return buffer.toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Decode an unpadded base64url string
+ * @param {string} value - base64url string
+ * @returns {Buffer} Decoded data
+ */
+function fromBase64Url(value) {
+  return Buffer.from(value.replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+}
+
+/**
+ * Service for per-recipient unsubscribe tokens.
+ * A token is "<base64url JSON payload>.<base64url HMAC-SHA256>", signed with
+ * UNSUBSCRIBE_SECRET (falling back to API_KEY_SECRET), so no lookup table is
+ * needed and tokens cannot be forged to opt out other recipients.
+ */
+class UnsubscribeService {
+  constructor() {
+    this.secret = process.env.UNSUBSCRIBE_SECRET || process.env.API_KEY_SECRET;
+    this.baseUrl = process.env.PUBLIC_BASE_URL;
+
+    if (!this.secret) {
+      logger.warn('UNSUBSCRIBE_SECRET is missing. Emails will be sent without unsubscribe links.');
+    }
+
+    if (!this.baseUrl) {
+      logger.warn('PUBLIC_BASE_URL is missing. Emails will be sent without unsubscribe links.');
+    }
+  }
+
+  /**
+   * Check whether unsubscribe links can be generated
+   * @returns {boolean} True if a signing secret and public URL are set
+   */
+  isEnabled() {
+    return !!(this.secret && this.baseUrl);
+  }
+
+  /**
+   * Sign a token payload
+   * @param {string} encodedPayload - base64url payload
+   * @returns {Buffer} HMAC-SHA256 signature
+   * @private
+   */
+  sign(encodedPayload) {
+    return crypto.createHmac('sha256', this.secret).update(encodedPayload).digest();
+  }
+
+  /**
+   * Create an unsubscribe token for a recipient of a business
+   * @param {Object} options - Token contents
+   * @param {string} options.businessId - Business the recipient opts out of
+   * @param {string} [options.businessName] - Business display name for the page
+   * @param {string} options.channel - "email" or "sms"
+   * @param {string} options.address - Recipient address
+   * @returns {string} The signed token
+   */
+  createToken({ businessId, businessName, channel, address }) {
+    const payload = { b: businessId, n: businessName || null, c: channel, a: address };
+    const encoded = toBase64Url(Buffer.from(JSON.stringify(payload)));
+
+    return `${encoded}.${toBase64Url(this.sign(encoded))}`;
+  }
+
+  /**
+   * Verify a token and return its contents
+   * @param {string} token - Token from an unsubscribe link
+   * @returns {Object|null} `{ businessId, businessName, channel, address }`,
+   *   or null if the token is malformed or its signature is invalid
+   */
+  verifyToken(token) {
+    if (!this.secret || typeof token !== 'string') {
+      return null;
+    }
+
+    const [encoded, signature] = token.split('.');
+    if (!encoded || !signature) {
+      return null;
+    }
+
+    const expected = this.sign(encoded);
+    const provided = fromBase64Url(signature);
+    if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+      return null;
+    }
+
+    try {
+      const payload = JSON.parse(fromBase64Url(encoded).toString('utf8'));
+
+      if (!payload.b || !payload.c || !payload.a) {
+        return null;
+      }
+
+      return {
+        businessId: payload.b,
+        businessName: payload.n,
+        channel: payload.c,
+        address: payload.a,
+      };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Build the hosted unsubscribe URL for a recipient
+   * @param {Object} options - Same as createToken
+   * @returns {string|null} The URL, or null if links are disabled
+   */
+  getUnsubscribeUrl(options) {
+    if (!this.isEnabled() || !options.businessId) {
+      return null;
+    }
+
+    return `${this.baseUrl.replace(/\/$/, '')}/unsubscribe/${this.createToken(options)}`;
+  }
+
+  /**
+   * Check whether the token's recipient has opted out of its business
+   * @param {Object} recipient - Verified token contents
+   * @returns {boolean} True if unsubscribed
+   */
+  isUnsubscribed({ businessId, channel, address }) {
+    const normalized = suppressionService.normalizeAddress(channel, address);
+
+    return suppressionService
+      .list({ businessId, channel, reason: 'unsubscribe' })
+      .some(entry => entry.address === normalized && entry.businessId === businessId);
+  }
+
+  /**
+   * Record an opt-out for the token's recipient and business
+   * @param {Object} recipient - Verified token contents
+   * @returns {Object} The suppression entry
+   */
+  unsubscribe({ businessId, channel, address }) {
+    logger.info(`Unsubscribing ${channel} ${address} from business ${businessId}`);
+
+    return suppressionService.add({
+      channel,
+      address,
+      reason: 'unsubscribe',
+      businessId,
+      source: 'unsubscribe_link',
+    });
+  }
+
+  /**
+   * Undo an opt-out made through an unsubscribe link
+   * @param {Object} recipient - Verified token contents
+   * @returns {number} Number of entries removed
+   */
+  resubscribe({ businessId, channel, address }) {
+    logger.info(`Resubscribing ${channel} ${address} to business ${businessId}`);
+
+    return suppressionService.removeAddress({ channel, address, reason: 'unsubscribe', businessId });
+  }
+}
+
+module.exports = new UnsubscribeService();
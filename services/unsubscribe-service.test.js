@@ -0,0 +1,135 @@
+// services/unsubscribe-service.test.js
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'revboost-unsubscribe-'));
+process.env.UNSUBSCRIBE_SECRET = 'test-unsubscribe-secret';
+process.env.PUBLIC_BASE_URL = 'https://reviews.example.com/';
+
+const unsubscribeService = require('./unsubscribe-service');
+const suppressionService = require('./suppression-service');
+
+const RECIPIENT = { businessId: 'biz1', businessName: 'Acme Dental', channel: 'email', address: 'pat@example.com' };
+
+/**
+ * Encode a payload the way tokens do, without signing it
+ * @param {Object} payload - Raw token payload
+ * @returns {string} base64url payload
+ */
+function encodePayload(payload) {
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+/**
+ * Sign an encoded payload with a given secret
+ * @param {string} encoded - base64url payload
+ * @param {string} secret - Signing secret
+ * @returns {string} base64url signature
+ */
+function signWith(encoded, secret) {
+  return crypto.createHmac('sha256', secret).update(encoded).digest('base64url');
+}
+
+describe('UnsubscribeService', () => {
+  afterAll(() => {
+    fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+  });
+
+  describe('tokens', () => {
+    test('round-trip the recipient', () => {
+      const token = unsubscribeService.createToken(RECIPIENT);
+
+      expect(unsubscribeService.verifyToken(token)).toEqual(RECIPIENT);
+    });
+
+    test('build the hosted URL without a doubled slash', () => {
+      const url = unsubscribeService.getUnsubscribeUrl(RECIPIENT);
+
+      expect(url).toMatch(/^https:\/\/reviews\.example\.com\/unsubscribe\/[\w-]+\.[\w-]+$/);
+      expect(unsubscribeService.getUnsubscribeUrl({ ...RECIPIENT, businessId: null })).toBeNull();
+    });
+
+    test('reject a payload changed to another address or business', () => {
+      const [, signature] = unsubscribeService.createToken(RECIPIENT).split('.');
+      const otherAddress = encodePayload({ b: 'biz1', n: 'Acme Dental', c: 'email', a: 'someone-else@example.com' });
+      const otherBusiness = encodePayload({ b: 'biz2', n: 'Acme Dental', c: 'email', a: 'pat@example.com' });
+
+      expect(unsubscribeService.verifyToken(`${otherAddress}.${signature}`)).toBeNull();
+      expect(unsubscribeService.verifyToken(`${otherBusiness}.${signature}`)).toBeNull();
+    });
+
+    test('reject a changed or truncated signature', () => {
+      const [encoded, signature] = unsubscribeService.createToken(RECIPIENT).split('.');
+      const flipped = (signature[0] === 'A' ? 'B' : 'A') + signature.slice(1);
+
+      expect(unsubscribeService.verifyToken(`${encoded}.${flipped}`)).toBeNull();
+      expect(unsubscribeService.verifyToken(`${encoded}.${signature.slice(0, 20)}`)).toBeNull();
+    });
+
+    test('reject tokens signed with another secret', () => {
+      const encoded = encodePayload({ b: 'biz1', c: 'email', a: 'pat@example.com' });
+
+      expect(unsubscribeService.verifyToken(`${encoded}.${signWith(encoded, 'another-secret')}`)).toBeNull();
+    });
+
+    test('reject validly signed payloads that are incomplete or not JSON', () => {
+      const missingAddress = encodePayload({ b: 'biz1', c: 'email' });
+      const notJson = Buffer.from('not json').toString('base64url');
+
+      expect(unsubscribeService.verifyToken(`${missingAddress}.${signWith(missingAddress, process.env.UNSUBSCRIBE_SECRET)}`)).toBeNull();
+      expect(unsubscribeService.verifyToken(`${notJson}.${signWith(notJson, process.env.UNSUBSCRIBE_SECRET)}`)).toBeNull();
+    });
+
+    test.each([
+      '',
+      'no-dot',
+      '.signature-only',
+      'payload-only.',
+      null,
+      42,
+    ])('reject the malformed token %p', (token) => {
+      expect(unsubscribeService.verifyToken(token)).toBeNull();
+    });
+  });
+
+  describe('opt-outs', () => {
+    test('apply to the token\'s business only', () => {
+      const recipient = { ...RECIPIENT, address: 'Scoped@Example.com' };
+      const otherBusiness = { ...recipient, businessId: 'biz2' };
+
+      unsubscribeService.unsubscribe(recipient);
+
+      expect(unsubscribeService.isUnsubscribed(recipient)).toBe(true);
+      expect(unsubscribeService.isUnsubscribed(otherBusiness)).toBe(false);
+      expect(suppressionService.check({ channel: 'email', address: 'scoped@example.com', businessId: 'biz1' }))
+        .toMatchObject({ reason: 'unsubscribe', businessId: 'biz1', source: 'unsubscribe_link' });
+      expect(suppressionService.check({ channel: 'email', address: 'scoped@example.com', businessId: 'biz2' })).toBeNull();
+    });
+
+    test('resubscribing to another business leaves the opt-out in place', () => {
+      const recipient = { ...RECIPIENT, address: 'stays@example.com' };
+
+      unsubscribeService.unsubscribe(recipient);
+
+      expect(unsubscribeService.resubscribe({ ...recipient, businessId: 'biz2' })).toBe(0);
+      expect(unsubscribeService.isUnsubscribed(recipient)).toBe(true);
+
+      expect(unsubscribeService.resubscribe(recipient)).toBe(1);
+      expect(unsubscribeService.isUnsubscribed(recipient)).toBe(false);
+    });
+
+    test('are not satisfied by another business\'s opt-out or a global suppression', () => {
+      const recipient = { ...RECIPIENT, address: 'bounced@example.com' };
+
+      suppressionService.add({ channel: 'email', address: recipient.address, reason: 'hard_bounce' });
+      unsubscribeService.unsubscribe({ ...recipient, businessId: 'biz2' });
+
+      expect(unsubscribeService.isUnsubscribed(recipient)).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,235 @@
+// services/usage-service.js - Per-business send counts and quotas
+
+const logger = require('../utils/logger');
+const HttpError = require('../utils/http-error');
+const { FileStore } = require('../utils/file-store');
+
+const CHANNELS = ['email', 'sms'];
+const PERIODS = ['daily', 'monthly'];
+
+/**
+ * Read a quota from the environment
+ * @param {string} name - Variable name
+ * @returns {number|null} The quota, or null for no limit
+ */
+function quotaFromEnv(name) {
+  const value = parseInt(process.env[name], 10);
+  return value > 0 ? value : null;
+}
+
+/**
+ * Service for counting the messages each business sends and enforcing
+ * daily and monthly quotas per channel. Periods are UTC calendar days
+ * and months. Defaults come from QUOTA_EMAIL_DAILY, QUOTA_EMAIL_MONTHLY,
+ * QUOTA_SMS_DAILY and QUOTA_SMS_MONTHLY (unset means unlimited); admins
+ * can override them per business.
+ */
+class UsageService {
+  constructor() {
+    this.store = new FileStore('usage', { idPrefix: 'use' });
+    this.quotaStore = new FileStore('quotas', { idPrefix: 'quo' });
+    this.channels = CHANNELS;
+    this.defaults = {
+      email: { daily: quotaFromEnv('QUOTA_EMAIL_DAILY'), monthly: quotaFromEnv('QUOTA_EMAIL_MONTHLY') },
+      sms: { daily: quotaFromEnv('QUOTA_SMS_DAILY'), monthly: quotaFromEnv('QUOTA_SMS_MONTHLY') },
+    };
+  }
+
+  /**
+   * Get the current period keys and when they end
+   * @param {Date} [now] - Current time
+   * @returns {Object} `{ daily, monthly }`, each `{ key, resetsAt }`
+   * @private
+   */
+  getPeriods(now = new Date()) {
+    const year = now.getUTCFullYear();
+    const month = now.getUTCMonth();
+    const day = now.getUTCDate();
+
+    return {
+      daily: {
+        key: now.toISOString().slice(0, 10),
+        resetsAt: new Date(Date.UTC(year, month, day + 1)),
+      },
+      monthly: {
+        key: now.toISOString().slice(0, 7),
+        resetsAt: new Date(Date.UTC(year, month + 1, 1)),
+      },
+    };
+  }
+
+  /**
+   * Get a business's quotas, with its overrides applied
+   * @param {string} businessId - Business ID
+   * @returns {Object} `{ email: { daily, monthly }, sms: { daily, monthly } }`;
+   *   null means unlimited
+   */
+  getQuotas(businessId) {
+    const override = this.quotaStore.findOne(record => record.businessId === businessId);
+    const quotas = {};
+
+    for (const channel of CHANNELS) {
+      quotas[channel] = { ...this.defaults[channel], ...(override && override.quotas[channel]) };
+    }
+
+    return quotas;
+  }
+
+  /**
+   * Override a business's quotas. Channels and periods left out keep
+   * their current values; null removes a limit.
+   * @param {string} businessId - Business ID
+   * @param {Object} quotas - e.g. `{ sms: { daily: 500 } }`
+   * @returns {Object} The business's quotas
+   */
+  setQuotas(businessId, quotas) {
+    const existing = this.quotaStore.findOne(record => record.businessId === businessId);
+    const merged = { ...(existing && existing.quotas) };
+
+    for (const channel of CHANNELS) {
+      if (quotas[channel]) {
+        merged[channel] = { ...merged[channel], ...quotas[channel] };
+      }
+    }
+
+    if (existing) {
+      this.quotaStore.update(existing.id, { quotas: merged });
+    } else {
+      this.quotaStore.insert({ businessId, quotas: merged });
+    }
+
+    logger.info(`Quotas updated for business ${businessId}: ${JSON.stringify(merged)}`);
+    return this.getQuotas(businessId);
+  }
+
+  /**
+   * Remove a business's overrides so the defaults apply again
+   * @param {string} businessId - Business ID
+   * @returns {Object} The business's quotas
+   */
+  resetQuotas(businessId) {
+    const existing = this.quotaStore.findOne(record => record.businessId === businessId);
+
+    if (existing) {
+      this.quotaStore.remove(existing.id);
+    }
+
+    return this.getQuotas(businessId);
+  }
+
+  /**
+   * Count messages sent in a period
+   * @param {string} businessId - Business ID
+   * @param {string} channel - "email" or "sms"
+   * @param {string} period - "daily" or "monthly"
+   * @param {string} key - Period key, e.g. "2024-05-01" or "2024-05"
+   * @returns {number} Messages sent
+   * @private
+   */
+  getCount(businessId, channel, period, key) {
+    const record = this.store.findOne(entry => (
+      entry.businessId === businessId && entry.channel === channel && entry.period === period && entry.key === key
+    ));
+
+    return record ? record.count : 0;
+  }
+
+  /**
+   * Get a business's usage of one channel. The top-level `limit`,
+   * `remaining` and `resetsAt` come from whichever period has the least
+   * left, so they are what response headers should show.
+   * @param {string} businessId - Business ID
+   * @param {string} channel - "email" or "sms"
+   * @returns {Object} `{ channel, limit, remaining, resetsAt, daily, monthly }`,
+   *   with `{ used, limit, remaining, resetsAt }` per period
+   */
+  getStatus(businessId, channel) {
+    const periods = this.getPeriods();
+    const quotas = this.getQuotas(businessId)[channel];
+    const status = { channel, limit: null, remaining: null, resetsAt: null };
+
+    for (const period of PERIODS) {
+      const used = this.getCount(businessId, channel, period, periods[period].key);
+      const limit = quotas[period];
+      const remaining = limit === null ? null : Math.max(limit - used, 0);
+
+      status[period] = { used, limit, remaining, resetsAt: periods[period].resetsAt.toISOString() };
+
+      if (remaining !== null && (status.remaining === null || remaining < status.remaining)) {
+        status.limit = limit;
+        status.remaining = remaining;
+        status.resetsAt = status[period].resetsAt;
+      }
+    }
+
+    return status;
+  }
+
+  /**
+   * Get a business's usage of every channel
+   * @param {string} businessId - Business ID
+   * @returns {Object} `{ email, sms }` statuses
+   */
+  getUsage(businessId) {
+    const usage = {};
+
+    for (const channel of CHANNELS) {
+      usage[channel] = this.getStatus(businessId, channel);
+    }
+
+    return usage;
+  }
+
+  /**
+   * Throw if a business has no quota left on a channel
+   * @param {string} businessId - Business ID
+   * @param {string} channel - "email" or "sms"
+   * @returns {Object} The channel's status
+   * @throws {HttpError} 429 `quota_exceeded`
+   */
+  check(businessId, channel) {
+    const status = this.getStatus(businessId, channel);
+
+    if (status.remaining === 0) {
+      const period = status.daily.remaining === 0 ? 'daily' : 'monthly';
+
+      throw new HttpError(429, `${period === 'daily' ? 'Daily' : 'Monthly'} ${channel === 'sms' ? 'SMS' : 'email'} quota of ${status.limit} reached`, {
+        code: 'quota_exceeded',
+        details: { channel, period, limit: status.limit, resetsAt: status.resetsAt },
+      });
+    }
+
+    return status;
+  }
+
+  /**
+   * Check a business's quota and count one message against it
+   * @param {string} [businessId] - Business ID; messages without one are not counted
+   * @param {string} channel - "email" or "sms"
+   * @throws {HttpError} 429 `quota_exceeded`
+   */
+  consume(businessId, channel) {
+    if (!businessId) {
+      return;
+    }
+
+    this.check(businessId, channel);
+
+    const periods = this.getPeriods();
+
+    for (const period of PERIODS) {
+      const { key } = periods[period];
+      const record = this.store.findOne(entry => (
+        entry.businessId === businessId && entry.channel === channel && entry.period === period && entry.key === key
+      ));
+
+      if (record) {
+        this.store.update(record.id, { count: record.count + 1 });
+      } else {
+        this.store.insert({ businessId, channel, period, key, count: 1 });
+      }
+    }
+  }
+}
+
+module.exports = new UsageService();
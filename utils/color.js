@@ -0,0 +1,56 @@
+// utils/color.js - Color parsing and WCAG contrast checks
+
+const HEX_PATTERN = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i;
+
+/**
+ * Check a "#rgb" or "#rrggbb" hex color
+ * @param {string} value - Candidate color
+ * @returns {boolean} True if valid
+ */
+function isHexColor(value) {
+  return typeof value === 'string' && HEX_PATTERN.test(value);
+}
+
+/**
+ * Convert a hex color to "#rrggbb" lower case
+ * @param {string} value - Hex color
+ * @returns {string} Normalized color
+ */
+function normalizeHexColor(value) {
+  const hex = value.slice(1).toLowerCase();
+  return hex.length === 3
+    ? `#${hex.split('').map(digit => digit + digit).join('')}`
+    : `#${hex}`;
+}
+
+/**
+ * WCAG relative luminance of a color
+ * @param {string} value - Hex color
+ * @returns {number} Luminance from 0 (black) to 1 (white)
+ */
+function relativeLuminance(value) {
+  const hex = normalizeHexColor(value).slice(1);
+  const [r, g, b] = [0, 2, 4].map((offset) => {
+    const channel = parseInt(hex.slice(offset, offset + 2), 16) / 255;
+    return channel <= 0.03928 ? channel / 12.92 : ((channel + 0.055) / 1.055) ** 2.4;
+  });
+
+  return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+}
+
+/**
+ * WCAG contrast ratio between two colors
+ * @param {string} first - Hex color
+ * @param {string} second - Hex color
+ * @returns {number} Ratio from 1 to 21
+ */
+function contrastRatio(first, second) {
+  const [lighter, darker] = [relativeLuminance(first), relativeLuminance(second)].sort((a, b) => b - a);
+  return (lighter + 0.05) / (darker + 0.05);
+}
+
+module.exports = {
+  isHexColor,
+  normalizeHexColor,
+  contrastRatio,
+};
@@ -0,0 +1,43 @@
+// utils/color.test.js
+
+const { isHexColor, normalizeHexColor, contrastRatio } = require('./color');
+
+describe('isHexColor', () => {
+  test.each(['#fff', '#FFF', '#2563eb', '#1E40AF'])('accepts %p', (value) => {
+    expect(isHexColor(value)).toBe(true);
+  });
+
+  test.each(['fff', '#ffff', '#12345g', 'rgb(0,0,0)', 'red', '', null])('rejects %p', (value) => {
+    expect(isHexColor(value)).toBe(false);
+  });
+});
+
+describe('normalizeHexColor', () => {
+  test('expands short colors and lower-cases', () => {
+    expect(normalizeHexColor('#ABC')).toBe('#aabbcc');
+    expect(normalizeHexColor('#1E40AF')).toBe('#1e40af');
+  });
+});
+
+describe('contrastRatio', () => {
+  test('black on white is 21:1 and a color on itself is 1:1', () => {
+    expect(contrastRatio('#000000', '#ffffff')).toBe(21);
+    expect(contrastRatio('#fff', '#000')).toBe(21);
+    expect(contrastRatio('#2563eb', '#2563eb')).toBe(1);
+  });
+
+  test.each([
+    ['#767676', 4.54],
+    ['#777777', 4.48],
+    ['#0000ff', 8.59],
+    ['#ff0000', 4.0],
+    ['#2563eb', 5.17],
+    ['#ffff00', 1.07],
+  ])('%s on white is %p:1', (color, ratio) => {
+    expect(contrastRatio(color, '#ffffff')).toBeCloseTo(ratio, 2);
+  });
+
+  test('does not depend on argument order', () => {
+    expect(contrastRatio('#ffffff', '#2563eb')).toBe(contrastRatio('#2563eb', '#ffffff'));
+  });
+});
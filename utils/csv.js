@@ -0,0 +1,112 @@
+// utils/csv.js - Minimal RFC 4180 CSV parsing and formatting
+
+/**
+ * Parse CSV text into rows of fields
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>} Rows, each an array of field values
+ */
+function parseRows(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  // Strip a UTF-8 byte order mark left by spreadsheet exports
+  const input = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Drop blank lines
+  return rows.filter(fields => fields.some(value => value.trim() !== ''));
+}
+
+/**
+ * Parse CSV text with a header row into objects
+ * @param {string} text - CSV text
+ * @returns {Array<Object>} One object per data row, keyed by header
+ */
+function parseCsv(text) {
+  const [header, ...rows] = parseRows(text || '');
+
+  if (!header) {
+    return [];
+  }
+
+  const keys = header.map(key => key.trim());
+
+  return rows.map((fields) => {
+    const record = {};
+    keys.forEach((key, index) => {
+      record[key] = (fields[index] || '').trim();
+    });
+    return record;
+  });
+}
+
+/**
+ * Quote a value for CSV output when needed
+ * @param {*} value - Field value
+ * @returns {string} CSV-safe field
+ */
+function formatField(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Format objects as CSV with a header row
+ * @param {Array<Object>} records - Records to format
+ * @param {Array<string>} columns - Column names, in order
+ * @returns {string} CSV text
+ */
+function toCsv(records, columns) {
+  const lines = [columns.map(formatField).join(',')];
+
+  records.forEach((record) => {
+    lines.push(columns.map(column => formatField(record[column])).join(','));
+  });
+
+  return `${lines.join('\n')}\n`;
+}
+
+module.exports = {
+  parseCsv,
+  toCsv,
+};
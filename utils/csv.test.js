@@ -0,0 +1,47 @@
+// utils/csv.test.js
+
+const { parseCsv, toCsv } = require('./csv');
+
+describe('parseCsv', () => {
+  test('maps rows to objects keyed by the trimmed header', () => {
+    expect(parseCsv(' customerName , email\nAda,ada@x.com\nBob , bob@x.com ')).toEqual([
+      { customerName: 'Ada', email: 'ada@x.com' },
+      { customerName: 'Bob', email: 'bob@x.com' },
+    ]);
+  });
+
+  test('handles quoted fields with commas, quotes and line breaks', () => {
+    const text = 'customerName,note\n"Smith, Jo","She said ""hi""\nthen left"\n';
+
+    expect(parseCsv(text)).toEqual([{ customerName: 'Smith, Jo', note: 'She said "hi"\nthen left' }]);
+  });
+
+  test('accepts CRLF line endings, a byte order mark and blank lines', () => {
+    expect(parseCsv('\uFEFFcustomerName,phone\r\nAda,+14155550100\r\n\r\n,\r\nBob,+14155550101')).toEqual([
+      { customerName: 'Ada', phone: '+14155550100' },
+      { customerName: 'Bob', phone: '+14155550101' },
+    ]);
+  });
+
+  test('fills missing fields with empty strings', () => {
+    expect(parseCsv('customerName,email,phone\nAda,ada@x.com')).toEqual([
+      { customerName: 'Ada', email: 'ada@x.com', phone: '' },
+    ]);
+  });
+
+  test('returns no rows for empty input or a header alone', () => {
+    expect(parseCsv('')).toEqual([]);
+    expect(parseCsv(undefined)).toEqual([]);
+    expect(parseCsv('customerName,email\n')).toEqual([]);
+  });
+});
+
+describe('toCsv', () => {
+  test('quotes fields that need it and round-trips through parseCsv', () => {
+    const records = [{ name: 'Smith, "Jo"', note: 'line\nbreak', count: 2, missing: null }];
+    const text = toCsv(records, ['name', 'note', 'count', 'missing']);
+
+    expect(text).toBe('name,note,count,missing\n"Smith, ""Jo""","line\nbreak",2,\n');
+    expect(parseCsv(text)).toEqual([{ name: 'Smith, "Jo"', note: 'line\nbreak', count: '2', missing: '' }]);
+  });
+});
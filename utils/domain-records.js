@@ -0,0 +1,92 @@
+// utils/domain-records.js - DNS records a sending domain needs, and checks for them
+
+const dns = require('dns');
+
+// Lookup failures that mean "no such record" rather than "DNS is down"
+const NOT_FOUND_CODES = ['ENODATA', 'ENOTFOUND', 'NXDOMAIN'];
+
+/**
+ * Build the TXT records a business must publish to send from its domain
+ * @param {Object} options - Domain details
+ * @param {string} options.domain - Sending domain, e.g. "mail.example.com"
+ * @param {string} options.dkimSelector - DKIM selector
+ * @param {string} options.dkimPublicKey - Base64 DER public key
+ * @param {string} options.spfInclude - Domain to include in SPF
+ * @returns {Array<Object>} `{ purpose, type, host, value }` records
+ */
+function buildDomainRecords({ domain, dkimSelector, dkimPublicKey, spfInclude }) {
+  return [
+    {
+      purpose: 'spf',
+      type: 'TXT',
+      host: domain,
+      value: `v=spf1 include:${spfInclude} ~all`,
+    },
+    {
+      purpose: 'dkim',
+      type: 'TXT',
+      host: `${dkimSelector}._domainkey.${domain}`,
+      value: `v=DKIM1; k=rsa; p=${dkimPublicKey}`,
+    },
+    {
+      purpose: 'dmarc',
+      type: 'TXT',
+      host: `_dmarc.${domain}`,
+      value: `v=DMARC1; p=none; rua=mailto:dmarc@${domain}`,
+    },
+  ];
+}
+
+/**
+ * Check whether a published TXT value satisfies a required record.
+ * SPF must include our sender, DKIM must carry our key, and any DMARC
+ * policy is accepted so businesses can keep a stricter one.
+ * @param {Object} record - Required record
+ * @param {string} value - Published TXT value
+ * @returns {boolean} True if it matches
+ */
+function matchesRecord(record, value) {
+  const normalized = value.trim();
+
+  if (record.purpose === 'spf') {
+    const include = record.value.split(' ').find(part => part.startsWith('include:'));
+    return /^v=spf1\s/i.test(normalized) && normalized.split(/\s+/).includes(include);
+  }
+
+  if (record.purpose === 'dkim') {
+    const key = record.value.split('p=')[1];
+    return normalized.replace(/\s+/g, '').includes(`p=${key}`);
+  }
+
+  return /^v=DMARC1\s*;/i.test(normalized);
+}
+
+/**
+ * Look up each required record and report whether it is published
+ * @param {Array<Object>} records - Records from buildDomainRecords
+ * @param {Object} [resolver] - Object with a promise-returning
+ *   `resolveTxt(host)`; defaults to Node's DNS resolver
+ * @returns {Promise<Array<Object>>} The records with `verified` and, when a
+ *   lookup failed for a reason other than a missing record, `error`
+ */
+async function checkDomainRecords(records, resolver = dns.promises) {
+  return Promise.all(records.map(async (record) => {
+    try {
+      const answers = await resolver.resolveTxt(record.host);
+      const values = answers.map(chunks => chunks.join(''));
+
+      return { ...record, verified: values.some(value => matchesRecord(record, value)), error: null };
+    } catch (error) {
+      if (NOT_FOUND_CODES.includes(error.code)) {
+        return { ...record, verified: false, error: null };
+      }
+
+      return { ...record, verified: false, error: error.code || error.message };
+    }
+  }));
+}
+
+module.exports = {
+  buildDomainRecords,
+  checkDomainRecords,
+};
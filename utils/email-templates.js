@@ -1,5 +1,17 @@
 // utils/email-templates.js - HTML email templates
 
+const { DEFAULT_LOCALE, translate } = require('./i18n');
+
+// Footer labels for social links; "website" is translated
+const SOCIAL_LABELS = {
+  facebook: 'Facebook',
+  instagram: 'Instagram',
+  x: 'X',
+  linkedin: 'LinkedIn',
+  youtube: 'YouTube',
+  tiktok: 'TikTok',
+};
+
 /**
  * Escape HTML to prevent XSS
  * @param {string} text - The text to escape
@@ -14,34 +26,102 @@ function escapeHtml(text) {
       .replace(/'/g, '&#039;');
   }
   
+  /**
+   * Escape text and keep its line breaks
+   * @param {string} text - The text to format
+   * @returns {string} HTML
+   */
+  function formatMultiline(text) {
+    return escapeHtml(text).replace(/\r?\n/g, '<br>');
+  }
+  
+  /**
+   * Generate the logo shown above an email's heading
+   * @param {Object} [branding] - Business branding profile
+   * @param {string} alt - Alt text, usually the business name
+   * @returns {string} HTML, empty without a logo
+   */
+  function generateLogoHtml(branding, alt) {
+    if (!branding || !branding.logoUrl) {
+      return '';
+    }
+    
+    return `<img src="${escapeHtml(branding.logoUrl)}" alt="${escapeHtml(alt)}" class="logo">`;
+  }
+  
+  /**
+   * Generate the business's address and social links for an email footer
+   * @param {Object} [branding] - Business branding profile
+   * @param {string} locale - Supported locale
+   * @returns {string} HTML, empty if neither is set
+   */
+  function generateBrandFooterHtml(branding, locale) {
+    if (!branding) {
+      return '';
+    }
+    
+    const links = Object.entries(branding.socialLinks || {})
+      .map(([network, url]) => {
+        const label = network === 'website' ? translate(locale, 'reviewRequest.website') : SOCIAL_LABELS[network];
+        return `<a href="${escapeHtml(url)}">${escapeHtml(label || network)}</a>`;
+      });
+    
+    return [
+      branding.footerAddress ? `<p>${formatMultiline(branding.footerAddress)}</p>` : '',
+      links.length > 0 ? `<p>${links.join(' · ')}</p>` : '',
+    ].join('');
+  }
+  
   /**
    * Generate HTML for review request email
    * @param {Object} options - Email options
    * @param {string} options.customerName - Customer name
    * @param {string} options.businessName - Business name
    * @param {string} options.reviewLink - Review link URL
+   * @param {string} [options.unsubscribeUrl] - Hosted unsubscribe page URL
    * @param {Object} [options.customData] - Custom data for template
+   * @param {string} [options.locale="en"] - Supported locale for the copy
+   * @param {Object} [options.branding] - Business branding profile
    * @returns {string} HTML content
    */
-  function generateReviewRequestHtml({ customerName, businessName, reviewLink, customData = {} }) {
+  function generateReviewRequestHtml({ customerName, businessName, reviewLink, unsubscribeUrl, customData = {}, locale = DEFAULT_LOCALE, branding }) {
     // Escape all user-provided data to prevent XSS
     const safeCustomerName = escapeHtml(customerName);
     const safeBusinessName = escapeHtml(businessName);
     const safeReviewLink = escapeHtml(reviewLink);
+    // Catalog copy is trusted HTML; values are escaped before they go in
+    const t = (key, values) => translate(locale, `reviewRequest.${key}`, values);
     
     // Get current year for copyright
     const currentYear = new Date().getFullYear();
     
+    // Unsubscribe footer line, when links are enabled
+    const unsubscribeHtml = unsubscribeUrl
+      ? `<p>${t('unsubscribePrompt')} <a href="${escapeHtml(unsubscribeUrl)}">${t('unsubscribe')}</a></p>`
+      : '';
+    
     // Default button text
-    const buttonText = customData.buttonText || 'Leave a Review';
+    const buttonText = customData.buttonText || t('button');
+    
+    // Brand colors were contrast-checked when saved
+    const brand = branding || {};
+    const headingColor = brand.primaryColor || '#1e3a8a';
+    const buttonColor = brand.primaryColor || '#2563eb';
+    const accentColor = brand.accentColor || '#1e40af';
+    
+    // The business's sign-off replaces the default one
+    const signatureHtml = brand.signature
+      ? formatMultiline(brand.signature)
+      : `${t('signOff')}<br>
+              ${t('signature', { businessName: safeBusinessName })}`;
     
     return `
       <!DOCTYPE html>
-      <html>
+      <html lang="${locale}">
       <head>
         <meta charset="utf-8">
         <meta name="viewport" content="width=device-width, initial-scale=1.0">
-        <title>We'd Love Your Feedback</title>
+        <title>${t('title')}</title>
         <style>
           @import url('https://fonts.googleapis.com/css2?family=Inter:wght@400;500;600;700&display=swap');
           
@@ -70,8 +150,15 @@ function escapeHtml(text) {
             border-bottom: 1px solid #e5e7eb;
           }
           
+          .header .logo {
+            display: block;
+            max-width: 200px;
+            max-height: 60px;
+            margin: 0 auto 12px;
+          }
+          
           .header h2 {
-            color: #1e3a8a;
+            color: ${headingColor};
             margin: 0;
             font-size: 24px;
             font-weight: 700;
@@ -91,7 +178,7 @@ function escapeHtml(text) {
           .button {
             display: inline-block;
             padding: 12px 24px;
-            background-color: #2563eb;
+            background-color: ${buttonColor};
             color: white !important;
             text-decoration: none;
             border-radius: 6px;
@@ -101,7 +188,11 @@ function escapeHtml(text) {
           }
           
           .button:hover {
-            background-color: #1e40af;
+            background-color: ${accentColor};
+          }
+          
+          .content a:not(.button), .footer a {
+            color: ${accentColor};
           }
           
           /* Footer styles */
@@ -134,27 +225,240 @@ function escapeHtml(text) {
       <body>
         <div class="container">
           <div class="header">
-            <h2>We'd Love Your Feedback!</h2>
+            ${generateLogoHtml(branding, businessName)}
+            <h2>${t('heading')}</h2>
           </div>
           <div class="content">
-            <p>Hello ${safeCustomerName},</p>
-            <p>Thank you for choosing ${safeBusinessName}. We hope you had a great experience!</p>
-            <p>We value your feedback and would appreciate it if you could take a moment to share your experience with us.</p>
+            <p>${t('greeting', { customerName: safeCustomerName })}</p>
+            <p>${t('thanks', { businessName: safeBusinessName })}</p>
+            <p>${t('ask')}</p>
             
             <div class="button-container">
               <a href="${safeReviewLink}" class="button">${buttonText}</a>
             </div>
             
-            <p>Your feedback helps us improve and better serve our customers.</p>
-            <p>Thank you for your time!</p>
+            <p>${t('improve')}</p>
+            <p>${t('thankYou')}</p>
+            <p>
+              ${signatureHtml}
+            </p>
+          </div>
+          <div class="footer">
+            ${generateBrandFooterHtml(branding, locale)}
+            <p>${t('footerReason', { businessName: safeBusinessName })}</p>
+            ${unsubscribeHtml}
+            <p>${t('copyright', { year: currentYear, businessName: safeBusinessName })}</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `;
+  }
+  
+  /**
+   * Generate HTML for a business's reply to customer feedback
+   * @param {Object} options - Email options
+   * @param {string} options.customerName - Customer name
+   * @param {string} options.businessName - Business name
+   * @param {string} options.message - Reply text; line breaks are kept
+   * @param {string} [options.locale="en"] - Supported locale for the copy
+   * @param {Object} [options.branding] - Business branding profile
+   * @returns {string} HTML content
+   */
+  function generateFeedbackReplyHtml({ customerName, businessName, message, locale = DEFAULT_LOCALE, branding }) {
+    const safeBusinessName = escapeHtml(businessName);
+    const t = (key, values) => translate(locale, `feedbackReply.${key}`, values);
+    const brand = branding || {};
+    
+    const signatureHtml = brand.signature
+      ? formatMultiline(brand.signature)
+      : `${t('signOff')}<br>
+              ${t('signature', { businessName: safeBusinessName })}`;
+    
+    return `
+      <!DOCTYPE html>
+      <html lang="${locale}">
+      <head>
+        <meta charset="utf-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>${t('subject', { businessName: safeBusinessName })}</title>
+        <style>
+          body {
+            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Helvetica, Arial, sans-serif;
+            line-height: 1.6;
+            color: #374151;
+            background-color: #f3f4f6;
+            margin: 0;
+            padding: 0;
+          }
+          
+          .container {
+            max-width: 600px;
+            margin: 0 auto;
+            padding: 20px;
+            background-color: #ffffff;
+          }
+          
+          .header {
+            text-align: center;
+            padding: 20px 0;
+            border-bottom: 1px solid #e5e7eb;
+          }
+          
+          .header .logo {
+            display: block;
+            max-width: 200px;
+            max-height: 60px;
+            margin: 0 auto 12px;
+          }
+          
+          .header h2 {
+            color: ${brand.primaryColor || '#1e3a8a'};
+            margin: 0;
+            font-size: 24px;
+            font-weight: 700;
+          }
+          
+          .content {
+            padding: 24px 20px;
+          }
+          
+          .footer {
+            text-align: center;
+            margin-top: 20px;
+            padding-top: 20px;
+            border-top: 1px solid #e5e7eb;
+            font-size: 12px;
+            color: #6b7280;
+          }
+          
+          .footer a {
+            color: ${brand.accentColor || '#1e40af'};
+          }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            ${generateLogoHtml(branding, businessName)}
+            <h2>${safeBusinessName}</h2>
+          </div>
+          <div class="content">
+            <p>${t('greeting', { customerName: escapeHtml(customerName) })}</p>
+            <p>${formatMultiline(message)}</p>
             <p>
-              Best regards,<br>
-              The ${safeBusinessName} Team
+              ${signatureHtml}
             </p>
           </div>
           <div class="footer">
-            <p>This email was sent to you because you interacted with ${safeBusinessName}.</p>
-            <p>© ${currentYear} ${safeBusinessName}. All rights reserved.</p>
+            ${generateBrandFooterHtml(branding, locale)}
+            <p>${t('footerReason', { businessName: safeBusinessName })}</p>
+            <p>${t('copyright', { year: new Date().getFullYear(), businessName: safeBusinessName })}</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `;
+  }
+  
+  /**
+   * Generate HTML for the email telling a business a customer texted back
+   * @param {Object} options - Email options
+   * @param {string} options.businessName - Business name
+   * @param {string} options.from - Customer's phone number
+   * @param {string} options.body - Text of the reply
+   * @param {string} [options.receivedAt] - Formatted time the reply arrived
+   * @param {string} [options.locale="en"] - Supported locale for the copy
+   * @param {Object} [options.branding] - Business branding profile
+   * @returns {string} HTML content
+   */
+  function generateSmsReplyNotificationHtml({ businessName, from, body, receivedAt, locale = DEFAULT_LOCALE, branding }) {
+    const safeFrom = escapeHtml(from);
+    const t = (key, values) => translate(locale, `smsReplyNotification.${key}`, values);
+    
+    return `
+      <!DOCTYPE html>
+      <html lang="${locale}">
+      <head>
+        <meta charset="utf-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>${t('heading')}</title>
+        <style>
+          body {
+            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Helvetica, Arial, sans-serif;
+            line-height: 1.6;
+            color: #374151;
+            background-color: #f3f4f6;
+            margin: 0;
+            padding: 0;
+          }
+          
+          .container {
+            max-width: 600px;
+            margin: 0 auto;
+            padding: 20px;
+            background-color: #ffffff;
+          }
+          
+          .header {
+            text-align: center;
+            padding: 20px 0;
+            border-bottom: 1px solid #e5e7eb;
+          }
+          
+          .header .logo {
+            display: block;
+            max-width: 200px;
+            max-height: 60px;
+            margin: 0 auto 12px;
+          }
+          
+          .header h2 {
+            color: ${(branding && branding.primaryColor) || '#1e3a8a'};
+            margin: 0;
+            font-size: 24px;
+            font-weight: 700;
+          }
+          
+          .content {
+            padding: 24px 20px;
+          }
+          
+          .reply-box {
+            background-color: #f9fafb;
+            border: 1px solid #e5e7eb;
+            border-radius: 6px;
+            padding: 15px;
+            margin: 20px 0;
+          }
+          
+          .footer {
+            text-align: center;
+            margin-top: 20px;
+            padding-top: 20px;
+            border-top: 1px solid #e5e7eb;
+            font-size: 12px;
+            color: #6b7280;
+          }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            ${generateLogoHtml(branding, businessName)}
+            <h2>${t('heading')}</h2>
+          </div>
+          <div class="content">
+            <p>${t('intro', { from: safeFrom, businessName: escapeHtml(businessName) })}</p>
+            <div class="reply-box">
+              ${formatMultiline(body)}
+            </div>
+            ${receivedAt ? `<p><strong>${t('received')}</strong> ${escapeHtml(receivedAt)}</p>` : ''}
+            <p>${t('advice', { from: safeFrom })}</p>
+          </div>
+          <div class="footer">
+            <p>${t('footer')}</p>
+            <p>${t('copyright', { year: new Date().getFullYear() })}</p>
           </div>
         </div>
       </body>
@@ -234,5 +538,8 @@ function escapeHtml(text) {
   module.exports = {
     generateReviewRequestHtml,
     generateTestEmailHtml,
+    generateFeedbackReplyHtml,
+    generateSmsReplyNotificationHtml,
+    generateLogoHtml,
     escapeHtml
   };
\ No newline at end of file
@@ -0,0 +1,204 @@
+// utils/file-store.js - Simple JSON file-backed record store
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Generate a random identifier
+ * @param {string} [prefix] - Optional prefix, e.g. "msg"
+ * @returns {string} The identifier
+ */
+function generateId(prefix) {
+  const id = crypto.randomBytes(12).toString('hex');
+  return prefix ? `${prefix}_${id}` : id;
+}
+
+/**
+ * Resolve the directory used for persistent data
+ * @returns {string} Absolute data directory path
+ */
+function getDataDir() {
+  return path.resolve(process.env.DATA_DIR || path.join(__dirname, '..', 'data'));
+}
+
+/**
+ * A collection of JSON records persisted to a single file.
+ * Records are kept in memory and the file is rewritten atomically
+ * on every change, which is plenty for a single-process server.
+ */
+class FileStore {
+  /**
+   * @param {string} name - Collection name, used as the file name
+   * @param {Object} [options] - Store options
+   * @param {string} [options.idPrefix] - Prefix for generated record IDs
+   * @param {string} [options.dataDir] - Override the data directory
+   */
+  constructor(name, { idPrefix, dataDir } = {}) {
+    this.name = name;
+    this.idPrefix = idPrefix;
+    this.dataDir = dataDir;
+    this.records = null;
+  }
+
+  /**
+   * Path of the backing file
+   * @returns {string} File path
+   */
+  get filePath() {
+    return path.join(this.dataDir || getDataDir(), `${this.name}.json`);
+  }
+
+  /**
+   * Load records from disk on first access
+   * @returns {Array<Object>} The in-memory records
+   * @private
+   */
+  load() {
+    if (this.records) {
+      return this.records;
+    }
+
+    try {
+      this.records = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw new Error(`Failed to load ${this.name} store: ${error.message}`);
+      }
+      this.records = [];
+    }
+
+    return this.records;
+  }
+
+  /**
+   * Write all records to disk
+   * @private
+   */
+  save() {
+    const filePath = this.filePath;
+    const tmpPath = `${filePath}.${process.pid}.tmp`;
+
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(tmpPath, JSON.stringify(this.records, null, 2));
+    fs.renameSync(tmpPath, filePath);
+  }
+
+  /**
+   * Get all records
+   * @returns {Array<Object>} Copies of every record
+   */
+  all() {
+    return this.load().map(record => ({ ...record }));
+  }
+
+  /**
+   * Find records matching a predicate
+   * @param {Function} predicate - Filter function
+   * @returns {Array<Object>} Copies of matching records
+   */
+  find(predicate) {
+    return this.load().filter(predicate).map(record => ({ ...record }));
+  }
+
+  /**
+   * Find the first record matching a predicate
+   * @param {Function} predicate - Filter function
+   * @returns {Object|null} A copy of the record, or null
+   */
+  findOne(predicate) {
+    const record = this.load().find(predicate);
+    return record ? { ...record } : null;
+  }
+
+  /**
+   * Get a record by ID
+   * @param {string} id - Record ID
+   * @returns {Object|null} A copy of the record, or null
+   */
+  get(id) {
+    return this.findOne(record => record.id === id);
+  }
+
+  /**
+   * Insert a new record
+   * @param {Object} data - Record fields
+   * @returns {Object} The stored record
+   */
+  insert(data) {
+    const now = new Date().toISOString();
+    const record = {
+      id: generateId(this.idPrefix),
+      ...data,
+      createdAt: data.createdAt || now,
+      updatedAt: now,
+    };
+
+    this.load().push(record);
+    this.save();
+
+    return { ...record };
+  }
+
+  /**
+   * Update fields on an existing record
+   * @param {string} id - Record ID
+   * @param {Object} changes - Fields to merge into the record
+   * @returns {Object|null} The updated record, or null if not found
+   */
+  update(id, changes) {
+    const record = this.load().find(item => item.id === id);
+
+    if (!record) {
+      return null;
+    }
+
+    Object.assign(record, changes, { id, updatedAt: new Date().toISOString() });
+    this.save();
+
+    return { ...record };
+  }
+
+  /**
+   * Remove a record
+   * @param {string} id - Record ID
+   * @returns {boolean} True if a record was removed
+   */
+  remove(id) {
+    const records = this.load();
+    const index = records.findIndex(record => record.id === id);
+
+    if (index === -1) {
+      return false;
+    }
+
+    records.splice(index, 1);
+    this.save();
+
+    return true;
+  }
+
+  /**
+   * Remove every record matching a predicate
+   * @param {Function} predicate - Filter function
+   * @returns {number} Number of records removed
+   */
+  removeWhere(predicate) {
+    const records = this.load();
+    const remaining = records.filter(record => !predicate(record));
+    const removed = records.length - remaining.length;
+
+    if (removed > 0) {
+      this.records = remaining;
+      this.save();
+    }
+
+    return removed;
+  }
+}
+
+module.exports = {
+  FileStore,
+  generateId,
+  getDataDir,
+};
@@ -0,0 +1,23 @@
+// utils/http-error.js - Errors carrying an HTTP status code
+
+/**
+ * Error with an HTTP status code, picked up by middleware/error-handler.js
+ */
+class HttpError extends Error {
+  /**
+   * @param {number} statusCode - HTTP status code
+   * @param {string} message - Error message
+   * @param {Object} [options] - Extra error details
+   * @param {string} [options.code] - Machine-readable error code
+   * @param {Object} [options.details] - Additional data for the response
+   */
+  constructor(statusCode, message, { code, details } = {}) {
+    super(message);
+    this.name = 'HttpError';
+    this.statusCode = statusCode;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+module.exports = HttpError;
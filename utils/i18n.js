@@ -0,0 +1,128 @@
+// utils/i18n.js - Message catalogs and locale-aware formatting
+
+const CATALOGS = {
+  en: require('./locales/en'),
+  es: require('./locales/es'),
+  fr: require('./locales/fr'),
+};
+
+const DEFAULT_LOCALE = 'en';
+const SUPPORTED_LOCALES = Object.keys(CATALOGS);
+
+/**
+ * Check that a value is a well-formed BCP 47 language tag. Tags we have
+ * no catalog for are still valid; they fall back when resolved.
+ * @param {string} value - e.g. "es-MX"
+ * @returns {boolean} True if valid
+ */
+function isValidLocale(value) {
+  if (!value || typeof value !== 'string') {
+    return false;
+  }
+
+  try {
+    Intl.getCanonicalLocales(value);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Map a language tag to a supported catalog, e.g. "fr-CA" to "fr"
+ * @param {string} [locale] - Language tag
+ * @returns {string|null} Supported locale, or null if there is no catalog
+ */
+function normalizeLocale(locale) {
+  if (!isValidLocale(locale)) {
+    return null;
+  }
+
+  const language = locale.split('-')[0].toLowerCase();
+  return SUPPORTED_LOCALES.includes(language) ? language : null;
+}
+
+/**
+ * Pick the first supported locale, falling back to English
+ * @param {...string} candidates - Language tags in order of preference
+ * @returns {string} Supported locale
+ */
+function resolveLocale(...candidates) {
+  for (const candidate of candidates) {
+    const locale = normalizeLocale(candidate);
+    if (locale) {
+      return locale;
+    }
+  }
+
+  return DEFAULT_LOCALE;
+}
+
+/**
+ * Look up a message and fill in its `{name}` placeholders. Keys missing
+ * from a catalog fall back to English. Values are inserted as given, so
+ * HTML callers must escape them first.
+ * @param {string} locale - Supported locale
+ * @param {string} key - Dotted key, e.g. "reviewRequest.subject"
+ * @param {Object} [values] - Placeholder values
+ * @returns {string} The message
+ */
+function translate(locale, key, values = {}) {
+  const lookup = catalog => key.split('.').reduce((node, part) => (node ? node[part] : undefined), catalog);
+  const message = lookup(CATALOGS[locale] || {}) || lookup(CATALOGS[DEFAULT_LOCALE]);
+
+  if (typeof message !== 'string') {
+    return key;
+  }
+
+  return message.replace(/\{(\w+)\}/g, (match, name) => (
+    values[name] !== undefined && values[name] !== null ? String(values[name]) : match
+  ));
+}
+
+/**
+ * Format a number for a locale, e.g. 4.5 as "4,5" in French
+ * @param {number} value - Number
+ * @param {string} locale - Supported locale
+ * @returns {string} Formatted number
+ */
+function formatNumber(value, locale) {
+  return new Intl.NumberFormat(locale, { maximumFractionDigits: 1 }).format(value);
+}
+
+/**
+ * Format a 1-5 star rating for a locale, e.g. "4,5/5"
+ * @param {number} rating - Rating
+ * @param {string} locale - Supported locale
+ * @returns {string} Formatted rating
+ */
+function formatRating(rating, locale) {
+  return `${formatNumber(Number(rating), locale)}/5`;
+}
+
+/**
+ * Format a date and time for a locale
+ * @param {Date|string} date - Date
+ * @param {string} locale - Supported locale
+ * @param {string} [timezone] - IANA timezone, defaults to the server's
+ * @returns {string} Formatted date
+ */
+function formatDate(date, locale, timezone) {
+  return new Intl.DateTimeFormat(locale, {
+    dateStyle: 'long',
+    timeStyle: 'short',
+    timeZone: timezone || undefined,
+  }).format(new Date(date));
+}
+
+module.exports = {
+  DEFAULT_LOCALE,
+  SUPPORTED_LOCALES,
+  isValidLocale,
+  normalizeLocale,
+  resolveLocale,
+  translate,
+  formatNumber,
+  formatRating,
+  formatDate,
+};
@@ -0,0 +1,77 @@
+// utils/locales/en.js - English message catalog (the fallback for every key)
+
+module.exports = {
+  reviewRequest: {
+    subject: "We'd love to hear your feedback on {businessName}",
+    title: "We'd Love Your Feedback",
+    heading: "We'd Love Your Feedback!",
+    greeting: 'Hello {customerName},',
+    thanks: 'Thank you for choosing {businessName}. We hope you had a great experience!',
+    ask: 'We value your feedback and would appreciate it if you could take a moment to share your experience with us.',
+    button: 'Leave a Review',
+    improve: 'Your feedback helps us improve and better serve our customers.',
+    thankYou: 'Thank you for your time!',
+    signOff: 'Best regards,',
+    signature: 'The {businessName} Team',
+    footerReason: 'This email was sent to you because you interacted with {businessName}.',
+    unsubscribePrompt: "Don't want these emails?",
+    unsubscribe: 'Unsubscribe',
+    website: 'Website',
+    copyright: '© {year} {businessName}. All rights reserved.',
+    sms: "Hi {customerName}, thank you for choosing {businessName}! We'd love to hear your feedback. Please share your experience here: {reviewLink}",
+  },
+  feedbackNotification: {
+    subject: '⚠️ Negative Review Blocked - Customer Feedback ({rating})',
+    heading: 'Customer Feedback Alert',
+    greeting: 'Hello {businessName} Team,',
+    intro: 'A customer has left feedback that was <strong>not published publicly</strong>. This feedback has been blocked from appearing on review sites.',
+    customer: 'Customer:',
+    rating: 'Rating:',
+    received: 'Received:',
+    feedback: 'Customer Feedback:',
+    advice: 'This feedback was captured by RevBoost to protect your online reputation. We recommend addressing this feedback directly with the customer.',
+    signOff: 'Best regards,',
+    signature: 'RevBoost Team',
+    footer: 'This is an automated notification from RevBoost.',
+    copyright: '© {year} RevBoost. All rights reserved.',
+  },
+  feedbackPage: {
+    title: 'How was your experience with {businessName}?',
+    prompt: 'Tap a star to rate your visit.',
+    starLabel: '{rating} out of 5 stars',
+    formTitle: "We're sorry to hear that",
+    formPrompt: "Tell us what went wrong and we'll do our best to make it right. Your feedback goes straight to {businessName}.",
+    placeholder: 'What could we have done better?',
+    submit: 'Send feedback',
+    required: 'Please tell us a little about your experience.',
+    thanksTitle: 'Thank you',
+    thanksBody: 'Your feedback has been sent to {businessName}.',
+    invalid: 'This feedback link is invalid or has expired.',
+  },
+  reviewLink: {
+    invalid: 'This review link is invalid. Please use the link from your most recent message.',
+  },
+  feedbackReply: {
+    subject: 'Re: your feedback for {businessName}',
+    greeting: 'Hello {customerName},',
+    signOff: 'Best regards,',
+    signature: 'The {businessName} Team',
+    footerReason: 'You received this email because you shared feedback with {businessName}.',
+    copyright: '© {year} {businessName}. All rights reserved.',
+    sms: '{businessName}: {message}',
+  },
+  smsKeywords: {
+    stop: '{businessName}: You have been unsubscribed and will not receive any more messages. Reply START to resubscribe.',
+    start: '{businessName}: You have been resubscribed to messages. Msg & data rates may apply. Reply HELP for help, STOP to opt out.',
+    help: '{businessName}: Review requests sent by RevBoost. Msg & data rates may apply. Reply STOP to opt out. Help: {contact}',
+  },
+  smsReplyNotification: {
+    subject: 'New text reply from {from}',
+    heading: 'New Text Reply',
+    intro: '{from} replied to a text from {businessName}:',
+    received: 'Received:',
+    advice: 'Replies to this email do not reach the customer. Contact them directly at {from}.',
+    footer: 'This is an automated notification from RevBoost.',
+    copyright: '© {year} RevBoost. All rights reserved.',
+  },
+};
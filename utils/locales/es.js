@@ -0,0 +1,77 @@
+// utils/locales/es.js - Spanish message catalog
+
+module.exports = {
+  reviewRequest: {
+    subject: 'Nos encantaría conocer tu opinión sobre {businessName}',
+    title: 'Nos encantaría conocer tu opinión',
+    heading: '¡Nos encantaría conocer tu opinión!',
+    greeting: 'Hola {customerName}:',
+    thanks: 'Gracias por elegir {businessName}. ¡Esperamos que hayas tenido una gran experiencia!',
+    ask: 'Valoramos tu opinión y te agradeceríamos que dedicaras un momento a compartir tu experiencia con nosotros.',
+    button: 'Dejar una reseña',
+    improve: 'Tu opinión nos ayuda a mejorar y a atender mejor a nuestros clientes.',
+    thankYou: '¡Gracias por tu tiempo!',
+    signOff: 'Saludos cordiales,',
+    signature: 'El equipo de {businessName}',
+    footerReason: 'Recibes este correo porque interactuaste con {businessName}.',
+    unsubscribePrompt: '¿No quieres recibir estos correos?',
+    unsubscribe: 'Darse de baja',
+    website: 'Sitio web',
+    copyright: '© {year} {businessName}. Todos los derechos reservados.',
+    sms: 'Hola {customerName}, ¡gracias por elegir {businessName}! Nos encantaría conocer tu opinión. Comparte tu experiencia aquí: {reviewLink}',
+  },
+  feedbackNotification: {
+    subject: '⚠️ Reseña negativa bloqueada - Comentario de cliente ({rating})',
+    heading: 'Alerta de comentario de cliente',
+    greeting: 'Hola, equipo de {businessName}:',
+    intro: 'Un cliente ha dejado un comentario que <strong>no se ha publicado</strong>. Este comentario se ha bloqueado para que no aparezca en los sitios de reseñas.',
+    customer: 'Cliente:',
+    rating: 'Valoración:',
+    received: 'Recibido:',
+    feedback: 'Comentario del cliente:',
+    advice: 'RevBoost ha recogido este comentario para proteger tu reputación en línea. Te recomendamos responder directamente al cliente.',
+    signOff: 'Saludos cordiales,',
+    signature: 'El equipo de RevBoost',
+    footer: 'Esta es una notificación automática de RevBoost.',
+    copyright: '© {year} RevBoost. Todos los derechos reservados.',
+  },
+  feedbackPage: {
+    title: '¿Qué tal tu experiencia con {businessName}?',
+    prompt: 'Toca una estrella para valorar tu visita.',
+    starLabel: '{rating} de 5 estrellas',
+    formTitle: 'Lamentamos oír eso',
+    formPrompt: 'Cuéntanos qué salió mal y haremos todo lo posible por solucionarlo. Tu comentario llega directamente a {businessName}.',
+    placeholder: '¿Qué podríamos haber hecho mejor?',
+    submit: 'Enviar comentario',
+    required: 'Cuéntanos un poco sobre tu experiencia.',
+    thanksTitle: 'Gracias',
+    thanksBody: 'Tu comentario se ha enviado a {businessName}.',
+    invalid: 'Este enlace de opinión no es válido o ha caducado.',
+  },
+  reviewLink: {
+    invalid: 'Este enlace de reseña no es válido. Usa el enlace de tu mensaje más reciente.',
+  },
+  feedbackReply: {
+    subject: 'Re: tus comentarios sobre {businessName}',
+    greeting: 'Hola {customerName}:',
+    signOff: 'Saludos cordiales,',
+    signature: 'El equipo de {businessName}',
+    footerReason: 'Recibiste este correo porque compartiste tus comentarios con {businessName}.',
+    copyright: '© {year} {businessName}. Todos los derechos reservados.',
+    sms: '{businessName}: {message}',
+  },
+  smsKeywords: {
+    stop: '{businessName}: Te has dado de baja y no recibirás más mensajes. Responde START para volver a suscribirte.',
+    start: '{businessName}: Te has vuelto a suscribir a los mensajes. Pueden aplicarse tarifas de mensajes y datos. Responde HELP para obtener ayuda o STOP para darte de baja.',
+    help: '{businessName}: Solicitudes de reseña enviadas por RevBoost. Pueden aplicarse tarifas de mensajes y datos. Responde STOP para darte de baja. Ayuda: {contact}',
+  },
+  smsReplyNotification: {
+    subject: 'Nueva respuesta por SMS de {from}',
+    heading: 'Nueva respuesta por SMS',
+    intro: '{from} respondió a un mensaje de {businessName}:',
+    received: 'Recibido:',
+    advice: 'Las respuestas a este correo no llegan al cliente. Contáctalo directamente en {from}.',
+    footer: 'Esta es una notificación automática de RevBoost.',
+    copyright: '© {year} RevBoost. Todos los derechos reservados.',
+  },
+};
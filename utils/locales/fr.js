@@ -0,0 +1,77 @@
+// utils/locales/fr.js - French message catalog
+
+module.exports = {
+  reviewRequest: {
+    subject: 'Votre avis sur {businessName} nous intéresse',
+    title: 'Votre avis nous intéresse',
+    heading: 'Votre avis nous intéresse !',
+    greeting: 'Bonjour {customerName},',
+    thanks: "Merci d'avoir choisi {businessName}. Nous espérons que votre expérience a été excellente !",
+    ask: 'Votre avis compte pour nous et nous vous serions reconnaissants de prendre un instant pour partager votre expérience.',
+    button: 'Laisser un avis',
+    improve: 'Vos commentaires nous aident à nous améliorer et à mieux servir nos clients.',
+    thankYou: 'Merci pour votre temps !',
+    signOff: 'Cordialement,',
+    signature: "L'équipe {businessName}",
+    footerReason: 'Vous recevez cet e-mail car vous avez été en contact avec {businessName}.',
+    unsubscribePrompt: 'Vous ne souhaitez plus recevoir ces e-mails ?',
+    unsubscribe: 'Se désabonner',
+    website: 'Site web',
+    copyright: '© {year} {businessName}. Tous droits réservés.',
+    sms: "Bonjour {customerName}, merci d'avoir choisi {businessName} ! Votre avis nous intéresse. Partagez votre expérience ici : {reviewLink}",
+  },
+  feedbackNotification: {
+    subject: '⚠️ Avis négatif bloqué - Commentaire client ({rating})',
+    heading: 'Alerte commentaire client',
+    greeting: "Bonjour à l'équipe {businessName},",
+    intro: "Un client a laissé un commentaire qui <strong>n'a pas été publié</strong>. Ce commentaire a été bloqué et n'apparaîtra pas sur les sites d'avis.",
+    customer: 'Client :',
+    rating: 'Note :',
+    received: 'Reçu le :',
+    feedback: 'Commentaire du client :',
+    advice: 'RevBoost a recueilli ce commentaire pour protéger votre réputation en ligne. Nous vous recommandons de répondre directement au client.',
+    signOff: 'Cordialement,',
+    signature: "L'équipe RevBoost",
+    footer: 'Ceci est une notification automatique de RevBoost.',
+    copyright: '© {year} RevBoost. Tous droits réservés.',
+  },
+  feedbackPage: {
+    title: 'Comment s\'est passée votre expérience avec {businessName} ?',
+    prompt: 'Touchez une étoile pour noter votre visite.',
+    starLabel: '{rating} étoiles sur 5',
+    formTitle: 'Nous sommes désolés de l\'apprendre',
+    formPrompt: 'Dites-nous ce qui n\'a pas été et nous ferons de notre mieux pour y remédier. Votre commentaire est transmis directement à {businessName}.',
+    placeholder: 'Qu\'aurions-nous pu mieux faire ?',
+    submit: 'Envoyer mon commentaire',
+    required: 'Dites-nous-en un peu plus sur votre expérience.',
+    thanksTitle: 'Merci',
+    thanksBody: 'Votre commentaire a été transmis à {businessName}.',
+    invalid: 'Ce lien est invalide ou a expiré.',
+  },
+  reviewLink: {
+    invalid: "Ce lien d'avis est invalide. Veuillez utiliser le lien de votre message le plus récent.",
+  },
+  feedbackReply: {
+    subject: 'Re : votre avis sur {businessName}',
+    greeting: 'Bonjour {customerName},',
+    signOff: 'Cordialement,',
+    signature: "L'équipe {businessName}",
+    footerReason: 'Vous recevez cet e-mail parce que vous avez partagé votre avis avec {businessName}.',
+    copyright: '© {year} {businessName}. Tous droits réservés.',
+    sms: '{businessName} : {message}',
+  },
+  smsKeywords: {
+    stop: '{businessName} : Vous êtes désinscrit et ne recevrez plus de messages. Répondez START pour vous réinscrire.',
+    start: '{businessName} : Vous êtes réinscrit aux messages. Des frais de messagerie et de données peuvent s\'appliquer. Répondez HELP pour obtenir de l\'aide, STOP pour vous désinscrire.',
+    help: '{businessName} : Demandes d\'avis envoyées par RevBoost. Des frais de messagerie et de données peuvent s\'appliquer. Répondez STOP pour vous désinscrire. Aide : {contact}',
+  },
+  smsReplyNotification: {
+    subject: 'Nouvelle réponse par SMS de {from}',
+    heading: 'Nouvelle réponse par SMS',
+    intro: '{from} a répondu à un SMS de {businessName} :',
+    received: 'Reçu :',
+    advice: 'Les réponses à cet e-mail ne parviennent pas au client. Contactez-le directement au {from}.',
+    footer: 'Ceci est une notification automatique de RevBoost.',
+    copyright: '© {year} RevBoost. Tous droits réservés.',
+  },
+};
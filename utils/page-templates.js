@@ -0,0 +1,213 @@
+// utils/page-templates.js - HTML pages served to customers by this server
+
+const { escapeHtml } = require('./email-templates');
+const { DEFAULT_LOCALE, translate } = require('./i18n');
+
+/**
+ * Wrap page content in the shared customer-facing layout
+ * @param {Object} options - Page options
+ * @param {string} options.title - Page title
+ * @param {string} options.body - Inner HTML (already escaped)
+ * @param {string} [options.locale="en"] - Page language
+ * @returns {string} HTML page
+ */
+function renderPage({ title, body, locale = DEFAULT_LOCALE }) {
+  return `<!DOCTYPE html>
+<html lang="${escapeHtml(locale)}">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <meta name="robots" content="noindex">
+  <title>${escapeHtml(title)}</title>
+  <style>
+    body {
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Helvetica, Arial, sans-serif;
+      line-height: 1.6;
+      color: #374151;
+      background-color: #f3f4f6;
+      margin: 0;
+      padding: 40px 16px;
+    }
+    .card {
+      max-width: 480px;
+      margin: 0 auto;
+      padding: 32px 24px;
+      background-color: #ffffff;
+      border-radius: 8px;
+      text-align: center;
+    }
+    h1 {
+      color: #1e3a8a;
+      font-size: 22px;
+      margin: 0 0 16px;
+    }
+    .button {
+      display: inline-block;
+      padding: 12px 24px;
+      margin-top: 16px;
+      border: 0;
+      border-radius: 6px;
+      background-color: #2563eb;
+      color: #ffffff;
+      font-size: 16px;
+      font-weight: 600;
+      cursor: pointer;
+    }
+    .button.secondary {
+      background-color: #e5e7eb;
+      color: #374151;
+    }
+    .stars button {
+      border: 0;
+      background: none;
+      padding: 4px;
+      font-size: 40px;
+      line-height: 1;
+      color: #f59e0b;
+      cursor: pointer;
+    }
+    textarea {
+      box-sizing: border-box;
+      width: 100%;
+      min-height: 120px;
+      padding: 12px;
+      border: 1px solid #d1d5db;
+      border-radius: 6px;
+      font: inherit;
+    }
+    .error {
+      color: #991b1b;
+    }
+  </style>
+</head>
+<body>
+  <div class="card">
+    <h1>${escapeHtml(title)}</h1>
+    ${body}
+  </div>
+</body>
+</html>`;
+}
+
+/**
+ * Generate the hosted unsubscribe / preference page
+ * @param {Object} options - Page options
+ * @param {string} options.address - Recipient address
+ * @param {string} [options.businessName] - Business display name
+ * @param {boolean} options.unsubscribed - Whether the recipient has opted out
+ * @param {string} options.action - Form action URL
+ * @returns {string} HTML page
+ */
+function generateUnsubscribePageHtml({ address, businessName, unsubscribed, action }) {
+  const safeAddress = escapeHtml(address);
+  const sender = businessName ? escapeHtml(businessName) : 'this business';
+  const safeAction = escapeHtml(action);
+
+  if (unsubscribed) {
+    return renderPage({
+      title: 'You have been unsubscribed',
+      body: `
+    <p>${safeAddress} will no longer receive emails from ${sender}.</p>
+    <form method="post" action="${safeAction}">
+      <input type="hidden" name="action" value="resubscribe">
+      <button type="submit" class="button secondary">Resubscribe</button>
+    </form>`,
+    });
+  }
+
+  return renderPage({
+    title: 'Unsubscribe',
+    body: `
+    <p>Stop sending emails from ${sender} to ${safeAddress}?</p>
+    <form method="post" action="${safeAction}">
+      <input type="hidden" name="action" value="unsubscribe">
+      <button type="submit" class="button">Unsubscribe</button>
+    </form>`,
+  });
+}
+
+/**
+ * Generate a page for invalid or expired links
+ * @param {string} message - Explanation shown to the customer
+ * @returns {string} HTML page
+ */
+function generateInvalidLinkPageHtml(message) {
+  return renderPage({
+    title: 'Link not valid',
+    body: `<p>${escapeHtml(message)}</p>`,
+  });
+}
+
+/**
+ * Generate the 1-5 star rating page
+ * @param {Object} options - Page options
+ * @param {string} options.businessName - Business display name
+ * @param {string} options.action - Form action URL
+ * @param {string} options.locale - Supported locale
+ * @returns {string} HTML page
+ */
+function generateRatingPageHtml({ businessName, action, locale }) {
+  const t = (key, values) => translate(locale, `feedbackPage.${key}`, values);
+  const buttons = [1, 2, 3, 4, 5]
+    .map(rating => `<button type="submit" name="rating" value="${rating}" aria-label="${escapeHtml(t('starLabel', { rating }))}">★</button>`)
+    .join('');
+
+  return renderPage({
+    title: t('title', { businessName }),
+    locale,
+    body: `
+    <p>${escapeHtml(t('prompt'))}</p>
+    <form method="post" action="${escapeHtml(action)}" class="stars">
+      ${buttons}
+    </form>`,
+  });
+}
+
+/**
+ * Generate the private feedback form shown after a low rating
+ * @param {Object} options - Page options
+ * @param {string} options.businessName - Business display name
+ * @param {string} options.action - Form action URL
+ * @param {string} options.locale - Supported locale
+ * @param {boolean} [options.missingFeedback] - Show the "please write something" error
+ * @returns {string} HTML page
+ */
+function generateFeedbackFormPageHtml({ businessName, action, locale, missingFeedback }) {
+  const t = (key, values) => translate(locale, `feedbackPage.${key}`, values);
+
+  return renderPage({
+    title: t('formTitle'),
+    locale,
+    body: `
+    <p>${escapeHtml(t('formPrompt', { businessName }))}</p>
+    ${missingFeedback ? `<p class="error">${escapeHtml(t('required'))}</p>` : ''}
+    <form method="post" action="${escapeHtml(action)}">
+      <textarea name="feedback" maxlength="5000" placeholder="${escapeHtml(t('placeholder'))}" required></textarea>
+      <button type="submit" class="button">${escapeHtml(t('submit'))}</button>
+    </form>`,
+  });
+}
+
+/**
+ * Generate the page shown once private feedback is sent
+ * @param {Object} options - Page options
+ * @param {string} options.businessName - Business display name
+ * @param {string} options.locale - Supported locale
+ * @returns {string} HTML page
+ */
+function generateFeedbackThanksPageHtml({ businessName, locale }) {
+  return renderPage({
+    title: translate(locale, 'feedbackPage.thanksTitle'),
+    locale,
+    body: `<p>${escapeHtml(translate(locale, 'feedbackPage.thanksBody', { businessName }))}</p>`,
+  });
+}
+
+module.exports = {
+  renderPage,
+  generateUnsubscribePageHtml,
+  generateInvalidLinkPageHtml,
+  generateRatingPageHtml,
+  generateFeedbackFormPageHtml,
+  generateFeedbackThanksPageHtml,
+};
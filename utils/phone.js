@@ -0,0 +1,130 @@
+// utils/phone.js - Phone number normalization helpers
+
+/**
+ * Country calling codes for the countries we send to most often.
+ * Keys are ISO 3166-1 alpha-2 codes.
+ */
+const COUNTRY_CALLING_CODES = {
+  US: '1',
+  CA: '1',
+  PR: '1',
+  MX: '52',
+  GB: '44',
+  IE: '353',
+  FR: '33',
+  BE: '32',
+  CH: '41',
+  ES: '34',
+  PT: '351',
+  IT: '39',
+  DE: '49',
+  NL: '31',
+  AU: '61',
+  NZ: '64',
+  ZA: '27',
+  NG: '234',
+  KE: '254',
+  GH: '233',
+  IN: '91',
+};
+
+// National trunk prefix dialled before a number inside the country and
+// dropped after the calling code. Countries not listed (Italy, Spain,
+// Portugal, Mexico) have none: Italian numbers keep their leading 0.
+const TRUNK_PREFIXES = {
+  GB: '0',
+  IE: '0',
+  FR: '0',
+  BE: '0',
+  CH: '0',
+  DE: '0',
+  NL: '0',
+  AU: '0',
+  NZ: '0',
+  ZA: '0',
+  NG: '0',
+  KE: '0',
+  GH: '0',
+  IN: '0',
+};
+
+// E.164: a plus sign followed by up to 15 digits, no leading zero
+const E164_PATTERN = /^\+[1-9]\d{7,14}$/;
+
+/**
+ * Get the default country used when a number has no international prefix
+ * @returns {string} ISO 3166-1 alpha-2 country code
+ */
+function getDefaultCountry() {
+  return (process.env.SMS_DEFAULT_COUNTRY || 'US').toUpperCase();
+}
+
+/**
+ * Normalize a phone number to E.164 format
+ * @param {string} phoneNumber - Raw phone number, e.g. "(555) 123-4567"
+ * @param {string} [country] - ISO country code used for national numbers
+ * @returns {string|null} The E.164 number, or null if it cannot be normalized
+ */
+function normalizePhoneNumber(phoneNumber, country) {
+  if (typeof phoneNumber !== 'string' && typeof phoneNumber !== 'number') {
+    return null;
+  }
+
+  const raw = String(phoneNumber).trim();
+  if (!raw) {
+    return null;
+  }
+
+  // Strip extensions such as "x123" or "ext. 123"
+  const withoutExtension = raw.replace(/\s*(?:ext\.?|x|#)\s*\d+$/i, '');
+  const digits = withoutExtension.replace(/\D/g, '');
+
+  let e164;
+
+  if (withoutExtension.startsWith('+')) {
+    e164 = `+${digits}`;
+  } else if (digits.startsWith('00')) {
+    e164 = `+${digits.slice(2)}`;
+  } else {
+    const countryCode = (country || getDefaultCountry()).toUpperCase();
+    const callingCode = COUNTRY_CALLING_CODES[countryCode];
+
+    if (!callingCode) {
+      return null;
+    }
+
+    if (callingCode === '1') {
+      // NANP numbers are 10 digits, optionally written with a leading 1
+      if (digits.length === 11 && digits.startsWith('1')) {
+        e164 = `+${digits}`;
+      } else if (digits.length === 10) {
+        e164 = `+1${digits}`;
+      } else {
+        return null;
+      }
+    } else {
+      // Drop a single national trunk prefix (e.g. 07700 900123 in the UK)
+      const trunk = TRUNK_PREFIXES[countryCode];
+      const national = trunk && digits.startsWith(trunk) ? digits.slice(trunk.length) : digits;
+      e164 = `+${callingCode}${national}`;
+    }
+  }
+
+  return E164_PATTERN.test(e164) ? e164 : null;
+}
+
+/**
+ * Check whether a phone number is already in E.164 format
+ * @param {string} phoneNumber - Phone number to check
+ * @returns {boolean} True if the number is valid E.164
+ */
+function isE164(phoneNumber) {
+  return typeof phoneNumber === 'string' && E164_PATTERN.test(phoneNumber);
+}
+
+module.exports = {
+  COUNTRY_CALLING_CODES,
+  normalizePhoneNumber,
+  isE164,
+  getDefaultCountry,
+};
@@ -0,0 +1,68 @@
+// utils/phone.test.js
+
+const { normalizePhoneNumber, isE164 } = require('./phone');
+
+describe('normalizePhoneNumber', () => {
+  test.each([
+    ['(415) 555-0100', 'US', '+14155550100'],
+    ['1-415-555-0100', 'US', '+14155550100'],
+    ['416.555.0100', 'CA', '+14165550100'],
+    ['07700 900123', 'GB', '+447700900123'],
+    ['020 7946 0958', 'GB', '+442079460958'],
+    ['06 1234 5678', 'IT', '+390612345678'],
+    ['347 123 4567', 'IT', '+393471234567'],
+    ['06 12 34 56 78', 'FR', '+33612345678'],
+    ['612 345 678', 'ES', '+34612345678'],
+  ])('normalizes %p in %s to %p', (input, country, expected) => {
+    expect(normalizePhoneNumber(input, country)).toBe(expected);
+  });
+
+  test('keeps international numbers as written', () => {
+    expect(normalizePhoneNumber('+44 7700 900123', 'US')).toBe('+447700900123');
+    expect(normalizePhoneNumber('+39 06 1234 5678', 'GB')).toBe('+390612345678');
+    expect(normalizePhoneNumber('0044 7700 900123', 'US')).toBe('+447700900123');
+    expect(normalizePhoneNumber('0039 06 1234 5678')).toBe('+390612345678');
+  });
+
+  test('drops extensions', () => {
+    expect(normalizePhoneNumber('(415) 555-0100 x123', 'US')).toBe('+14155550100');
+    expect(normalizePhoneNumber('+44 20 7946 0958 ext. 42')).toBe('+442079460958');
+    expect(normalizePhoneNumber('020 7946 0958 #7', 'GB')).toBe('+442079460958');
+  });
+
+  test('uses SMS_DEFAULT_COUNTRY for national numbers', () => {
+    const previous = process.env.SMS_DEFAULT_COUNTRY;
+    process.env.SMS_DEFAULT_COUNTRY = 'gb';
+
+    expect(normalizePhoneNumber('07700 900123')).toBe('+447700900123');
+
+    if (previous === undefined) {
+      delete process.env.SMS_DEFAULT_COUNTRY;
+    } else {
+      process.env.SMS_DEFAULT_COUNTRY = previous;
+    }
+  });
+
+  test.each([
+    ['555-0100', 'US'],
+    ['12345', 'GB'],
+    ['0700 900123', 'XX'],
+    ['', 'US'],
+  ])('rejects %p in %s', (input, country) => {
+    expect(normalizePhoneNumber(input, country)).toBeNull();
+  });
+
+  test('rejects non-string input', () => {
+    expect(normalizePhoneNumber(null)).toBeNull();
+    expect(normalizePhoneNumber({})).toBeNull();
+  });
+});
+
+describe('isE164', () => {
+  test('accepts only E.164 numbers', () => {
+    expect(isE164('+14155550100')).toBe(true);
+    expect(isE164('14155550100')).toBe(false);
+    expect(isE164('+04155550100')).toBe(false);
+    expect(isE164(14155550100)).toBe(false);
+  });
+});
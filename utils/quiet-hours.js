@@ -0,0 +1,119 @@
+// utils/quiet-hours.js - Time-of-day windows in a recipient's timezone
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const MINUTES_PER_DAY = 24 * 60;
+
+/**
+ * Check that a string is an IANA timezone known to this runtime
+ * @param {string} timezone - e.g. "America/New_York"
+ * @returns {boolean} True if valid
+ */
+function isValidTimezone(timezone) {
+  if (!timezone || typeof timezone !== 'string') {
+    return false;
+  }
+
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Check an "HH:MM" 24-hour time
+ * @param {string} value - Candidate time
+ * @returns {boolean} True if valid
+ */
+function isValidTime(value) {
+  return TIME_PATTERN.test(value);
+}
+
+/**
+ * Convert "HH:MM" to minutes after midnight
+ * @param {string} value - Time of day
+ * @returns {number} Minutes after midnight
+ */
+function parseTime(value) {
+  const [, hours, minutes] = TIME_PATTERN.exec(value);
+  return parseInt(hours, 10) * 60 + parseInt(minutes, 10);
+}
+
+/**
+ * Get the local time of day of an instant in a timezone
+ * @param {Date} date - The instant
+ * @param {string} timezone - IANA timezone
+ * @returns {number} Minutes after local midnight
+ */
+function getLocalMinutes(date, timezone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23',
+  }).formatToParts(date);
+
+  const value = type => parseInt(parts.find(part => part.type === type).value, 10);
+  return (value('hour') % 24) * 60 + value('minute');
+}
+
+/**
+ * Check whether an instant falls inside a quiet-hours window.
+ * Windows may wrap midnight (e.g. 21:00-08:00).
+ * @param {Date} date - The instant
+ * @param {Object} quietHours - `{ start, end }` as "HH:MM"
+ * @param {string} timezone - Recipient timezone
+ * @returns {boolean} True if sending is not allowed
+ */
+function isWithinQuietHours(date, { start, end }, timezone) {
+  const now = getLocalMinutes(date, timezone);
+  const from = parseTime(start);
+  const to = parseTime(end);
+
+  if (from === to) {
+    return false;
+  }
+
+  return from < to
+    ? now >= from && now < to
+    : now >= from || now < to;
+}
+
+/**
+ * Get the first instant at or after `date` outside quiet hours
+ * @param {Date} date - Earliest desired send time
+ * @param {Object} quietHours - `{ start, end }` as "HH:MM"
+ * @param {string} timezone - Recipient timezone
+ * @returns {Date} `date` itself, or the end of the quiet-hours window
+ */
+function nextAllowedTime(date, quietHours, timezone) {
+  if (!isWithinQuietHours(date, quietHours, timezone)) {
+    return date;
+  }
+
+  const end = parseTime(quietHours.end);
+  const wait = (end - getLocalMinutes(date, timezone) + MINUTES_PER_DAY) % MINUTES_PER_DAY;
+  const allowed = new Date(date.getTime() + wait * 60000);
+  allowed.setUTCSeconds(0, 0);
+
+  // A DST change inside the window moves the local clock by the offset
+  // difference; shift back onto the end time unless that lands in quiet
+  // hours (the end time falls in a skipped hour)
+  const drift = ((end - getLocalMinutes(allowed, timezone) + MINUTES_PER_DAY * 1.5) % MINUTES_PER_DAY) - MINUTES_PER_DAY / 2;
+  if (drift !== 0) {
+    const corrected = new Date(allowed.getTime() + drift * 60000);
+    if (!isWithinQuietHours(corrected, quietHours, timezone)) {
+      return corrected;
+    }
+  }
+
+  return allowed;
+}
+
+module.exports = {
+  isValidTimezone,
+  isValidTime,
+  isWithinQuietHours,
+  nextAllowedTime,
+};
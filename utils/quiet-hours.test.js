@@ -0,0 +1,119 @@
+// utils/quiet-hours.test.js
+
+const { isValidTimezone, isValidTime, isWithinQuietHours, nextAllowedTime } = require('./quiet-hours');
+
+const OVERNIGHT = { start: '21:00', end: '08:00' };
+
+describe('isValidTimezone', () => {
+  test.each(['UTC', 'America/New_York', 'Europe/London', 'Asia/Kolkata'])('accepts %p', (timezone) => {
+    expect(isValidTimezone(timezone)).toBe(true);
+  });
+
+  test.each(['Mars/Olympus_Mons', 'America/NewYork', 'EST5EDT6', '', null, undefined, 123])('rejects %p', (timezone) => {
+    expect(isValidTimezone(timezone)).toBe(false);
+  });
+
+  test('an unknown zone makes the window checks throw', () => {
+    expect(() => isWithinQuietHours(new Date(), OVERNIGHT, 'Mars/Olympus_Mons')).toThrow(RangeError);
+  });
+});
+
+describe('isValidTime', () => {
+  test.each(['00:00', '08:00', '23:59'])('accepts %p', (value) => {
+    expect(isValidTime(value)).toBe(true);
+  });
+
+  test.each(['24:00', '8:00', '12:60', '12:00:00', ''])('rejects %p', (value) => {
+    expect(isValidTime(value)).toBe(false);
+  });
+});
+
+describe('isWithinQuietHours', () => {
+  test.each([
+    ['2026-06-01T20:59:00Z', false],
+    ['2026-06-01T21:00:00Z', true],
+    ['2026-06-01T23:59:00Z', true],
+    ['2026-06-02T00:00:00Z', true],
+    ['2026-06-02T07:59:00Z', true],
+    ['2026-06-02T08:00:00Z', false],
+    ['2026-06-02T12:00:00Z', false],
+  ])('a window crossing midnight: %s is quiet: %p', (instant, expected) => {
+    expect(isWithinQuietHours(new Date(instant), OVERNIGHT, 'UTC')).toBe(expected);
+  });
+
+  test.each([
+    ['2026-06-01T11:59:00Z', false],
+    ['2026-06-01T12:00:00Z', true],
+    ['2026-06-01T13:59:00Z', true],
+    ['2026-06-01T14:00:00Z', false],
+  ])('a same-day window: %s is quiet: %p', (instant, expected) => {
+    expect(isWithinQuietHours(new Date(instant), { start: '12:00', end: '14:00' }, 'UTC')).toBe(expected);
+  });
+
+  test('a window that starts and ends at the same time is never quiet', () => {
+    expect(isWithinQuietHours(new Date('2026-06-01T09:00:00Z'), { start: '09:00', end: '09:00' }, 'UTC')).toBe(false);
+  });
+
+  test('uses the local time of the timezone', () => {
+    // 13:00 UTC is 09:00 in New York (EDT), 18:30 in Kolkata and 22:00 in Tokyo
+    const instant = new Date('2026-06-02T13:00:00Z');
+
+    expect(isWithinQuietHours(instant, OVERNIGHT, 'America/New_York')).toBe(false);
+    expect(isWithinQuietHours(instant, OVERNIGHT, 'Asia/Kolkata')).toBe(false);
+    expect(isWithinQuietHours(instant, OVERNIGHT, 'Asia/Tokyo')).toBe(true);
+  });
+
+  test('follows the clock across a DST change', () => {
+    // New York springs forward at 02:00 EST on 8 March 2026
+    expect(isWithinQuietHours(new Date('2026-03-08T06:30:00Z'), OVERNIGHT, 'America/New_York')).toBe(true); // 01:30 EST
+    expect(isWithinQuietHours(new Date('2026-03-08T11:30:00Z'), OVERNIGHT, 'America/New_York')).toBe(true); // 07:30 EDT
+    expect(isWithinQuietHours(new Date('2026-03-08T12:00:00Z'), OVERNIGHT, 'America/New_York')).toBe(false); // 08:00 EDT
+  });
+});
+
+describe('nextAllowedTime', () => {
+  test('returns the same instant outside quiet hours', () => {
+    const instant = new Date('2026-06-01T12:00:00Z');
+
+    expect(nextAllowedTime(instant, OVERNIGHT, 'UTC')).toBe(instant);
+  });
+
+  test('moves to the end of a window crossing midnight, on the whole minute', () => {
+    expect(nextAllowedTime(new Date('2026-06-01T22:15:42.500Z'), OVERNIGHT, 'UTC')).toEqual(new Date('2026-06-02T08:00:00Z'));
+    expect(nextAllowedTime(new Date('2026-06-02T03:00:00Z'), OVERNIGHT, 'UTC')).toEqual(new Date('2026-06-02T08:00:00Z'));
+  });
+
+  test('ends the window in the recipient timezone', () => {
+    // 21:30 IST; the window ends at 08:00 IST, 02:30 UTC
+    expect(nextAllowedTime(new Date('2026-06-01T16:00:00Z'), OVERNIGHT, 'Asia/Kolkata')).toEqual(new Date('2026-06-02T02:30:00Z'));
+  });
+
+  test('ends at local 08:00 when the clocks spring forward overnight', () => {
+    // 22:00 EST on 7 March; 08:00 EDT on 8 March is 12:00 UTC
+    expect(nextAllowedTime(new Date('2026-03-08T03:00:00Z'), OVERNIGHT, 'America/New_York')).toEqual(new Date('2026-03-08T12:00:00Z'));
+  });
+
+  test('ends at local 08:00 when the clocks fall back overnight', () => {
+    // 22:00 EDT on 31 October; 08:00 EST on 1 November is 13:00 UTC
+    const allowed = nextAllowedTime(new Date('2026-11-01T02:00:00Z'), OVERNIGHT, 'America/New_York');
+
+    expect(allowed).toEqual(new Date('2026-11-01T13:00:00Z'));
+    expect(isWithinQuietHours(allowed, OVERNIGHT, 'America/New_York')).toBe(false);
+  });
+
+  test('moves past a window end that falls in the skipped hour', () => {
+    // 02:30 does not exist on 8 March in New York; the window ends an hour late, at 03:30 EDT
+    const window = { start: '22:00', end: '02:30' };
+    const allowed = nextAllowedTime(new Date('2026-03-08T03:00:00Z'), window, 'America/New_York');
+
+    expect(allowed).toEqual(new Date('2026-03-08T07:30:00Z'));
+    expect(isWithinQuietHours(allowed, window, 'America/New_York')).toBe(false);
+  });
+
+  test('handles the repeated hour when the window ends inside it', () => {
+    // 01:30 happens twice on 1 November in New York; the first one ends the window
+    const window = { start: '22:00', end: '01:30' };
+
+    expect(nextAllowedTime(new Date('2026-11-01T02:00:00Z'), window, 'America/New_York')).toEqual(new Date('2026-11-01T05:30:00Z'));
+  });
+});
@@ -0,0 +1,53 @@
+// utils/retry.js - Retry classification and backoff helpers
+
+// Network error codes worth retrying
+const RETRYABLE_ERROR_CODES = [
+  'ECONNABORTED',
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'ETIMEDOUT',
+  'EAI_AGAIN',
+  'ENOTFOUND',
+  'EPIPE',
+];
+
+/**
+ * Decide whether a failed send should be retried.
+ * Providers tag their errors with `retryable` and/or `providerStatus`.
+ * @param {Error} error - The failure
+ * @returns {boolean} True for timeouts, network errors, 429 and 5xx
+ */
+function isRetryableError(error) {
+  if (!error) {
+    return false;
+  }
+
+  if (typeof error.retryable === 'boolean') {
+    return error.retryable;
+  }
+
+  const status = error.providerStatus;
+  if (status) {
+    return status === 408 || status === 429 || status >= 500;
+  }
+
+  return RETRYABLE_ERROR_CODES.includes(error.code);
+}
+
+/**
+ * Exponential backoff with jitter (between half and all of the delay)
+ * @param {number} attempt - Attempt number that just failed (1-based)
+ * @param {Object} [options] - Backoff options
+ * @param {number} [options.baseDelayMs=1000] - Delay before the first retry
+ * @param {number} [options.maxDelayMs=300000] - Upper bound on any delay
+ * @returns {number} Delay in milliseconds
+ */
+function computeBackoff(attempt, { baseDelayMs = 1000, maxDelayMs = 300000 } = {}) {
+  const exponential = Math.min(maxDelayMs, baseDelayMs * Math.pow(2, attempt - 1));
+  return Math.round(exponential / 2 + Math.random() * (exponential / 2));
+}
+
+module.exports = {
+  isRetryableError,
+  computeBackoff,
+};
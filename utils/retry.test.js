@@ -0,0 +1,50 @@
+// utils/retry.test.js
+
+const { isRetryableError, computeBackoff } = require('./retry');
+
+describe('isRetryableError', () => {
+  test('prefers the provider\'s own retryable flag', () => {
+    expect(isRetryableError(Object.assign(new Error('x'), { retryable: false, providerStatus: 503 }))).toBe(false);
+    expect(isRetryableError(Object.assign(new Error('x'), { retryable: true, providerStatus: 400 }))).toBe(true);
+  });
+
+  test.each([
+    [408, true],
+    [429, true],
+    [500, true],
+    [503, true],
+    [400, false],
+    [401, false],
+    [422, false],
+  ])('treats provider status %p as retryable: %p', (providerStatus, expected) => {
+    expect(isRetryableError(Object.assign(new Error('x'), { providerStatus }))).toBe(expected);
+  });
+
+  test('retries network errors only', () => {
+    expect(isRetryableError(Object.assign(new Error('x'), { code: 'ECONNRESET' }))).toBe(true);
+    expect(isRetryableError(Object.assign(new Error('x'), { code: 'ETIMEDOUT' }))).toBe(true);
+    expect(isRetryableError(Object.assign(new Error('x'), { code: 'ERR_INVALID_ARG_TYPE' }))).toBe(false);
+    expect(isRetryableError(new Error('x'))).toBe(false);
+    expect(isRetryableError(null)).toBe(false);
+  });
+});
+
+describe('computeBackoff', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('doubles the delay each attempt, jittered between half and all of it', () => {
+    jest.spyOn(Math, 'random').mockReturnValue(0);
+    expect([1, 2, 3, 4].map(n => computeBackoff(n, { baseDelayMs: 1000 }))).toEqual([500, 1000, 2000, 4000]);
+
+    Math.random.mockReturnValue(0.999999);
+    expect([1, 2, 3, 4].map(n => computeBackoff(n, { baseDelayMs: 1000 }))).toEqual([1000, 2000, 4000, 8000]);
+  });
+
+  test('never exceeds the maximum delay', () => {
+    jest.spyOn(Math, 'random').mockReturnValue(0.999999);
+
+    expect(computeBackoff(30, { baseDelayMs: 1000, maxDelayMs: 60000 })).toBe(60000);
+  });
+});
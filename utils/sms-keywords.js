@@ -0,0 +1,25 @@
+// utils/sms-keywords.js - Carrier opt-out / opt-in / help keyword detection
+
+// Standard keywords recognised by US carriers and Twilio Advanced Opt-Out
+const KEYWORDS = {
+  stop: ['STOP', 'STOPALL', 'UNSUBSCRIBE', 'CANCEL', 'END', 'QUIT', 'OPTOUT', 'REVOKE'],
+  start: ['START', 'YES', 'UNSTOP', 'OPTIN'],
+  help: ['HELP', 'INFO'],
+};
+
+/**
+ * Detect a compliance keyword in an inbound SMS.
+ * Only a message consisting of the keyword alone counts.
+ * @param {string} body - Inbound message body
+ * @returns {string|null} "stop", "start", "help" or null
+ */
+function detectKeyword(body) {
+  const text = String(body || '').trim().toUpperCase().replace(/[.!\s]+$/, '');
+
+  return Object.keys(KEYWORDS).find(keyword => KEYWORDS[keyword].includes(text)) || null;
+}
+
+module.exports = {
+  KEYWORDS,
+  detectKeyword,
+};
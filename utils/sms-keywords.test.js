@@ -0,0 +1,28 @@
+// utils/sms-keywords.test.js
+
+const { detectKeyword } = require('./sms-keywords');
+
+describe('detectKeyword', () => {
+  test.each([
+    ['STOP', 'stop'],
+    ['stop', 'stop'],
+    ['  Unsubscribe!  ', 'stop'],
+    ['cancel.', 'stop'],
+    ['START', 'start'],
+    ['unstop', 'start'],
+    ['Help', 'help'],
+    ['info', 'help'],
+  ])('detects %p as %p', (body, keyword) => {
+    expect(detectKeyword(body)).toBe(keyword);
+  });
+
+  test.each([
+    'Please stop texting me',
+    'STOP IT',
+    'Thanks!',
+    '',
+    undefined,
+  ])('ignores %p', (body) => {
+    expect(detectKeyword(body)).toBeNull();
+  });
+});
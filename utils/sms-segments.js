@@ -0,0 +1,50 @@
+// utils/sms-segments.js - SMS encoding and segment counting
+
+// GSM 03.38 basic character set (one septet each)
+const GSM_BASIC = new Set(Array.from(
+  '@£$¥èéùìòÇ\nØø\rÅåΔ_ΦΓΛΩΠΨΣΘΞÆæßÉ !"#¤%&\'()*+,-./0123456789:;<=>?'
+  + '¡ABCDEFGHIJKLMNOPQRSTUVWXYZÄÖÑÜ§¿abcdefghijklmnopqrstuvwxyzäöñüà'
+));
+
+// GSM 03.38 extension table (escape + character, two septets each)
+const GSM_EXTENDED = new Set(Array.from('^{}\\[~]|€\f'));
+
+const LIMITS = {
+  'GSM-7': { single: 160, multi: 153 },
+  'UCS-2': { single: 70, multi: 67 },
+};
+
+/**
+ * Work out how an SMS body will be encoded and how many segments it needs.
+ * Bodies using only GSM-7 characters are sent as GSM-7; anything else
+ * (emoji, most non-Latin scripts) forces UCS-2 for the whole message.
+ * @param {string} body - SMS body
+ * @returns {Object} `{ encoding, characters, units, segments, perSegment }`
+ *   where `units` are septets (GSM-7) or UTF-16 code units (UCS-2)
+ */
+function countSegments(body) {
+  const text = String(body || '');
+  const characters = Array.from(text);
+  const isGsm = characters.every(char => GSM_BASIC.has(char) || GSM_EXTENDED.has(char));
+
+  const encoding = isGsm ? 'GSM-7' : 'UCS-2';
+  const units = isGsm
+    ? characters.reduce((total, char) => total + (GSM_EXTENDED.has(char) ? 2 : 1), 0)
+    : text.length;
+
+  const limit = LIMITS[encoding];
+  const perSegment = units <= limit.single ? limit.single : limit.multi;
+  const segments = units === 0 ? 0 : Math.ceil(units / perSegment);
+
+  return {
+    encoding,
+    characters: characters.length,
+    units,
+    segments,
+    perSegment,
+  };
+}
+
+module.exports = {
+  countSegments,
+};
@@ -0,0 +1,94 @@
+// utils/template-engine.js - Logic-less templating (Mustache) for stored templates
+
+const Mustache = require('mustache');
+const HttpError = require('./http-error');
+
+/**
+ * Collect the variable names a parsed template references.
+ * Names inside sections are relative to the section, so only their
+ * top-level section name counts towards required variables.
+ * @param {Array} tokens - Mustache tokens
+ * @param {Set<string>} names - Accumulator
+ * @param {boolean} nested - Whether tokens are inside a section
+ * @returns {Set<string>} Variable names
+ */
+function collectVariables(tokens, names, nested) {
+  tokens.forEach((token) => {
+    const [type, name, , , children] = token;
+
+    if (type === 'name' || type === '&') {
+      if (!nested) names.add(name);
+    } else if (type === '#' || type === '^') {
+      if (!nested) names.add(name);
+      collectVariables(children || [], names, true);
+    }
+  });
+
+  return names;
+}
+
+/**
+ * Find tokens that are not allowed in stored templates
+ * @param {Array} tokens - Mustache tokens
+ * @returns {Array<string>} Problems found
+ */
+function findUnsafeTokens(tokens) {
+  return tokens.reduce((problems, token) => {
+    const [type, name, , , children] = token;
+
+    if (type === '&') {
+      problems.push(`Unescaped output is not allowed: ${name}`);
+    } else if (type === '>') {
+      problems.push(`Partials are not supported: ${name}`);
+    } else if (type === '#' || type === '^') {
+      problems.push(...findUnsafeTokens(children || []));
+    }
+
+    return problems;
+  }, []);
+}
+
+/**
+ * Parse and check a template source
+ * @param {string} source - Template source
+ * @returns {Array<string>} Top-level variable names the template uses
+ * @throws {HttpError} 400 if the template is malformed or unsafe
+ */
+function validateTemplate(source) {
+  let tokens;
+
+  try {
+    tokens = Mustache.parse(source);
+  } catch (error) {
+    throw new HttpError(400, `Invalid template: ${error.message}`, { code: 'invalid_template' });
+  }
+
+  const problems = findUnsafeTokens(tokens);
+  if (problems.length > 0) {
+    throw new HttpError(400, 'Template uses unsupported tags', {
+      code: 'invalid_template',
+      details: problems,
+    });
+  }
+
+  return Array.from(collectVariables(tokens, new Set(), false));
+}
+
+/**
+ * Render a template. Values are HTML-escaped unless `escape` is "none",
+ * which is what plain-text channels such as SMS use.
+ * @param {string} source - Template source
+ * @param {Object} data - Template variables
+ * @param {Object} [options] - Render options
+ * @param {string} [options.escape="html"] - "html" or "none"
+ * @returns {string} Rendered output
+ */
+function renderTemplate(source, data, { escape = 'html' } = {}) {
+  const config = escape === 'none' ? { escape: value => String(value) } : undefined;
+  return Mustache.render(source, data, {}, config);
+}
+
+module.exports = {
+  validateTemplate,
+  renderTemplate,
+};
@@ -0,0 +1,51 @@
+// utils/template-engine.test.js
+
+const { validateTemplate, renderTemplate } = require('./template-engine');
+
+describe('validateTemplate', () => {
+  test('returns the top-level variables a template uses', () => {
+    const source = 'Hi {{customerName}}, {{#reviewLink}}review {{businessName}} at {{url}}{{/reviewLink}}{{^optOut}}!{{/optOut}}';
+
+    expect(validateTemplate(source).sort()).toEqual(['customerName', 'optOut', 'reviewLink']);
+  });
+
+  test('rejects malformed templates', () => {
+    expect(() => validateTemplate('Hi {{#name}}')).toThrow(expect.objectContaining({
+      statusCode: 400,
+      code: 'invalid_template',
+    }));
+  });
+
+  test('rejects unescaped output, including inside sections', () => {
+    const triple = () => validateTemplate('{{{customerName}}}');
+    const ampersand = () => validateTemplate('{{#a}}{{& customerName}}{{/a}}');
+
+    expect(triple).toThrow(expect.objectContaining({
+      code: 'invalid_template',
+      details: ['Unescaped output is not allowed: customerName'],
+    }));
+    expect(ampersand).toThrow(expect.objectContaining({ code: 'invalid_template' }));
+  });
+
+  test('rejects partials', () => {
+    expect(() => validateTemplate('{{> footer}}')).toThrow(expect.objectContaining({
+      details: ['Partials are not supported: footer'],
+    }));
+  });
+});
+
+describe('renderTemplate', () => {
+  const data = { customerName: '<b>Tom & "Jerry"</b>' };
+
+  test('HTML-escapes values by default', () => {
+    expect(renderTemplate('Hi {{customerName}}', data)).toBe('Hi &lt;b&gt;Tom &amp; &quot;Jerry&quot;&lt;&#x2F;b&gt;');
+  });
+
+  test('leaves values as they are for plain-text channels', () => {
+    expect(renderTemplate('Hi {{customerName}}', data, { escape: 'none' })).toBe('Hi <b>Tom & "Jerry"</b>');
+  });
+
+  test('renders missing values as empty', () => {
+    expect(renderTemplate('Hi {{customerName}}!', {})).toBe('Hi !');
+  });
+});
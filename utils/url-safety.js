@@ -0,0 +1,103 @@
+// utils/url-safety.js - Keep server-side requests to user-supplied URLs on the public internet
+
+const dns = require('dns');
+const net = require('net');
+const HttpError = require('./http-error');
+
+// Loopback, private, shared, link-local (including cloud metadata such as
+// 169.254.169.254 and fd00:ec2::254), documentation, reserved and multicast
+// ranges. IPv4-mapped IPv6 addresses are checked against the IPv4 rules.
+const BLOCKED_RANGES = [
+  ['0.0.0.0', 8, 'ipv4'],
+  ['10.0.0.0', 8, 'ipv4'],
+  ['100.64.0.0', 10, 'ipv4'],
+  ['127.0.0.0', 8, 'ipv4'],
+  ['169.254.0.0', 16, 'ipv4'],
+  ['172.16.0.0', 12, 'ipv4'],
+  ['192.0.0.0', 24, 'ipv4'],
+  ['192.0.2.0', 24, 'ipv4'],
+  ['192.168.0.0', 16, 'ipv4'],
+  ['198.18.0.0', 15, 'ipv4'],
+  ['198.51.100.0', 24, 'ipv4'],
+  ['203.0.113.0', 24, 'ipv4'],
+  ['224.0.0.0', 4, 'ipv4'],
+  ['240.0.0.0', 4, 'ipv4'],
+  ['::', 128, 'ipv6'],
+  ['::1', 128, 'ipv6'],
+  ['64:ff9b::', 96, 'ipv6'],
+  ['100::', 64, 'ipv6'],
+  ['2001:db8::', 32, 'ipv6'],
+  ['fc00::', 7, 'ipv6'],
+  ['fe80::', 10, 'ipv6'],
+  ['ff00::', 8, 'ipv6'],
+];
+
+const blockList = new net.BlockList();
+BLOCKED_RANGES.forEach(([network, prefix, type]) => blockList.addSubnet(network, prefix, type));
+
+/**
+ * Check whether an IP address is routable on the public internet
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} True for public addresses; false for anything else,
+ *   including strings that are not IP addresses
+ */
+function isPublicAddress(address) {
+  const family = net.isIP(address);
+
+  if (family === 0) {
+    return false;
+  }
+
+  return !blockList.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * Resolve a hostname, refusing it if any address it resolves to is not public
+ * @param {string} hostname - Hostname or IP literal (IPv6 may be bracketed)
+ * @param {Object} [options] - Lookup options
+ * @param {Function} [options.lookup=dns.promises.lookup] - Resolver, for tests
+ * @returns {Promise<Object>} The first address, as `{ address, family }`
+ * @throws {HttpError} 400 with code "url_not_public" if an address is not public
+ */
+async function lookupPublicAddress(hostname, { lookup = dns.promises.lookup } = {}) {
+  const host = hostname.replace(/^\[(.*)\]$/, '$1');
+  const addresses = net.isIP(host)
+    ? [{ address: host, family: net.isIP(host) }]
+    : await lookup(host, { all: true, verbatim: true });
+
+  const blocked = addresses.find(entry => !isPublicAddress(entry.address));
+  if (blocked || addresses.length === 0) {
+    throw new HttpError(400, `URL host ${host} does not resolve to a public address`, { code: 'url_not_public' });
+  }
+
+  return addresses[0];
+}
+
+/**
+ * Check a URL is safe for the server to request
+ * @param {string} url - URL to check
+ * @param {Object} [options] - Check options
+ * @param {boolean} [options.allowHttp=false] - Accept http as well as https
+ * @param {boolean} [options.allowPrivate=false] - Skip the address check
+ * @param {Function} [options.lookup] - Resolver, for tests
+ * @returns {Promise<void>}
+ * @throws {HttpError} 400 with code "url_not_https" or "url_not_public"
+ */
+async function assertPublicUrl(url, { allowHttp = false, allowPrivate = false, lookup } = {}) {
+  const parsed = new URL(url);
+  const protocols = allowHttp ? ['https:', 'http:'] : ['https:'];
+
+  if (!protocols.includes(parsed.protocol)) {
+    throw new HttpError(400, `URL must use ${allowHttp ? 'http or https' : 'https'}`, { code: 'url_not_https' });
+  }
+
+  if (!allowPrivate) {
+    await lookupPublicAddress(parsed.hostname, { lookup });
+  }
+}
+
+module.exports = {
+  isPublicAddress,
+  lookupPublicAddress,
+  assertPublicUrl,
+};
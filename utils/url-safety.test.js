@@ -0,0 +1,91 @@
+// utils/url-safety.test.js
+
+const { isPublicAddress, lookupPublicAddress, assertPublicUrl } = require('./url-safety');
+
+/**
+ * Resolver answering lookups from a fixed table
+ * @param {Object} answers - Addresses keyed by hostname
+ * @returns {Function} Lookup in the shape of `dns.promises.lookup`
+ */
+function fakeLookup(answers) {
+  return jest.fn(async (hostname) => {
+    if (!answers[hostname]) {
+      throw Object.assign(new Error(`getaddrinfo ENOTFOUND ${hostname}`), { code: 'ENOTFOUND' });
+    }
+
+    return answers[hostname].map(address => ({ address, family: address.includes(':') ? 6 : 4 }));
+  });
+}
+
+describe('isPublicAddress', () => {
+  test.each([
+    '127.0.0.1',
+    '10.1.2.3',
+    '172.31.255.255',
+    '192.168.0.10',
+    '169.254.169.254',
+    '100.64.0.1',
+    '0.0.0.0',
+    '224.0.0.1',
+    '::1',
+    '::',
+    'fe80::1',
+    'fd00:ec2::254',
+    '::ffff:127.0.0.1',
+    '::ffff:a9fe:a9fe',
+    'not-an-ip',
+  ])('rejects %p', (address) => {
+    expect(isPublicAddress(address)).toBe(false);
+  });
+
+  test.each([
+    '8.8.8.8',
+    '172.32.0.1',
+    '2606:4700:4700::1111',
+    '::ffff:8.8.8.8',
+  ])('accepts %p', (address) => {
+    expect(isPublicAddress(address)).toBe(true);
+  });
+});
+
+describe('lookupPublicAddress', () => {
+  const lookup = fakeLookup({
+    'hooks.example.com': ['93.184.216.34', '2606:2800:220:1::1'],
+    'metadata.example.com': ['169.254.169.254'],
+    'split.example.com': ['93.184.216.34', '10.0.0.5'],
+  });
+
+  test('returns the first address of a public host', async () => {
+    await expect(lookupPublicAddress('hooks.example.com', { lookup })).resolves.toEqual({ address: '93.184.216.34', family: 4 });
+  });
+
+  test('rejects a host with any private address', async () => {
+    await expect(lookupPublicAddress('metadata.example.com', { lookup })).rejects.toMatchObject({ statusCode: 400, code: 'url_not_public' });
+    await expect(lookupPublicAddress('split.example.com', { lookup })).rejects.toMatchObject({ code: 'url_not_public' });
+  });
+
+  test('checks IP literals without a lookup', async () => {
+    await expect(lookupPublicAddress('[::1]', { lookup })).rejects.toMatchObject({ code: 'url_not_public' });
+    await expect(lookupPublicAddress('8.8.8.8', { lookup })).resolves.toEqual({ address: '8.8.8.8', family: 4 });
+  });
+
+  test('passes lookup failures through', async () => {
+    await expect(lookupPublicAddress('missing.example.com', { lookup })).rejects.toMatchObject({ code: 'ENOTFOUND' });
+  });
+});
+
+describe('assertPublicUrl', () => {
+  const lookup = fakeLookup({ 'hooks.example.com': ['93.184.216.34'] });
+
+  test('requires https unless http is allowed', async () => {
+    await expect(assertPublicUrl('http://hooks.example.com/in', { lookup })).rejects.toMatchObject({ code: 'url_not_https' });
+    await expect(assertPublicUrl('http://hooks.example.com/in', { lookup, allowHttp: true })).resolves.toBeUndefined();
+    await expect(assertPublicUrl('https://hooks.example.com/in', { lookup })).resolves.toBeUndefined();
+  });
+
+  test('rejects private hosts unless allowed', async () => {
+    await expect(assertPublicUrl('https://127.0.0.1:8443/in', { lookup })).rejects.toMatchObject({ code: 'url_not_public' });
+    await expect(assertPublicUrl('https://0x7f.1/in', { lookup })).rejects.toMatchObject({ code: 'url_not_public' });
+    await expect(assertPublicUrl('https://127.0.0.1:8443/in', { lookup, allowPrivate: true })).resolves.toBeUndefined();
+  });
+});
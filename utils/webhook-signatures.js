@@ -0,0 +1,109 @@
+// utils/webhook-signatures.js - Signature verification for provider webhooks
+// and signing for the event webhooks we send
+
+const crypto = require('crypto');
+const twilio = require('twilio');
+
+// Reject webhook deliveries older than this to limit replay attacks
+const DEFAULT_TOLERANCE_SECONDS = 300;
+
+/**
+ * Verify a Resend webhook. Resend signs webhooks with Svix:
+ * `svix-signature` holds space-separated "v1,<base64 HMAC-SHA256>" values
+ * over "<svix-id>.<svix-timestamp>.<raw body>", keyed with the base64
+ * part of the "whsec_..." signing secret.
+ * @param {Object} options - Verification input
+ * @param {string} options.secret - Webhook signing secret ("whsec_...")
+ * @param {Object} options.headers - Request headers (lower-cased names)
+ * @param {Buffer|string} options.rawBody - Unparsed request body
+ * @param {number} [options.toleranceSeconds=300] - Allowed clock skew
+ * @returns {boolean} True if the signature is valid and recent
+ */
+function verifyResendSignature({ secret, headers, rawBody, toleranceSeconds = DEFAULT_TOLERANCE_SECONDS }) {
+  const id = headers['svix-id'];
+  const timestamp = headers['svix-timestamp'];
+  const signatureHeader = headers['svix-signature'];
+
+  if (!secret || !id || !timestamp || !signatureHeader || rawBody === undefined) {
+    return false;
+  }
+
+  const timestampSeconds = parseInt(timestamp, 10);
+  if (!Number.isFinite(timestampSeconds)
+    || Math.abs(Date.now() / 1000 - timestampSeconds) > toleranceSeconds) {
+    return false;
+  }
+
+  const key = Buffer.from(secret.replace(/^whsec_/, ''), 'base64');
+  const expected = crypto
+    .createHmac('sha256', key)
+    .update(`${id}.${timestamp}.${rawBody.toString()}`)
+    .digest();
+
+  return signatureHeader
+    .split(' ')
+    .map(part => part.split(','))
+    .filter(([version, signature]) => version === 'v1' && signature)
+    .some(([, signature]) => {
+      const provided = Buffer.from(signature, 'base64');
+      return provided.length === expected.length && crypto.timingSafeEqual(provided, expected);
+    });
+}
+
+/**
+ * Verify a Twilio webhook using the X-Twilio-Signature header
+ * @param {Object} options - Verification input
+ * @param {string} options.authToken - Twilio auth token
+ * @param {string} options.signature - X-Twilio-Signature header value
+ * @param {string} options.url - Full public URL Twilio posted to
+ * @param {Object} options.params - Parsed form parameters
+ * @returns {boolean} True if the signature is valid
+ */
+function verifyTwilioSignature({ authToken, signature, url, params }) {
+  if (!authToken || !signature) {
+    return false;
+  }
+
+  return twilio.validateRequest(authToken, signature, url, params || {});
+}
+
+/**
+ * Rebuild the public URL of a request for signature checks.
+ * PUBLIC_BASE_URL should be set when the server runs behind a proxy.
+ * @param {Object} req - Express request object
+ * @returns {string} The full request URL
+ */
+function getPublicUrl(req) {
+  const baseUrl = process.env.PUBLIC_BASE_URL
+    ? process.env.PUBLIC_BASE_URL.replace(/\/$/, '')
+    : `${req.protocol}://${req.get('host')}`;
+
+  return `${baseUrl}${req.originalUrl}`;
+}
+
+/**
+ * Sign an event webhook we send. The RevBoost-Signature header is
+ * "t=<unix seconds>,v1=<hex HMAC-SHA256>" over "<t>.<raw body>", keyed
+ * with the subscription secret. Receivers should recompute the HMAC and
+ * reject timestamps more than a few minutes old.
+ * @param {Object} options - Signing input
+ * @param {string} options.secret - Subscription signing secret
+ * @param {string} options.body - Exact JSON body being sent
+ * @param {number} [options.timestamp] - Unix seconds, defaults to now
+ * @returns {string} The RevBoost-Signature header value
+ */
+function signEventPayload({ secret, body, timestamp = Math.floor(Date.now() / 1000) }) {
+  const signature = crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${body}`)
+    .digest('hex');
+
+  return `t=${timestamp},v1=${signature}`;
+}
+
+module.exports = {
+  verifyResendSignature,
+  verifyTwilioSignature,
+  getPublicUrl,
+  signEventPayload,
+};
@@ -0,0 +1,70 @@
+// utils/webhook-signatures.test.js
+
+const { signEventPayload, verifyResendSignature } = require('./webhook-signatures');
+
+const NOW_SECONDS = 1700000000;
+
+describe('signEventPayload', () => {
+  test('signs "timestamp.body" with HMAC-SHA256', () => {
+    const signature = signEventPayload({
+      secret: 'whsec_event_secret',
+      body: '{"type":"review.requested"}',
+      timestamp: NOW_SECONDS,
+    });
+
+    expect(signature).toBe('t=1700000000,v1=7b84bb13cb362e931e3fdd81b41b025542e777b774764d5a11a9f46aa0b9f22d');
+  });
+
+  test('defaults the timestamp to now', () => {
+    jest.spyOn(Date, 'now').mockReturnValue(NOW_SECONDS * 1000 + 999);
+
+    expect(signEventPayload({ secret: 's', body: '{}' })).toMatch(/^t=1700000000,v1=[0-9a-f]{64}$/);
+
+    Date.now.mockRestore();
+  });
+});
+
+describe('verifyResendSignature', () => {
+  const secret = 'whsec_c2lnbmluZy1rZXktZm9yLXRlc3Rz';
+  const rawBody = Buffer.from('{"type":"email.delivered"}');
+  const headers = {
+    'svix-id': 'msg_2Lh9KRb0pzN4LePd3XjXxl3j',
+    'svix-timestamp': String(NOW_SECONDS),
+    'svix-signature': 'v1,pfrvtx8fI4YqW073hErUav+9GCd4MnCajcRoZazJ2F0=',
+  };
+
+  beforeEach(() => {
+    jest.spyOn(Date, 'now').mockReturnValue(NOW_SECONDS * 1000);
+  });
+
+  afterEach(() => {
+    Date.now.mockRestore();
+  });
+
+  test('accepts a valid signature', () => {
+    expect(verifyResendSignature({ secret, headers, rawBody })).toBe(true);
+  });
+
+  test('accepts a valid signature among several', () => {
+    const rotated = { ...headers, 'svix-signature': `v1,b2xkLXNpZ25hdHVyZQ== ${headers['svix-signature']}` };
+
+    expect(verifyResendSignature({ secret, headers: rotated, rawBody })).toBe(true);
+  });
+
+  test('rejects a tampered body or wrong secret', () => {
+    expect(verifyResendSignature({ secret, headers, rawBody: Buffer.from('{"type":"email.bounced"}') })).toBe(false);
+    expect(verifyResendSignature({ secret: 'whsec_b3RoZXIta2V5', headers, rawBody })).toBe(false);
+  });
+
+  test('rejects a timestamp outside the tolerance', () => {
+    Date.now.mockReturnValue((NOW_SECONDS + 301) * 1000);
+
+    expect(verifyResendSignature({ secret, headers, rawBody })).toBe(false);
+  });
+
+  test('rejects missing headers or secret', () => {
+    expect(verifyResendSignature({ secret: undefined, headers, rawBody })).toBe(false);
+    expect(verifyResendSignature({ secret, headers: { ...headers, 'svix-signature': undefined }, rawBody })).toBe(false);
+    expect(verifyResendSignature({ secret, headers: { ...headers, 'svix-signature': 'v2,abc' }, rawBody })).toBe(false);
+  });
+});